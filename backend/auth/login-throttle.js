@@ -0,0 +1,192 @@
+// ========================================
+// Login brute-force protection
+// ========================================
+// Per-email and per-IP failure counters with exponential backoff and a
+// temporary lockout. Counters live in Redis when a client is supplied
+// (shared across instances) and in an in-memory Map otherwise.
+//
+// Keys are built from whatever email was submitted, so unknown emails are
+// throttled exactly like real ones and nothing reveals whether an account exists.
+
+const WINDOW_MS = parseInt(process.env.LOGIN_FAIL_WINDOW_MINUTES || '15', 10) * 60 * 1000;
+const LOCKOUT_MS = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10) * 60 * 1000;
+const MAX_BACKOFF_MS = 60 * 1000;
+
+// Failures allowed before backoff starts, and before a full lockout
+const LIMITS = {
+  email: {
+    freeAttempts: 3,
+    lockAfter: parseInt(process.env.LOGIN_MAX_FAILS_PER_EMAIL || '10', 10),
+  },
+  ip: {
+    freeAttempts: 20,
+    lockAfter: parseInt(process.env.LOGIN_MAX_FAILS_PER_IP || '100', 10),
+  },
+};
+
+const KEY_PREFIX = 'login:throttle:';
+
+function normEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function keyFor(scope, id) {
+  return `${KEY_PREFIX}${scope}:${id}`;
+}
+
+// -------------------- Stores --------------------
+function createMemoryStore() {
+  const map = new Map(); // key -> { value, expiresAt }
+
+  function sweep(key) {
+    const hit = map.get(key);
+    if (hit && hit.expiresAt <= Date.now()) map.delete(key);
+  }
+
+  return {
+    async get(key) {
+      sweep(key);
+      const hit = map.get(key);
+      return hit ? hit.value : null;
+    },
+    async set(key, value, ttlMs) {
+      map.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    async del(key) {
+      map.delete(key);
+    },
+    async keys() {
+      for (const k of map.keys()) sweep(k);
+      return Array.from(map.keys());
+    },
+  };
+}
+
+function createRedisStore(redis) {
+  return {
+    async get(key) {
+      const raw = await redis.get(key);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async set(key, value, ttlMs) {
+      await redis.set(key, JSON.stringify(value), { PX: Math.max(1, Math.ceil(ttlMs)) });
+    },
+    async del(key) {
+      await redis.del(key);
+    },
+    async keys() {
+      const out = [];
+      for await (const batch of redis.scanIterator({ MATCH: `${KEY_PREFIX}*`, COUNT: 100 })) {
+        // node-redis v5 yields arrays of keys; v4 yields single keys
+        if (Array.isArray(batch)) out.push(...batch);
+        else out.push(batch);
+      }
+      return out;
+    },
+  };
+}
+
+// -------------------- Throttle --------------------
+// onLockout({ scope, id, email, ip, fails, lockedUntil }) is called once per new lockout.
+function createLoginThrottle({ redis = null, onLockout = null } = {}) {
+  const memory = createMemoryStore();
+  const redisStore = redis ? createRedisStore(redis) : null;
+
+  // Fall back to memory if Redis is configured but not reachable right now
+  function store() {
+    return redisStore && redis.isReady ? redisStore : memory;
+  }
+
+  function subjects(email, ip) {
+    const list = [];
+    const e = normEmail(email);
+    if (e) list.push({ scope: 'email', id: e });
+    if (ip) list.push({ scope: 'ip', id: String(ip) });
+    return list;
+  }
+
+  // Returns { allowed, retryAfterMs }
+  async function check(email, ip) {
+    const now = Date.now();
+    let retryAfterMs = 0;
+
+    for (const s of subjects(email, ip)) {
+      const rec = await store().get(keyFor(s.scope, s.id));
+      if (!rec) continue;
+      const blockedUntil = Math.max(rec.lockedUntil || 0, rec.nextAllowedAt || 0);
+      if (blockedUntil > now) retryAfterMs = Math.max(retryAfterMs, blockedUntil - now);
+    }
+
+    return { allowed: retryAfterMs === 0, retryAfterMs };
+  }
+
+  async function recordFailure(email, ip) {
+    const now = Date.now();
+
+    for (const s of subjects(email, ip)) {
+      const key = keyFor(s.scope, s.id);
+      const limits = LIMITS[s.scope];
+      const rec = (await store().get(key)) || { fails: 0, nextAllowedAt: 0, lockedUntil: 0 };
+
+      rec.fails += 1;
+
+      const over = rec.fails - limits.freeAttempts;
+      rec.nextAllowedAt = over > 0 ? now + Math.min(1000 * 2 ** (over - 1), MAX_BACKOFF_MS) : 0;
+
+      let newLock = false;
+      if (rec.fails >= limits.lockAfter && !(rec.lockedUntil > now)) {
+        rec.lockedUntil = now + LOCKOUT_MS;
+        newLock = true;
+      }
+
+      const ttl = Math.max(WINDOW_MS, (rec.lockedUntil || 0) - now);
+      await store().set(key, rec, ttl);
+
+      if (newLock && typeof onLockout === 'function') {
+        try {
+          await onLockout({
+            scope: s.scope,
+            id: s.id,
+            email: normEmail(email) || null,
+            ip: ip || null,
+            fails: rec.fails,
+            lockedUntil: new Date(rec.lockedUntil),
+          });
+        } catch (e) {
+          console.error('[LOGIN_THROTTLE] onLockout handler failed:', e?.message || e);
+        }
+      }
+    }
+  }
+
+  // A successful login clears the email counter; the IP counter keeps decaying on its own
+  async function recordSuccess(email) {
+    const e = normEmail(email);
+    if (e) await store().del(keyFor('email', e));
+  }
+
+  async function unlock({ email, ip } = {}) {
+    const cleared = [];
+    for (const s of subjects(email, ip)) {
+      await store().del(keyFor(s.scope, s.id));
+      cleared.push(s);
+    }
+    return cleared;
+  }
+
+  async function listLocked() {
+    const now = Date.now();
+    const out = [];
+    for (const key of await store().keys()) {
+      const rec = await store().get(key);
+      if (!rec || !(rec.lockedUntil > now)) continue;
+      const [scope, ...rest] = key.slice(KEY_PREFIX.length).split(':');
+      out.push({ scope, id: rest.join(':'), fails: rec.fails, lockedUntil: new Date(rec.lockedUntil) });
+    }
+    return out;
+  }
+
+  return { check, recordFailure, recordSuccess, unlock, listLocked };
+}
+
+module.exports = { createLoginThrottle };
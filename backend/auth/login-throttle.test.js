@@ -0,0 +1,201 @@
+// Unit cases for the login throttle (node:test, no dependencies).
+// Every case runs against the in-memory store and a Redis stand-in with the
+// node-redis surface the throttle uses (get / set PX / del / scanIterator).
+//
+// CLI (from backend/):
+//   npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createLoginThrottle } = require('./login-throttle');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+let clock = Date.UTC(2026, 0, 1);
+
+test.beforeEach((t) => {
+  clock = Date.UTC(2026, 0, 1);
+  t.mock.method(Date, 'now', () => clock);
+});
+
+function createFakeRedis() {
+  const map = new Map(); // key -> { raw, expiresAt }
+  const live = (key) => {
+    const hit = map.get(key);
+    if (hit && hit.expiresAt <= Date.now()) map.delete(key);
+    return map.get(key) || null;
+  };
+  return {
+    isReady: true,
+    map,
+    async get(key) {
+      return live(key)?.raw ?? null;
+    },
+    async set(key, raw, { PX }) {
+      map.set(key, { raw, expiresAt: Date.now() + PX });
+    },
+    async del(key) {
+      map.delete(key);
+    },
+    async *scanIterator({ MATCH }) {
+      const prefix = MATCH.replace(/\*$/, '');
+      yield Array.from(map.keys()).filter((k) => k.startsWith(prefix) && live(k));
+    },
+  };
+}
+
+const BACKENDS = {
+  memory: () => ({ redis: null }),
+  redis: () => ({ redis: createFakeRedis() }),
+};
+
+function forEachBackend(name, fn) {
+  for (const [backend, make] of Object.entries(BACKENDS)) {
+    test(`${name} (${backend})`, () => fn(make()));
+  }
+}
+
+async function fail(throttle, times, email = 'user@example.test', ip = '10.0.0.1') {
+  for (let i = 0; i < times; i += 1) await throttle.recordFailure(email, ip);
+}
+
+forEachBackend('the first three email failures are free', async ({ redis }) => {
+  const throttle = createLoginThrottle({ redis });
+  await fail(throttle, 3);
+  assert.deepEqual(await throttle.check('user@example.test', '10.0.0.1'), { allowed: true, retryAfterMs: 0 });
+});
+
+forEachBackend('backoff doubles from one second per failure past the free ones', async ({ redis }) => {
+  const throttle = createLoginThrottle({ redis });
+  await fail(throttle, 3);
+  for (const expected of [1, 2, 4, 8, 16, 32]) {
+    await fail(throttle, 1);
+    assert.deepEqual(await throttle.check('user@example.test'), { allowed: false, retryAfterMs: expected * SECOND });
+    clock += expected * SECOND;
+    assert.equal((await throttle.check('user@example.test')).allowed, true);
+  }
+});
+
+forEachBackend('the tenth email failure locks for fifteen minutes and reports it once', async ({ redis }) => {
+  const lockouts = [];
+  const throttle = createLoginThrottle({ redis, onLockout: (event) => lockouts.push(event) });
+  await fail(throttle, 10, ' User@Example.test ');
+
+  assert.equal(lockouts.length, 1);
+  assert.equal(lockouts[0].scope, 'email');
+  assert.equal(lockouts[0].email, 'user@example.test');
+  assert.equal(lockouts[0].fails, 10);
+  assert.equal(lockouts[0].lockedUntil.getTime(), clock + 15 * MINUTE);
+  assert.deepEqual(await throttle.check('user@example.test'), { allowed: false, retryAfterMs: 15 * MINUTE });
+
+  await fail(throttle, 2);
+  assert.equal(lockouts.length, 1, 'failures during a lockout do not start a new one');
+
+  const locked = await throttle.listLocked();
+  assert.deepEqual(
+    locked.map(({ scope, id, fails }) => ({ scope, id, fails })),
+    [{ scope: 'email', id: 'user@example.test', fails: 12 }]
+  );
+
+  clock += 15 * MINUTE;
+  assert.equal((await throttle.check('user@example.test')).allowed, true);
+  assert.deepEqual(await throttle.listLocked(), []);
+});
+
+forEachBackend('the backoff is capped at a minute', async ({ redis }) => {
+  // IP limits leave room past the cap before the lockout (free 20, lock at 100)
+  const throttle = createLoginThrottle({ redis });
+  for (let i = 0; i < 26; i += 1) await throttle.recordFailure(`user${i}@example.test`, '10.0.0.9');
+  assert.equal((await throttle.check(null, '10.0.0.9')).retryAfterMs, 32 * SECOND);
+  await throttle.recordFailure('user26@example.test', '10.0.0.9');
+  assert.equal((await throttle.check(null, '10.0.0.9')).retryAfterMs, 60 * SECOND);
+  await throttle.recordFailure('user27@example.test', '10.0.0.9');
+  assert.equal((await throttle.check(null, '10.0.0.9')).retryAfterMs, 60 * SECOND);
+});
+
+forEachBackend('failures outside the window are forgotten', async ({ redis }) => {
+  const throttle = createLoginThrottle({ redis });
+  await fail(throttle, 5);
+  clock += 15 * MINUTE;
+  await fail(throttle, 3);
+  assert.equal((await throttle.check('user@example.test')).allowed, true);
+});
+
+forEachBackend('unknown emails are throttled like real ones', async ({ redis }) => {
+  const throttle = createLoginThrottle({ redis });
+  await fail(throttle, 4, 'nobody@example.test');
+  assert.deepEqual(await throttle.check('nobody@example.test'), { allowed: false, retryAfterMs: SECOND });
+});
+
+forEachBackend('the IP counter allows twenty failures across emails', async ({ redis }) => {
+  const throttle = createLoginThrottle({ redis });
+  for (let i = 0; i < 20; i += 1) await throttle.recordFailure(`user${i}@example.test`, '10.0.0.9');
+  assert.equal((await throttle.check('fresh@example.test', '10.0.0.9')).allowed, true);
+  await throttle.recordFailure('user20@example.test', '10.0.0.9');
+  assert.deepEqual(await throttle.check('fresh@example.test', '10.0.0.9'), { allowed: false, retryAfterMs: SECOND });
+  assert.equal((await throttle.check('fresh@example.test', '10.0.0.10')).allowed, true);
+});
+
+forEachBackend('a successful login clears the email counter but not the IP one', async ({ redis }) => {
+  const throttle = createLoginThrottle({ redis });
+  await fail(throttle, 10);
+  await throttle.recordSuccess('USER@example.test');
+  assert.equal((await throttle.check('user@example.test')).allowed, true);
+
+  for (let i = 0; i < 11; i += 1) await throttle.recordFailure(`other${i}@example.test`, '10.0.0.1');
+  await throttle.recordSuccess('user@example.test');
+  assert.equal((await throttle.check(null, '10.0.0.1')).allowed, false);
+});
+
+forEachBackend('unlock clears the given email and IP', async ({ redis }) => {
+  const throttle = createLoginThrottle({ redis });
+  await fail(throttle, 10);
+  const cleared = await throttle.unlock({ email: 'user@example.test', ip: '10.0.0.1' });
+  assert.deepEqual(cleared, [
+    { scope: 'email', id: 'user@example.test' },
+    { scope: 'ip', id: '10.0.0.1' },
+  ]);
+  assert.equal((await throttle.check('user@example.test', '10.0.0.1')).allowed, true);
+});
+
+test('memory and Redis give the same answers for the same failures', async () => {
+  const throttles = [createLoginThrottle(), createLoginThrottle({ redis: createFakeRedis() })];
+  const steps = [];
+  for (let i = 0; i < 14; i += 1) {
+    const answers = [];
+    for (const throttle of throttles) {
+      await throttle.recordFailure('user@example.test', '10.0.0.1');
+      answers.push({
+        check: await throttle.check('user@example.test', '10.0.0.1'),
+        locked: (await throttle.listLocked()).map(({ scope, id, fails, lockedUntil }) => ({
+          scope, id, fails, lockedUntil: lockedUntil.getTime(),
+        })),
+      });
+    }
+    steps.push(answers);
+    clock += 5 * SECOND;
+  }
+  for (const [memory, redis] of steps) assert.deepEqual(redis, memory);
+});
+
+test('Redis entries expire with the failure window, or with the lockout once locked', async () => {
+  const redis = createFakeRedis();
+  const throttle = createLoginThrottle({ redis });
+  await fail(throttle, 1, 'user@example.test', null);
+  assert.equal(redis.map.get('login:throttle:email:user@example.test').expiresAt, clock + 15 * MINUTE);
+
+  clock += 5 * MINUTE;
+  await fail(throttle, 9, 'user@example.test', null);
+  assert.equal(redis.map.get('login:throttle:email:user@example.test').expiresAt, clock + 15 * MINUTE);
+});
+
+test('a Redis client that is not ready falls back to memory', async () => {
+  const redis = createFakeRedis();
+  redis.isReady = false;
+  const throttle = createLoginThrottle({ redis });
+  await fail(throttle, 4);
+  assert.equal(redis.map.size, 0);
+  assert.equal((await throttle.check('user@example.test')).allowed, false);
+});
@@ -0,0 +1,228 @@
+// ========================================
+// OpenID Connect (authorization code + PKCE) for platform SSO
+// ========================================
+// Providers come from OIDC_PROVIDERS (JSON array), one entry per clinic IdP:
+//   {
+//     "id": "northside",                 // used in URLs: /api/platform/sso/northside/start
+//     "label": "Northside Health SSO",   // button text on the login page
+//     "issuer": "https://login.example.com/tenant/v2.0",
+//     "clientId": "...",
+//     "clientSecret": "...",             // optional for public clients (PKCE only)
+//     "clinicId": 3,                     // optional: only users of this clinic may sign in; also required for email auto-linking
+//     "scopes": "openid email profile",  // optional
+//     "emailClaim": "email",             // optional; e.g. "preferred_username" for Entra ID
+//     "redirectUri": "https://…/callback" // optional; defaults to PLATFORM_BASE_URL + callback path
+//   }
+// http:// issuers are accepted so a local mock OIDC provider can be used in tests.
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const HTTP_TIMEOUT_MS = 10 * 1000;
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+
+// JWS alg → node crypto verify parameters
+const JWS_ALGS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+};
+
+function loadOidcProviders(raw = process.env.OIDC_PROVIDERS) {
+  if (!raw || !String(raw).trim()) return [];
+
+  let list;
+  try {
+    list = JSON.parse(raw);
+  } catch (e) {
+    console.error('[OIDC] OIDC_PROVIDERS is not valid JSON; SSO disabled:', e.message);
+    return [];
+  }
+
+  return (Array.isArray(list) ? list : [])
+    .filter((p) => p && p.id && p.issuer && p.clientId)
+    .map((p) => ({
+      id: String(p.id),
+      label: p.label || String(p.id),
+      issuer: String(p.issuer).replace(/\/+$/, ''),
+      clientId: String(p.clientId),
+      clientSecret: p.clientSecret || null,
+      clinicId: p.clinicId != null ? Number(p.clinicId) : null,
+      scopes: p.scopes || 'openid email profile',
+      emailClaim: p.emailClaim || 'email',
+      redirectUri: p.redirectUri || null,
+    }));
+}
+
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+// Returns { verifier, challenge } (S256)
+function createPkcePair() {
+  const verifier = randomToken(48);
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+}
+
+function createOidcClient(provider) {
+  let discovery = null;
+  let discoveredAt = 0;
+  let jwks = null;
+
+  async function discover() {
+    if (discovery && Date.now() - discoveredAt < DISCOVERY_TTL_MS) return discovery;
+
+    const { data } = await axios.get(`${provider.issuer}/.well-known/openid-configuration`, {
+      timeout: HTTP_TIMEOUT_MS,
+    });
+    if (!data || !data.authorization_endpoint || !data.token_endpoint || !data.jwks_uri) {
+      throw new Error(`Incomplete OIDC discovery document for ${provider.id}`);
+    }
+    if (String(data.issuer).replace(/\/+$/, '') !== provider.issuer) {
+      throw new Error(`Issuer mismatch in discovery document for ${provider.id}`);
+    }
+
+    discovery = data;
+    discoveredAt = Date.now();
+    jwks = null;
+    return discovery;
+  }
+
+  async function getSigningKey(kid, { refresh = false } = {}) {
+    if (!jwks || refresh) {
+      const { jwks_uri } = await discover();
+      const { data } = await axios.get(jwks_uri, { timeout: HTTP_TIMEOUT_MS });
+      jwks = Array.isArray(data?.keys) ? data.keys : [];
+    }
+
+    const candidates = jwks.filter((k) => (!k.use || k.use === 'sig') && (!kid || k.kid === kid));
+    if (candidates.length) return crypto.createPublicKey({ key: candidates[0], format: 'jwk' });
+
+    // Key rotation: unknown kid → refetch once
+    if (!refresh) return getSigningKey(kid, { refresh: true });
+    return null;
+  }
+
+  async function buildAuthorizationUrl({ redirectUri, state, nonce, codeChallenge }) {
+    const { authorization_endpoint } = await discover();
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: redirectUri,
+      scope: provider.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+    });
+    return `${authorization_endpoint}?${params.toString()}`;
+  }
+
+  async function exchangeCode({ code, codeVerifier, redirectUri }) {
+    const { token_endpoint } = await discover();
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: provider.clientId,
+      code_verifier: codeVerifier,
+    });
+    if (provider.clientSecret) body.set('client_secret', provider.clientSecret);
+
+    const { data } = await axios.post(token_endpoint, body.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      timeout: HTTP_TIMEOUT_MS,
+    });
+    if (!data || !data.id_token) throw new Error('Token response did not include an id_token');
+    return data;
+  }
+
+  // Verifies signature, iss, aud, exp/iat and nonce; returns the claims
+  async function verifyIdToken(idToken, { nonce }) {
+    const parts = String(idToken || '').split('.');
+    if (parts.length !== 3) throw new Error('Malformed id_token');
+
+    const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+
+    const alg = JWS_ALGS[header.alg];
+    if (!alg) throw new Error(`Unsupported id_token alg: ${header.alg}`);
+
+    const key = await getSigningKey(header.kid);
+    if (!key) throw new Error('No matching signing key for id_token');
+
+    const valid = crypto.verify(
+      alg.hash,
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      { key, padding: alg.padding, dsaEncoding: alg.dsaEncoding },
+      Buffer.from(parts[2], 'base64url')
+    );
+    if (!valid) throw new Error('Invalid id_token signature');
+
+    const now = Math.floor(Date.now() / 1000);
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+    if (String(claims.iss || '').replace(/\/+$/, '') !== provider.issuer) throw new Error('id_token issuer mismatch');
+    if (!audiences.includes(provider.clientId)) throw new Error('id_token audience mismatch');
+    if (audiences.length > 1 && claims.azp && claims.azp !== provider.clientId) throw new Error('id_token azp mismatch');
+    if (!(claims.exp > now - CLOCK_SKEW_SECONDS)) throw new Error('id_token expired');
+    if (claims.iat && claims.iat > now + CLOCK_SKEW_SECONDS) throw new Error('id_token issued in the future');
+    if (!nonce || claims.nonce !== nonce) throw new Error('id_token nonce mismatch');
+    if (!claims.sub) throw new Error('id_token has no subject');
+
+    return claims;
+  }
+
+  return { provider, discover, buildAuthorizationUrl, exchangeCode, verifyIdToken };
+}
+
+// resolveOidcUser(provider, claims) → the System_Users login row for this IdP identity, or null.
+// Unknown identities are linked by email only when the IdP marks it verified, the
+// provider is tied to a clinic and the user belongs to it, and the account is not
+// privileged (isPrivilegedAccount(user) → boolean); everything else needs a link made
+// by a SuperAdmin.
+function createOidcUserResolver({ repos, isPrivilegedAccount }) {
+  return async function resolveOidcUser(provider, claims) {
+    const subject = String(claims.sub);
+    const linkedUserId = await repos.oidc.findLinkedUserId(provider.id, subject);
+
+    if (linkedUserId != null) {
+      const user = await repos.users.findLoginUser({ id: linkedUserId });
+      if (!user) return null;
+      // Per-clinic IdP: only users of that clinic may sign in through it
+      if (provider.clinicId != null && Number(user.clinic_id) !== provider.clinicId) return null;
+      await repos.oidc.touch(provider.id, subject);
+      return user;
+    }
+
+    const email = String(claims[provider.emailClaim] || '').trim();
+    if (!email || claims.email_verified !== true || provider.clinicId == null) return null;
+
+    const user = await repos.users.findLoginUser({ email, caseInsensitive: true });
+    if (!user || Number(user.clinic_id) !== provider.clinicId) return null;
+    if (await isPrivilegedAccount(user)) {
+      console.warn('[OIDC] Auto-link refused for privileged account', { provider: provider.id, userId: user.id });
+      return null;
+    }
+
+    await repos.oidc.link({ userId: user.id, providerId: provider.id, subject, email });
+    console.log('[OIDC] Linked identity', { provider: provider.id, userId: user.id });
+    return user;
+  };
+}
+
+module.exports = {
+  loadOidcProviders,
+  createOidcClient,
+  createOidcUserResolver,
+  createPkcePair,
+  randomToken,
+};
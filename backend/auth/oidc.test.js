@@ -0,0 +1,273 @@
+// Unit cases for id_token verification and SSO auto-linking (node:test, no dependencies).
+// The IdP is an in-process http server serving discovery, JWKS and the token endpoint.
+//
+// CLI (from backend/):
+//   npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+const { createOidcClient, createOidcUserResolver } = require('./oidc');
+
+const CLIENT_ID = 'xr-platform';
+const NONCE = 'nonce-1';
+
+function newKey(kid) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' } };
+}
+
+const keyA = newKey('key-a');
+const keyB = newKey('key-b');
+
+const idp = {
+  issuer: null,
+  keys: [keyA],
+  jwksFetches: 0,
+  lastTokenRequest: null,
+};
+
+const server = http.createServer((req, res) => {
+  const send = (body) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+  };
+  if (req.url === '/.well-known/openid-configuration') {
+    return send({
+      issuer: idp.issuer,
+      authorization_endpoint: `${idp.issuer}/authorize`,
+      token_endpoint: `${idp.issuer}/token`,
+      jwks_uri: `${idp.issuer}/jwks`,
+    });
+  }
+  if (req.url === '/jwks') {
+    idp.jwksFetches += 1;
+    return send({ keys: idp.keys.map((k) => k.jwk) });
+  }
+  if (req.url === '/token' && req.method === 'POST') {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => {
+      idp.lastTokenRequest = Object.fromEntries(new URLSearchParams(raw));
+      send({ access_token: 'at', token_type: 'Bearer', id_token: sign(claims()) });
+    });
+    return undefined;
+  }
+  res.statusCode = 404;
+  return res.end();
+});
+
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  idp.issuer = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+test.beforeEach(() => {
+  idp.keys = [keyA];
+  idp.jwksFetches = 0;
+});
+
+function b64(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function sign(payload, key = keyA, header = {}) {
+  const head = b64({ alg: 'RS256', typ: 'JWT', kid: key.kid, ...header });
+  const body = b64(payload);
+  const signature = crypto.sign('sha256', Buffer.from(`${head}.${body}`), key.privateKey).toString('base64url');
+  return `${head}.${body}.${signature}`;
+}
+
+function claims(overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return { iss: idp.issuer, aud: CLIENT_ID, sub: 'subject-1', iat: now, exp: now + 300, nonce: NONCE, ...overrides };
+}
+
+function client() {
+  return createOidcClient({ id: 'test', issuer: idp.issuer, clientId: CLIENT_ID, clientSecret: 'secret' });
+}
+
+test('a well-formed id_token returns its claims', async () => {
+  const verified = await client().verifyIdToken(sign(claims()), { nonce: NONCE });
+  assert.equal(verified.sub, 'subject-1');
+});
+
+test('a tampered payload fails the signature check', async () => {
+  const [head, , signature] = sign(claims()).split('.');
+  const forged = `${head}.${b64(claims({ sub: 'someone-else' }))}.${signature}`;
+  await assert.rejects(client().verifyIdToken(forged, { nonce: NONCE }), /signature/);
+});
+
+test('the issuer must be the configured one (trailing slash ignored)', async () => {
+  await client().verifyIdToken(sign(claims({ iss: `${idp.issuer}/` })), { nonce: NONCE });
+  await assert.rejects(
+    client().verifyIdToken(sign(claims({ iss: 'http://other-idp.example' })), { nonce: NONCE }),
+    /issuer mismatch/
+  );
+});
+
+test('the audience must include the client id', async () => {
+  await assert.rejects(
+    client().verifyIdToken(sign(claims({ aud: 'another-app' })), { nonce: NONCE }),
+    /audience mismatch/
+  );
+  await client().verifyIdToken(sign(claims({ aud: [CLIENT_ID] })), { nonce: NONCE });
+});
+
+test('with several audiences azp must name the client when present', async () => {
+  const aud = [CLIENT_ID, 'another-app'];
+  await client().verifyIdToken(sign(claims({ aud })), { nonce: NONCE });
+  await client().verifyIdToken(sign(claims({ aud, azp: CLIENT_ID })), { nonce: NONCE });
+  await assert.rejects(
+    client().verifyIdToken(sign(claims({ aud, azp: 'another-app' })), { nonce: NONCE }),
+    /azp mismatch/
+  );
+});
+
+test('expiry allows a minute of clock skew', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  await client().verifyIdToken(sign(claims({ exp: now - 30 })), { nonce: NONCE });
+  await assert.rejects(client().verifyIdToken(sign(claims({ exp: now - 120 })), { nonce: NONCE }), /expired/);
+  await assert.rejects(client().verifyIdToken(sign(claims({ exp: undefined })), { nonce: NONCE }), /expired/);
+  await assert.rejects(
+    client().verifyIdToken(sign(claims({ iat: now + 600 })), { nonce: NONCE }),
+    /issued in the future/
+  );
+});
+
+test('the nonce must match the one stored at login start', async () => {
+  await assert.rejects(client().verifyIdToken(sign(claims()), { nonce: 'nonce-2' }), /nonce mismatch/);
+  await assert.rejects(client().verifyIdToken(sign(claims({ nonce: undefined })), { nonce: NONCE }), /nonce mismatch/);
+  await assert.rejects(client().verifyIdToken(sign(claims()), { nonce: null }), /nonce mismatch/);
+});
+
+test('an unknown kid refetches the JWKS once (key rotation)', async () => {
+  const oidc = client();
+  await oidc.verifyIdToken(sign(claims()), { nonce: NONCE });
+  assert.equal(idp.jwksFetches, 1);
+
+  idp.keys = [keyB];
+  await oidc.verifyIdToken(sign(claims(), keyB), { nonce: NONCE });
+  assert.equal(idp.jwksFetches, 2);
+
+  await oidc.verifyIdToken(sign(claims(), keyB), { nonce: NONCE });
+  assert.equal(idp.jwksFetches, 2, 'a known kid is served from the cached JWKS');
+});
+
+test('a kid missing after the refetch is rejected', async () => {
+  const oidc = client();
+  await oidc.verifyIdToken(sign(claims()), { nonce: NONCE });
+
+  idp.keys = [keyB];
+  await assert.rejects(oidc.verifyIdToken(sign(claims(), keyA, { kid: 'key-c' }), { nonce: NONCE }), /No matching signing key/);
+  assert.equal(idp.jwksFetches, 2);
+});
+
+test('unsupported algorithms are rejected before any key lookup', async () => {
+  const [, body, signature] = sign(claims()).split('.');
+  await assert.rejects(client().verifyIdToken(`${b64({ alg: 'none' })}.${body}.${signature}`, { nonce: NONCE }), /Unsupported/);
+  await assert.rejects(client().verifyIdToken(`${b64({ alg: 'HS256', kid: 'key-a' })}.${body}.${signature}`, { nonce: NONCE }), /Unsupported/);
+  assert.equal(idp.jwksFetches, 0);
+});
+
+test('exchangeCode posts the PKCE verifier and returns the token response', async () => {
+  const tokens = await client().exchangeCode({ code: 'c0de', codeVerifier: 'verifier', redirectUri: 'http://app/cb' });
+  assert.equal(idp.lastTokenRequest.grant_type, 'authorization_code');
+  assert.equal(idp.lastTokenRequest.code_verifier, 'verifier');
+  assert.equal(idp.lastTokenRequest.client_secret, 'secret');
+  assert.equal((await client().verifyIdToken(tokens.id_token, { nonce: NONCE })).sub, 'subject-1');
+});
+
+// ---- resolveOidcUser ----
+
+const USERS = [
+  { id: 10, email: 'scribe@clinic3.test', clinic_id: 3 },
+  { id: 11, email: 'manager@clinic3.test', clinic_id: 3 },
+  { id: 12, email: 'scribe@clinic4.test', clinic_id: 4 },
+];
+
+function fakeRepos(links = []) {
+  const calls = { touch: [], link: [] };
+  const repos = {
+    oidc: {
+      async findLinkedUserId(providerId, subject) {
+        const link = links.find((l) => l.providerId === providerId && l.subject === subject);
+        return link ? link.userId : null;
+      },
+      async touch(providerId, subject) {
+        calls.touch.push({ providerId, subject });
+      },
+      async link(row) {
+        calls.link.push(row);
+      },
+    },
+    users: {
+      async findLoginUser({ id, email }) {
+        if (id != null) return USERS.find((u) => u.id === id) || null;
+        return USERS.find((u) => u.email.toLowerCase() === String(email).toLowerCase()) || null;
+      },
+    },
+  };
+  return { repos, calls };
+}
+
+function resolver(links) {
+  const { repos, calls } = fakeRepos(links);
+  const resolve = createOidcUserResolver({ repos, isPrivilegedAccount: async (user) => user.id === 11 });
+  return { resolve, calls };
+}
+
+const CLINIC_IDP = { id: 'northside', clinicId: 3, emailClaim: 'email' };
+
+test('a linked identity signs in as its user and is touched', async () => {
+  const { resolve, calls } = resolver([{ providerId: 'northside', subject: 's-1', userId: 12 }]);
+  const user = await resolve({ ...CLINIC_IDP, clinicId: null }, { sub: 's-1' });
+  assert.equal(user.id, 12);
+  assert.deepEqual(calls.touch, [{ providerId: 'northside', subject: 's-1' }]);
+});
+
+test('a linked identity is refused outside the provider clinic or when the user is gone', async () => {
+  const { resolve, calls } = resolver([
+    { providerId: 'northside', subject: 's-1', userId: 12 },
+    { providerId: 'northside', subject: 's-2', userId: 99 },
+  ]);
+  assert.equal(await resolve(CLINIC_IDP, { sub: 's-1' }), null);
+  assert.equal(await resolve(CLINIC_IDP, { sub: 's-2' }), null);
+  assert.deepEqual(calls.touch, []);
+});
+
+test('a verified email of a clinic user is auto-linked', async () => {
+  const { resolve, calls } = resolver();
+  const user = await resolve(CLINIC_IDP, { sub: 's-9', email: 'SCRIBE@clinic3.test', email_verified: true });
+  assert.equal(user.id, 10);
+  assert.deepEqual(calls.link, [{ userId: 10, providerId: 'northside', subject: 's-9', email: 'SCRIBE@clinic3.test' }]);
+});
+
+test('the configured email claim is used for auto-linking', async () => {
+  const { resolve } = resolver();
+  const provider = { ...CLINIC_IDP, emailClaim: 'preferred_username' };
+  const user = await resolve(provider, { sub: 's-9', preferred_username: 'scribe@clinic3.test', email_verified: true });
+  assert.equal(user.id, 10);
+});
+
+test('auto-linking needs a verified email, a clinic-bound provider and a user of that clinic', async () => {
+  const { resolve, calls } = resolver();
+  const email = 'scribe@clinic3.test';
+  assert.equal(await resolve(CLINIC_IDP, { sub: 's-9', email }), null);
+  assert.equal(await resolve(CLINIC_IDP, { sub: 's-9', email, email_verified: 'true' }), null);
+  assert.equal(await resolve(CLINIC_IDP, { sub: 's-9', email_verified: true }), null);
+  assert.equal(await resolve({ ...CLINIC_IDP, clinicId: null }, { sub: 's-9', email, email_verified: true }), null);
+  assert.equal(await resolve(CLINIC_IDP, { sub: 's-9', email: 'scribe@clinic4.test', email_verified: true }), null);
+  assert.equal(await resolve(CLINIC_IDP, { sub: 's-9', email: 'nobody@clinic3.test', email_verified: true }), null);
+  assert.deepEqual(calls.link, []);
+});
+
+test('privileged accounts are never auto-linked', async () => {
+  const { resolve, calls } = resolver();
+  assert.equal(await resolve(CLINIC_IDP, { sub: 's-9', email: 'manager@clinic3.test', email_verified: true }), null);
+  assert.deepEqual(calls.link, []);
+});
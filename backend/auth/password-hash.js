@@ -0,0 +1,62 @@
+// ========================================
+// Password hashing helpers
+// ========================================
+// Used by /api/platform/login, /api/auth/login and the create-user routes.
+// Older rows in System_Users / auth_users still hold plain text, so
+// verification accepts both and tells the caller when to re-hash.
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS || '12', 10);
+
+// bcrypt hashes look like $2a$10$..., $2b$12$..., $2y$...
+const BCRYPT_RE = /^\$2[aby]\$(\d{2})\$[./A-Za-z0-9]{53}$/;
+
+function isHashed(stored) {
+  return typeof stored === 'string' && BCRYPT_RE.test(stored);
+}
+
+async function hashPassword(plain) {
+  if (typeof plain !== 'string' || !plain) {
+    throw new Error('Password must be a non-empty string');
+  }
+  return bcrypt.hash(plain, BCRYPT_ROUNDS);
+}
+
+// Returns { ok, needsRehash }.
+// needsRehash is true when the stored value was plain text (legacy row)
+// or was hashed with fewer rounds than BCRYPT_ROUNDS.
+async function verifyPassword(plain, stored) {
+  if (typeof plain !== 'string' || !plain || typeof stored !== 'string' || !stored) {
+    return { ok: false, needsRehash: false };
+  }
+
+  if (isHashed(stored)) {
+    const ok = await bcrypt.compare(plain, stored);
+    const rounds = parseInt(stored.match(BCRYPT_RE)[1], 10);
+    return { ok, needsRehash: ok && rounds < BCRYPT_ROUNDS };
+  }
+
+  // Legacy plain-text row: constant-time compare, then ask caller to migrate
+  const a = Buffer.from(plain, 'utf8');
+  const b = Buffer.from(stored, 'utf8');
+  const ok = a.length === b.length && crypto.timingSafeEqual(a, b);
+  return { ok, needsRehash: ok };
+}
+
+// Unknown email → still spend one bcrypt compare so response timing
+// does not reveal whether the account exists.
+let dummyHash = null;
+async function equalizeLoginTiming(plain) {
+  if (!dummyHash) dummyHash = await bcrypt.hash('timing-equalizer', BCRYPT_ROUNDS);
+  await bcrypt.compare(String(plain || ''), dummyHash);
+}
+
+module.exports = {
+  BCRYPT_ROUNDS,
+  isHashed,
+  hashPassword,
+  verifyPassword,
+  equalizeLoginTiming,
+};
@@ -0,0 +1,149 @@
+// ========================================
+// Effective screen permission cache
+// ========================================
+// Caches the per-user result of the System_Screens × Access_Rights ×
+// User_Additional_Permissions query so requireScreen / my-screens don't hit
+// SQL on every request. Entries live in Redis when a client is supplied
+// (shared across instances) and in an in-memory Map otherwise.
+//
+// Invalidation:
+//   invalidateUser(id) – that user's grants changed
+//   invalidateAll()    – role defaults / role mappings changed; bumps a
+//                        generation counter so every entry is stale at once
+// An entry also expires at the next start/end of one of the user's
+// temporary grants, so time-bound access switches on and off on time.
+
+const TTL_MS = parseInt(process.env.PERMISSION_CACHE_TTL_SECONDS || '300', 10) * 1000;
+
+const KEY_PREFIX = 'perm:screens:';
+const GEN_KEY = 'perm:gen';
+
+function keyFor(userId) {
+  return `${KEY_PREFIX}${userId}`;
+}
+
+// -------------------- Stores --------------------
+function createMemoryStore() {
+  const map = new Map(); // userId -> entry
+  let gen = 0;
+
+  return {
+    async get(userId) {
+      return map.get(String(userId)) || null;
+    },
+    async set(userId, entry) {
+      map.set(String(userId), entry);
+    },
+    async del(userId) {
+      map.delete(String(userId));
+    },
+    async generation() {
+      return gen;
+    },
+    async bump() {
+      gen += 1;
+      map.clear();
+    },
+  };
+}
+
+function createRedisStore(redis) {
+  return {
+    async get(userId) {
+      const raw = await redis.get(keyFor(userId));
+      return raw ? JSON.parse(raw) : null;
+    },
+    async set(userId, entry) {
+      const ttl = Math.max(1, Math.ceil(entry.validUntil - Date.now()));
+      await redis.set(keyFor(userId), JSON.stringify(entry), { PX: ttl });
+    },
+    async del(userId) {
+      await redis.del(keyFor(userId));
+    },
+    async generation() {
+      return Number(await redis.get(GEN_KEY)) || 0;
+    },
+    async bump() {
+      await redis.incr(GEN_KEY);
+    },
+  };
+}
+
+// -------------------- Cache --------------------
+// load(sessionUser) → { screens, nextChangeAt } where nextChangeAt (Date|null) is the
+// next time one of the user's grants starts or ends.
+function createPermissionCache({ redis = null, load } = {}) {
+  const memory = createMemoryStore();
+  const redisStore = redis ? createRedisStore(redis) : null;
+
+  // Fall back to memory if Redis is configured but not reachable right now
+  function store() {
+    return redisStore && redis.isReady ? redisStore : memory;
+  }
+
+  // Concurrent misses for the same user share one query
+  const inflight = new Map();
+
+  async function getScreens(sessionUser) {
+    const userId = sessionUser.id;
+    const roleId = sessionUser.userRoleMappingId || null;
+    const now = Date.now();
+
+    try {
+      const s = store();
+      const [entry, gen] = await Promise.all([s.get(userId), s.generation()]);
+      if (entry && entry.gen === gen && entry.roleId === roleId && entry.validUntil > now) {
+        return entry.screens;
+      }
+    } catch (err) {
+      console.warn('[PERM_CACHE] read failed, querying directly:', err?.message || err);
+    }
+
+    const key = `${userId}:${roleId}`;
+    if (inflight.has(key)) return inflight.get(key);
+
+    const pending = (async () => {
+      const s = store();
+      // Read the generation before loading so a concurrent invalidateAll() wins
+      const gen = await s.generation().catch(() => null);
+      const { screens, nextChangeAt } = await load(sessionUser);
+
+      if (gen !== null) {
+        const boundary = nextChangeAt ? new Date(nextChangeAt).getTime() : Infinity;
+        const validUntil = Math.min(Date.now() + TTL_MS, boundary);
+        if (validUntil > Date.now()) {
+          await s.set(userId, { gen, roleId, validUntil, screens }).catch((err) => {
+            console.warn('[PERM_CACHE] write failed:', err?.message || err);
+          });
+        }
+      }
+      return screens;
+    })();
+
+    inflight.set(key, pending);
+    try {
+      return await pending;
+    } finally {
+      inflight.delete(key);
+    }
+  }
+
+  async function invalidateUser(userId) {
+    if (userId === null || userId === undefined) return;
+    await Promise.all([
+      memory.del(userId),
+      redisStore && redis.isReady ? redisStore.del(userId) : null,
+    ]).catch((err) => console.warn('[PERM_CACHE] invalidateUser failed:', err?.message || err));
+  }
+
+  async function invalidateAll() {
+    await Promise.all([
+      memory.bump(),
+      redisStore && redis.isReady ? redisStore.bump() : null,
+    ]).catch((err) => console.warn('[PERM_CACHE] invalidateAll failed:', err?.message || err));
+  }
+
+  return { getScreens, invalidateUser, invalidateAll };
+}
+
+module.exports = { createPermissionCache };
@@ -0,0 +1,75 @@
+// ========================================
+// Password reset tokens
+// ========================================
+// Token = base64url(payload) + "." + HMAC-SHA256 signature.
+// payload = { uid, exp, pwf, n } where pwf is a fingerprint of the user's
+// current password hash, so a token dies as soon as the password changes.
+// Only sha256(token) is stored (Password_Reset_Tokens.token_hash), which
+// together with used_date makes each token single-use.
+
+const crypto = require('crypto');
+
+const RESET_TTL_MS = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '30', 10) * 60 * 1000;
+
+function signingKey() {
+  return process.env.PASSWORD_RESET_SECRET || process.env.SESSION_SECRET || 'change-me-in-production';
+}
+
+function b64url(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', signingKey()).update(data).digest('base64url');
+}
+
+function passwordFingerprint(storedPassword) {
+  return crypto.createHash('sha256').update(String(storedPassword || '')).digest('base64url').slice(0, 16);
+}
+
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(String(token || '')).digest('hex');
+}
+
+// Returns { token, tokenHash, expiresAt }
+function createResetToken(userId, storedPassword, now = Date.now()) {
+  const expiresAt = new Date(now + RESET_TTL_MS);
+  const payload = b64url(
+    JSON.stringify({
+      uid: userId,
+      exp: expiresAt.getTime(),
+      pwf: passwordFingerprint(storedPassword),
+      n: crypto.randomBytes(16).toString('base64url'),
+    })
+  );
+  const token = `${payload}.${sign(payload)}`;
+  return { token, tokenHash: hashResetToken(token), expiresAt };
+}
+
+// Returns { userId, pwf } for a well-formed, correctly signed, unexpired token; else null.
+function verifyResetToken(token, now = Date.now()) {
+  const [payload, sig] = String(token || '').split('.');
+  if (!payload || !sig) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (!data || !data.uid || !(data.exp > now)) return null;
+
+  return { userId: data.uid, pwf: data.pwf };
+}
+
+module.exports = {
+  RESET_TTL_MS,
+  createResetToken,
+  verifyResetToken,
+  hashResetToken,
+  passwordFingerprint,
+};
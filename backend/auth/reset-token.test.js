@@ -0,0 +1,118 @@
+// Unit cases for password reset tokens (node:test, no dependencies).
+// Single use is enforced where the token is redeemed, so those cases run the
+// SQLite repository against an in-memory database.
+//
+// CLI (from backend/):
+//   npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Sequelize } = require('sequelize');
+
+const {
+  RESET_TTL_MS,
+  createResetToken,
+  verifyResetToken,
+  hashResetToken,
+  passwordFingerprint,
+} = require('./reset-token');
+const { createRepositories } = require('../data');
+
+const STORED_PASSWORD = '$2b$10$storedhashstoredhashstoredhashstoredhashstoredhash12';
+
+test('a fresh token verifies to its user and password fingerprint', () => {
+  const { token } = createResetToken(7, STORED_PASSWORD);
+  assert.deepEqual(verifyResetToken(token), { userId: 7, pwf: passwordFingerprint(STORED_PASSWORD) });
+});
+
+test('a token expires after the TTL', () => {
+  const issuedAt = Date.UTC(2026, 0, 1);
+  const { token, expiresAt } = createResetToken(7, STORED_PASSWORD, issuedAt);
+  assert.equal(expiresAt.getTime(), issuedAt + RESET_TTL_MS);
+  assert.equal(verifyResetToken(token, issuedAt + RESET_TTL_MS - 1).userId, 7);
+  assert.equal(verifyResetToken(token, issuedAt + RESET_TTL_MS), null);
+});
+
+test('tampered or malformed tokens are rejected', () => {
+  const { token } = createResetToken(7, STORED_PASSWORD);
+  const [payload, sig] = token.split('.');
+  const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const forged = Buffer.from(JSON.stringify({ ...data, uid: 1 })).toString('base64url');
+
+  assert.equal(verifyResetToken(`${forged}.${sig}`), null);
+  assert.equal(verifyResetToken(`${payload}.${sig.slice(1)}x`), null);
+  assert.equal(verifyResetToken(payload), null);
+  assert.equal(verifyResetToken(''), null);
+  assert.equal(verifyResetToken(null), null);
+});
+
+test('a password change changes the fingerprint the token carries', () => {
+  const { token } = createResetToken(7, STORED_PASSWORD);
+  assert.notEqual(verifyResetToken(token).pwf, passwordFingerprint(`${STORED_PASSWORD}-changed`));
+});
+
+test('only a hash of the token is stored, and every token is distinct', () => {
+  const first = createResetToken(7, STORED_PASSWORD);
+  const second = createResetToken(7, STORED_PASSWORD);
+  assert.notEqual(first.token, second.token);
+  assert.equal(first.tokenHash, hashResetToken(first.token));
+  assert.match(first.tokenHash, /^[0-9a-f]{64}$/);
+  assert.equal(first.tokenHash.includes(first.token.split('.')[1]), false);
+});
+
+// ---- redeeming (Password_Reset_Tokens) ----
+
+let sequelize;
+let repos;
+
+test.before(async () => {
+  sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+  repos = createRepositories(sequelize);
+  await repos.prepare();
+});
+
+test.after(() => sequelize.close());
+
+async function issue(userId, now = Date.now()) {
+  const user = await repos.users.findForPasswordReset({ id: userId });
+  const issued = createResetToken(userId, user.password, now);
+  await repos.passwordResets.create({ userId, tokenHash: issued.tokenHash, expiresAt: issued.expiresAt });
+  return issued;
+}
+
+test('a token can be redeemed once', async () => {
+  const { token } = await issue(3);
+  const redeem = () => repos.passwordResets.redeem({ userId: 3, tokenHash: hashResetToken(token), passwordHash: 'new-hash' });
+  assert.equal(await redeem(), true);
+  assert.equal((await repos.users.findForPasswordReset({ id: 3 })).password, 'new-hash');
+  assert.equal(await redeem(), false);
+});
+
+test('redeeming one token retires the user\'s other open tokens', async () => {
+  const first = await issue(4);
+  const second = await issue(4);
+  assert.equal(await repos.passwordResets.hasRecent(4, 60), true);
+  assert.equal(
+    await repos.passwordResets.redeem({ userId: 4, tokenHash: second.tokenHash, passwordHash: 'new-hash' }),
+    true
+  );
+  assert.equal(
+    await repos.passwordResets.redeem({ userId: 4, tokenHash: first.tokenHash, passwordHash: 'other-hash' }),
+    false
+  );
+  assert.equal(await repos.passwordResets.hasRecent(4, 60), false);
+});
+
+test('an expired or foreign token is not redeemed', async () => {
+  const expired = await issue(5, Date.now() - RESET_TTL_MS - 60 * 1000);
+  assert.equal(
+    await repos.passwordResets.redeem({ userId: 5, tokenHash: expired.tokenHash, passwordHash: 'new-hash' }),
+    false
+  );
+
+  const own = await issue(5);
+  assert.equal(
+    await repos.passwordResets.redeem({ userId: 2, tokenHash: own.tokenHash, passwordHash: 'new-hash' }),
+    false
+  );
+});
@@ -0,0 +1,171 @@
+// ========================================
+// Active platform sessions (list / revoke)
+// ========================================
+// Works on top of the express-session store (connect-redis in prod,
+// MemoryStore locally). Every logged-in session carries
+//   session.meta = { ip, userAgent, createdAt, lastSeenAt }
+// which trackSessionActivity() keeps up to date.
+//
+// Raw session ids never leave the server: clients see a short sha256 handle.
+//
+// Revoked ids are remembered for a day (the cookie lifetime): a request that was
+// in flight when its session was destroyed (an SSE stream, say) still saves the
+// session back at res.end, so requireLogin / the socket gate check isRevoked()
+// as well. The set lives in Redis when a client is given (shared across
+// instances), and always in memory too.
+
+const crypto = require('crypto');
+
+// Don't rewrite the session on every request just to bump lastSeenAt
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+const REVOKED_TTL_MS = 24 * 60 * 60 * 1000;
+// Not under the connect-redis 'sess:' prefix, or store.all() would list these as sessions
+const REVOKED_KEY_PREFIX = 'session:revoked:';
+
+function sessionHandle(sid) {
+  return crypto.createHash('sha256').update(String(sid)).digest('base64url').slice(0, 22);
+}
+
+// Rough "Chrome on Windows" label; good enough to recognise your own devices
+function describeUserAgent(ua) {
+  const s = String(ua || '');
+  if (!s) return 'Unknown device';
+
+  const browser =
+    /OculusBrowser/.test(s) ? 'Quest Browser' :
+      /Edg\//.test(s) ? 'Edge' :
+        /OPR\/|Opera/.test(s) ? 'Opera' :
+          /Chrome\//.test(s) ? 'Chrome' :
+            /Firefox\//.test(s) ? 'Firefox' :
+              /Safari\//.test(s) ? 'Safari' :
+                'Browser';
+
+  const os =
+    /Quest|OculusBrowser/.test(s) ? 'Meta Quest' :
+      /Android/.test(s) ? 'Android' :
+        /iPhone|iPad|iPod/.test(s) ? 'iOS' :
+          /Windows/.test(s) ? 'Windows' :
+            /Mac OS X|Macintosh/.test(s) ? 'macOS' :
+              /Linux/.test(s) ? 'Linux' :
+                'Unknown OS';
+
+  return `${browser} on ${os}`;
+}
+
+// Express middleware; mount right after the session middleware
+function trackSessionActivity(req, _res, next) {
+  const sess = req.session;
+  if (!sess || !sess.user) return next();
+
+  const now = Date.now();
+  if (!sess.meta) {
+    sess.meta = {
+      ip: req.ip || null,
+      userAgent: String(req.get('user-agent') || '').slice(0, 512),
+      createdAt: now,
+      lastSeenAt: now,
+    };
+  } else if (now - (sess.meta.lastSeenAt || 0) > LAST_SEEN_RESOLUTION_MS) {
+    sess.meta.lastSeenAt = now;
+    sess.meta.ip = req.ip || sess.meta.ip;
+  }
+  next();
+}
+
+function createSessionRegistry({ store, redis = null }) {
+  const revokedLocal = new Map(); // sid -> expiresAt
+
+  async function markRevoked(sid) {
+    const now = Date.now();
+    for (const [k, expiresAt] of revokedLocal) if (expiresAt <= now) revokedLocal.delete(k);
+    revokedLocal.set(sid, now + REVOKED_TTL_MS);
+    if (redis && redis.isReady) {
+      await redis.set(`${REVOKED_KEY_PREFIX}${sid}`, '1', { PX: REVOKED_TTL_MS });
+    }
+  }
+
+  // Fails open to the local set when Redis is unreachable
+  async function isRevoked(sid) {
+    if (!sid) return false;
+    const expiresAt = revokedLocal.get(sid);
+    if (expiresAt && expiresAt > Date.now()) return true;
+    if (!redis || !redis.isReady) return false;
+    try {
+      return (await redis.exists(`${REVOKED_KEY_PREFIX}${sid}`)) > 0;
+    } catch {
+      return false;
+    }
+  }
+
+  function call(method, ...args) {
+    return new Promise((resolve, reject) => {
+      store[method](...args, (err, out) => (err ? reject(err) : resolve(out)));
+    });
+  }
+
+  // connect-redis returns [sess with .id]; MemoryStore returns { sid: sess }
+  async function allSessions() {
+    const raw = await call('all');
+    if (Array.isArray(raw)) return raw.map((sess) => ({ sid: sess.id, sess }));
+    return Object.entries(raw || {}).map(([sid, sess]) => ({
+      sid,
+      sess: typeof sess === 'string' ? JSON.parse(sess) : sess,
+    }));
+  }
+
+  function toView(sid, sess, currentSid) {
+    const meta = sess.meta || {};
+    return {
+      id: sessionHandle(sid),
+      current: sid === currentSid,
+      device: describeUserAgent(meta.userAgent),
+      userAgent: meta.userAgent || null,
+      ip: meta.ip || null,
+      createdAt: meta.createdAt ? new Date(meta.createdAt) : null,
+      lastSeenAt: meta.lastSeenAt ? new Date(meta.lastSeenAt) : null,
+      expiresAt: sess.cookie?.expires ? new Date(sess.cookie.expires) : null,
+    };
+  }
+
+  async function sessionsForUser(userId) {
+    const all = await allSessions();
+    const mine = all.filter(({ sess }) => sess?.user && String(sess.user.id) === String(userId));
+    const live = [];
+    for (const entry of mine) if (!(await isRevoked(entry.sid))) live.push(entry);
+    return live;
+  }
+
+  // Most recently active first
+  async function listForUser(userId, currentSid = null) {
+    const mine = await sessionsForUser(userId);
+    return mine
+      .map(({ sid, sess }) => toView(sid, sess, currentSid))
+      .sort((a, b) => (b.lastSeenAt || 0) - (a.lastSeenAt || 0));
+  }
+
+  // handle: one session (as returned by listForUser); omit to revoke all of them.
+  // exceptSid keeps the caller's own session alive ("log out everywhere else").
+  // Returns the raw ids that were destroyed so callers can drop their sockets.
+  async function revokeForUser(userId, { handle = null, exceptSid = null } = {}) {
+    const mine = await sessionsForUser(userId);
+    const revoked = [];
+    for (const { sid } of mine) {
+      if (sid === exceptSid) continue;
+      if (handle && sessionHandle(sid) !== handle) continue;
+      await markRevoked(sid);
+      await call('destroy', sid);
+      revoked.push(sid);
+    }
+    return revoked;
+  }
+
+  return { listForUser, revokeForUser, markRevoked, isRevoked };
+}
+
+module.exports = {
+  sessionHandle,
+  describeUserAgent,
+  trackSessionActivity,
+  createSessionRegistry,
+};
@@ -0,0 +1,160 @@
+// ========================================
+// TOTP (RFC 6238) helpers for platform 2FA
+// ========================================
+// Secrets are stored encrypted (AES-256-GCM) in User_Mfa.totp_secret.
+// Recovery codes are stored as bcrypt hashes and can be used once.
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'XR Platform';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // accept one step of clock drift either side
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str || '').toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20)); // 160-bit, as recommended by RFC 4226
+}
+
+function hotp(secretB32, counter) {
+  const key = base32Decode(secretB32);
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(msg).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const bin =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+  return String(bin % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+}
+
+// Returns the matched time step (so callers can block replays), or null.
+function verifyTotp(secretB32, code, { lastUsedStep = null, now = Date.now() } = {}) {
+  const token = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(token) || !secretB32) return null;
+
+  const step = currentStep(now);
+  for (let i = -TOTP_WINDOW; i <= TOTP_WINDOW; i++) {
+    const candidate = step + i;
+    if (lastUsedStep != null && candidate <= lastUsedStep) continue;
+    const expected = hotp(secretB32, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+function buildOtpAuthUri(secretB32, accountName) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret: secretB32,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// -------------------- Secret encryption at rest --------------------
+function encryptionKey() {
+  const raw = process.env.MFA_ENCRYPTION_KEY || process.env.SESSION_SECRET || 'change-me-in-production';
+  return crypto.createHash('sha256').update(raw).digest();
+}
+
+function sealSecret(secretB32) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const enc = Buffer.concat([cipher.update(secretB32, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return ['v1', iv.toString('base64'), tag.toString('base64'), enc.toString('base64')].join(':');
+}
+
+function openSecret(sealed) {
+  const [version, ivB64, tagB64, encB64] = String(sealed || '').split(':');
+  if (version !== 'v1') throw new Error('Unsupported MFA secret format');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(ivB64, 'base64'));
+  decipher.setAuthTag(Buffer.from(tagB64, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(encB64, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// -------------------- Recovery codes --------------------
+function normalizeRecoveryCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Returns { codes, hashes } — show `codes` to the user once, store `hashes`.
+async function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = base32Encode(crypto.randomBytes(5)).slice(0, 8);
+    codes.push(`${raw.slice(0, 4)}-${raw.slice(4)}`);
+  }
+  const hashes = await Promise.all(codes.map((c) => bcrypt.hash(normalizeRecoveryCode(c), 10)));
+  return { codes, hashes };
+}
+
+// Returns the index of the matching hash, or -1.
+async function matchRecoveryCode(code, hashes) {
+  const normalized = normalizeRecoveryCode(code);
+  if (!normalized || !Array.isArray(hashes)) return -1;
+  for (let i = 0; i < hashes.length; i++) {
+    if (hashes[i] && (await bcrypt.compare(normalized, hashes[i]))) return i;
+  }
+  return -1;
+}
+
+module.exports = {
+  TOTP_ISSUER,
+  generateSecret,
+  verifyTotp,
+  buildOtpAuthUri,
+  sealSecret,
+  openSecret,
+  generateRecoveryCodes,
+  matchRecoveryCode,
+};
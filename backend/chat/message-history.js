@@ -0,0 +1,141 @@
+// ========================================
+// Chat message history (per pair room)
+// ========================================
+// Messages are kept per canonical room id (pair:<XR-A>:<XR-B>, or solo:<XR-ID>
+// before pairing) so restarts keep the history and every instance pages the
+// same list. With a Redis client each room is a sorted set scored by message
+// id; without one (or while Redis is down) an in-memory Map is used instead.
+//
+// Retention is by age and by count, whichever trims first:
+//   CHAT_HISTORY_RETENTION_DAYS   default 30
+//   CHAT_HISTORY_MAX_PER_ROOM     default 1000
+//
+// Message ids are `epochMs * 1000 + seq`: increasing per instance, usable as the
+// paging cursor (`before`) and still exact as a JS number.
+
+const RETENTION_MS = parseFloat(process.env.CHAT_HISTORY_RETENTION_DAYS || '30') * 24 * 60 * 60 * 1000;
+const MAX_PER_ROOM = parseInt(process.env.CHAT_HISTORY_MAX_PER_ROOM || '1000', 10);
+const MAX_PAGE = 100;
+
+const KEY_PREFIX = 'chat:history:';
+
+let seq = 0;
+function nextId() {
+  seq = (seq + 1) % 1000;
+  return Date.now() * 1000 + seq;
+}
+
+// Oldest id still inside the retention window
+function cutoffId(now = Date.now()) {
+  return (now - RETENTION_MS) * 1000;
+}
+
+// -------------------- Stores --------------------
+function createMemoryStore() {
+  const rooms = new Map(); // roomId -> [msg] oldest first
+
+  function trimmed(roomId) {
+    const cutoff = cutoffId();
+    const arr = (rooms.get(roomId) || []).filter((m) => m.id >= cutoff);
+    if (arr.length > MAX_PER_ROOM) arr.splice(0, arr.length - MAX_PER_ROOM);
+    if (arr.length) rooms.set(roomId, arr);
+    else rooms.delete(roomId);
+    return arr;
+  }
+
+  return {
+    async add(roomId, msg) {
+      const arr = rooms.get(roomId) || [];
+      arr.push(msg);
+      rooms.set(roomId, arr);
+      trimmed(roomId);
+    },
+    // Newest first, ids strictly below `before`
+    async range(roomId, before, count) {
+      const arr = trimmed(roomId).filter((m) => m.id < before);
+      return arr.slice(-count).reverse();
+    },
+    async clear(roomId) {
+      rooms.delete(roomId);
+    },
+  };
+}
+
+function createRedisStore(redis) {
+  const keyFor = (roomId) => `${KEY_PREFIX}${roomId}`;
+
+  return {
+    async add(roomId, msg) {
+      const key = keyFor(roomId);
+      await redis
+        .multi()
+        .zAdd(key, { score: msg.id, value: JSON.stringify(msg) })
+        .zRemRangeByScore(key, '-inf', `(${cutoffId()}`)
+        .zRemRangeByRank(key, 0, -(MAX_PER_ROOM + 1))
+        .pExpire(key, Math.ceil(RETENTION_MS))
+        .exec();
+    },
+    async range(roomId, before, count) {
+      const max = Number.isFinite(before) ? `(${before}` : '+inf';
+      const rows = await redis.zRange(keyFor(roomId), max, cutoffId(), {
+        BY: 'SCORE',
+        REV: true,
+        LIMIT: { offset: 0, count },
+      });
+      return rows.map((raw) => JSON.parse(raw));
+    },
+    async clear(roomId) {
+      await redis.del(keyFor(roomId));
+    },
+  };
+}
+
+// -------------------- History --------------------
+function createMessageHistory({ redis = null } = {}) {
+  const memory = createMemoryStore();
+  const redisStore = redis ? createRedisStore(redis) : null;
+
+  // Fall back to memory if Redis is configured but not reachable right now
+  function store() {
+    return redisStore && redis.isReady ? redisStore : memory;
+  }
+
+  // Stamps id / server timestamp / roomId and stores it; returns the stored message.
+  // A failed write is logged, never thrown: delivery must not depend on history.
+  async function append(roomId, message) {
+    const msg = {
+      ...message,
+      id: nextId(),
+      timestamp: new Date().toISOString(),
+      roomId,
+    };
+    try {
+      await store().add(roomId, msg);
+    } catch (e) {
+      console.error('[CHAT_HISTORY] append failed:', e?.message || e);
+    }
+    return msg;
+  }
+
+  // → { messages (oldest first), hasMore, before }
+  async function page(roomId, { before = null, limit = 20 } = {}) {
+    const n = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_PAGE);
+    const cursor = before == null || before === '' ? Infinity : Number(before);
+    if (Number.isNaN(cursor)) throw new Error('before must be a message id');
+
+    const rows = await store().range(roomId, cursor, n + 1);
+    return {
+      messages: rows.slice(0, n).reverse(),
+      hasMore: rows.length > n,
+      before: Number.isFinite(cursor) ? cursor : null,
+    };
+  }
+
+  async function clear(roomId) {
+    await store().clear(roomId);
+  }
+
+  return { append, page, clear };
+}
+
+module.exports = { createMessageHistory };
@@ -0,0 +1,247 @@
+// ========================================
+// Mock-mode fixtures (MOCK_MODE=true)
+// ========================================
+// The local seed (./seed.js) plus a fuller synthetic practice for demos and
+// frontend work: a second clinic team, scribes across managers, patients with
+// several visits on both templates, and a broader DrugMaster subset.
+// All people, MRNs and clinical details below are fictional.
+//
+// Loaded into a fresh in-memory SQLite database on every boot, so a demo always
+// starts from the same state. Logins use SQLITE_SEED_PASSWORD like the seed.
+
+const { SEED_PASSWORD, FIXTURES } = require('./seed');
+
+// Template_Component_Mapping ids per template, in position order (see seed.js)
+const SECTION_MAPPINGS = {
+  20: [1, 2, 3, 4, 5, 6, 7], // SOAP: Chief Complaints … Medication
+  21: [8, 9, 10, 11],        // Follow-up: Subjective, Assessment, Plan, Medication
+};
+
+// One Patient_Notes row + its Patient_Note_Content rows; texts follow the template's section order
+function visit({ id, patientId, doctorId, scribeId, date, templateId = 20, texts }) {
+  const mappings = SECTION_MAPPINGS[templateId];
+  return {
+    note: {
+      id, patient_id: patientId, doctor_id: doctorId, created_date: date,
+      created_by: scribeId, modified_date: date, modified_by: scribeId,
+    },
+    content: texts.map((text, i) => ({
+      patient_note_id: id, template_component_mapping_id: mappings[i], text,
+    })),
+  };
+}
+
+const EXTRA_USERS = [
+  // Platform users
+  {
+    id: 6, full_name: 'Priya Nair', email: 'manager2@xrbase.local', password: SEED_PASSWORD,
+    manager_user_id: 1, clinic_id: 2, status_id: 1, user_role_mapping_id: 2,
+  },
+  {
+    id: 7, full_name: 'Jamie Flores', email: 'scribe2@xrbase.local', password: SEED_PASSWORD,
+    manager_user_id: 6, clinic_id: 2, xr_id: 'XR-1002', status_id: 1, user_role_mapping_id: 3,
+  },
+  {
+    id: 8, full_name: 'Riley Adams', email: 'scribe3@xrbase.local', password: SEED_PASSWORD,
+    manager_user_id: 2, clinic_id: 1, xr_id: 'XR-1003', status_id: 1, user_role_mapping_id: 3,
+  },
+  {
+    id: 9, full_name: 'Dr. Maria Gonzalez', email: 'provider3@xrbase.local', password: SEED_PASSWORD,
+    clinic_id: 1, xr_id: 'XR-2003', status_id: 1, user_role_mapping_id: 4,
+  },
+  {
+    id: 10, full_name: 'Chris Walker', email: 'inactive@xrbase.local', password: SEED_PASSWORD,
+    manager_user_id: 2, clinic_id: 1, xr_id: 'XR-1004', status_id: 2, user_role_mapping_id: 3,
+  },
+  // Patients
+  {
+    id: 104, full_name: 'Jordan Ellis', email: 'jordan.ellis@example.test',
+    mrn_no: 'MRN-100004', contact_no_primary: '555-0104', clinic_id: 1,
+  },
+  {
+    id: 105, full_name: 'Avery Thompson', email: 'avery.thompson@example.test',
+    mrn_no: 'MRN-100005', contact_no_primary: '555-0105', clinic_id: 1,
+  },
+  {
+    id: 106, full_name: 'Morgan Reyes', email: 'morgan.reyes@example.test',
+    mrn_no: 'MRN-100006', contact_no_primary: '555-0106', clinic_id: 2,
+  },
+  {
+    id: 107, full_name: 'Quinn Harper', email: 'quinn.harper@example.test',
+    mrn_no: 'MRN-100007', contact_no_primary: '555-0107', clinic_id: 2,
+  },
+  {
+    id: 108, full_name: 'Drew Castillo', email: 'drew.castillo@example.test',
+    mrn_no: 'MRN-100008', contact_no_primary: '555-0108', clinic_id: 1,
+  },
+];
+
+const EXTRA_MAPPINGS = [
+  { id: 2, scribe_user_id: 7, provider_user_id: 5, created_by: 6, modified_by: 6 },
+  { id: 3, scribe_user_id: 8, provider_user_id: 9, created_by: 2, modified_by: 2 },
+];
+
+const EXTRA_VISITS = [
+  // Casey Morgan (101): follow-up to the seeded cough visit
+  visit({
+    id: 2, patientId: 101, doctorId: 4, scribeId: 3, date: '2026-02-09 16:00:00', templateId: 21,
+    texts: [
+      'Cough resolved after three weeks. Sleeping well.',
+      'Resolved post-viral cough.',
+      'No further follow-up needed for cough. Annual physical in June.',
+      'Benzonatate discontinued.',
+    ],
+  }),
+  // Robin Okafor (102): hypertension, two visits
+  visit({
+    id: 3, patientId: 102, doctorId: 4, scribeId: 3, date: '2025-11-04 14:15:00',
+    texts: [
+      'Elevated blood pressure readings at home.',
+      'Home readings around 150/95 for one month. Occasional morning headaches. No chest pain or vision changes.',
+      'Drinks three cups of coffee daily. Walks twice a week.',
+      'BP 152/96, pulse 78. Heart regular, no murmurs.',
+      'Stage 2 hypertension.',
+      'Start lisinopril, low-sodium diet, recheck in four weeks with home log.',
+      'Lisinopril 10 mg once daily.',
+    ],
+  }),
+  visit({
+    id: 4, patientId: 102, doctorId: 4, scribeId: 3, date: '2025-12-03 14:30:00', templateId: 21,
+    texts: [
+      'Home readings now 128/82 on average. Mild dry cough since starting medication.',
+      'Hypertension, improving. Possible ACE inhibitor cough.',
+      'Monitor cough; switch to losartan if it persists. Recheck in three months.',
+      'Lisinopril 10 mg once daily.',
+    ],
+  }),
+  // Taylor Brooks (103): type 2 diabetes at the second clinic
+  visit({
+    id: 5, patientId: 103, doctorId: 5, scribeId: 7, date: '2026-01-20 10:00:00',
+    texts: [
+      'Follow-up for type 2 diabetes.',
+      'A1c 7.8 three months ago. Reports better diet adherence, occasional missed evening doses.',
+      'Denies polyuria or numbness in feet.',
+      'Weight 92 kg, BP 134/84. Monofilament sensation intact.',
+      'Type 2 diabetes, suboptimally controlled.',
+      'Repeat A1c, lipid panel. Pill organizer for evening doses. Dietitian referral.',
+      'Metformin 1000 mg twice daily. Atorvastatin 20 mg nightly.',
+    ],
+  }),
+  // Jordan Ellis (104): acute visit
+  visit({
+    id: 6, patientId: 104, doctorId: 9, scribeId: 8, date: '2026-03-02 09:45:00',
+    texts: [
+      'Right ankle pain after a fall yesterday.',
+      'Rolled ankle stepping off a curb. Able to bear weight with pain. Swelling overnight.',
+      'Pain 6 out of 10, worse with walking.',
+      'Lateral ankle swelling, tender over ATFL, no bony tenderness at malleoli. Ottawa rules negative.',
+      'Right ankle sprain, grade 1 to 2.',
+      'Rest, ice, compression, elevation. Ankle brace. Return if unable to bear weight.',
+      'Ibuprofen 400 mg every 8 hours as needed with food.',
+    ],
+  }),
+  // Avery Thompson (105): anxiety, two visits
+  visit({
+    id: 7, patientId: 105, doctorId: 9, scribeId: 8, date: '2025-10-14 11:30:00',
+    texts: [
+      'Trouble sleeping and constant worry.',
+      'Six months of worry about work, difficulty falling asleep, irritability. No panic attacks.',
+      'GAD-7 score 14. Denies thoughts of self-harm.',
+      'Alert, anxious affect, linear thought process.',
+      'Generalized anxiety disorder, moderate.',
+      'Start sertraline, refer to counseling, sleep hygiene handout. Follow up in six weeks.',
+      'Sertraline 50 mg once daily.',
+    ],
+  }),
+  visit({
+    id: 8, patientId: 105, doctorId: 9, scribeId: 8, date: '2025-11-25 11:00:00', templateId: 21,
+    texts: [
+      'Sleeping better, fewer worries at work. Mild nausea first week, now resolved. GAD-7 score 8.',
+      'Generalized anxiety disorder, improving on treatment.',
+      'Continue current dose. Counseling ongoing. Follow up in three months.',
+      'Sertraline 50 mg once daily.',
+    ],
+  }),
+  // Morgan Reyes (106): reflux
+  visit({
+    id: 9, patientId: 106, doctorId: 5, scribeId: 7, date: '2026-02-17 15:20:00',
+    texts: [
+      'Burning chest discomfort after meals.',
+      'Heartburn most evenings for two months, worse lying down. No difficulty swallowing, no weight loss.',
+      'Eats late dinners. No alcohol.',
+      'Abdomen soft, mild epigastric tenderness. Vitals normal.',
+      'Gastroesophageal reflux disease.',
+      'Trial of omeprazole for eight weeks, avoid late meals, raise head of bed.',
+      'Omeprazole 20 mg once daily before breakfast.',
+    ],
+  }),
+  // Quinn Harper (107) and Drew Castillo (108) have no visits yet: new-patient flow
+];
+
+const EXTRA_DRUGS = [
+  'Albuterol', 'Amlodipine', 'Azithromycin', 'Cetirizine', 'Clopidogrel', 'Escitalopram',
+  'Fluticasone', 'Gabapentin', 'Hydrochlorothiazide', 'Levothyroxine', 'Losartan',
+  'Metoprolol', 'Montelukast', 'Naproxen', 'Pantoprazole', 'Prednisone', 'Simvastatin',
+].map((drug) => ({ drug, status: 1 }));
+
+// Platform console history so the audit, activity, lockout and access views are not empty
+const CONSOLE_HISTORY = {
+  User_Additional_Permissions: [
+    {
+      id: 1, user_id: 8, system_screen_id: 8, read: 1, write: 0, edit: 0, delete: 0,
+      start_date: '2026-01-05 09:00:00', end_date: '2099-12-31 23:59:00', created_by: 1, modified_by: 1,
+    },
+    {
+      id: 2, user_id: 3, system_screen_id: 6, read: 1, write: 1, edit: 0, delete: 0,
+      start_date: '2025-11-01 09:00:00', end_date: '2025-11-15 17:00:00', created_by: 1, modified_by: 1,
+    },
+  ],
+  Login_Security_Audit: [
+    {
+      id: 1, event_type: 'lockout', scope: 'email', subject: 'scribe3@xrbase.local', ip: '10.0.0.23',
+      fail_count: 10, locked_until: '2026-02-03 08:45:00', created_date: '2026-02-03 08:30:00',
+    },
+    {
+      id: 2, event_type: 'unlock', scope: 'email', subject: 'scribe3@xrbase.local',
+      actor_user_id: 1, created_date: '2026-02-03 08:36:00',
+    },
+  ],
+  Admin_Activity_Log: [
+    {
+      id: 1, actor_user_id: 1, actor_email: 'admin@xrbase.local', action: 'mapping.save',
+      entity: 'Scribe_Provider_Mapping', target_user_id: 8, after_json: '{"provider_user_id":9}',
+      diff_json: '{"provider_user_id":{"from":null,"to":9}}', ip: '10.0.0.5', created_date: '2025-10-02 10:15:00',
+    },
+    {
+      id: 2, actor_user_id: 1, actor_email: 'admin@xrbase.local', action: 'access.grant',
+      entity: 'User_Additional_Permissions', entity_id: 1, target_user_id: 8,
+      after_json: '{"user_id":8,"screen_id":8,"read":true,"write":false,"row_status":1}',
+      diff_json: '{"user_id":{"from":null,"to":8},"screen_id":{"from":null,"to":8},"read":{"from":null,"to":true},'
+        + '"write":{"from":null,"to":false},"row_status":{"from":null,"to":1}}',
+      ip: '10.0.0.5', created_date: '2026-01-05 09:00:00',
+    },
+  ],
+  Phi_Access_Audit: [
+    {
+      id: 1, user_id: 3, user_email: 'scribe@xrbase.local', action: 'patient_lookup', outcome: 'allowed',
+      patient_id: 101, mrn: 'MRN-100001', ip: '10.0.0.12', user_agent: 'Mozilla/5.0', created_date: '2026-03-10 14:02:00',
+    },
+    {
+      id: 2, user_id: 7, user_email: 'scribe2@xrbase.local', action: 'patient_lookup', outcome: 'denied',
+      mrn: 'MRN-100001', ip: '10.0.0.31', user_agent: 'Mozilla/5.0', created_date: '2026-03-10 14:05:00',
+    },
+  ],
+};
+
+// Same tables and insert order as the seed, with the extra rows appended
+const MOCK_FIXTURES = {
+  ...FIXTURES,
+  System_Users: [...FIXTURES.System_Users, ...EXTRA_USERS],
+  Scribe_Provider_Mapping: [...FIXTURES.Scribe_Provider_Mapping, ...EXTRA_MAPPINGS],
+  Patient_Notes: [...FIXTURES.Patient_Notes, ...EXTRA_VISITS.map((v) => v.note)],
+  Patient_Note_Content: [...FIXTURES.Patient_Note_Content, ...EXTRA_VISITS.flatMap((v) => v.content)],
+  DrugMaster: [...FIXTURES.DrugMaster, ...EXTRA_DRUGS],
+  ...CONSOLE_HISTORY,
+};
+
+module.exports = { MOCK_FIXTURES };
@@ -0,0 +1,179 @@
+// ========================================
+// Seed fixtures for the local SQLite database
+// ========================================
+// Enough synthetic data to run the whole scribe flow offline: log in as the
+// scribe, pair with the provider, look up a patient by MRN, generate a note
+// from a template, check medications and add the note to the EHR.
+// All people, MRNs and contact details below are fictional.
+//
+// Every seeded login uses SQLITE_SEED_PASSWORD (default below); it is hashed
+// with bcrypt at seed time, never stored in plain text.
+
+const SEED_PASSWORD = process.env.SQLITE_SEED_PASSWORD || 'Local@123';
+
+// Tables in insert order (foreign keys first). Rows with a `password` field get it hashed.
+const FIXTURES = {
+  Clinics: [
+    { id: 1, clinic: 'Riverside Family Clinic' },
+    { id: 2, clinic: 'Hillcrest Medical Group' },
+  ],
+
+  Personas: [
+    { id: 1, persona: 'Employee' },
+    { id: 2, persona: 'Provider' },
+    { id: 3, persona: 'Scribe' },
+  ],
+
+  Departments: [
+    { id: 1, department: 'IT' },
+    { id: 2, department: 'OPS' },
+    { id: 3, department: 'FIN' },
+  ],
+
+  Types: [
+    { id: 1, type: 'SuperAdmin' },
+    { id: 2, type: 'Manager' },
+    { id: 3, type: 'Scribe' },
+    { id: 4, type: 'Member' },
+  ],
+
+  Status: [
+    { id: 1, status: 'Active' },
+    { id: 2, status: 'Inactive' },
+  ],
+
+  User_Role_Mapping: [
+    { id: 1, persona_id: 1, department_id: 1, type_id: 1 }, // Employee / IT / SuperAdmin
+    { id: 2, persona_id: 1, department_id: 2, type_id: 2 }, // Employee / OPS / Manager
+    { id: 3, persona_id: 3, department_id: 2, type_id: 3 }, // Scribe / OPS / Scribe
+    { id: 4, persona_id: 2, department_id: 2, type_id: 4 }, // Provider / OPS / Member
+  ],
+
+  System_Screens: [
+    { id: 1, screen_name: 'XR Hub Dashboard', route_path: '/dashboard' },
+    { id: 2, screen_name: 'Scribe Cockpit', route_path: '/scribe-cockpit' },
+    { id: 3, screen_name: 'XR Vision Dock', route_path: '/' },
+    { id: 4, screen_name: 'XR Device', route_path: '/device' },
+    { id: 6, screen_name: 'Create Users', route_path: '/platform/create-users' },
+    { id: 8, screen_name: 'Assign Users', route_path: '/platform/assign-users' },
+  ],
+
+  // Role defaults; SuperAdmin sees every screen without rows here
+  Access_Rights: [
+    // Manager
+    { user_role_mapping_id: 2, system_screen_id: 1, read: 1, write: 1, edit: 1, delete: 0 },
+    { user_role_mapping_id: 2, system_screen_id: 2, read: 1, write: 0, edit: 0, delete: 0 },
+    { user_role_mapping_id: 2, system_screen_id: 6, read: 1, write: 1, edit: 1, delete: 0 },
+    { user_role_mapping_id: 2, system_screen_id: 8, read: 1, write: 1, edit: 1, delete: 0 },
+    // Scribe
+    { user_role_mapping_id: 3, system_screen_id: 2, read: 1, write: 1, edit: 1, delete: 0 },
+    { user_role_mapping_id: 3, system_screen_id: 3, read: 1, write: 1, edit: 0, delete: 0 },
+    // Provider
+    { user_role_mapping_id: 4, system_screen_id: 2, read: 1, write: 1, edit: 1, delete: 0 },
+    { user_role_mapping_id: 4, system_screen_id: 4, read: 1, write: 1, edit: 0, delete: 0 },
+  ],
+
+  System_Users: [
+    // Platform users
+    {
+      id: 1, full_name: 'Master Admin', email: 'admin@xrbase.local', password: SEED_PASSWORD,
+      status_id: 1, user_role_mapping_id: 1,
+    },
+    {
+      id: 2, full_name: 'Morgan Lee', email: 'manager@xrbase.local', password: SEED_PASSWORD,
+      manager_user_id: 1, clinic_id: 1, status_id: 1, user_role_mapping_id: 2,
+    },
+    {
+      id: 3, full_name: 'Sam Rivera', email: 'scribe@xrbase.local', password: SEED_PASSWORD,
+      manager_user_id: 2, clinic_id: 1, xr_id: 'XR-1001', status_id: 1, user_role_mapping_id: 3,
+    },
+    {
+      id: 4, full_name: 'Dr. Alex Chen', email: 'provider@xrbase.local', password: SEED_PASSWORD,
+      clinic_id: 1, xr_id: 'XR-2001', status_id: 1, user_role_mapping_id: 4,
+    },
+    {
+      id: 5, full_name: 'Dr. Jordan Patel', email: 'provider2@xrbase.local', password: SEED_PASSWORD,
+      clinic_id: 2, xr_id: 'XR-2002', status_id: 1, user_role_mapping_id: 4,
+    },
+    // Patients
+    {
+      id: 101, full_name: 'Casey Morgan', email: 'casey.morgan@example.test',
+      mrn_no: 'MRN-100001', contact_no_primary: '555-0101', clinic_id: 1,
+    },
+    {
+      id: 102, full_name: 'Robin Okafor', email: 'robin.okafor@example.test',
+      mrn_no: 'MRN-100002', contact_no_primary: '555-0102', clinic_id: 1,
+    },
+    {
+      id: 103, full_name: 'Taylor Brooks', email: 'taylor.brooks@example.test',
+      mrn_no: 'MRN-100003', contact_no_primary: '555-0103', clinic_id: 2,
+    },
+  ],
+
+  Scribe_Provider_Mapping: [
+    { id: 1, scribe_user_id: 3, provider_user_id: 4, created_by: 1, modified_by: 1 },
+  ],
+
+  // Template 20 is the default SOAP_NOTE_TEMPLATE_ID
+  Templates: [
+    { id: 20, template: 'SOAP Note', short_name: 'SOAP' },
+    { id: 21, template: 'Follow-up Visit', short_name: 'FU' },
+  ],
+
+  Template_Components: [
+    { id: 1, component: 'Chief Complaints' },
+    { id: 2, component: 'History of Present Illness' },
+    { id: 3, component: 'Subjective' },
+    { id: 4, component: 'Objective' },
+    { id: 5, component: 'Assessment' },
+    { id: 6, component: 'Plan' },
+    { id: 7, component: 'Medication' },
+  ],
+
+  Template_Component_Mapping: [
+    { id: 1, template_id: 20, template_component_id: 1, position: 1 },
+    { id: 2, template_id: 20, template_component_id: 2, position: 2 },
+    { id: 3, template_id: 20, template_component_id: 3, position: 3 },
+    { id: 4, template_id: 20, template_component_id: 4, position: 4 },
+    { id: 5, template_id: 20, template_component_id: 5, position: 5 },
+    { id: 6, template_id: 20, template_component_id: 6, position: 6 },
+    { id: 7, template_id: 20, template_component_id: 7, position: 7 },
+    { id: 8, template_id: 21, template_component_id: 3, position: 1 },
+    { id: 9, template_id: 21, template_component_id: 5, position: 2 },
+    { id: 10, template_id: 21, template_component_id: 6, position: 3 },
+    { id: 11, template_id: 21, template_component_id: 7, position: 4 },
+  ],
+
+  // One earlier visit for Casey so the patient lookup and AI summary have history
+  Patient_Notes: [
+    {
+      id: 1, patient_id: 101, doctor_id: 4, created_date: '2026-01-12 15:30:00',
+      created_by: 3, modified_date: '2026-01-12 15:30:00', modified_by: 3,
+    },
+  ],
+
+  Patient_Note_Content: [
+    { patient_note_id: 1, template_component_mapping_id: 1, text: 'Persistent dry cough for two weeks.' },
+    { patient_note_id: 1, template_component_mapping_id: 2, text: 'Cough worse at night, no fever, no shortness of breath.' },
+    { patient_note_id: 1, template_component_mapping_id: 3, text: 'Reports mild fatigue. Non-smoker.' },
+    { patient_note_id: 1, template_component_mapping_id: 4, text: 'Lungs clear to auscultation. Temp 98.6 F.' },
+    { patient_note_id: 1, template_component_mapping_id: 5, text: 'Post-viral cough.' },
+    { patient_note_id: 1, template_component_mapping_id: 6, text: 'Supportive care, return if symptoms persist beyond four weeks.' },
+    { patient_note_id: 1, template_component_mapping_id: 7, text: 'Benzonatate 100 mg three times daily as needed.' },
+  ],
+
+  DrugMaster: [
+    { drug: 'Acetaminophen', status: 1 },
+    { drug: 'Amoxicillin', status: 1 },
+    { drug: 'Atorvastatin', status: 1 },
+    { drug: 'Benzonatate', status: 1 },
+    { drug: 'Ibuprofen', status: 1 },
+    { drug: 'Lisinopril', status: 1 },
+    { drug: 'Metformin', status: 1 },
+    { drug: 'Omeprazole', status: 1 },
+    { drug: 'Sertraline', status: 1 },
+    { drug: 'Ranitidine', status: 0 }, // withdrawn – never reported as available
+  ],
+};
+
+module.exports = { SEED_PASSWORD, FIXTURES };
@@ -0,0 +1,386 @@
+-- ========================================
+-- Local SQLite schema (DB_ENGINE=sqlite)
+-- ========================================
+-- The subset of the Azure SQL schema the repositories in backend/data read and
+-- write, plus the 2FA tables the login path checks. Column names match the
+-- [dbo] tables so both implementations return identically shaped rows.
+-- Dates are stored as UTC text ('YYYY-MM-DD HH:MM:SS').
+-- Tables are only created when missing: delete an older local.sqlite to pick up
+-- new columns (mock mode always starts from an empty in-memory database).
+
+CREATE TABLE IF NOT EXISTS Clinics (
+  id          INTEGER PRIMARY KEY,
+  clinic      TEXT    NOT NULL,
+  row_status  INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE IF NOT EXISTS Personas (
+  id          INTEGER PRIMARY KEY,
+  persona     TEXT    NOT NULL,
+  row_status  INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE IF NOT EXISTS Departments (
+  id          INTEGER PRIMARY KEY,
+  department  TEXT    NOT NULL,
+  row_status  INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE IF NOT EXISTS Types (
+  id          INTEGER PRIMARY KEY,
+  type        TEXT    NOT NULL,
+  row_status  INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE IF NOT EXISTS Status (
+  id          INTEGER PRIMARY KEY,
+  status      TEXT    NOT NULL,
+  row_status  INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE IF NOT EXISTS User_Role_Mapping (
+  id             INTEGER PRIMARY KEY,
+  persona_id     INTEGER NOT NULL REFERENCES Personas(id),
+  department_id  INTEGER NOT NULL REFERENCES Departments(id),
+  type_id        INTEGER NOT NULL REFERENCES Types(id),
+  created_date   TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_by     INTEGER NULL,
+  modified_date  TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  modified_by    INTEGER NULL,
+  row_status     INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE VIEW IF NOT EXISTS View_User_Role_Mapping AS
+SELECT
+  urm.id,
+  urm.persona_id,
+  p.persona,
+  urm.department_id,
+  d.department,
+  urm.type_id,
+  t.type,
+  urm.row_status
+FROM User_Role_Mapping urm
+JOIN Personas p ON p.id = urm.persona_id
+JOIN Departments d ON d.id = urm.department_id
+JOIN Types t ON t.id = urm.type_id;
+
+-- Platform users and patients share this table (patients carry mrn_no, no role)
+CREATE TABLE IF NOT EXISTS System_Users (
+  id                    INTEGER PRIMARY KEY,
+  full_name             TEXT    NOT NULL,
+  email                 TEXT    NULL,
+  password              TEXT    NULL,
+  manager_user_id       INTEGER NULL REFERENCES System_Users(id),
+  clinic_id             INTEGER NULL REFERENCES Clinics(id),
+  xr_id                 TEXT    NULL,
+  status_id             INTEGER NULL REFERENCES Status(id),
+  user_role_mapping_id  INTEGER NULL REFERENCES User_Role_Mapping(id),
+  mrn_no                TEXT    NULL,
+  contact_no_primary    TEXT    NULL,
+  created_date          TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_by            INTEGER NULL,
+  modified_date         TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  modified_by           INTEGER NULL,
+  row_status            INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE INDEX IF NOT EXISTS IX_System_Users_email ON System_Users (email);
+CREATE INDEX IF NOT EXISTS IX_System_Users_mrn_no ON System_Users (mrn_no);
+
+CREATE TABLE IF NOT EXISTS System_Screens (
+  id           INTEGER PRIMARY KEY,
+  screen_name  TEXT    NOT NULL,
+  route_path   TEXT    NULL,
+  row_status   INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE IF NOT EXISTS Access_Rights (
+  id                    INTEGER PRIMARY KEY,
+  user_role_mapping_id  INTEGER NOT NULL REFERENCES User_Role_Mapping(id),
+  system_screen_id      INTEGER NOT NULL REFERENCES System_Screens(id),
+  "read"                INTEGER NOT NULL DEFAULT 0,
+  "write"               INTEGER NOT NULL DEFAULT 0,
+  "edit"                INTEGER NOT NULL DEFAULT 0,
+  "delete"              INTEGER NOT NULL DEFAULT 0,
+  created_date          TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_by            INTEGER NULL,
+  modified_date         TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  modified_by           INTEGER NULL,
+  row_status            INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE IF NOT EXISTS User_Additional_Permissions (
+  id                INTEGER PRIMARY KEY,
+  user_id           INTEGER NOT NULL REFERENCES System_Users(id),
+  system_screen_id  INTEGER NOT NULL REFERENCES System_Screens(id),
+  "read"            INTEGER NULL,
+  "write"           INTEGER NULL,
+  "edit"            INTEGER NULL,
+  "delete"          INTEGER NULL,
+  start_date        TEXT    NULL,
+  end_date          TEXT    NULL,
+  created_date      TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_by        INTEGER NULL,
+  modified_date     TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  modified_by       INTEGER NULL,
+  row_status        INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE IF NOT EXISTS User_Mfa (
+  id              INTEGER PRIMARY KEY,
+  user_id         INTEGER NOT NULL REFERENCES System_Users(id),
+  totp_secret     TEXT    NOT NULL,
+  last_used_step  INTEGER NULL,
+  recovery_codes  TEXT    NULL,
+  enrolled_date   TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_date    TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_by      INTEGER NULL,
+  modified_date   TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  modified_by     INTEGER NULL,
+  row_status      INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE IF NOT EXISTS Mfa_Screen_Policy (
+  id                INTEGER PRIMARY KEY,
+  system_screen_id  INTEGER NOT NULL REFERENCES System_Screens(id),
+  require_mfa       INTEGER NOT NULL DEFAULT 1,
+  created_date      TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_by        INTEGER NULL,
+  modified_date     TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  modified_by       INTEGER NULL,
+  row_status        INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE IF NOT EXISTS User_Oidc_Identities (
+  id               INTEGER PRIMARY KEY,
+  user_id          INTEGER NOT NULL REFERENCES System_Users(id),
+  provider_id      TEXT    NOT NULL,
+  subject          TEXT    NOT NULL,
+  email            TEXT    NULL,
+  created_date     TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_login_date  TEXT    NULL,
+  UNIQUE (provider_id, subject)
+);
+
+CREATE TABLE IF NOT EXISTS Login_Security_Audit (
+  id             INTEGER PRIMARY KEY,
+  event_type     TEXT    NOT NULL,
+  scope          TEXT    NOT NULL,
+  subject        TEXT    NOT NULL,
+  ip             TEXT    NULL,
+  fail_count     INTEGER NULL,
+  locked_until   TEXT    NULL,
+  actor_user_id  INTEGER NULL,
+  created_date   TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS Password_Reset_Tokens (
+  id            INTEGER PRIMARY KEY,
+  user_id       INTEGER NOT NULL REFERENCES System_Users(id),
+  token_hash    TEXT    NOT NULL,
+  expires_date  TEXT    NOT NULL,
+  used_date     TEXT    NULL,
+  requested_ip  TEXT    NULL,
+  created_date  TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS Admin_Activity_Log (
+  id              INTEGER PRIMARY KEY,
+  actor_user_id   INTEGER NULL,
+  actor_email     TEXT    NULL,
+  action          TEXT    NOT NULL,
+  entity          TEXT    NOT NULL,
+  entity_id       INTEGER NULL,
+  target_user_id  INTEGER NULL,
+  before_json     TEXT    NULL,
+  after_json      TEXT    NULL,
+  diff_json       TEXT    NULL,
+  ip              TEXT    NULL,
+  created_date    TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Append-only like the Azure SQL table; trigger bodies stay on one line for the statement splitter in prepare()
+CREATE TABLE IF NOT EXISTS Phi_Access_Audit (
+  id            INTEGER PRIMARY KEY,
+  user_id       INTEGER NULL,
+  user_email    TEXT    NULL,
+  action        TEXT    NOT NULL,
+  outcome       TEXT    NOT NULL,
+  patient_id    INTEGER NULL,
+  mrn           TEXT    NULL,
+  note_id       INTEGER NULL,
+  ip            TEXT    NULL,
+  user_agent    TEXT    NULL,
+  details       TEXT    NULL,
+  created_date  TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER IF NOT EXISTS TR_Phi_Access_Audit_NoUpdate
+BEFORE UPDATE ON Phi_Access_Audit
+BEGIN SELECT RAISE(ABORT, 'Phi_Access_Audit is append-only'); END;
+
+CREATE TRIGGER IF NOT EXISTS TR_Phi_Access_Audit_NoDelete
+BEFORE DELETE ON Phi_Access_Audit
+BEGIN SELECT RAISE(ABORT, 'Phi_Access_Audit is append-only'); END;
+
+-- Older endpoints: POST /api/platform/assign-user and POST /api/auth/login
+CREATE TABLE IF NOT EXISTS assignusers (
+  id           INTEGER PRIMARY KEY,
+  user_id      INTEGER NOT NULL,
+  provider_id  INTEGER NULL,
+  scribe_id    INTEGER NULL,
+  level        TEXT    NULL,
+  created_at   TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at   TEXT    NULL
+);
+
+CREATE TABLE IF NOT EXISTS auth_users (
+  id                 INTEGER PRIMARY KEY,
+  name               TEXT    NULL,
+  email              TEXT    NOT NULL UNIQUE,
+  password_hash      TEXT    NOT NULL,
+  reporting_manager  TEXT    NULL
+);
+
+CREATE TABLE IF NOT EXISTS Scribe_Provider_Mapping (
+  id                INTEGER PRIMARY KEY,
+  scribe_user_id    INTEGER NOT NULL REFERENCES System_Users(id),
+  provider_user_id  INTEGER NOT NULL REFERENCES System_Users(id),
+  created_date      TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_by        INTEGER NULL,
+  modified_date     TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  modified_by       INTEGER NULL,
+  row_status        INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE IF NOT EXISTS Templates (
+  id          INTEGER PRIMARY KEY,
+  template    TEXT    NOT NULL,
+  short_name  TEXT    NULL,
+  row_status  INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE IF NOT EXISTS Template_Components (
+  id          INTEGER PRIMARY KEY,
+  component   TEXT    NOT NULL,
+  row_status  INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE IF NOT EXISTS Template_Component_Mapping (
+  id                     INTEGER PRIMARY KEY,
+  template_id            INTEGER NOT NULL REFERENCES Templates(id),
+  template_component_id  INTEGER NOT NULL REFERENCES Template_Components(id),
+  position               INTEGER NOT NULL DEFAULT 0,
+  row_status             INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE VIEW IF NOT EXISTS View_Template_Component_Mapping AS
+SELECT
+  tcm.id           AS mapping_id,
+  tcm.template_id  AS template_id,
+  t.template       AS template,
+  tc.component     AS component,
+  tcm.position     AS position,
+  tcm.row_status   AS row_status
+FROM Template_Component_Mapping tcm
+JOIN Templates t ON t.id = tcm.template_id
+JOIN Template_Components tc ON tc.id = tcm.template_component_id;
+
+CREATE TABLE IF NOT EXISTS Patient_Notes (
+  id             INTEGER PRIMARY KEY,
+  patient_id     INTEGER NOT NULL REFERENCES System_Users(id),
+  doctor_id      INTEGER NOT NULL REFERENCES System_Users(id),
+  created_date   TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_by     INTEGER NULL,
+  modified_date  TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  modified_by    INTEGER NULL,
+  row_status     INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE INDEX IF NOT EXISTS IX_Patient_Notes_patient_id ON Patient_Notes (patient_id);
+
+CREATE TABLE IF NOT EXISTS Patient_Note_Content (
+  id                             INTEGER PRIMARY KEY,
+  patient_note_id                INTEGER NOT NULL REFERENCES Patient_Notes(id),
+  template_component_mapping_id  INTEGER NOT NULL REFERENCES Template_Component_Mapping(id),
+  text                           TEXT    NULL,
+  edit_count                     INTEGER NOT NULL DEFAULT 0,
+  created_date                   TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_by                     INTEGER NULL,
+  modified_date                  TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  modified_by                    INTEGER NULL,
+  row_status                     INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE VIEW IF NOT EXISTS View_Patient_Note_Content AS
+SELECT
+  pnc.id               AS id,
+  pnc.patient_note_id  AS patient_note_id,
+  t.template           AS template,
+  t.short_name         AS short_name,
+  tcm.position         AS position,
+  tc.component         AS component,
+  pnc.text             AS text
+FROM Patient_Note_Content pnc
+JOIN Template_Component_Mapping tcm ON tcm.id = pnc.template_component_mapping_id
+JOIN Templates t ON t.id = tcm.template_id
+JOIN Template_Components tc ON tc.id = tcm.template_component_id
+WHERE pnc.row_status = 1;
+
+CREATE TABLE IF NOT EXISTS DrugMaster (
+  id      INTEGER PRIMARY KEY,
+  drug    TEXT    NULL,
+  status  INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE IF NOT EXISTS Device_Metric_Samples (
+  id      INTEGER PRIMARY KEY,
+  xr_id   TEXT    NOT NULL,
+  metric  TEXT    NOT NULL,
+  ts      INTEGER NOT NULL,
+  value   REAL    NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS IX_Device_Metric_Samples_series ON Device_Metric_Samples (xr_id, metric, ts);
+
+CREATE TABLE IF NOT EXISTS Device_Metric_Rollups (
+  xr_id         TEXT    NOT NULL,
+  metric        TEXT    NOT NULL,
+  bucket_ms     INTEGER NOT NULL,
+  bucket_start  INTEGER NOT NULL,
+  sample_count  INTEGER NOT NULL,
+  value_sum     REAL    NOT NULL,
+  value_min     REAL    NOT NULL,
+  value_max     REAL    NOT NULL,
+  PRIMARY KEY (xr_id, metric, bucket_ms, bucket_start)
+);
+
+CREATE TABLE IF NOT EXISTS Encounters (
+  id                 INTEGER PRIMARY KEY,
+  room_id            TEXT    NOT NULL,
+  device_xr_id       TEXT    NOT NULL,
+  scribe_user_id     INTEGER NULL,
+  provider_user_id   INTEGER NULL,
+  patient_mrn        TEXT    NULL,
+  status             TEXT    NOT NULL DEFAULT 'open',
+  segment_count      INTEGER NOT NULL DEFAULT 0,
+  started_date       TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_segment_date  TEXT    NULL,
+  closed_date        TEXT    NULL,
+  modified_date      TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  modified_by        INTEGER NULL
+);
+
+CREATE INDEX IF NOT EXISTS IX_Encounters_room_status ON Encounters (room_id, status);
+
+CREATE TABLE IF NOT EXISTS Encounter_Transcript_Segments (
+  id             INTEGER PRIMARY KEY,
+  encounter_id   INTEGER NOT NULL REFERENCES Encounters(id),
+  sequence       INTEGER NOT NULL,
+  speaker_xr_id  TEXT    NULL,
+  text           TEXT    NOT NULL,
+  spoken_date    TEXT    NOT NULL,
+  created_date   TEXT    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (encounter_id, sequence)
+);
@@ -0,0 +1,109 @@
+// ========================================
+// Data-access layer
+// ========================================
+// Repositories for the tables the scribe flow and the platform console share
+// (plus encounter transcripts, the device metric history behind the dashboard charts,
+// login hardening and the admin tables).
+// Routes call these instead of building SQL inline, so the same server runs
+// against Azure SQL (./mssql.js) or a local SQLite file (./sqlite.js), picked
+// from the dialect of the Sequelize instance (DB_ENGINE, see database-config).
+// `options.fixtures` replaces the SQLite seed (mock mode passes fixtures/mock.js).
+//
+// Interface (every method is async):
+//   prepare()                                  create + seed local schema (no-op on MSSQL)
+//   users.findLoginUser({ id | email, caseInsensitive })   → login row | null
+//   users.findIdByXrId(xrId)                   → active user id | null
+//   users.updatePasswordHash(userId, hash)
+//   users.loadEffectiveScreens(sessionUser)    → { screens, nextChangeAt }
+//   users.findActiveMfa(userId)                → User_Mfa row | null
+//   users.hasMfaRequiredScreen(sessionUser)    → boolean
+//   users.findXrIdById(userId)                 → trimmed xr_id | null
+//   users.existsByEmail(email)                 → boolean (live row)
+//   users.findForPasswordReset({ id | email }) → { id, full_name, email, password } | null
+//   users.countByRole()                        → { totalUsers, totalProviders, totalEmployees, totalScribes }
+//   users.listAssignable({ managerId })        → active providers + scribes (managerId null → every scribe)
+//   users.listScribeOptions({ managerId }) / users.listProviderOptions()   → Assign Users dropdowns
+//   users.listClinicProviders(clinicId)        → [{ id, full_name }]
+//   users.listClinicIds(userIds)              → distinct clinic ids of those users
+//   users.create({ roleMappingId | role: { personaId, departmentId, typeId }, user, rights, createdBy })
+//                                              → { userId, userRoleMappingId } (one transaction)
+//   templates.list()                           → [{ id, name, short_name }]
+//   templates.findActive(templateId)           → { id, name, short_name } | null
+//   templates.listComponents(templateId)       → [{ mapping_id, name, position }]
+//   notes.listPatientNoteAuthors({ mrn | patientId })    → [{ patient_id, patient_clinic_id, mrn_no, doctor_id }]
+//   notes.findPatientByMrn(mrn)                → { patient_id, full_name } | null
+//   notes.listPatientNotesByMrn(mrn)           → patient columns + one row per note
+//   notes.listNoteSections(noteId)             → one row per note section
+//   notes.listPatientNoteContent(patientId, { providerIds })  → sections of every visit
+//   notes.createTemplateNote(note, contentRows, { beforeCommit })   → new Patient_Notes id
+//                                              | null when beforeCommit(id, transaction) returned false (rolled back)
+//   drugs.findMatch(query)                     → DrugMaster name | null
+//   mappings.findActivePairForUser(userId)     → { mappingId, scribeId, doctorId } | null
+//   mappings.findPartnerUserId(userId)         → other side of the user's newest mapping | null
+//   mappings.listProviderIdsForScribe(userId)  → [providerId]
+//   mappings.listMappedProviderIds()           → [providerId]
+//   mappings.listDetailed({ managerId })       → mapping rows with both users + clinic
+//   mappings.isScribeManagedBy(scribeId, managerId)      → boolean
+//   mappings.saveForScribe({ scribeUserId, providerUserId, byUserId })
+//                                              → { mappingId, previousProviderId }
+//   hierarchy.getRelations(userId)            → { me, reportees }
+//   hierarchy.listActiveUsers()                → active users with persona / department / type
+//   encounters.findOpenForRoom(roomId) / encounters.find(id)   → encounter row (with scribe / provider names) | null
+//   encounters.list({ userId, providerIds, roomId, mrn, status, limit })   → encounter rows, newest first
+//   encounters.create({ roomId, deviceXrId, scribeUserId, providerUserId })  → new Encounters id
+//   encounters.appendSegment(id, { roomId, speakerXrId, text, spokenAt }) → { id, sequence }
+//                                              | null once id is not the open encounter of roomId
+//   encounters.listSegments(id)                → [{ id, sequence, speaker_xr_id, text, spoken_date }]
+//   encounters.setPatient(id, mrn, byUserId) / encounters.close(id, byUserId)
+//   encounters.resume(id, { roomId, scribeUserId, byUserId })            reopen in roomId, closing its other open one
+//   metrics.insertSamples([{ xrId, metric, ts, value }])
+//   metrics.mergeRollups([{ xrId, metric, bucketMs, bucketStart, count, sum, min, max }])   adds onto stored buckets
+//   metrics.listSamples({ xrId, metrics, from, to })     → [{ metric, ts, value }]
+//   metrics.listRollups({ xrId, metrics, bucketMs, from, to })
+//                                              → [{ metric, bucket_start, sample_count, value_sum, value_min, value_max }]
+//   metrics.deleteSamplesBefore(ts) / metrics.deleteRollupsBefore(bucketMs, ts)
+//   lookups.findIds({ persona, department, type, status })   → { personaId, ... } (null when missing / inactive)
+//   lookups.listOptions()                      → { personas, departments, types, statuses, clinics, screens, managers }
+//   lookups.listScreens()                      → [{ id, screen_name }]
+//   mfa.markTotpUsed(mfaId, step) / mfa.saveRecoveryCodes(userId, hashes, byUserId)
+//   mfa.saveEnrollment(userId, { secret, step, hashes })    replaces the active enrollment or adds one
+//   mfa.disable(userId, byUserId)
+//   mfa.listScreenPolicy()                     → active screens with require_mfa
+//   mfa.setScreenPolicy(screenId, required, byUserId)
+//   oidc.findLinkedUserId(providerId, subject) → user id | null
+//   oidc.link({ userId, providerId, subject, email, signedIn }) / oidc.touch(providerId, subject)
+//   oidc.listForUser(userId)                   → [{ id, provider_id, subject, email, created_date, last_login_date }]
+//   oidc.unlink(id)                            → removed { id, user_id, provider_id, subject } | null
+//   loginAudit.write({ eventType, scope, subject, ip, failCount, lockedUntil, actorUserId })
+//   loginAudit.listRecent(limit)               → newest lockout / unlock rows
+//   phiAudit.write({ userId, userEmail, action, outcome, patientId, mrn, noteId, ip, userAgent, details }, { transaction })
+//   phiAudit.list(filter, { page, pageSize })  → { rows, total } (filter: { from, to, user, patient, action, outcome })
+//   phiAudit.listAll(filter)                   → every matching row, newest first (CSV export)
+//   adminActivity.write({ actorUserId, actorEmail, action, entity, entityId, targetUserId, beforeJson, afterJson, diffJson, ip })
+//   adminActivity.list(filter, { page, pageSize })   → { rows, total } (filter: { actor, target, from, to, action })
+//   passwordResets.hasRecent(userId, seconds)  → boolean (unused token issued within the window)
+//   passwordResets.create({ userId, tokenHash, expiresAt, ip })
+//   passwordResets.redeem({ userId, tokenHash, passwordHash })  → false when the token is used / expired
+//   accessGrants.find(id)                      → grant row with status | null
+//   accessGrants.findOverlapping({ userId, screenId, startDate, endDate, exceptId })  → { id } | null
+//   accessGrants.list({ userId, status })      → grants with user / screen / creator, live ones first
+//   accessGrants.targetExists(userId, screenId)   → boolean
+//   accessGrants.create({ userId, screenId, read, write, startDate, endDate, createdBy })  → new id
+//   accessGrants.update(id, { read, write, startDate, endDate, modifiedBy }) / accessGrants.revoke(id, byUserId)
+//   accessRights.listMatrix()                  → { roles, rights }
+//   accessRights.listRoleTypes(roleIds)        → [{ id, type }]
+//   accessRights.saveMatrix(changes, { actorId, guard })    → { saved, previous } (guard false → rolled back)
+//   legacy.findAssignment(userId) / legacy.saveAssignment({ userId, providerId, scribeId, level })
+//   legacy.findAuthUser(email) / legacy.updateAuthUserHash(id, hash)
+
+const { createMssqlRepositories } = require('./mssql');
+const { createSqliteRepositories } = require('./sqlite');
+
+function createRepositories(sequelize, options = {}) {
+  const dialect = sequelize.getDialect();
+  if (dialect === 'mssql') return createMssqlRepositories(sequelize);
+  if (dialect === 'sqlite') return createSqliteRepositories(sequelize, options);
+  throw new Error(`No repositories for database dialect "${dialect}"`);
+}
+
+module.exports = { createRepositories };
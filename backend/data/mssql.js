@@ -0,0 +1,2345 @@
+// ========================================
+// Repositories – Azure SQL (T-SQL)
+// ========================================
+// The production implementation of the interface described in ./index.js.
+// Queries are the ones the routes in server.js used to build inline.
+
+const { Sequelize } = require('sequelize');
+
+const { SELECT, INSERT, UPDATE } = Sequelize.QueryTypes;
+
+// Same normalization the SQL expression below applies to DrugMaster.drug
+function normalizeDrugTerm(s) {
+  return String(s || '')
+    .toLowerCase()
+    .replace(/[ \-\/\.,'()]/g, '');
+}
+
+// Multi-row VALUES list with numbered replacements: rows of plain objects → { sql, replacements }.
+// SQL Server accepts at most 1000 rows per VALUES list, so callers insert in batches (METRIC_BATCH).
+function valuesList(rows, columns) {
+  const replacements = {};
+  const tuples = rows.map((row, i) => {
+    const names = columns.map((col) => {
+      replacements[`${col}${i}`] = row[col];
+      return `:${col}${i}`;
+    });
+    return `(${names.join(', ')})`;
+  });
+  return { sql: tuples.join(',\n'), replacements };
+}
+
+const METRIC_BATCH = 200;
+
+function chunks(rows, size) {
+  const out = [];
+  for (let i = 0; i < rows.length; i += size) out.push(rows.slice(i, i + size));
+  return out;
+}
+
+function createMssqlRepositories(sequelize) {
+  const select = (sql, replacements = {}, transaction = undefined) =>
+    sequelize.query(sql, { replacements, type: SELECT, transaction });
+
+  // -------------------- Users --------------------
+  const LOGIN_USER_WHERE = {
+    id: 'su.id = :id',
+    email: 'su.email = :email',
+    emailInsensitive: 'LOWER(su.email) = LOWER(:email)',
+  };
+
+  const users = {
+    // { id } | { email } | { email, caseInsensitive: true } → login row with persona / department / type / status
+    async findLoginUser({ id = null, email = null, caseInsensitive = false }) {
+      const where = id != null
+        ? LOGIN_USER_WHERE.id
+        : caseInsensitive ? LOGIN_USER_WHERE.emailInsensitive : LOGIN_USER_WHERE.email;
+
+      const [row] = await select(
+        `
+        SELECT TOP 1
+          su.id,
+          su.full_name,
+          su.email,
+          su.password,
+          su.manager_user_id,
+          su.clinic_id,
+          su.xr_id,
+          su.status_id,
+          su.user_role_mapping_id,
+          p.persona,
+          d.department,
+          t.type,
+          s.status
+        FROM [dbo].[System_Users] su
+        JOIN [dbo].[User_Role_Mapping] urm
+          ON su.user_role_mapping_id = urm.id
+        JOIN [dbo].[Personas] p
+          ON urm.persona_id = p.id
+        JOIN [dbo].[Departments] d
+          ON urm.department_id = d.id
+        JOIN [dbo].[Types] t
+          ON urm.type_id = t.id
+        LEFT JOIN [dbo].[Status] s
+          ON su.status_id = s.id
+        WHERE ${where}
+          AND su.row_status = 1
+          AND urm.row_status = 1
+          AND p.row_status = 1
+          AND d.row_status = 1
+          AND t.row_status = 1
+        `,
+        { id, email }
+      );
+      return row || null;
+    },
+
+    // Active user whose XR ID matches (trimmed, case-insensitive) → id | null
+    async findIdByXrId(xrId) {
+      const [row] = await select(
+        `
+        SELECT TOP 1 id
+        FROM [dbo].[System_Users]
+        WHERE row_status = 1
+          AND LOWER(LTRIM(RTRIM(xr_id))) = LOWER(:xrId)
+        ORDER BY id
+        `,
+        { xrId: String(xrId || '').trim() }
+      );
+      return row?.id ?? null;
+    },
+
+    async updatePasswordHash(userId, hash) {
+      await sequelize.query(
+        `
+        UPDATE [dbo].[System_Users]
+        SET password = :hash,
+            modified_date = SYSDATETIME()
+        WHERE id = :id
+        `,
+        { replacements: { hash, id: userId }, type: UPDATE }
+      );
+    },
+
+    // → { screens, nextChangeAt }: readable/writable screens with effective rights,
+    // and the next time one of the user's temporary grants starts or ends
+    async loadEffectiveScreens(sessionUser) {
+      // SuperAdmin: see all screens with full permissions
+      if (sessionUser.type === 'SuperAdmin') {
+        const screens = await select(
+          `
+          SELECT
+            id,
+            screen_name,
+            route_path,
+            1 AS [read],
+            1 AS [write],
+            1 AS [edit],
+            1 AS [delete]
+          FROM [dbo].[System_Screens]
+          WHERE row_status = 1
+          ORDER BY id
+          `
+        );
+        return { screens, nextChangeAt: null };
+      }
+
+      // Everyone else: defaults from Access_Rights + optional overrides from User_Additional_Permissions
+      const replacements = { userRoleMappingId: sessionUser.userRoleMappingId, userId: sessionUser.id };
+
+      const screens = await select(
+        `
+        SELECT
+          ss.id,
+          ss.screen_name,
+          ss.route_path,
+          -- effective permissions: per-user override first, then role default
+          COALESCE(uap.[read],  ar.[read],  0) AS [read],
+          COALESCE(uap.[write], ar.[write], 0) AS [write],
+          COALESCE(uap.[edit],  ar.[edit],  0) AS [edit],
+          COALESCE(uap.[delete],ar.[delete],0) AS [delete],
+          -- set while a temporary grant is in effect (badge + countdown in the console)
+          uap.id       AS grant_id,
+          uap.end_date AS grant_end_date
+        FROM [dbo].[System_Screens] ss
+        LEFT JOIN [dbo].[Access_Rights] ar
+          ON ar.system_screen_id = ss.id
+         AND ar.user_role_mapping_id = :userRoleMappingId
+         AND ar.row_status = 1
+        LEFT JOIN [dbo].[User_Additional_Permissions] uap
+          ON uap.system_screen_id = ss.id
+         AND uap.user_id = :userId
+         AND uap.row_status = 1
+         AND (uap.start_date IS NULL OR uap.start_date <= SYSDATETIME())
+         AND (uap.end_date   IS NULL OR uap.end_date   >= SYSDATETIME())
+        WHERE ss.row_status = 1
+          AND (COALESCE(uap.[read], ar.[read], 0) = 1 OR COALESCE(uap.[write], ar.[write], 0) = 1)
+        ORDER BY ss.id
+        `,
+        replacements
+      );
+
+      // Next moment one of the user's grants starts or stops applying (end_date is inclusive)
+      const [boundary] = await select(
+        `
+        SELECT MIN(b) AS next_change
+        FROM (
+          SELECT start_date AS b
+          FROM [dbo].[User_Additional_Permissions]
+          WHERE user_id = :userId AND row_status = 1 AND start_date > SYSDATETIME()
+          UNION ALL
+          SELECT DATEADD(SECOND, 1, end_date)
+          FROM [dbo].[User_Additional_Permissions]
+          WHERE user_id = :userId AND row_status = 1 AND end_date >= SYSDATETIME()
+        ) x
+        `,
+        replacements
+      );
+
+      return { screens, nextChangeAt: boundary?.next_change || null };
+    },
+
+    async findActiveMfa(userId) {
+      const [row] = await select(
+        `
+        SELECT TOP 1 id, user_id, totp_secret, last_used_step, recovery_codes, enrolled_date
+        FROM [dbo].[User_Mfa]
+        WHERE user_id = :userId
+          AND row_status = 1
+        ORDER BY id DESC
+        `,
+        { userId }
+      );
+      return row || null;
+    },
+
+    // True when 2FA is required on at least one screen the user can READ
+    async hasMfaRequiredScreen(sessionUser) {
+      if (sessionUser.type === 'SuperAdmin') {
+        const rows = await select(
+          `
+          SELECT TOP 1 p.id
+          FROM [dbo].[Mfa_Screen_Policy] p
+          JOIN [dbo].[System_Screens] ss ON ss.id = p.system_screen_id AND ss.row_status = 1
+          WHERE p.row_status = 1 AND p.require_mfa = 1
+          `
+        );
+        return rows.length > 0;
+      }
+
+      if (!sessionUser.userRoleMappingId) return false;
+
+      const rows = await select(
+        `
+        SELECT TOP 1 p.id
+        FROM [dbo].[Mfa_Screen_Policy] p
+        JOIN [dbo].[System_Screens] ss
+          ON ss.id = p.system_screen_id
+         AND ss.row_status = 1
+        LEFT JOIN [dbo].[Access_Rights] ar
+          ON ar.system_screen_id = ss.id
+         AND ar.user_role_mapping_id = :urmId
+         AND ar.row_status = 1
+        LEFT JOIN [dbo].[User_Additional_Permissions] uap
+          ON uap.system_screen_id = ss.id
+         AND uap.user_id = :userId
+         AND uap.row_status = 1
+         AND (uap.start_date IS NULL OR uap.start_date <= SYSDATETIME())
+         AND (uap.end_date   IS NULL OR uap.end_date   >= SYSDATETIME())
+        WHERE p.row_status = 1
+          AND p.require_mfa = 1
+          AND COALESCE(uap.[read], ar.[read], 0) = 1
+        `,
+        { urmId: sessionUser.userRoleMappingId, userId: sessionUser.id }
+      );
+      return rows.length > 0;
+    },
+
+    async findXrIdById(userId) {
+      const [row] = await select(
+        `
+        SELECT TOP 1 xr_id
+        FROM [dbo].[System_Users]
+        WHERE row_status = 1
+          AND id = :userId
+        `,
+        { userId }
+      );
+      return row?.xr_id ? String(row.xr_id).trim() : null;
+    },
+
+    async existsByEmail(email) {
+      const [row] = await select(
+        `
+        SELECT TOP 1 id
+        FROM [dbo].[System_Users]
+        WHERE email = :email
+          AND row_status = 1
+        `,
+        { email }
+      );
+      return !!row;
+    },
+
+    // { email } → active account (status Active or unset) | { id } → live row; → { id, full_name, email, password } | null
+    async findForPasswordReset({ id = null, email = null }) {
+      if (id != null) {
+        const [row] = await select(
+          `
+          SELECT TOP 1 id, full_name, email, password
+          FROM [dbo].[System_Users]
+          WHERE id = :id AND row_status = 1
+          `,
+          { id }
+        );
+        return row || null;
+      }
+
+      const [row] = await select(
+        `
+        SELECT TOP 1 su.id, su.full_name, su.email, su.password
+        FROM [dbo].[System_Users] su
+        LEFT JOIN [dbo].[Status] s ON su.status_id = s.id
+        WHERE su.email = :email
+          AND su.row_status = 1
+          AND (s.status IS NULL OR s.status = 'Active')
+        `,
+        { email }
+      );
+      return row || null;
+    },
+
+    // Dashboard tiles → { totalUsers, totalProviders, totalEmployees, totalScribes }
+    async countByRole() {
+      const personaCount = (persona, extraJoin = '', extraWhere = '') => `
+        SELECT COUNT(*)
+        FROM [dbo].[System_Users] su
+        JOIN [dbo].[User_Role_Mapping] urm ON su.user_role_mapping_id = urm.id
+        JOIN [dbo].[Personas] p ON urm.persona_id = p.id
+        ${extraJoin}
+        WHERE su.row_status = 1
+          AND urm.row_status = 1
+          AND p.row_status = 1
+          AND p.persona = '${persona}'
+          ${extraWhere}
+      `;
+
+      const [row] = await select(
+        `
+        SELECT
+          (SELECT COUNT(*) FROM [dbo].[System_Users] WHERE row_status = 1) AS total_users,
+          (${personaCount('Provider')}) AS total_providers,
+          (${personaCount('Employee')}) AS total_employees,
+          (${personaCount(
+            'Employee',
+            'JOIN [dbo].[Types] t ON urm.type_id = t.id',
+            "AND t.row_status = 1 AND t.type = 'Scribe'"
+          )}) AS total_scribes
+        `
+      );
+      return {
+        totalUsers: Number(row?.total_users || 0),
+        totalProviders: Number(row?.total_providers || 0),
+        totalEmployees: Number(row?.total_employees || 0),
+        totalScribes: Number(row?.total_scribes || 0),
+      };
+    },
+
+    // Active providers + scribes for the Assign Users table (managerId null → every scribe,
+    // otherwise only scribes reporting to that manager). Persona 5 = Provider, type 4 = Scribe.
+    async listAssignable({ managerId = null } = {}) {
+      return select(
+        `
+        SELECT
+          su.id,
+          su.full_name,
+          su.email,
+          su.xr_id,
+          su.clinic_id,
+          CASE
+            WHEN vur.persona_id = 5 THEN 'Provider'
+            WHEN vur.type_id   = 4 THEN 'Scribe'
+            ELSE 'Other'
+          END AS userType
+        FROM [dbo].[System_Users] su
+        JOIN [dbo].[View_User_Role_Mapping] vur
+          ON su.user_role_mapping_id = vur.id
+        WHERE su.row_status = 1
+          AND su.status_id = 1
+          AND (
+            vur.persona_id = 5
+            OR (vur.type_id = 4 AND (:managerId IS NULL OR su.manager_user_id = :managerId))
+          )
+        ORDER BY su.full_name ASC
+        `,
+        { managerId }
+      );
+    },
+
+    // Assign Users dropdown: scribes with their manager (managerId null → all scribes)
+    async listScribeOptions({ managerId = null } = {}) {
+      return select(
+        `
+        SELECT
+          su.id,
+          su.full_name,
+          su.email,
+          su.xr_id,
+          su.manager_user_id,
+          mgr.full_name AS manager_name
+        FROM [dbo].[System_Users] su
+        LEFT JOIN [dbo].[System_Users] mgr
+          ON mgr.id = su.manager_user_id
+         AND mgr.row_status = 1
+        WHERE su.row_status = 1
+          AND su.user_role_mapping_id IN (
+            SELECT id
+            FROM [dbo].[View_User_Role_Mapping]
+            WHERE type_id = 4      -- Scribe
+          )
+          AND (:managerId IS NULL OR su.manager_user_id = :managerId)
+        ORDER BY su.full_name
+        `,
+        { managerId }
+      );
+    },
+
+    async listProviderOptions() {
+      return select(
+        `
+        SELECT
+          su.id,
+          su.full_name,
+          su.email,
+          su.xr_id,
+          su.clinic_id
+        FROM [dbo].[System_Users] su
+        WHERE su.row_status = 1
+          AND su.status_id = 1
+          AND su.user_role_mapping_id IN (
+            SELECT id
+            FROM [dbo].[View_User_Role_Mapping]
+            WHERE persona_id = 5   -- Provider
+          )
+        ORDER BY su.full_name
+        `
+      );
+    },
+
+    // Active users in a clinic whose persona is Provider → [{ id, full_name }]
+    async listClinicProviders(clinicId) {
+      return select(
+        `
+        SELECT
+          su.id,
+          su.full_name
+        FROM [dbo].[System_Users] su
+        JOIN [dbo].[User_Role_Mapping] urm
+          ON su.user_role_mapping_id = urm.id
+         AND urm.row_status = 1
+        JOIN [dbo].[Personas] p
+          ON urm.persona_id = p.id
+         AND p.row_status = 1
+         AND p.persona = 'Provider'
+        WHERE su.clinic_id = :clinicId
+          AND su.status_id = 1      -- Active
+          AND su.row_status = 1
+        ORDER BY su.full_name ASC
+        `,
+        { clinicId }
+      );
+    },
+
+    // One transaction: optional new User_Role_Mapping (`role`), the System_Users row and its
+    // Access_Rights ([{ screenId, read, write, edit, delete }]) → { userId, userRoleMappingId }
+    // Distinct clinics of the given users (null clinics skipped)
+    async listClinicIds(userIds) {
+      if (!userIds.length) return [];
+      const rows = await select(
+        `SELECT DISTINCT clinic_id FROM [dbo].[System_Users] WHERE id IN (:userIds) AND clinic_id IS NOT NULL`,
+        { userIds }
+      );
+      return rows.map((r) => Number(r.clinic_id));
+    },
+
+    async create({ roleMappingId = null, role = null, user, rights = [], createdBy = null }) {
+      return sequelize.transaction(async (transaction) => {
+        let userRoleMappingId = roleMappingId;
+
+        if (!userRoleMappingId) {
+          const [roleRow] = await select(
+            `
+            INSERT INTO [dbo].[User_Role_Mapping] (
+              persona_id,
+              department_id,
+              type_id,
+              created_date,
+              created_by,
+              modified_date,
+              modified_by,
+              row_status
+            )
+            OUTPUT INSERTED.id AS id
+            VALUES (
+              :personaId,
+              :departmentId,
+              :typeId,
+              SYSDATETIME(),
+              :createdBy,
+              SYSDATETIME(),
+              :createdBy,
+              1
+            )
+            `,
+            { ...role, createdBy },
+            transaction
+          );
+          userRoleMappingId = roleRow?.id ?? null;
+          if (!userRoleMappingId) throw new Error('User_Role_Mapping insert did not return an id');
+        }
+
+        const [userRow] = await select(
+          `
+          INSERT INTO [dbo].[System_Users] (
+            full_name,
+            email,
+            password,
+            manager_user_id,
+            clinic_id,
+            xr_id,
+            status_id,
+            user_role_mapping_id,
+            contact_no_primary,
+            mrn_no,
+            created_date,
+            created_by,
+            modified_date,
+            modified_by,
+            row_status
+          )
+          OUTPUT INSERTED.id AS id
+          VALUES (
+            :fullName,
+            :email,
+            :password,
+            :managerUserId,
+            :clinicId,
+            :xrId,
+            :statusId,
+            :userRoleMappingId,
+            :contactNoPrimary,
+            :mrnNo,
+            SYSDATETIME(),
+            :createdBy,
+            SYSDATETIME(),
+            :createdBy,
+            1
+          )
+          `,
+          {
+            fullName: user.fullName,
+            email: user.email,
+            password: user.passwordHash,
+            managerUserId: user.managerUserId ?? null,
+            clinicId: user.clinicId ?? null,
+            xrId: user.xrId ?? null,
+            statusId: user.statusId,
+            userRoleMappingId,
+            contactNoPrimary: user.contactNoPrimary ?? null,
+            mrnNo: user.mrnNo ?? null,
+            createdBy,
+          },
+          transaction
+        );
+
+        for (const r of rights) {
+          await sequelize.query(
+            `
+            INSERT INTO [dbo].[Access_Rights] (
+              user_role_mapping_id,
+              system_screen_id,
+              [read],
+              [write],
+              [edit],
+              [delete],
+              created_date,
+              created_by,
+              modified_date,
+              modified_by,
+              row_status
+            )
+            VALUES (
+              :userRoleMappingId,
+              :screenId,
+              :read,
+              :write,
+              :edit,
+              :delete,
+              SYSDATETIME(),
+              :createdBy,
+              SYSDATETIME(),
+              :createdBy,
+              1
+            )
+            `,
+            {
+              replacements: {
+                userRoleMappingId,
+                screenId: r.screenId,
+                read: r.read ? 1 : 0,
+                write: r.write ? 1 : 0,
+                edit: r.edit ? 1 : 0,
+                delete: r.delete ? 1 : 0,
+                createdBy,
+              },
+              type: INSERT,
+              transaction,
+            }
+          );
+        }
+
+        return { userId: userRow?.id ?? null, userRoleMappingId };
+      });
+    },
+  };
+
+  // -------------------- Templates --------------------
+  const templates = {
+    async list() {
+      return select(
+        `
+        SELECT id, template AS name, short_name
+        FROM [dbo].[Templates]
+        WHERE row_status = 1
+        ORDER BY template ASC;
+        `
+      );
+    },
+
+    async findActive(templateId) {
+      const [row] = await select(
+        `
+        SELECT TOP 1 id, template AS name, short_name
+        FROM [dbo].[Templates]
+        WHERE id = :templateId AND row_status = 1;
+        `,
+        { templateId }
+      );
+      return row || null;
+    },
+
+    // → [{ mapping_id, name, position }] in template order
+    // (the view's row_status column is guaranteed by migration 0003)
+    async listComponents(templateId) {
+      return select(
+        `
+        SELECT v.mapping_id, v.component AS name, v.position
+        FROM [dbo].[View_Template_Component_Mapping] v
+        WHERE v.template_id = :templateId
+          AND v.row_status = 1
+        ORDER BY v.position ASC;
+        `,
+        { templateId }
+      );
+    },
+  };
+
+  // -------------------- Notes (patients + Patient_Notes) --------------------
+  const notes = {
+    // One row per (patient, note author); doctor_id is null when the patient has no notes
+    async listPatientNoteAuthors({ mrn = null, patientId = null }) {
+      return select(
+        `
+        SELECT su.id AS patient_id, su.clinic_id AS patient_clinic_id, su.mrn_no, pn.doctor_id
+        FROM [dbo].[System_Users] su
+        LEFT JOIN [dbo].[Patient_Notes] pn
+          ON pn.patient_id = su.id
+        WHERE ${mrn != null ? 'su.mrn_no = :mrn' : 'su.id = :patientId'}
+        `,
+        { mrn, patientId }
+      );
+    },
+
+    async findPatientByMrn(mrn) {
+      const [row] = await select(
+        `
+        SELECT id AS patient_id, full_name
+        FROM [dbo].[System_Users]
+        WHERE mrn_no = :mrn
+        `,
+        { mrn }
+      );
+      return row || null;
+    },
+
+    // Patient demographics joined with one row per note (newest first)
+    async listPatientNotesByMrn(mrn) {
+      return select(
+        `
+        SELECT
+            su.id                  AS patient_id,
+            su.full_name           AS full_name,
+            su.email               AS email,
+            su.mrn_no              AS mrn_no,
+            su.contact_no_primary  AS contact_no_primary,
+
+            pn.id                  AS note_id,
+            pn.doctor_id           AS doctor_id,
+            pn.created_date        AS document_created_date,
+
+            MAX(vpn.template)      AS template,
+            MAX(vpn.short_name)    AS short_name
+
+        FROM [dbo].[System_Users] su
+        LEFT JOIN [dbo].[Patient_Notes] pn
+          ON pn.patient_id = su.id
+        LEFT JOIN [dbo].[View_Patient_Note_Content] vpn
+          ON vpn.patient_note_id = pn.id
+
+        WHERE su.mrn_no = :mrn
+
+        GROUP BY
+            su.id,
+            su.full_name,
+            su.email,
+            su.mrn_no,
+            su.contact_no_primary,
+            pn.id,
+            pn.doctor_id,
+            pn.created_date
+
+        ORDER BY pn.created_date DESC;
+        `,
+        { mrn }
+      );
+    },
+
+    // One row per section of the note (a single row with null sections when it has none)
+    async listNoteSections(noteId) {
+      return select(
+        `
+        SELECT
+          pn.id AS patient_note_id,
+          pn.patient_id,
+          pn.doctor_id,
+          pn.created_date AS document_created_date,
+          vpn.template,
+          vpn.short_name,
+          vpn.position,
+          vpn.component,
+          vpn.text
+        FROM [dbo].[Patient_Notes] pn
+        LEFT JOIN [dbo].[View_Patient_Note_Content] vpn
+          ON vpn.patient_note_id = pn.id
+        WHERE pn.id = :noteId
+        ORDER BY vpn.position ASC;
+        `,
+        { noteId }
+      );
+    },
+
+    // Every section of every note for a patient, latest visit first; providerIds null = all authors
+    async listPatientNoteContent(patientId, { providerIds = null } = {}) {
+      return select(
+        `
+        SELECT
+          pn.id AS note_id,
+          pn.created_date,
+          v.position,
+          v.component,
+          v.text
+        FROM [dbo].[Patient_Notes] pn
+        LEFT JOIN [dbo].[View_Patient_Note_Content] v
+          ON v.patient_note_id = pn.id
+        WHERE pn.patient_id = :patientId
+          ${providerIds ? 'AND pn.doctor_id IN (:providerIds)' : ''}
+        ORDER BY pn.created_date DESC, pn.id DESC, v.position ASC
+        `,
+        { patientId, providerIds }
+      );
+    },
+
+    // Inserts Patient_Notes + its Patient_Note_Content rows in one transaction → new note id
+    // beforeCommit(patientNoteId, transaction) → boolean runs inside the insert transaction;
+    // false rolls the note back and resolves null
+    async createTemplateNote(note, contentRows, { beforeCommit = null } = {}) {
+      const rolledBack = new Error('createTemplateNote rolled back by beforeCommit');
+
+      return sequelize.transaction(async (transaction) => {
+        const [inserted] = await select(
+          `
+          INSERT INTO [dbo].[Patient_Notes]
+            (patient_id, doctor_id, created_date, created_by, modified_date, modified_by, row_status)
+          OUTPUT INSERTED.id AS patient_note_id
+          VALUES
+            (:patient_id, :doctor_id, :created_date, :created_by, :modified_date, :modified_by, :row_status)
+          `,
+          note,
+          transaction
+        );
+
+        const patientNoteId = inserted?.patient_note_id ?? null;
+        if (!patientNoteId) throw new Error('Failed to create Patient_Notes row (no id returned)');
+
+        for (const row of contentRows) {
+          await sequelize.query(
+            `
+            INSERT INTO [dbo].[Patient_Note_Content]
+              (patient_note_id, template_component_mapping_id, text, edit_count, created_date, created_by, modified_date, modified_by, row_status)
+            VALUES
+              (:patient_note_id, :template_component_mapping_id, :text, :edit_count, :created_date, :created_by, :modified_date, :modified_by, :row_status)
+            `,
+            { replacements: { ...row, patient_note_id: patientNoteId }, type: INSERT, transaction }
+          );
+        }
+
+        if (beforeCommit && !(await beforeCommit(patientNoteId, transaction))) throw rolledBack;
+        return patientNoteId;
+      }).catch((e) => {
+        if (e === rolledBack) return null;
+        throw e;
+      });
+    },
+  };
+
+  // -------------------- Drugs --------------------
+  const DRUG_NORM_EXPR = `
+    REPLACE(
+      REPLACE(
+        REPLACE(
+          REPLACE(
+            REPLACE(
+              REPLACE(
+                REPLACE(
+                  REPLACE(LOWER([drug]), '-', ''), ',', ''), '/', ''), '.', ''), '''', ''), ' ', ''), '(', ''), ')', '')
+  `;
+
+  const drugs = {
+    // Best active DrugMaster name for a cleaned-up query (exact > normalized > contains), or null
+    async findMatch(query) {
+      const raw = String(query || '').trim();
+      const norm = normalizeDrugTerm(raw);
+
+      const [row] = await select(
+        `
+        SELECT TOP 1 [drug] AS name
+        FROM [dbo].[DrugMaster]
+        WHERE status = 1
+          AND [drug] IS NOT NULL
+          AND (
+            LOWER([drug]) = LOWER(:raw)
+            OR LOWER([drug]) LIKE LOWER(:rawLike)
+            OR ${DRUG_NORM_EXPR} = :norm
+            OR ${DRUG_NORM_EXPR} LIKE :normLike
+          )
+        ORDER BY
+          CASE
+            WHEN ${DRUG_NORM_EXPR} = :norm THEN 1
+            WHEN LOWER([drug]) = LOWER(:raw) THEN 2
+            WHEN ${DRUG_NORM_EXPR} LIKE :normLike THEN 3
+            ELSE 4
+          END,
+          [drug];
+        `,
+        { raw, rawLike: `%${raw}%`, norm, normLike: `%${norm}%` }
+      );
+      return row?.name || null;
+    },
+  };
+
+  // -------------------- Scribe ⇄ Provider mappings --------------------
+  const mappings = {
+    // Latest active pair where the user is either side → { mappingId, scribeId, doctorId } | null
+    async findActivePairForUser(userId) {
+      const [row] = await select(
+        `
+        SELECT TOP 1
+          id AS mappingId,
+          scribe_user_id AS scribeId,
+          provider_user_id AS doctorId
+        FROM [dbo].[Scribe_Provider_Mapping]
+        WHERE row_status = 1
+          AND (:uid IN (scribe_user_id, provider_user_id))
+        ORDER BY id DESC
+        `,
+        { uid: userId }
+      );
+      return row || null;
+    },
+
+    async listProviderIdsForScribe(scribeUserId) {
+      const rows = await select(
+        `
+        SELECT provider_user_id AS providerId
+        FROM [dbo].[Scribe_Provider_Mapping]
+        WHERE row_status = 1
+          AND scribe_user_id = :userId
+        `,
+        { userId: scribeUserId }
+      );
+      return rows.map((r) => r.providerId).filter((id) => id != null);
+    },
+
+    // Every provider that has an active scribe, regardless of who manages the scribe
+    async listMappedProviderIds() {
+      const rows = await select(
+        `
+        SELECT DISTINCT provider_user_id
+        FROM [dbo].[Scribe_Provider_Mapping]
+        WHERE row_status = 1
+          AND provider_user_id IS NOT NULL
+        `
+      );
+      return rows.map((r) => r.provider_user_id);
+    },
+
+    // managerId null = all mappings (SuperAdmin); otherwise only scribes reporting to that manager
+    async listDetailed({ managerId = null } = {}) {
+      return select(
+        `
+        SELECT
+          m.id,
+
+          -- Scribe side
+          s.id          AS scribe_id,
+          s.full_name   AS scribe_name,
+          s.email       AS scribe_email,
+          s.xr_id       AS scribe_xr_id,
+
+          -- Provider side
+          p.id          AS provider_id,
+          p.full_name   AS provider_name,
+          p.email       AS provider_email,
+          p.xr_id       AS provider_xr_id,
+          p.clinic_id   AS provider_clinic_id,
+          c.clinic      AS provider_clinic_name,
+
+          -- Manager of the scribe
+          mgr.full_name AS scribe_manager_name
+        FROM [dbo].[Scribe_Provider_Mapping] m
+        JOIN [dbo].[System_Users] s
+          ON m.scribe_user_id = s.id
+         AND s.row_status = 1
+        JOIN [dbo].[System_Users] p
+          ON m.provider_user_id = p.id
+         AND p.row_status = 1
+        LEFT JOIN [dbo].[Clinics] c
+          ON p.clinic_id = c.id
+         AND c.row_status = 1
+        LEFT JOIN [dbo].[System_Users] mgr
+          ON s.manager_user_id = mgr.id
+         AND mgr.row_status = 1
+        WHERE
+          m.row_status = 1
+          AND (
+            :allScribes = 1
+            OR s.manager_user_id = :managerId
+          )
+        ORDER BY
+          s.full_name ASC,
+          p.full_name ASC;
+        `,
+        { allScribes: managerId == null ? 1 : 0, managerId }
+      );
+    },
+
+    async isScribeManagedBy(scribeUserId, managerUserId) {
+      const [row] = await select(
+        `
+        SELECT TOP 1 id
+        FROM [dbo].[System_Users]
+        WHERE id = :scribeId
+          AND manager_user_id = :managerId
+          AND row_status = 1
+        `,
+        { scribeId: scribeUserId, managerId: managerUserId }
+      );
+      return !!row;
+    },
+
+    // Upsert: one active mapping per scribe → { mappingId, previousProviderId }
+    async saveForScribe({ scribeUserId, providerUserId, byUserId = null }) {
+      const replacements = { scribeId: scribeUserId, providerId: providerUserId, userId: byUserId };
+
+      const [existing] = await select(
+        `
+        SELECT TOP 1 id, provider_user_id
+        FROM [dbo].[Scribe_Provider_Mapping]
+        WHERE scribe_user_id = :scribeId
+          AND row_status = 1
+        `,
+        replacements
+      );
+
+      if (existing) {
+        await sequelize.query(
+          `
+          UPDATE [dbo].[Scribe_Provider_Mapping]
+          SET
+            provider_user_id = :providerId,
+            modified_date    = SYSDATETIME(),
+            modified_by      = :userId
+          WHERE id = :id
+          `,
+          { replacements: { ...replacements, id: existing.id }, type: UPDATE }
+        );
+        return { mappingId: existing.id, previousProviderId: existing.provider_user_id };
+      }
+
+      const [inserted] = await select(
+        `
+        INSERT INTO [dbo].[Scribe_Provider_Mapping] (
+          scribe_user_id,
+          provider_user_id,
+          created_date,
+          created_by,
+          modified_date,
+          modified_by,
+          row_status
+        )
+        OUTPUT INSERTED.id AS id
+        VALUES (
+          :scribeId,
+          :providerId,
+          SYSDATETIME(),
+          :userId,
+          SYSDATETIME(),
+          :userId,
+          1
+        )
+        `,
+        replacements
+      );
+      return { mappingId: inserted?.id ?? null, previousProviderId: null };
+    },
+
+    // The other side of the user's newest active mapping (scribe ⇄ provider) → user id | null
+    async findPartnerUserId(userId) {
+      const [row] = await select(
+        `
+        SELECT TOP 1
+          CASE
+            WHEN scribe_user_id = :userId THEN provider_user_id
+            WHEN provider_user_id = :userId THEN scribe_user_id
+            ELSE NULL
+          END AS partner_user_id
+        FROM [dbo].[Scribe_Provider_Mapping]
+        WHERE row_status = 1
+          AND (:userId IN (scribe_user_id, provider_user_id))
+        ORDER BY id DESC
+        `,
+        { userId }
+      );
+      return row?.partner_user_id ?? null;
+    },
+  };
+
+  // -------------------- Hierarchy --------------------
+  const hierarchy = {
+    // → { me: { id, full_name, email, manager_user_id, manager_name } | null, reportees: [...] }
+    async getRelations(userId) {
+      const [me] = await select(
+        `
+        SELECT
+          su.id,
+          su.full_name,
+          su.email,
+          su.manager_user_id,
+          mgr.full_name AS manager_name
+        FROM [dbo].[System_Users] su
+        LEFT JOIN [dbo].[System_Users] mgr
+          ON mgr.id = su.manager_user_id AND mgr.row_status = 1
+        WHERE su.id = :userId AND su.row_status = 1
+        `,
+        { userId }
+      );
+
+      const reportees = await select(
+        `
+        SELECT
+          su.id,
+          su.full_name,
+          su.email
+        FROM [dbo].[System_Users] su
+        WHERE su.manager_user_id = :userId
+          AND su.row_status = 1
+        ORDER BY su.full_name
+        `,
+        { userId }
+      );
+
+      return { me: me || null, reportees };
+    },
+
+    // All active users with role / persona / department, for building org trees
+    async listActiveUsers() {
+      return select(
+        `
+        SELECT
+          su.id,
+          su.full_name,
+          su.email,
+          su.manager_user_id,
+          su.xr_id,
+          su.clinic_id,
+          urm.id AS user_role_mapping_id,
+          p.persona,
+          d.department,
+          t.type AS role_type
+        FROM [dbo].[System_Users] su
+        JOIN [dbo].[User_Role_Mapping] urm
+          ON su.user_role_mapping_id = urm.id
+         AND urm.row_status = 1
+        LEFT JOIN [dbo].[Personas] p
+          ON urm.persona_id = p.id
+         AND p.row_status = 1
+        LEFT JOIN [dbo].[Departments] d
+          ON urm.department_id = d.id
+         AND d.row_status = 1
+        LEFT JOIN [dbo].[Types] t
+          ON urm.type_id = t.id
+         AND t.row_status = 1
+        WHERE su.row_status = 1
+        ORDER BY su.full_name ASC
+        `
+      );
+    },
+  };
+
+  // -------------------- Encounters (transcripts) --------------------
+  const ENCOUNTER_COLUMNS = `
+    e.id,
+    e.room_id,
+    e.device_xr_id,
+    e.scribe_user_id,
+    scribe.full_name AS scribe_name,
+    e.provider_user_id,
+    provider.full_name AS provider_name,
+    e.patient_mrn,
+    e.status,
+    e.segment_count,
+    e.started_date,
+    e.last_segment_date,
+    e.closed_date
+  `;
+  const ENCOUNTER_JOINS = `
+    LEFT JOIN [dbo].[System_Users] scribe ON scribe.id = e.scribe_user_id
+    LEFT JOIN [dbo].[System_Users] provider ON provider.id = e.provider_user_id
+  `;
+
+  const encounters = {
+    async findOpenForRoom(roomId) {
+      const [row] = await select(
+        `
+        SELECT TOP 1 ${ENCOUNTER_COLUMNS}
+        FROM [dbo].[Encounters] e
+        ${ENCOUNTER_JOINS}
+        WHERE e.room_id = :roomId
+          AND e.status = 'open'
+        ORDER BY e.id DESC
+        `,
+        { roomId }
+      );
+      return row || null;
+    },
+
+    async find(encounterId) {
+      const [row] = await select(
+        `
+        SELECT ${ENCOUNTER_COLUMNS}
+        FROM [dbo].[Encounters] e
+        ${ENCOUNTER_JOINS}
+        WHERE e.id = :encounterId
+        `,
+        { encounterId }
+      );
+      return row || null;
+    },
+
+    // Newest first. providerIds = null → every encounter; otherwise the user's own
+    // (as scribe) plus those of the listed providers.
+    async list({ userId = null, providerIds = null, roomId = null, mrn = null, status = null, limit = 20 }) {
+      const where = ['1 = 1'];
+      if (providerIds !== null) {
+        where.push('(e.scribe_user_id = :userId OR e.provider_user_id IN (:providerIds))');
+      }
+      if (roomId) where.push('e.room_id = :roomId');
+      if (mrn) where.push('e.patient_mrn = :mrn');
+      if (status) where.push('e.status = :status');
+
+      return select(
+        `
+        SELECT TOP (:limit) ${ENCOUNTER_COLUMNS}
+        FROM [dbo].[Encounters] e
+        ${ENCOUNTER_JOINS}
+        WHERE ${where.join(' AND ')}
+        ORDER BY COALESCE(e.last_segment_date, e.started_date) DESC, e.id DESC
+        `,
+        { userId, providerIds: providerIds?.length ? providerIds : [-1], roomId, mrn, status, limit }
+      );
+    },
+
+    // → new Encounters id
+    async create({ roomId, deviceXrId, scribeUserId = null, providerUserId = null }) {
+      const [row] = await select(
+        `
+        INSERT INTO [dbo].[Encounters] (room_id, device_xr_id, scribe_user_id, provider_user_id)
+        OUTPUT INSERTED.id AS id
+        VALUES (:roomId, :deviceXrId, :scribeUserId, :providerUserId)
+        `,
+        { roomId, deviceXrId, scribeUserId, providerUserId }
+      );
+      return row?.id ?? null;
+    },
+
+    // Numbers the segment from the encounter's counter (row lock) → { id, sequence }
+    // null when the encounter is no longer the open one of roomId (closed or resumed elsewhere)
+    async appendSegment(encounterId, { roomId, speakerXrId = null, text, spokenAt }) {
+      return sequelize.transaction(async (transaction) => {
+        const [counter] = await select(
+          `
+          UPDATE [dbo].[Encounters]
+          SET segment_count     = segment_count + 1,
+              last_segment_date = SYSDATETIME(),
+              modified_date     = SYSDATETIME()
+          OUTPUT INSERTED.segment_count AS sequence
+          WHERE id = :encounterId
+            AND room_id = :roomId
+            AND status = 'open'
+          `,
+          { encounterId, roomId },
+          transaction
+        );
+        if (!counter) return null;
+
+        const [segment] = await select(
+          `
+          INSERT INTO [dbo].[Encounter_Transcript_Segments]
+            (encounter_id, sequence, speaker_xr_id, text, spoken_date)
+          OUTPUT INSERTED.id AS id
+          VALUES (:encounterId, :sequence, :speakerXrId, :text, :spokenAt)
+          `,
+          { encounterId, sequence: counter.sequence, speakerXrId, text, spokenAt },
+          transaction
+        );
+        return { id: segment?.id ?? null, sequence: counter.sequence };
+      });
+    },
+
+    async listSegments(encounterId) {
+      return select(
+        `
+        SELECT id, sequence, speaker_xr_id, text, spoken_date
+        FROM [dbo].[Encounter_Transcript_Segments]
+        WHERE encounter_id = :encounterId
+        ORDER BY sequence ASC
+        `,
+        { encounterId }
+      );
+    },
+
+    async setPatient(encounterId, mrn, byUserId = null) {
+      await sequelize.query(
+        `
+        UPDATE [dbo].[Encounters]
+        SET patient_mrn   = :mrn,
+            modified_date = SYSDATETIME(),
+            modified_by   = :byUserId
+        WHERE id = :encounterId
+        `,
+        { replacements: { encounterId, mrn, byUserId }, type: UPDATE }
+      );
+    },
+
+    async close(encounterId, byUserId = null) {
+      await sequelize.query(
+        `
+        UPDATE [dbo].[Encounters]
+        SET status        = 'closed',
+            closed_date   = SYSDATETIME(),
+            modified_date = SYSDATETIME(),
+            modified_by   = :byUserId
+        WHERE id = :encounterId
+          AND status = 'open'
+        `,
+        { replacements: { encounterId, byUserId }, type: UPDATE }
+      );
+    },
+
+    // Makes the encounter the open one of `roomId` (closing any other) so new segments append to it
+    async resume(encounterId, { roomId, scribeUserId = null, byUserId = null }) {
+      await sequelize.transaction(async (transaction) => {
+        await sequelize.query(
+          `
+          UPDATE [dbo].[Encounters]
+          SET status        = 'closed',
+              closed_date   = SYSDATETIME(),
+              modified_date = SYSDATETIME(),
+              modified_by   = :byUserId
+          WHERE room_id = :roomId
+            AND status = 'open'
+            AND id <> :encounterId
+          `,
+          { replacements: { encounterId, roomId, byUserId }, type: UPDATE, transaction }
+        );
+        await sequelize.query(
+          `
+          UPDATE [dbo].[Encounters]
+          SET room_id        = :roomId,
+              status         = 'open',
+              closed_date    = NULL,
+              scribe_user_id = COALESCE(:scribeUserId, scribe_user_id),
+              modified_date  = SYSDATETIME(),
+              modified_by    = :byUserId
+          WHERE id = :encounterId
+          `,
+          { replacements: { encounterId, roomId, scribeUserId, byUserId }, type: UPDATE, transaction }
+        );
+      });
+    },
+  };
+
+  // -------------------- Device metrics --------------------
+  const SAMPLE_COLUMNS = ['xrId', 'metric', 'ts', 'value'];
+  const ROLLUP_COLUMNS = ['xrId', 'metric', 'bucketMs', 'bucketStart', 'count', 'sum', 'min', 'max'];
+
+  const metrics = {
+    // [{ xrId, metric, ts, value }]
+    async insertSamples(rows) {
+      for (const batch of chunks(rows, METRIC_BATCH)) {
+        const values = valuesList(batch, SAMPLE_COLUMNS);
+        await sequelize.query(
+          `
+          INSERT INTO [dbo].[Device_Metric_Samples] (xr_id, metric, ts, value)
+          VALUES ${values.sql}
+          `,
+          { replacements: values.replacements, type: INSERT }
+        );
+      }
+    },
+
+    // [{ xrId, metric, bucketMs, bucketStart, count, sum, min, max }] – added onto existing buckets
+    async mergeRollups(rows) {
+      for (const batch of chunks(rows, METRIC_BATCH)) {
+        const values = valuesList(batch, ROLLUP_COLUMNS);
+        await sequelize.query(
+          `
+          MERGE [dbo].[Device_Metric_Rollups] WITH (HOLDLOCK) AS t
+          USING (VALUES ${values.sql})
+            AS s (xr_id, metric, bucket_ms, bucket_start, sample_count, value_sum, value_min, value_max)
+          ON t.xr_id = s.xr_id
+            AND t.metric = s.metric
+            AND t.bucket_ms = s.bucket_ms
+            AND t.bucket_start = s.bucket_start
+          WHEN MATCHED THEN UPDATE SET
+            sample_count = t.sample_count + s.sample_count,
+            value_sum    = t.value_sum + s.value_sum,
+            value_min    = CASE WHEN s.value_min < t.value_min THEN s.value_min ELSE t.value_min END,
+            value_max    = CASE WHEN s.value_max > t.value_max THEN s.value_max ELSE t.value_max END
+          WHEN NOT MATCHED THEN
+            INSERT (xr_id, metric, bucket_ms, bucket_start, sample_count, value_sum, value_min, value_max)
+            VALUES (s.xr_id, s.metric, s.bucket_ms, s.bucket_start, s.sample_count, s.value_sum, s.value_min, s.value_max);
+          `,
+          { replacements: values.replacements }
+        );
+      }
+    },
+
+    // → [{ metric, ts, value }] oldest first, from <= ts < to
+    async listSamples({ xrId, metrics: names, from, to }) {
+      return select(
+        `
+        SELECT metric, ts, value
+        FROM [dbo].[Device_Metric_Samples]
+        WHERE xr_id = :xrId
+          AND metric IN (:names)
+          AND ts >= :from
+          AND ts < :to
+        ORDER BY ts ASC
+        `,
+        { xrId, names, from, to }
+      );
+    },
+
+    // → [{ metric, bucket_start, sample_count, value_sum, value_min, value_max }] oldest first
+    async listRollups({ xrId, metrics: names, bucketMs, from, to }) {
+      return select(
+        `
+        SELECT metric, bucket_start, sample_count, value_sum, value_min, value_max
+        FROM [dbo].[Device_Metric_Rollups]
+        WHERE xr_id = :xrId
+          AND metric IN (:names)
+          AND bucket_ms = :bucketMs
+          AND bucket_start >= :from
+          AND bucket_start < :to
+        ORDER BY bucket_start ASC
+        `,
+        { xrId, names, bucketMs, from, to }
+      );
+    },
+
+    async deleteSamplesBefore(ts) {
+      await sequelize.query(
+        'DELETE FROM [dbo].[Device_Metric_Samples] WHERE ts < :ts',
+        { replacements: { ts } }
+      );
+    },
+
+    async deleteRollupsBefore(bucketMs, ts) {
+      await sequelize.query(
+        'DELETE FROM [dbo].[Device_Metric_Rollups] WHERE bucket_ms = :bucketMs AND bucket_start < :ts',
+        { replacements: { bucketMs, ts } }
+      );
+    },
+  };
+
+  // -------------------- Lookups (master data) --------------------
+  const LOOKUP_TABLES = {
+    persona: { table: 'Personas', column: 'persona' },
+    department: { table: 'Departments', column: 'department' },
+    type: { table: 'Types', column: 'type' },
+    status: { table: 'Status', column: 'status' },
+  };
+
+  const lookups = {
+    // { persona, department, type, status } names → { personaId, departmentId, typeId, statusId };
+    // an id is null when its name is missing or inactive
+    async findIds(names) {
+      const ids = {};
+      for (const [key, { table, column }] of Object.entries(LOOKUP_TABLES)) {
+        if (names[key] === undefined) continue;
+        const [row] = await select(
+          `
+          SELECT TOP 1 id
+          FROM [dbo].[${table}]
+          WHERE ${column} = :name
+            AND row_status = 1
+          `,
+          { name: names[key] }
+        );
+        ids[`${key}Id`] = row?.id ?? null;
+      }
+      return ids;
+    },
+
+    // Create-user form dropdowns, including the active managers for "Reporting Manager"
+    async listOptions() {
+      const [personas, departments, types, statuses, clinics, screens, managers] = await Promise.all([
+        select(`SELECT id, persona FROM [dbo].[Personas] WHERE row_status = 1 ORDER BY id`),
+        select(`SELECT id, department FROM [dbo].[Departments] WHERE row_status = 1 ORDER BY id`),
+        select(`SELECT id, type FROM [dbo].[Types] WHERE row_status = 1 ORDER BY id`),
+        select(`SELECT id, status FROM [dbo].[Status] WHERE row_status = 1 ORDER BY id`),
+        select(`SELECT id, clinic FROM [dbo].[Clinics] WHERE row_status = 1 ORDER BY id`),
+        select(`SELECT id, screen_name, route_path FROM [dbo].[System_Screens] WHERE row_status = 1 ORDER BY id`),
+        select(
+          `
+          SELECT
+            su.id,
+            su.full_name
+          FROM [dbo].[System_Users] su
+          JOIN [dbo].[User_Role_Mapping] urm
+            ON su.user_role_mapping_id = urm.id
+          JOIN [dbo].[Types] t
+            ON urm.type_id = t.id
+          WHERE su.row_status = 1
+            AND urm.row_status = 1
+            AND t.row_status = 1
+            AND t.type = 'Manager'
+          ORDER BY su.full_name ASC
+          `
+        ),
+      ]);
+      return { personas, departments, types, statuses, clinics, screens, managers };
+    },
+
+    async listScreens() {
+      return select(
+        `
+        SELECT id, screen_name
+        FROM [dbo].[System_Screens]
+        WHERE row_status = 1
+        ORDER BY id
+        `
+      );
+    },
+  };
+
+  // -------------------- 2FA (User_Mfa, Mfa_Screen_Policy) --------------------
+  const mfa = {
+    // Remember the accepted TOTP step so the same code cannot be replayed
+    async markTotpUsed(mfaId, step) {
+      await sequelize.query(
+        `
+        UPDATE [dbo].[User_Mfa]
+        SET last_used_step = :step, modified_date = SYSDATETIME()
+        WHERE id = :mfaId
+        `,
+        { replacements: { step, mfaId }, type: UPDATE }
+      );
+    },
+
+    // hashes: recovery code hashes, null for codes already used
+    async saveRecoveryCodes(userId, hashes, byUserId = null) {
+      await sequelize.query(
+        `
+        UPDATE [dbo].[User_Mfa]
+        SET recovery_codes = :codes, modified_date = SYSDATETIME(), modified_by = :byUserId
+        WHERE user_id = :userId AND row_status = 1
+        `,
+        { replacements: { codes: JSON.stringify(hashes), userId, byUserId }, type: UPDATE }
+      );
+    },
+
+    // Replaces the user's active enrollment, or creates the first one
+    async saveEnrollment(userId, { secret, step, hashes }) {
+      const replacements = { userId, secret, step, codes: JSON.stringify(hashes) };
+
+      const [existing] = await select(
+        `
+        SELECT TOP 1 id
+        FROM [dbo].[User_Mfa]
+        WHERE user_id = :userId AND row_status = 1
+        ORDER BY id DESC
+        `,
+        { userId }
+      );
+
+      if (existing) {
+        await sequelize.query(
+          `
+          UPDATE [dbo].[User_Mfa]
+          SET totp_secret = :secret,
+              last_used_step = :step,
+              recovery_codes = :codes,
+              enrolled_date = SYSDATETIME(),
+              modified_date = SYSDATETIME(),
+              modified_by = :userId
+          WHERE id = :id
+          `,
+          { replacements: { ...replacements, id: existing.id }, type: UPDATE }
+        );
+        return;
+      }
+
+      await sequelize.query(
+        `
+        INSERT INTO [dbo].[User_Mfa] (
+          user_id, totp_secret, last_used_step, recovery_codes,
+          enrolled_date, created_date, created_by, modified_date, modified_by, row_status
+        )
+        VALUES (
+          :userId, :secret, :step, :codes,
+          SYSDATETIME(), SYSDATETIME(), :userId, SYSDATETIME(), :userId, 1
+        )
+        `,
+        { replacements, type: INSERT }
+      );
+    },
+
+    async disable(userId, byUserId = null) {
+      await sequelize.query(
+        `
+        UPDATE [dbo].[User_Mfa]
+        SET row_status = 0, modified_date = SYSDATETIME(), modified_by = :byUserId
+        WHERE user_id = :userId AND row_status = 1
+        `,
+        { replacements: { userId, byUserId }, type: UPDATE }
+      );
+    },
+
+    // Every active screen with whether it forces 2FA
+    async listScreenPolicy() {
+      return select(
+        `
+        SELECT
+          ss.id,
+          ss.screen_name,
+          ss.route_path,
+          CAST(CASE WHEN p.id IS NULL THEN 0 ELSE 1 END AS BIT) AS require_mfa
+        FROM [dbo].[System_Screens] ss
+        LEFT JOIN [dbo].[Mfa_Screen_Policy] p
+          ON p.system_screen_id = ss.id
+         AND p.row_status = 1
+         AND p.require_mfa = 1
+        WHERE ss.row_status = 1
+        ORDER BY ss.id
+        `
+      );
+    },
+
+    async setScreenPolicy(screenId, required, byUserId = null) {
+      const [existing] = await select(
+        `
+        SELECT TOP 1 id FROM [dbo].[Mfa_Screen_Policy]
+        WHERE system_screen_id = :screenId AND row_status = 1
+        `,
+        { screenId }
+      );
+
+      if (existing) {
+        await sequelize.query(
+          `
+          UPDATE [dbo].[Mfa_Screen_Policy]
+          SET require_mfa = :required, modified_date = SYSDATETIME(), modified_by = :byUserId
+          WHERE id = :id
+          `,
+          { replacements: { required: required ? 1 : 0, byUserId, id: existing.id }, type: UPDATE }
+        );
+      } else if (required) {
+        await sequelize.query(
+          `
+          INSERT INTO [dbo].[Mfa_Screen_Policy] (
+            system_screen_id, require_mfa, created_date, created_by, modified_date, modified_by, row_status
+          )
+          VALUES (:screenId, 1, SYSDATETIME(), :byUserId, SYSDATETIME(), :byUserId, 1)
+          `,
+          { replacements: { screenId, byUserId }, type: INSERT }
+        );
+      }
+    },
+  };
+
+  // -------------------- SSO identities (User_Oidc_Identities) --------------------
+  const oidc = {
+    async findLinkedUserId(providerId, subject) {
+      const [row] = await select(
+        `
+        SELECT TOP 1 user_id
+        FROM [dbo].[User_Oidc_Identities]
+        WHERE provider_id = :providerId
+          AND subject = :subject
+        `,
+        { providerId, subject }
+      );
+      return row?.user_id ?? null;
+    },
+
+    // signedIn: false for links an admin creates ahead of the first SSO login
+    async link({ userId, providerId, subject, email = null, signedIn = true }) {
+      await sequelize.query(
+        `
+        INSERT INTO [dbo].[User_Oidc_Identities] (user_id, provider_id, subject, email, created_date, last_login_date)
+        VALUES (:userId, :providerId, :subject, :email, SYSDATETIME(), ${signedIn ? 'SYSDATETIME()' : 'NULL'})
+        `,
+        { replacements: { userId, providerId, subject, email }, type: INSERT }
+      );
+    },
+
+    async listForUser(userId) {
+      return select(
+        `
+        SELECT id, provider_id, subject, email, created_date, last_login_date
+        FROM [dbo].[User_Oidc_Identities]
+        WHERE user_id = :userId
+        ORDER BY id
+        `,
+        { userId }
+      );
+    },
+
+    // Removed row { id, user_id, provider_id, subject } | null
+    async unlink(id) {
+      const [row] = await select(
+        `
+        DELETE FROM [dbo].[User_Oidc_Identities]
+        OUTPUT DELETED.id, DELETED.user_id, DELETED.provider_id, DELETED.subject
+        WHERE id = :id
+        `,
+        { id }
+      );
+      return row || null;
+    },
+
+    async touch(providerId, subject) {
+      await sequelize.query(
+        `
+        UPDATE [dbo].[User_Oidc_Identities]
+        SET last_login_date = SYSDATETIME()
+        WHERE provider_id = :providerId AND subject = :subject
+        `,
+        { replacements: { providerId, subject }, type: UPDATE }
+      );
+    },
+  };
+
+  // -------------------- Login lockout audit (Login_Security_Audit) --------------------
+  const loginAudit = {
+    async write({ eventType, scope, subject, ip = null, failCount = null, lockedUntil = null, actorUserId = null }) {
+      await sequelize.query(
+        `
+        INSERT INTO [dbo].[Login_Security_Audit]
+          (event_type, scope, subject, ip, fail_count, locked_until, actor_user_id, created_date)
+        VALUES
+          (:eventType, :scope, :subject, :ip, :failCount, :lockedUntil, :actorUserId, SYSDATETIME())
+        `,
+        {
+          replacements: { eventType, scope, subject, ip, failCount, lockedUntil, actorUserId },
+          type: INSERT,
+        }
+      );
+    },
+
+    async listRecent(limit = 200) {
+      return select(
+        `
+        SELECT TOP (:limit) id, event_type, scope, subject, ip, fail_count, locked_until, actor_user_id, created_date
+        FROM [dbo].[Login_Security_Audit]
+        ORDER BY id DESC
+        `,
+        { limit }
+      );
+    },
+  };
+
+  // -------------------- PHI access audit --------------------
+  // Append-only; an INSTEAD OF UPDATE, DELETE trigger rejects changes to existing rows.
+  // `filter` is already validated by the caller: from / to are YYYY-MM-DD (inclusive days).
+  const phiAuditWhere = ({ from, to, user, patient, action, outcome } = {}) => {
+    const where = ['1 = 1'];
+    const replacements = {};
+    if (from) {
+      where.push('a.created_date >= CAST(:from AS DATE)');
+      replacements.from = from;
+    }
+    if (to) {
+      where.push('a.created_date < DATEADD(day, 1, CAST(:to AS DATE))');
+      replacements.to = to;
+    }
+    if (user) {
+      where.push('(a.user_email LIKE :user OR CAST(a.user_id AS NVARCHAR(20)) = :userExact)');
+      replacements.user = `%${user}%`;
+      replacements.userExact = user;
+    }
+    if (patient) {
+      where.push('(a.mrn = :patient OR CAST(a.patient_id AS NVARCHAR(20)) = :patient)');
+      replacements.patient = patient;
+    }
+    if (action) {
+      where.push('a.action = :action');
+      replacements.action = action;
+    }
+    if (outcome) {
+      where.push('a.outcome = :outcome');
+      replacements.outcome = outcome;
+    }
+    return { whereSql: where.join(' AND '), replacements };
+  };
+
+  const phiAudit = {
+    async write({ userId, userEmail, action, outcome, patientId, mrn, noteId, ip, userAgent, details = null }, { transaction = null } = {}) {
+      await sequelize.query(
+        `
+        INSERT INTO [dbo].[Phi_Access_Audit]
+          (user_id, user_email, action, outcome, patient_id, mrn, note_id, ip, user_agent, details, created_date)
+        VALUES
+          (:userId, :userEmail, :action, :outcome, :patientId, :mrn, :noteId, :ip, :userAgent, :details, SYSDATETIME())
+        `,
+        {
+          replacements: { userId, userEmail, action, outcome, patientId, mrn, noteId, ip, userAgent, details },
+          type: INSERT,
+          transaction,
+        }
+      );
+    },
+
+    async list(filter, { page, pageSize }) {
+      const { whereSql, replacements } = phiAuditWhere(filter);
+      const [countRow] = await select(
+        `SELECT COUNT(*) AS total FROM [dbo].[Phi_Access_Audit] a WHERE ${whereSql}`,
+        replacements
+      );
+      const rows = await select(
+        `
+        SELECT a.id, a.created_date, a.user_id, a.user_email, a.action, a.outcome,
+               a.patient_id, a.mrn, a.note_id, a.ip, a.details
+        FROM [dbo].[Phi_Access_Audit] a
+        WHERE ${whereSql}
+        ORDER BY a.id DESC
+        OFFSET :offset ROWS FETCH NEXT :pageSize ROWS ONLY
+        `,
+        { ...replacements, offset: (page - 1) * pageSize, pageSize }
+      );
+      return { rows, total: Number(countRow?.total || 0) };
+    },
+
+    async listAll(filter) {
+      const { whereSql, replacements } = phiAuditWhere(filter);
+      return select(
+        `
+        SELECT a.id, a.created_date, a.user_id, a.user_email, a.action, a.outcome,
+               a.patient_id, a.mrn, a.note_id, a.ip, a.user_agent, a.details
+        FROM [dbo].[Phi_Access_Audit] a
+        WHERE ${whereSql}
+        ORDER BY a.id DESC
+        `,
+        replacements
+      );
+    },
+  };
+
+  // -------------------- Admin activity log --------------------
+  // `filter` is already validated by the caller: from / to are YYYY-MM-DD (inclusive days).
+  const adminActivityWhere = ({ actor, target, from, to, action } = {}) => {
+    const where = ['1 = 1'];
+    const replacements = {};
+    if (actor) {
+      where.push('(a.actor_email LIKE :actor OR CAST(a.actor_user_id AS NVARCHAR(20)) = :actorExact)');
+      replacements.actor = `%${actor}%`;
+      replacements.actorExact = actor;
+    }
+    if (target) {
+      where.push('(tu.email LIKE :target OR tu.full_name LIKE :target OR CAST(a.target_user_id AS NVARCHAR(20)) = :targetExact)');
+      replacements.target = `%${target}%`;
+      replacements.targetExact = target;
+    }
+    if (from) {
+      where.push('a.created_date >= CAST(:from AS DATE)');
+      replacements.from = from;
+    }
+    if (to) {
+      where.push('a.created_date < DATEADD(day, 1, CAST(:to AS DATE))');
+      replacements.to = to;
+    }
+    if (action) {
+      where.push('a.action = :action');
+      replacements.action = action;
+    }
+    return { whereSql: where.join(' AND '), replacements };
+  };
+
+  const adminActivity = {
+    async write({ actorUserId, actorEmail, action, entity, entityId, targetUserId, beforeJson, afterJson, diffJson, ip }) {
+      await sequelize.query(
+        `
+        INSERT INTO [dbo].[Admin_Activity_Log]
+          (actor_user_id, actor_email, action, entity, entity_id, target_user_id,
+           before_json, after_json, diff_json, ip, created_date)
+        VALUES
+          (:actorUserId, :actorEmail, :action, :entity, :entityId, :targetUserId,
+           :beforeJson, :afterJson, :diffJson, :ip, SYSDATETIME())
+        `,
+        {
+          replacements: { actorUserId, actorEmail, action, entity, entityId, targetUserId, beforeJson, afterJson, diffJson, ip },
+          type: INSERT,
+        }
+      );
+    },
+
+    async list(filter, { page, pageSize }) {
+      const { whereSql, replacements } = adminActivityWhere(filter);
+      const fromSql = `
+        FROM [dbo].[Admin_Activity_Log] a
+        LEFT JOIN [dbo].[System_Users] tu ON tu.id = a.target_user_id
+        WHERE ${whereSql}
+      `;
+      const [countRow] = await select(`SELECT COUNT(*) AS total ${fromSql}`, replacements);
+      const rows = await select(
+        `
+        SELECT a.id, a.created_date, a.actor_user_id, a.actor_email, a.action, a.entity, a.entity_id,
+               a.target_user_id, tu.full_name AS target_name, tu.email AS target_email, a.diff_json, a.ip
+        ${fromSql}
+        ORDER BY a.id DESC
+        OFFSET :offset ROWS FETCH NEXT :pageSize ROWS ONLY
+        `,
+        { ...replacements, offset: (page - 1) * pageSize, pageSize }
+      );
+      return { rows, total: Number(countRow?.total || 0) };
+    },
+  };
+
+  // -------------------- Password reset tokens --------------------
+  const passwordResets = {
+    // An unused token issued within the last `seconds`
+    async hasRecent(userId, seconds) {
+      const [row] = await select(
+        `
+        SELECT TOP 1 id
+        FROM [dbo].[Password_Reset_Tokens]
+        WHERE user_id = :userId
+          AND used_date IS NULL
+          AND created_date > DATEADD(SECOND, -:seconds, SYSDATETIME())
+        `,
+        { userId, seconds }
+      );
+      return !!row;
+    },
+
+    async create({ userId, tokenHash, expiresAt, ip = null }) {
+      await sequelize.query(
+        `
+        INSERT INTO [dbo].[Password_Reset_Tokens] (user_id, token_hash, expires_date, requested_ip, created_date)
+        VALUES (:userId, :tokenHash, :expiresAt, :ip, SYSDATETIME())
+        `,
+        { replacements: { userId, tokenHash, expiresAt, ip }, type: INSERT }
+      );
+    },
+
+    // Claims the token, sets the new password and retires the user's other links in one
+    // transaction → false when the token was already used or has expired
+    async redeem({ userId, tokenHash, passwordHash }) {
+      return sequelize.transaction(async (transaction) => {
+        // A second request with the same token gets no row back
+        const claimed = await select(
+          `
+          UPDATE [dbo].[Password_Reset_Tokens]
+          SET used_date = SYSDATETIME()
+          OUTPUT INSERTED.id AS id
+          WHERE token_hash = :tokenHash
+            AND user_id = :userId
+            AND used_date IS NULL
+            AND expires_date > SYSDATETIME()
+          `,
+          { tokenHash, userId },
+          transaction
+        );
+        if (!claimed.length) return false;
+
+        await sequelize.query(
+          `
+          UPDATE [dbo].[System_Users]
+          SET password = :passwordHash, modified_date = SYSDATETIME(), modified_by = :userId
+          WHERE id = :userId
+          `,
+          { replacements: { passwordHash, userId }, type: UPDATE, transaction }
+        );
+
+        await sequelize.query(
+          `
+          UPDATE [dbo].[Password_Reset_Tokens]
+          SET used_date = SYSDATETIME()
+          WHERE user_id = :userId AND used_date IS NULL
+          `,
+          { replacements: { userId }, type: UPDATE, transaction }
+        );
+        return true;
+      });
+    },
+  };
+
+  // -------------------- Temporary access grants (User_Additional_Permissions) --------------------
+  const GRANT_STATUS_SQL = `
+    CASE
+      WHEN uap.row_status <> 1 THEN 'revoked'
+      WHEN uap.end_date IS NOT NULL AND uap.end_date < SYSDATETIME() THEN 'expired'
+      WHEN uap.start_date IS NOT NULL AND uap.start_date > SYSDATETIME() THEN 'scheduled'
+      ELSE 'active'
+    END
+  `;
+
+  const accessGrants = {
+    async find(grantId) {
+      const [row] = await select(
+        `
+        SELECT
+          uap.id, uap.user_id, uap.system_screen_id, uap.[read], uap.[write],
+          uap.start_date, uap.end_date, uap.row_status,
+          ${GRANT_STATUS_SQL} AS status
+        FROM [dbo].[User_Additional_Permissions] uap
+        WHERE uap.id = :grantId
+        `,
+        { grantId }
+      );
+      return row || null;
+    },
+
+    // Two live grants for the same user + screen would both match the permission joins
+    async findOverlapping({ userId, screenId, startDate, endDate, exceptId = null }) {
+      const [row] = await select(
+        `
+        SELECT TOP 1 uap.id
+        FROM [dbo].[User_Additional_Permissions] uap
+        WHERE uap.user_id = :userId
+          AND uap.system_screen_id = :screenId
+          AND uap.row_status = 1
+          AND (:exceptId IS NULL OR uap.id <> :exceptId)
+          AND (uap.start_date IS NULL OR uap.start_date < :endDate)
+          AND (uap.end_date   IS NULL OR uap.end_date   > :startDate)
+        `,
+        { userId, screenId, startDate, endDate, exceptId }
+      );
+      return row || null;
+    },
+
+    // Newest 500, live grants first; status is 'active' | 'scheduled' | 'expired' | 'revoked'
+    async list({ userId = null, status = null } = {}) {
+      const where = ['1 = 1'];
+      if (userId != null) where.push('uap.user_id = :userId');
+      if (status) where.push(`${GRANT_STATUS_SQL} = :status`);
+
+      return select(
+        `
+        SELECT TOP 500
+          uap.id,
+          uap.user_id,
+          su.full_name AS user_name,
+          su.email AS user_email,
+          uap.system_screen_id AS screen_id,
+          ss.screen_name,
+          CAST(COALESCE(uap.[read], 0) AS BIT)  AS [read],
+          CAST(COALESCE(uap.[write], 0) AS BIT) AS [write],
+          uap.start_date,
+          uap.end_date,
+          uap.created_date,
+          cb.email AS created_by_email,
+          ${GRANT_STATUS_SQL} AS status
+        FROM [dbo].[User_Additional_Permissions] uap
+        JOIN [dbo].[System_Users] su ON su.id = uap.user_id
+        LEFT JOIN [dbo].[System_Screens] ss ON ss.id = uap.system_screen_id
+        LEFT JOIN [dbo].[System_Users] cb ON cb.id = uap.created_by
+        WHERE ${where.join(' AND ')}
+        ORDER BY
+          CASE ${GRANT_STATUS_SQL} WHEN 'active' THEN 0 WHEN 'scheduled' THEN 1 ELSE 2 END,
+          uap.end_date DESC,
+          uap.id DESC
+        `,
+        { userId, status }
+      );
+    },
+
+    // Both the user and the screen exist and are active
+    async targetExists(userId, screenId) {
+      const [row] = await select(
+        `
+        SELECT su.id
+        FROM [dbo].[System_Users] su
+        CROSS JOIN [dbo].[System_Screens] ss
+        WHERE su.id = :userId AND su.row_status = 1
+          AND ss.id = :screenId AND ss.row_status = 1
+        `,
+        { userId, screenId }
+      );
+      return !!row;
+    },
+
+    // → new grant id
+    async create({ userId, screenId, read, write, startDate, endDate, createdBy = null }) {
+      const [inserted] = await select(
+        `
+        INSERT INTO [dbo].[User_Additional_Permissions] (
+          user_id,
+          system_screen_id,
+          [read],
+          [write],
+          start_date,
+          end_date,
+          created_date,
+          created_by,
+          modified_date,
+          modified_by,
+          row_status
+        )
+        OUTPUT INSERTED.id AS id
+        VALUES (
+          :userId,
+          :screenId,
+          :read,
+          :write,
+          :startDate,
+          :endDate,
+          SYSDATETIME(),
+          :createdBy,
+          SYSDATETIME(),
+          :createdBy,
+          1
+        )
+        `,
+        { userId, screenId, read: read ? 1 : 0, write: write ? 1 : 0, startDate, endDate, createdBy }
+      );
+      return inserted?.id ?? null;
+    },
+
+    async update(grantId, { read, write, startDate, endDate, modifiedBy = null }) {
+      await sequelize.query(
+        `
+        UPDATE [dbo].[User_Additional_Permissions]
+        SET [read] = :read,
+            [write] = :write,
+            start_date = :startDate,
+            end_date = :endDate,
+            modified_date = SYSDATETIME(),
+            modified_by = :modifiedBy
+        WHERE id = :grantId
+        `,
+        {
+          replacements: { grantId, read: read ? 1 : 0, write: write ? 1 : 0, startDate, endDate, modifiedBy },
+          type: UPDATE,
+        }
+      );
+    },
+
+    async revoke(grantId, modifiedBy = null) {
+      await sequelize.query(
+        `
+        UPDATE [dbo].[User_Additional_Permissions]
+        SET row_status = 0,
+            modified_date = SYSDATETIME(),
+            modified_by = :modifiedBy
+        WHERE id = :grantId
+        `,
+        { replacements: { grantId, modifiedBy }, type: UPDATE }
+      );
+    },
+  };
+
+  // -------------------- Role permission matrix (Access_Rights) --------------------
+  const accessRights = {
+    // Active roles with their user counts, and every live role default
+    async listMatrix() {
+      const [roles, rights] = await Promise.all([
+        select(
+          `
+          SELECT
+            urm.id,
+            p.persona,
+            d.department,
+            t.type,
+            CAST(CASE WHEN t.type = 'SuperAdmin' THEN 1 ELSE 0 END AS BIT) AS is_superadmin,
+            COUNT(su.id) AS user_count,
+            MIN(su.full_name) AS sample_user
+          FROM [dbo].[User_Role_Mapping] urm
+          JOIN [dbo].[Personas] p    ON urm.persona_id = p.id
+          JOIN [dbo].[Departments] d ON urm.department_id = d.id
+          JOIN [dbo].[Types] t       ON urm.type_id = t.id
+          LEFT JOIN [dbo].[System_Users] su
+            ON su.user_role_mapping_id = urm.id
+           AND su.row_status = 1
+          WHERE urm.row_status = 1
+          GROUP BY urm.id, p.persona, d.department, t.type
+          ORDER BY p.persona, d.department, t.type, urm.id
+          `
+        ),
+        select(
+          `
+          SELECT
+            user_role_mapping_id AS role_id,
+            system_screen_id AS screen_id,
+            CAST(COALESCE([read], 0) AS BIT)  AS [read],
+            CAST(COALESCE([write], 0) AS BIT) AS [write]
+          FROM [dbo].[Access_Rights]
+          WHERE row_status = 1
+          `
+        ),
+      ]);
+      return { roles, rights };
+    },
+
+    // Active roles among roleIds → [{ id, type }]
+    async listRoleTypes(roleIds) {
+      if (!roleIds.length) return [];
+      return select(
+        `
+        SELECT urm.id, t.type
+        FROM [dbo].[User_Role_Mapping] urm
+        JOIN [dbo].[Types] t ON urm.type_id = t.id
+        WHERE urm.id IN (:roleIds) AND urm.row_status = 1
+        `,
+        { roleIds }
+      );
+    },
+
+    // Writes [{ roleId, screenId, read, write }] in one transaction, skipping cells that already
+    // hold that value. `guard(tx)` runs after the writes with readers bound to the transaction
+    // (tx.listUsers(), tx.listRolesWithScreens(roleIds, screenIds)); false rolls everything back.
+    // → { saved, previous: live rows of the touched cells before the save }
+    async saveMatrix(changes, { actorId = null, guard = null } = {}) {
+      const roleIds = Array.from(new Set(changes.map((c) => c.roleId)));
+      const screenIds = Array.from(new Set(changes.map((c) => c.screenId)));
+      const ROLLED_BACK = Symbol('rolled back');
+
+      try {
+        return await sequelize.transaction(async (transaction) => {
+          const previous = await select(
+            `
+            SELECT id, user_role_mapping_id, system_screen_id, [read], [write]
+            FROM [dbo].[Access_Rights]
+            WHERE user_role_mapping_id IN (:roleIds)
+              AND system_screen_id IN (:screenIds)
+              AND row_status = 1
+            `,
+            { roleIds, screenIds },
+            transaction
+          );
+          const byCell = new Map(previous.map((r) => [`${r.user_role_mapping_id}:${r.system_screen_id}`, r]));
+
+          for (const c of changes) {
+            const current = byCell.get(`${c.roleId}:${c.screenId}`);
+            const replacements = { ...c, read: c.read ? 1 : 0, write: c.write ? 1 : 0, actorId };
+
+            if (current) {
+              if (!!current.read === !!c.read && (!c.read || !!current.write === !!c.write)) continue;
+              await sequelize.query(
+                `
+                UPDATE [dbo].[Access_Rights]
+                SET [read] = :read,
+                    [write] = :write,
+                    modified_date = SYSDATETIME(),
+                    modified_by = :actorId
+                WHERE user_role_mapping_id = :roleId
+                  AND system_screen_id = :screenId
+                  AND row_status = 1
+                `,
+                { replacements, type: UPDATE, transaction }
+              );
+            } else if (c.read) {
+              await sequelize.query(
+                `
+                INSERT INTO [dbo].[Access_Rights] (
+                  user_role_mapping_id,
+                  system_screen_id,
+                  [read],
+                  [write],
+                  [edit],
+                  [delete],
+                  created_date,
+                  created_by,
+                  modified_date,
+                  modified_by,
+                  row_status
+                )
+                VALUES (
+                  :roleId,
+                  :screenId,
+                  :read,
+                  :write,
+                  0,
+                  0,
+                  SYSDATETIME(),
+                  :actorId,
+                  SYSDATETIME(),
+                  :actorId,
+                  1
+                )
+                `,
+                { replacements, type: INSERT, transaction }
+              );
+            }
+          }
+
+          if (guard) {
+            const tx = {
+              listUsers: () =>
+                select(
+                  `
+                  SELECT su.id, su.full_name, su.email, su.user_role_mapping_id, t.type, s.status
+                  FROM [dbo].[System_Users] su
+                  JOIN [dbo].[User_Role_Mapping] urm ON su.user_role_mapping_id = urm.id AND urm.row_status = 1
+                  JOIN [dbo].[Types] t ON urm.type_id = t.id
+                  LEFT JOIN [dbo].[Status] s ON su.status_id = s.id
+                  WHERE su.row_status = 1
+                  `,
+                  {},
+                  transaction
+                ),
+              // Roles among roleIds with live read + write on every one of screenIds → [roleId]
+              listRolesWithScreens: async (ids, screens) => {
+                if (!ids.length) return [];
+                const rows = await select(
+                  `
+                  SELECT user_role_mapping_id, COUNT(DISTINCT system_screen_id) AS screens
+                  FROM [dbo].[Access_Rights]
+                  WHERE user_role_mapping_id IN (:ids)
+                    AND system_screen_id IN (:screens)
+                    AND row_status = 1
+                    AND [read] = 1
+                    AND [write] = 1
+                  GROUP BY user_role_mapping_id
+                  `,
+                  { ids, screens },
+                  transaction
+                );
+                return rows.filter((r) => Number(r.screens) === screens.length).map((r) => r.user_role_mapping_id);
+              },
+            };
+            if (!(await guard(tx))) throw ROLLED_BACK;
+          }
+
+          return { saved: true, previous };
+        });
+      } catch (err) {
+        if (err === ROLLED_BACK) return { saved: false, previous: [] };
+        throw err;
+      }
+    },
+  };
+
+  // -------------------- Legacy tables (assignusers, auth_users) --------------------
+  const legacy = {
+    async findAssignment(userId) {
+      const [row] = await select('SELECT * FROM [dbo].[assignusers] WHERE user_id = :userId', { userId });
+      return row || null;
+    },
+
+    async saveAssignment({ userId, providerId = null, scribeId = null, level = null }) {
+      const replacements = { userId, providerId, scribeId, level };
+      const [existing] = await select('SELECT TOP 1 id FROM [dbo].[assignusers] WHERE user_id = :userId', { userId });
+
+      if (existing) {
+        await sequelize.query(
+          `
+          UPDATE [dbo].[assignusers]
+          SET provider_id = :providerId, scribe_id = :scribeId, level = :level, updated_at = GETDATE()
+          WHERE user_id = :userId
+          `,
+          { replacements, type: UPDATE }
+        );
+      } else {
+        await sequelize.query(
+          `
+          INSERT INTO [dbo].[assignusers] (user_id, provider_id, scribe_id, level, created_at)
+          VALUES (:userId, :providerId, :scribeId, :level, GETDATE())
+          `,
+          { replacements, type: INSERT }
+        );
+      }
+    },
+
+    async findAuthUser(email) {
+      const [row] = await select(
+        `
+        SELECT id, name, email, password_hash, reporting_manager
+        FROM [dbo].[auth_users]
+        WHERE email = :email
+        `,
+        { email }
+      );
+      return row || null;
+    },
+
+    async updateAuthUserHash(id, hash) {
+      await sequelize.query(
+        `
+        UPDATE [dbo].[auth_users]
+        SET password_hash = :hash
+        WHERE id = :id
+        `,
+        { replacements: { hash, id }, type: UPDATE }
+      );
+    },
+  };
+
+  return {
+    dialect: 'mssql',
+    // Schema is owned by the Azure SQL database; nothing to prepare
+    async prepare() {},
+    users,
+    templates,
+    notes,
+    drugs,
+    mappings,
+    hierarchy,
+    encounters,
+    metrics,
+    lookups,
+    mfa,
+    oidc,
+    loginAudit,
+    phiAudit,
+    adminActivity,
+    passwordResets,
+    accessGrants,
+    accessRights,
+    legacy,
+  };
+}
+
+module.exports = { createMssqlRepositories, normalizeDrugTerm, valuesList, chunks, METRIC_BATCH };
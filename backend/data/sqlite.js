@@ -0,0 +1,1988 @@
+// ========================================
+// Repositories – local SQLite stand-in
+// ========================================
+// Same interface as ./mssql.js, for local development and integration tests
+// without Azure SQL (DB_ENGINE=sqlite). prepare() creates the schema from
+// fixtures/sqlite-schema.sql and seeds fixtures/seed.js (or the `fixtures` option,
+// e.g. fixtures/mock.js in mock mode) into an empty database.
+//
+// Differences from T-SQL handled here: LIMIT instead of TOP, the driver's last
+// insert id instead of OUTPUT INSERTED, CURRENT_TIMESTAMP / datetime() instead of
+// SYSDATETIME() / DATEADD, and no [dbo] schema. Dates are stored as UTC text and returned as ISO strings.
+
+const fs = require('fs');
+const path = require('path');
+const { Sequelize } = require('sequelize');
+const { hashPassword } = require('../auth/password-hash');
+const { normalizeDrugTerm, valuesList, chunks, METRIC_BATCH } = require('./mssql');
+const { FIXTURES } = require('./fixtures/seed');
+
+const { SELECT, INSERT, UPDATE } = Sequelize.QueryTypes;
+
+const SCHEMA_FILE = path.join(__dirname, 'fixtures', 'sqlite-schema.sql');
+
+// UTC text column → ISO-8601 so callers parse it the same as an MSSQL DATETIME2
+const iso = (col) => `strftime('%Y-%m-%dT%H:%M:%SZ', ${col})`;
+
+// Columns added by later migrations; CREATE TABLE IF NOT EXISTS leaves an older local.sqlite without them
+const ADDED_COLUMNS = [['Phi_Access_Audit', 'details', 'TEXT NULL']];
+
+function createSqliteRepositories(sequelize, { fixtures = FIXTURES } = {}) {
+  const select = (sql, replacements = {}, transaction = undefined) =>
+    sequelize.query(sql, { replacements, type: SELECT, transaction });
+
+  // -------------------- Schema + seed --------------------
+  async function prepare() {
+    // sqlite3 runs one statement per call, and Sequelize skips SQL that starts with a comment
+    const statements = fs
+      .readFileSync(SCHEMA_FILE, 'utf8')
+      .replace(/^\s*--.*$/gm, '')
+      .split(/;\s*$/m)
+      .map((s) => s.trim())
+      .filter(Boolean);
+
+    for (const sql of statements) {
+      await sequelize.query(sql);
+    }
+
+    for (const [table, column, type] of ADDED_COLUMNS) {
+      const cols = await select(`PRAGMA table_info(${table})`);
+      if (!cols.some((c) => c.name === column)) await sequelize.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+    }
+
+    const [{ n }] = await select('SELECT COUNT(*) AS n FROM System_Users');
+    if (n > 0) return;
+
+    await sequelize.transaction(async (transaction) => {
+      for (const [table, rows] of Object.entries(fixtures)) {
+        for (const fixture of rows) {
+          const row = { ...fixture };
+          if (row.password) row.password = await hashPassword(row.password);
+
+          const cols = Object.keys(row);
+          await sequelize.query(
+            `INSERT INTO ${table} (${cols.map((c) => `"${c}"`).join(', ')})
+             VALUES (${cols.map((c) => `:${c}`).join(', ')})`,
+            { replacements: row, type: INSERT, transaction }
+          );
+        }
+      }
+    });
+
+    console.log(`[DB] SQLite database seeded with ${fixtures === FIXTURES ? 'local' : 'mock'} fixtures`);
+  }
+
+  // -------------------- Users --------------------
+  const users = {
+    async findLoginUser({ id = null, email = null, caseInsensitive = false }) {
+      const where = id != null
+        ? 'su.id = :id'
+        : caseInsensitive ? 'LOWER(su.email) = LOWER(:email)' : 'su.email = :email';
+
+      const [row] = await select(
+        `
+        SELECT
+          su.id,
+          su.full_name,
+          su.email,
+          su.password,
+          su.manager_user_id,
+          su.clinic_id,
+          su.xr_id,
+          su.status_id,
+          su.user_role_mapping_id,
+          p.persona,
+          d.department,
+          t.type,
+          s.status
+        FROM System_Users su
+        JOIN User_Role_Mapping urm ON su.user_role_mapping_id = urm.id
+        JOIN Personas p ON urm.persona_id = p.id
+        JOIN Departments d ON urm.department_id = d.id
+        JOIN Types t ON urm.type_id = t.id
+        LEFT JOIN Status s ON su.status_id = s.id
+        WHERE ${where}
+          AND su.row_status = 1
+          AND urm.row_status = 1
+          AND p.row_status = 1
+          AND d.row_status = 1
+          AND t.row_status = 1
+        LIMIT 1
+        `,
+        { id, email }
+      );
+      return row || null;
+    },
+
+    async findIdByXrId(xrId) {
+      const [row] = await select(
+        `
+        SELECT id
+        FROM System_Users
+        WHERE row_status = 1
+          AND LOWER(TRIM(xr_id)) = LOWER(:xrId)
+        ORDER BY id
+        LIMIT 1
+        `,
+        { xrId: String(xrId || '').trim() }
+      );
+      return row?.id ?? null;
+    },
+
+    async updatePasswordHash(userId, hash) {
+      await sequelize.query(
+        `UPDATE System_Users SET password = :hash, modified_date = CURRENT_TIMESTAMP WHERE id = :id`,
+        { replacements: { hash, id: userId }, type: UPDATE }
+      );
+    },
+
+    async loadEffectiveScreens(sessionUser) {
+      if (sessionUser.type === 'SuperAdmin') {
+        const screens = await select(
+          `
+          SELECT id, screen_name, route_path, 1 AS "read", 1 AS "write", 1 AS "edit", 1 AS "delete"
+          FROM System_Screens
+          WHERE row_status = 1
+          ORDER BY id
+          `
+        );
+        return { screens, nextChangeAt: null };
+      }
+
+      const replacements = { userRoleMappingId: sessionUser.userRoleMappingId, userId: sessionUser.id };
+
+      const screens = await select(
+        `
+        SELECT
+          ss.id,
+          ss.screen_name,
+          ss.route_path,
+          COALESCE(uap."read",   ar."read",   0) AS "read",
+          COALESCE(uap."write",  ar."write",  0) AS "write",
+          COALESCE(uap."edit",   ar."edit",   0) AS "edit",
+          COALESCE(uap."delete", ar."delete", 0) AS "delete",
+          uap.id AS grant_id,
+          ${iso('uap.end_date')} AS grant_end_date
+        FROM System_Screens ss
+        LEFT JOIN Access_Rights ar
+          ON ar.system_screen_id = ss.id
+         AND ar.user_role_mapping_id = :userRoleMappingId
+         AND ar.row_status = 1
+        LEFT JOIN User_Additional_Permissions uap
+          ON uap.system_screen_id = ss.id
+         AND uap.user_id = :userId
+         AND uap.row_status = 1
+         AND (uap.start_date IS NULL OR datetime(uap.start_date) <= datetime('now'))
+         AND (uap.end_date   IS NULL OR datetime(uap.end_date)   >= datetime('now'))
+        WHERE ss.row_status = 1
+          AND (COALESCE(uap."read", ar."read", 0) = 1 OR COALESCE(uap."write", ar."write", 0) = 1)
+        ORDER BY ss.id
+        `,
+        replacements
+      );
+
+      const [boundary] = await select(
+        `
+        SELECT ${iso('MIN(b)')} AS next_change
+        FROM (
+          SELECT datetime(start_date) AS b
+          FROM User_Additional_Permissions
+          WHERE user_id = :userId AND row_status = 1 AND datetime(start_date) > datetime('now')
+          UNION ALL
+          SELECT datetime(end_date, '+1 second')
+          FROM User_Additional_Permissions
+          WHERE user_id = :userId AND row_status = 1 AND datetime(end_date) >= datetime('now')
+        ) x
+        `,
+        replacements
+      );
+
+      return { screens, nextChangeAt: boundary?.next_change || null };
+    },
+
+    async findActiveMfa(userId) {
+      const [row] = await select(
+        `
+        SELECT id, user_id, totp_secret, last_used_step, recovery_codes, ${iso('enrolled_date')} AS enrolled_date
+        FROM User_Mfa
+        WHERE user_id = :userId AND row_status = 1
+        ORDER BY id DESC
+        LIMIT 1
+        `,
+        { userId }
+      );
+      return row || null;
+    },
+
+    async hasMfaRequiredScreen(sessionUser) {
+      if (sessionUser.type === 'SuperAdmin') {
+        const rows = await select(
+          `
+          SELECT p.id
+          FROM Mfa_Screen_Policy p
+          JOIN System_Screens ss ON ss.id = p.system_screen_id AND ss.row_status = 1
+          WHERE p.row_status = 1 AND p.require_mfa = 1
+          LIMIT 1
+          `
+        );
+        return rows.length > 0;
+      }
+
+      if (!sessionUser.userRoleMappingId) return false;
+
+      const rows = await select(
+        `
+        SELECT p.id
+        FROM Mfa_Screen_Policy p
+        JOIN System_Screens ss ON ss.id = p.system_screen_id AND ss.row_status = 1
+        LEFT JOIN Access_Rights ar
+          ON ar.system_screen_id = ss.id
+         AND ar.user_role_mapping_id = :urmId
+         AND ar.row_status = 1
+        LEFT JOIN User_Additional_Permissions uap
+          ON uap.system_screen_id = ss.id
+         AND uap.user_id = :userId
+         AND uap.row_status = 1
+         AND (uap.start_date IS NULL OR datetime(uap.start_date) <= datetime('now'))
+         AND (uap.end_date   IS NULL OR datetime(uap.end_date)   >= datetime('now'))
+        WHERE p.row_status = 1
+          AND p.require_mfa = 1
+          AND COALESCE(uap."read", ar."read", 0) = 1
+        LIMIT 1
+        `,
+        { urmId: sessionUser.userRoleMappingId, userId: sessionUser.id }
+      );
+      return rows.length > 0;
+    },
+
+    async findXrIdById(userId) {
+      const [row] = await select(
+        `SELECT xr_id FROM System_Users WHERE row_status = 1 AND id = :userId LIMIT 1`,
+        { userId }
+      );
+      return row?.xr_id ? String(row.xr_id).trim() : null;
+    },
+
+    async existsByEmail(email) {
+      const [row] = await select(
+        `SELECT id FROM System_Users WHERE email = :email AND row_status = 1 LIMIT 1`,
+        { email }
+      );
+      return !!row;
+    },
+
+    async findForPasswordReset({ id = null, email = null }) {
+      if (id != null) {
+        const [row] = await select(
+          `SELECT id, full_name, email, password FROM System_Users WHERE id = :id AND row_status = 1 LIMIT 1`,
+          { id }
+        );
+        return row || null;
+      }
+
+      const [row] = await select(
+        `
+        SELECT su.id, su.full_name, su.email, su.password
+        FROM System_Users su
+        LEFT JOIN Status s ON su.status_id = s.id
+        WHERE su.email = :email
+          AND su.row_status = 1
+          AND (s.status IS NULL OR s.status = 'Active')
+        LIMIT 1
+        `,
+        { email }
+      );
+      return row || null;
+    },
+
+    async countByRole() {
+      const personaCount = (persona) => `
+        SELECT COUNT(*)
+        FROM System_Users su
+        JOIN User_Role_Mapping urm ON su.user_role_mapping_id = urm.id
+        JOIN Personas p ON urm.persona_id = p.id
+        WHERE su.row_status = 1 AND urm.row_status = 1 AND p.row_status = 1 AND p.persona = '${persona}'
+      `;
+
+      const [row] = await select(
+        `
+        SELECT
+          (SELECT COUNT(*) FROM System_Users WHERE row_status = 1) AS total_users,
+          (${personaCount('Provider')}) AS total_providers,
+          (${personaCount('Employee')}) AS total_employees,
+          (
+            SELECT COUNT(*)
+            FROM System_Users su
+            JOIN User_Role_Mapping urm ON su.user_role_mapping_id = urm.id
+            JOIN Types t ON urm.type_id = t.id
+            WHERE su.row_status = 1 AND urm.row_status = 1 AND t.row_status = 1 AND t.type = 'Scribe'
+          ) AS total_scribes
+        `
+      );
+      return {
+        totalUsers: Number(row?.total_users || 0),
+        totalProviders: Number(row?.total_providers || 0),
+        totalEmployees: Number(row?.total_employees || 0),
+        totalScribes: Number(row?.total_scribes || 0),
+      };
+    },
+
+    // The fixtures number personas / types differently from production (persona 5 = Provider,
+    // type 4 = Scribe there), so the role queries below match on the names instead
+    async listAssignable({ managerId = null } = {}) {
+      return select(
+        `
+        SELECT
+          su.id,
+          su.full_name,
+          su.email,
+          su.xr_id,
+          su.clinic_id,
+          CASE
+            WHEN vur.persona = 'Provider' THEN 'Provider'
+            WHEN vur.type = 'Scribe' THEN 'Scribe'
+            ELSE 'Other'
+          END AS userType
+        FROM System_Users su
+        JOIN View_User_Role_Mapping vur ON su.user_role_mapping_id = vur.id
+        WHERE su.row_status = 1
+          AND su.status_id = 1
+          AND (
+            vur.persona = 'Provider'
+            OR (vur.type = 'Scribe' AND (:managerId IS NULL OR su.manager_user_id = :managerId))
+          )
+        ORDER BY su.full_name ASC
+        `,
+        { managerId }
+      );
+    },
+
+    async listScribeOptions({ managerId = null } = {}) {
+      return select(
+        `
+        SELECT su.id, su.full_name, su.email, su.xr_id, su.manager_user_id, mgr.full_name AS manager_name
+        FROM System_Users su
+        LEFT JOIN System_Users mgr ON mgr.id = su.manager_user_id AND mgr.row_status = 1
+        WHERE su.row_status = 1
+          AND su.user_role_mapping_id IN (SELECT id FROM View_User_Role_Mapping WHERE type = 'Scribe')
+          AND (:managerId IS NULL OR su.manager_user_id = :managerId)
+        ORDER BY su.full_name
+        `,
+        { managerId }
+      );
+    },
+
+    async listProviderOptions() {
+      return select(
+        `
+        SELECT su.id, su.full_name, su.email, su.xr_id, su.clinic_id
+        FROM System_Users su
+        WHERE su.row_status = 1
+          AND su.status_id = 1
+          AND su.user_role_mapping_id IN (SELECT id FROM View_User_Role_Mapping WHERE persona = 'Provider')
+        ORDER BY su.full_name
+        `
+      );
+    },
+
+    async listClinicProviders(clinicId) {
+      return select(
+        `
+        SELECT su.id, su.full_name
+        FROM System_Users su
+        JOIN User_Role_Mapping urm ON su.user_role_mapping_id = urm.id AND urm.row_status = 1
+        JOIN Personas p ON urm.persona_id = p.id AND p.row_status = 1 AND p.persona = 'Provider'
+        WHERE su.clinic_id = :clinicId
+          AND su.status_id = 1
+          AND su.row_status = 1
+        ORDER BY su.full_name ASC
+        `,
+        { clinicId }
+      );
+    },
+
+    // Distinct clinics of the given users (null clinics skipped)
+    async listClinicIds(userIds) {
+      if (!userIds.length) return [];
+      const rows = await select(
+        `SELECT DISTINCT clinic_id FROM System_Users WHERE id IN (:userIds) AND clinic_id IS NOT NULL`,
+        { userIds }
+      );
+      return rows.map((r) => Number(r.clinic_id));
+    },
+
+    async create({ roleMappingId = null, role = null, user, rights = [], createdBy = null }) {
+      return sequelize.transaction(async (transaction) => {
+        let userRoleMappingId = roleMappingId;
+
+        if (!userRoleMappingId) {
+          [userRoleMappingId] = await sequelize.query(
+            `
+            INSERT INTO User_Role_Mapping
+              (persona_id, department_id, type_id, created_date, created_by, modified_date, modified_by, row_status)
+            VALUES
+              (:personaId, :departmentId, :typeId, CURRENT_TIMESTAMP, :createdBy, CURRENT_TIMESTAMP, :createdBy, 1)
+            `,
+            { replacements: { ...role, createdBy }, type: INSERT, transaction }
+          );
+        }
+
+        const [userId] = await sequelize.query(
+          `
+          INSERT INTO System_Users (
+            full_name, email, password, manager_user_id, clinic_id, xr_id, status_id,
+            user_role_mapping_id, contact_no_primary, mrn_no,
+            created_date, created_by, modified_date, modified_by, row_status
+          )
+          VALUES (
+            :fullName, :email, :password, :managerUserId, :clinicId, :xrId, :statusId,
+            :userRoleMappingId, :contactNoPrimary, :mrnNo,
+            CURRENT_TIMESTAMP, :createdBy, CURRENT_TIMESTAMP, :createdBy, 1
+          )
+          `,
+          {
+            replacements: {
+              fullName: user.fullName,
+              email: user.email,
+              password: user.passwordHash,
+              managerUserId: user.managerUserId ?? null,
+              clinicId: user.clinicId ?? null,
+              xrId: user.xrId ?? null,
+              statusId: user.statusId,
+              userRoleMappingId,
+              contactNoPrimary: user.contactNoPrimary ?? null,
+              mrnNo: user.mrnNo ?? null,
+              createdBy,
+            },
+            type: INSERT,
+            transaction,
+          }
+        );
+
+        for (const r of rights) {
+          await sequelize.query(
+            `
+            INSERT INTO Access_Rights (
+              user_role_mapping_id, system_screen_id, "read", "write", "edit", "delete",
+              created_date, created_by, modified_date, modified_by, row_status
+            )
+            VALUES (
+              :userRoleMappingId, :screenId, :read, :write, :edit, :delete,
+              CURRENT_TIMESTAMP, :createdBy, CURRENT_TIMESTAMP, :createdBy, 1
+            )
+            `,
+            {
+              replacements: {
+                userRoleMappingId,
+                screenId: r.screenId,
+                read: r.read ? 1 : 0,
+                write: r.write ? 1 : 0,
+                edit: r.edit ? 1 : 0,
+                delete: r.delete ? 1 : 0,
+                createdBy,
+              },
+              type: INSERT,
+              transaction,
+            }
+          );
+        }
+
+        return { userId: userId ?? null, userRoleMappingId };
+      });
+    },
+  };
+
+  // -------------------- Templates --------------------
+  const templates = {
+    async list() {
+      return select(
+        `SELECT id, template AS name, short_name FROM Templates WHERE row_status = 1 ORDER BY template ASC`
+      );
+    },
+
+    async findActive(templateId) {
+      const [row] = await select(
+        `SELECT id, template AS name, short_name FROM Templates WHERE id = :templateId AND row_status = 1 LIMIT 1`,
+        { templateId }
+      );
+      return row || null;
+    },
+
+    async listComponents(templateId) {
+      return select(
+        `
+        SELECT v.mapping_id, v.component AS name, v.position
+        FROM View_Template_Component_Mapping v
+        WHERE v.template_id = :templateId AND v.row_status = 1
+        ORDER BY v.position ASC
+        `,
+        { templateId }
+      );
+    },
+  };
+
+  // -------------------- Notes (patients + Patient_Notes) --------------------
+  const notes = {
+    async listPatientNoteAuthors({ mrn = null, patientId = null }) {
+      return select(
+        `
+        SELECT su.id AS patient_id, su.clinic_id AS patient_clinic_id, su.mrn_no, pn.doctor_id
+        FROM System_Users su
+        LEFT JOIN Patient_Notes pn ON pn.patient_id = su.id
+        WHERE ${mrn != null ? 'su.mrn_no = :mrn' : 'su.id = :patientId'}
+        `,
+        { mrn, patientId }
+      );
+    },
+
+    async findPatientByMrn(mrn) {
+      const [row] = await select(
+        `SELECT id AS patient_id, full_name FROM System_Users WHERE mrn_no = :mrn LIMIT 1`,
+        { mrn }
+      );
+      return row || null;
+    },
+
+    async listPatientNotesByMrn(mrn) {
+      return select(
+        `
+        SELECT
+          su.id                  AS patient_id,
+          su.full_name           AS full_name,
+          su.email               AS email,
+          su.mrn_no              AS mrn_no,
+          su.contact_no_primary  AS contact_no_primary,
+          pn.id                  AS note_id,
+          pn.doctor_id           AS doctor_id,
+          ${iso('pn.created_date')} AS document_created_date,
+          MAX(vpn.template)      AS template,
+          MAX(vpn.short_name)    AS short_name
+        FROM System_Users su
+        LEFT JOIN Patient_Notes pn ON pn.patient_id = su.id
+        LEFT JOIN View_Patient_Note_Content vpn ON vpn.patient_note_id = pn.id
+        WHERE su.mrn_no = :mrn
+        GROUP BY su.id, su.full_name, su.email, su.mrn_no, su.contact_no_primary, pn.id, pn.doctor_id, pn.created_date
+        ORDER BY pn.created_date DESC
+        `,
+        { mrn }
+      );
+    },
+
+    async listNoteSections(noteId) {
+      return select(
+        `
+        SELECT
+          pn.id AS patient_note_id,
+          pn.patient_id,
+          pn.doctor_id,
+          ${iso('pn.created_date')} AS document_created_date,
+          vpn.template,
+          vpn.short_name,
+          vpn.position,
+          vpn.component,
+          vpn.text
+        FROM Patient_Notes pn
+        LEFT JOIN View_Patient_Note_Content vpn ON vpn.patient_note_id = pn.id
+        WHERE pn.id = :noteId
+        ORDER BY vpn.position ASC
+        `,
+        { noteId }
+      );
+    },
+
+    async listPatientNoteContent(patientId, { providerIds = null } = {}) {
+      return select(
+        `
+        SELECT
+          pn.id AS note_id,
+          ${iso('pn.created_date')} AS created_date,
+          v.position,
+          v.component,
+          v.text
+        FROM Patient_Notes pn
+        LEFT JOIN View_Patient_Note_Content v ON v.patient_note_id = pn.id
+        WHERE pn.patient_id = :patientId
+          ${providerIds ? 'AND pn.doctor_id IN (:providerIds)' : ''}
+        ORDER BY pn.created_date DESC, pn.id DESC, v.position ASC
+        `,
+        { patientId, providerIds }
+      );
+    },
+
+    // beforeCommit(patientNoteId, transaction) → boolean runs inside the insert transaction;
+    // false rolls the note back and resolves null
+    async createTemplateNote(note, contentRows, { beforeCommit = null } = {}) {
+      // Client timestamps arrive as ISO strings; store them in the same UTC text form as the seed
+      const ts = (param) => `COALESCE(datetime(:${param}), CURRENT_TIMESTAMP)`;
+
+      const rolledBack = new Error('createTemplateNote rolled back by beforeCommit');
+
+      return sequelize.transaction(async (transaction) => {
+        // INSERT queries resolve to [lastID, changes] on SQLite
+        const [patientNoteId] = await sequelize.query(
+          `
+          INSERT INTO Patient_Notes
+            (patient_id, doctor_id, created_date, created_by, modified_date, modified_by, row_status)
+          VALUES
+            (:patient_id, :doctor_id, ${ts('created_date')}, :created_by, ${ts('modified_date')}, :modified_by, :row_status)
+          `,
+          { replacements: note, type: INSERT, transaction }
+        );
+
+        if (!patientNoteId) throw new Error('Failed to create Patient_Notes row (no id returned)');
+
+        for (const row of contentRows) {
+          await sequelize.query(
+            `
+            INSERT INTO Patient_Note_Content
+              (patient_note_id, template_component_mapping_id, text, edit_count, created_date, created_by, modified_date, modified_by, row_status)
+            VALUES
+              (:patient_note_id, :template_component_mapping_id, :text, :edit_count, ${ts('created_date')}, :created_by, ${ts('modified_date')}, :modified_by, :row_status)
+            `,
+            { replacements: { ...row, patient_note_id: patientNoteId }, type: INSERT, transaction }
+          );
+        }
+
+        if (beforeCommit && !(await beforeCommit(patientNoteId, transaction))) throw rolledBack;
+        return patientNoteId;
+      }).catch((e) => {
+        if (e === rolledBack) return null;
+        throw e;
+      });
+    },
+  };
+
+  // -------------------- Drugs --------------------
+  const DRUG_NORM_EXPR =
+    `REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(LOWER(drug), '-', ''), ',', ''), '/', ''), '.', ''), '''', ''), ' ', ''), '(', ''), ')', '')`;
+
+  const drugs = {
+    async findMatch(query) {
+      const raw = String(query || '').trim();
+      const norm = normalizeDrugTerm(raw);
+
+      const [row] = await select(
+        `
+        SELECT drug AS name
+        FROM DrugMaster
+        WHERE status = 1
+          AND drug IS NOT NULL
+          AND (
+            LOWER(drug) = LOWER(:raw)
+            OR LOWER(drug) LIKE LOWER(:rawLike)
+            OR ${DRUG_NORM_EXPR} = :norm
+            OR ${DRUG_NORM_EXPR} LIKE :normLike
+          )
+        ORDER BY
+          CASE
+            WHEN ${DRUG_NORM_EXPR} = :norm THEN 1
+            WHEN LOWER(drug) = LOWER(:raw) THEN 2
+            WHEN ${DRUG_NORM_EXPR} LIKE :normLike THEN 3
+            ELSE 4
+          END,
+          drug
+        LIMIT 1
+        `,
+        { raw, rawLike: `%${raw}%`, norm, normLike: `%${norm}%` }
+      );
+      return row?.name || null;
+    },
+  };
+
+  // -------------------- Scribe ⇄ Provider mappings --------------------
+  const mappings = {
+    async findActivePairForUser(userId) {
+      const [row] = await select(
+        `
+        SELECT id AS mappingId, scribe_user_id AS scribeId, provider_user_id AS doctorId
+        FROM Scribe_Provider_Mapping
+        WHERE row_status = 1
+          AND (:uid IN (scribe_user_id, provider_user_id))
+        ORDER BY id DESC
+        LIMIT 1
+        `,
+        { uid: userId }
+      );
+      return row || null;
+    },
+
+    async listProviderIdsForScribe(scribeUserId) {
+      const rows = await select(
+        `
+        SELECT provider_user_id AS providerId
+        FROM Scribe_Provider_Mapping
+        WHERE row_status = 1 AND scribe_user_id = :userId
+        `,
+        { userId: scribeUserId }
+      );
+      return rows.map((r) => r.providerId).filter((id) => id != null);
+    },
+
+    async listMappedProviderIds() {
+      const rows = await select(
+        `
+        SELECT DISTINCT provider_user_id
+        FROM Scribe_Provider_Mapping
+        WHERE row_status = 1 AND provider_user_id IS NOT NULL
+        `
+      );
+      return rows.map((r) => r.provider_user_id);
+    },
+
+    async listDetailed({ managerId = null } = {}) {
+      return select(
+        `
+        SELECT
+          m.id,
+          s.id          AS scribe_id,
+          s.full_name   AS scribe_name,
+          s.email       AS scribe_email,
+          s.xr_id       AS scribe_xr_id,
+          p.id          AS provider_id,
+          p.full_name   AS provider_name,
+          p.email       AS provider_email,
+          p.xr_id       AS provider_xr_id,
+          p.clinic_id   AS provider_clinic_id,
+          c.clinic      AS provider_clinic_name,
+          mgr.full_name AS scribe_manager_name
+        FROM Scribe_Provider_Mapping m
+        JOIN System_Users s ON m.scribe_user_id = s.id AND s.row_status = 1
+        JOIN System_Users p ON m.provider_user_id = p.id AND p.row_status = 1
+        LEFT JOIN Clinics c ON p.clinic_id = c.id AND c.row_status = 1
+        LEFT JOIN System_Users mgr ON s.manager_user_id = mgr.id AND mgr.row_status = 1
+        WHERE m.row_status = 1
+          AND (:allScribes = 1 OR s.manager_user_id = :managerId)
+        ORDER BY s.full_name ASC, p.full_name ASC
+        `,
+        { allScribes: managerId == null ? 1 : 0, managerId }
+      );
+    },
+
+    async isScribeManagedBy(scribeUserId, managerUserId) {
+      const [row] = await select(
+        `
+        SELECT id FROM System_Users
+        WHERE id = :scribeId AND manager_user_id = :managerId AND row_status = 1
+        LIMIT 1
+        `,
+        { scribeId: scribeUserId, managerId: managerUserId }
+      );
+      return !!row;
+    },
+
+    async saveForScribe({ scribeUserId, providerUserId, byUserId = null }) {
+      const replacements = { scribeId: scribeUserId, providerId: providerUserId, userId: byUserId };
+
+      const [existing] = await select(
+        `
+        SELECT id, provider_user_id
+        FROM Scribe_Provider_Mapping
+        WHERE scribe_user_id = :scribeId AND row_status = 1
+        LIMIT 1
+        `,
+        replacements
+      );
+
+      if (existing) {
+        await sequelize.query(
+          `
+          UPDATE Scribe_Provider_Mapping
+          SET provider_user_id = :providerId,
+              modified_date    = CURRENT_TIMESTAMP,
+              modified_by      = :userId
+          WHERE id = :id
+          `,
+          { replacements: { ...replacements, id: existing.id }, type: UPDATE }
+        );
+        return { mappingId: existing.id, previousProviderId: existing.provider_user_id };
+      }
+
+      const [mappingId] = await sequelize.query(
+        `
+        INSERT INTO Scribe_Provider_Mapping
+          (scribe_user_id, provider_user_id, created_date, created_by, modified_date, modified_by, row_status)
+        VALUES
+          (:scribeId, :providerId, CURRENT_TIMESTAMP, :userId, CURRENT_TIMESTAMP, :userId, 1)
+        `,
+        { replacements, type: INSERT }
+      );
+      return { mappingId: mappingId ?? null, previousProviderId: null };
+    },
+
+    async findPartnerUserId(userId) {
+      const [row] = await select(
+        `
+        SELECT
+          CASE
+            WHEN scribe_user_id = :userId THEN provider_user_id
+            WHEN provider_user_id = :userId THEN scribe_user_id
+          END AS partner_user_id
+        FROM Scribe_Provider_Mapping
+        WHERE row_status = 1
+          AND :userId IN (scribe_user_id, provider_user_id)
+        ORDER BY id DESC
+        LIMIT 1
+        `,
+        { userId }
+      );
+      return row?.partner_user_id ?? null;
+    },
+  };
+
+  // -------------------- Hierarchy --------------------
+  const hierarchy = {
+    async getRelations(userId) {
+      const [me] = await select(
+        `
+        SELECT su.id, su.full_name, su.email, su.manager_user_id, mgr.full_name AS manager_name
+        FROM System_Users su
+        LEFT JOIN System_Users mgr ON mgr.id = su.manager_user_id AND mgr.row_status = 1
+        WHERE su.id = :userId AND su.row_status = 1
+        `,
+        { userId }
+      );
+
+      const reportees = await select(
+        `
+        SELECT su.id, su.full_name, su.email
+        FROM System_Users su
+        WHERE su.manager_user_id = :userId AND su.row_status = 1
+        ORDER BY su.full_name
+        `,
+        { userId }
+      );
+
+      return { me: me || null, reportees };
+    },
+
+    async listActiveUsers() {
+      return select(
+        `
+        SELECT
+          su.id,
+          su.full_name,
+          su.email,
+          su.manager_user_id,
+          su.xr_id,
+          su.clinic_id,
+          urm.id AS user_role_mapping_id,
+          p.persona,
+          d.department,
+          t.type AS role_type
+        FROM System_Users su
+        JOIN User_Role_Mapping urm ON su.user_role_mapping_id = urm.id AND urm.row_status = 1
+        LEFT JOIN Personas p ON urm.persona_id = p.id AND p.row_status = 1
+        LEFT JOIN Departments d ON urm.department_id = d.id AND d.row_status = 1
+        LEFT JOIN Types t ON urm.type_id = t.id AND t.row_status = 1
+        WHERE su.row_status = 1
+        ORDER BY su.full_name ASC
+        `
+      );
+    },
+  };
+
+  // -------------------- Encounters (transcripts) --------------------
+  const ENCOUNTER_COLUMNS = `
+    e.id,
+    e.room_id,
+    e.device_xr_id,
+    e.scribe_user_id,
+    scribe.full_name AS scribe_name,
+    e.provider_user_id,
+    provider.full_name AS provider_name,
+    e.patient_mrn,
+    e.status,
+    e.segment_count,
+    ${iso('e.started_date')} AS started_date,
+    ${iso('e.last_segment_date')} AS last_segment_date,
+    ${iso('e.closed_date')} AS closed_date
+  `;
+  const ENCOUNTER_JOINS = `
+    LEFT JOIN System_Users scribe ON scribe.id = e.scribe_user_id
+    LEFT JOIN System_Users provider ON provider.id = e.provider_user_id
+  `;
+
+  const encounters = {
+    async findOpenForRoom(roomId) {
+      const [row] = await select(
+        `
+        SELECT ${ENCOUNTER_COLUMNS}
+        FROM Encounters e
+        ${ENCOUNTER_JOINS}
+        WHERE e.room_id = :roomId
+          AND e.status = 'open'
+        ORDER BY e.id DESC
+        LIMIT 1
+        `,
+        { roomId }
+      );
+      return row || null;
+    },
+
+    async find(encounterId) {
+      const [row] = await select(
+        `
+        SELECT ${ENCOUNTER_COLUMNS}
+        FROM Encounters e
+        ${ENCOUNTER_JOINS}
+        WHERE e.id = :encounterId
+        `,
+        { encounterId }
+      );
+      return row || null;
+    },
+
+    async list({ userId = null, providerIds = null, roomId = null, mrn = null, status = null, limit = 20 }) {
+      const where = ['1 = 1'];
+      if (providerIds !== null) {
+        where.push('(e.scribe_user_id = :userId OR e.provider_user_id IN (:providerIds))');
+      }
+      if (roomId) where.push('e.room_id = :roomId');
+      if (mrn) where.push('e.patient_mrn = :mrn');
+      if (status) where.push('e.status = :status');
+
+      return select(
+        `
+        SELECT ${ENCOUNTER_COLUMNS}
+        FROM Encounters e
+        ${ENCOUNTER_JOINS}
+        WHERE ${where.join(' AND ')}
+        ORDER BY COALESCE(e.last_segment_date, e.started_date) DESC, e.id DESC
+        LIMIT :limit
+        `,
+        { userId, providerIds: providerIds?.length ? providerIds : [-1], roomId, mrn, status, limit }
+      );
+    },
+
+    async create({ roomId, deviceXrId, scribeUserId = null, providerUserId = null }) {
+      const [id] = await sequelize.query(
+        `
+        INSERT INTO Encounters (room_id, device_xr_id, scribe_user_id, provider_user_id)
+        VALUES (:roomId, :deviceXrId, :scribeUserId, :providerUserId)
+        `,
+        { replacements: { roomId, deviceXrId, scribeUserId, providerUserId }, type: INSERT }
+      );
+      return id ?? null;
+    },
+
+    // null when the encounter is no longer the open one of roomId (closed or resumed elsewhere)
+    async appendSegment(encounterId, { roomId, speakerXrId = null, text, spokenAt }) {
+      return sequelize.transaction(async (transaction) => {
+        await sequelize.query(
+          `
+          UPDATE Encounters
+          SET segment_count     = segment_count + 1,
+              last_segment_date = CURRENT_TIMESTAMP,
+              modified_date     = CURRENT_TIMESTAMP
+          WHERE id = :encounterId
+            AND room_id = :roomId
+            AND status = 'open'
+          `,
+          { replacements: { encounterId, roomId }, type: UPDATE, transaction }
+        );
+        const [counter] = await select(
+          `
+          SELECT segment_count AS sequence
+          FROM Encounters
+          WHERE id = :encounterId
+            AND room_id = :roomId
+            AND status = 'open'
+          `,
+          { encounterId, roomId },
+          transaction
+        );
+        if (!counter) return null;
+
+        const [id] = await sequelize.query(
+          `
+          INSERT INTO Encounter_Transcript_Segments
+            (encounter_id, sequence, speaker_xr_id, text, spoken_date)
+          VALUES (:encounterId, :sequence, :speakerXrId, :text, COALESCE(datetime(:spokenAt), CURRENT_TIMESTAMP))
+          `,
+          {
+            replacements: { encounterId, sequence: counter.sequence, speakerXrId, text, spokenAt },
+            type: INSERT,
+            transaction,
+          }
+        );
+        return { id: id ?? null, sequence: counter.sequence };
+      });
+    },
+
+    async listSegments(encounterId) {
+      return select(
+        `
+        SELECT id, sequence, speaker_xr_id, text, ${iso('spoken_date')} AS spoken_date
+        FROM Encounter_Transcript_Segments
+        WHERE encounter_id = :encounterId
+        ORDER BY sequence ASC
+        `,
+        { encounterId }
+      );
+    },
+
+    async setPatient(encounterId, mrn, byUserId = null) {
+      await sequelize.query(
+        `
+        UPDATE Encounters
+        SET patient_mrn = :mrn, modified_date = CURRENT_TIMESTAMP, modified_by = :byUserId
+        WHERE id = :encounterId
+        `,
+        { replacements: { encounterId, mrn, byUserId }, type: UPDATE }
+      );
+    },
+
+    async close(encounterId, byUserId = null) {
+      await sequelize.query(
+        `
+        UPDATE Encounters
+        SET status = 'closed', closed_date = CURRENT_TIMESTAMP,
+            modified_date = CURRENT_TIMESTAMP, modified_by = :byUserId
+        WHERE id = :encounterId
+          AND status = 'open'
+        `,
+        { replacements: { encounterId, byUserId }, type: UPDATE }
+      );
+    },
+
+    async resume(encounterId, { roomId, scribeUserId = null, byUserId = null }) {
+      await sequelize.transaction(async (transaction) => {
+        await sequelize.query(
+          `
+          UPDATE Encounters
+          SET status = 'closed', closed_date = CURRENT_TIMESTAMP,
+              modified_date = CURRENT_TIMESTAMP, modified_by = :byUserId
+          WHERE room_id = :roomId
+            AND status = 'open'
+            AND id <> :encounterId
+          `,
+          { replacements: { encounterId, roomId, byUserId }, type: UPDATE, transaction }
+        );
+        await sequelize.query(
+          `
+          UPDATE Encounters
+          SET room_id = :roomId,
+              status = 'open',
+              closed_date = NULL,
+              scribe_user_id = COALESCE(:scribeUserId, scribe_user_id),
+              modified_date = CURRENT_TIMESTAMP,
+              modified_by = :byUserId
+          WHERE id = :encounterId
+          `,
+          { replacements: { encounterId, roomId, scribeUserId, byUserId }, type: UPDATE, transaction }
+        );
+      });
+    },
+  };
+
+  // -------------------- Device metrics --------------------
+  const SAMPLE_COLUMNS = ['xrId', 'metric', 'ts', 'value'];
+  const ROLLUP_COLUMNS = ['xrId', 'metric', 'bucketMs', 'bucketStart', 'count', 'sum', 'min', 'max'];
+
+  const metrics = {
+    async insertSamples(rows) {
+      for (const batch of chunks(rows, METRIC_BATCH)) {
+        const values = valuesList(batch, SAMPLE_COLUMNS);
+        await sequelize.query(
+          `INSERT INTO Device_Metric_Samples (xr_id, metric, ts, value) VALUES ${values.sql}`,
+          { replacements: values.replacements, type: INSERT }
+        );
+      }
+    },
+
+    // ON CONFLICT upsert in place of MERGE
+    async mergeRollups(rows) {
+      for (const batch of chunks(rows, METRIC_BATCH)) {
+        const values = valuesList(batch, ROLLUP_COLUMNS);
+        await sequelize.query(
+          `
+          INSERT INTO Device_Metric_Rollups
+            (xr_id, metric, bucket_ms, bucket_start, sample_count, value_sum, value_min, value_max)
+          VALUES ${values.sql}
+          ON CONFLICT (xr_id, metric, bucket_ms, bucket_start) DO UPDATE SET
+            sample_count = sample_count + excluded.sample_count,
+            value_sum    = value_sum + excluded.value_sum,
+            value_min    = MIN(value_min, excluded.value_min),
+            value_max    = MAX(value_max, excluded.value_max)
+          `,
+          { replacements: values.replacements }
+        );
+      }
+    },
+
+    async listSamples({ xrId, metrics: names, from, to }) {
+      return select(
+        `
+        SELECT metric, ts, value
+        FROM Device_Metric_Samples
+        WHERE xr_id = :xrId
+          AND metric IN (:names)
+          AND ts >= :from
+          AND ts < :to
+        ORDER BY ts ASC
+        `,
+        { xrId, names, from, to }
+      );
+    },
+
+    async listRollups({ xrId, metrics: names, bucketMs, from, to }) {
+      return select(
+        `
+        SELECT metric, bucket_start, sample_count, value_sum, value_min, value_max
+        FROM Device_Metric_Rollups
+        WHERE xr_id = :xrId
+          AND metric IN (:names)
+          AND bucket_ms = :bucketMs
+          AND bucket_start >= :from
+          AND bucket_start < :to
+        ORDER BY bucket_start ASC
+        `,
+        { xrId, names, bucketMs, from, to }
+      );
+    },
+
+    async deleteSamplesBefore(ts) {
+      await sequelize.query('DELETE FROM Device_Metric_Samples WHERE ts < :ts', { replacements: { ts } });
+    },
+
+    async deleteRollupsBefore(bucketMs, ts) {
+      await sequelize.query(
+        'DELETE FROM Device_Metric_Rollups WHERE bucket_ms = :bucketMs AND bucket_start < :ts',
+        { replacements: { bucketMs, ts } }
+      );
+    },
+  };
+
+  // -------------------- Lookups (master data) --------------------
+  const LOOKUP_TABLES = {
+    persona: { table: 'Personas', column: 'persona' },
+    department: { table: 'Departments', column: 'department' },
+    type: { table: 'Types', column: 'type' },
+    status: { table: 'Status', column: 'status' },
+  };
+
+  const lookups = {
+    async findIds(names) {
+      const ids = {};
+      for (const [key, { table, column }] of Object.entries(LOOKUP_TABLES)) {
+        if (names[key] === undefined) continue;
+        const [row] = await select(
+          `SELECT id FROM ${table} WHERE ${column} = :name AND row_status = 1 LIMIT 1`,
+          { name: names[key] }
+        );
+        ids[`${key}Id`] = row?.id ?? null;
+      }
+      return ids;
+    },
+
+    async listOptions() {
+      const [personas, departments, types, statuses, clinics, screens, managers] = await Promise.all([
+        select(`SELECT id, persona FROM Personas WHERE row_status = 1 ORDER BY id`),
+        select(`SELECT id, department FROM Departments WHERE row_status = 1 ORDER BY id`),
+        select(`SELECT id, type FROM Types WHERE row_status = 1 ORDER BY id`),
+        select(`SELECT id, status FROM Status WHERE row_status = 1 ORDER BY id`),
+        select(`SELECT id, clinic FROM Clinics WHERE row_status = 1 ORDER BY id`),
+        select(`SELECT id, screen_name, route_path FROM System_Screens WHERE row_status = 1 ORDER BY id`),
+        select(
+          `
+          SELECT su.id, su.full_name
+          FROM System_Users su
+          JOIN User_Role_Mapping urm ON su.user_role_mapping_id = urm.id
+          JOIN Types t ON urm.type_id = t.id
+          WHERE su.row_status = 1 AND urm.row_status = 1 AND t.row_status = 1 AND t.type = 'Manager'
+          ORDER BY su.full_name ASC
+          `
+        ),
+      ]);
+      return { personas, departments, types, statuses, clinics, screens, managers };
+    },
+
+    async listScreens() {
+      return select(`SELECT id, screen_name FROM System_Screens WHERE row_status = 1 ORDER BY id`);
+    },
+  };
+
+  // -------------------- 2FA (User_Mfa, Mfa_Screen_Policy) --------------------
+  const mfa = {
+    async markTotpUsed(mfaId, step) {
+      await sequelize.query(
+        `UPDATE User_Mfa SET last_used_step = :step, modified_date = CURRENT_TIMESTAMP WHERE id = :mfaId`,
+        { replacements: { step, mfaId }, type: UPDATE }
+      );
+    },
+
+    async saveRecoveryCodes(userId, hashes, byUserId = null) {
+      await sequelize.query(
+        `
+        UPDATE User_Mfa
+        SET recovery_codes = :codes, modified_date = CURRENT_TIMESTAMP, modified_by = :byUserId
+        WHERE user_id = :userId AND row_status = 1
+        `,
+        { replacements: { codes: JSON.stringify(hashes), userId, byUserId }, type: UPDATE }
+      );
+    },
+
+    async saveEnrollment(userId, { secret, step, hashes }) {
+      const replacements = { userId, secret, step, codes: JSON.stringify(hashes) };
+
+      const [existing] = await select(
+        `SELECT id FROM User_Mfa WHERE user_id = :userId AND row_status = 1 ORDER BY id DESC LIMIT 1`,
+        { userId }
+      );
+
+      if (existing) {
+        await sequelize.query(
+          `
+          UPDATE User_Mfa
+          SET totp_secret = :secret,
+              last_used_step = :step,
+              recovery_codes = :codes,
+              enrolled_date = CURRENT_TIMESTAMP,
+              modified_date = CURRENT_TIMESTAMP,
+              modified_by = :userId
+          WHERE id = :id
+          `,
+          { replacements: { ...replacements, id: existing.id }, type: UPDATE }
+        );
+        return;
+      }
+
+      await sequelize.query(
+        `
+        INSERT INTO User_Mfa
+          (user_id, totp_secret, last_used_step, recovery_codes, created_by, modified_by, row_status)
+        VALUES
+          (:userId, :secret, :step, :codes, :userId, :userId, 1)
+        `,
+        { replacements, type: INSERT }
+      );
+    },
+
+    async disable(userId, byUserId = null) {
+      await sequelize.query(
+        `
+        UPDATE User_Mfa
+        SET row_status = 0, modified_date = CURRENT_TIMESTAMP, modified_by = :byUserId
+        WHERE user_id = :userId AND row_status = 1
+        `,
+        { replacements: { userId, byUserId }, type: UPDATE }
+      );
+    },
+
+    async listScreenPolicy() {
+      return select(
+        `
+        SELECT
+          ss.id,
+          ss.screen_name,
+          ss.route_path,
+          CASE WHEN p.id IS NULL THEN 0 ELSE 1 END AS require_mfa
+        FROM System_Screens ss
+        LEFT JOIN Mfa_Screen_Policy p
+          ON p.system_screen_id = ss.id AND p.row_status = 1 AND p.require_mfa = 1
+        WHERE ss.row_status = 1
+        ORDER BY ss.id
+        `
+      );
+    },
+
+    async setScreenPolicy(screenId, required, byUserId = null) {
+      const [existing] = await select(
+        `SELECT id FROM Mfa_Screen_Policy WHERE system_screen_id = :screenId AND row_status = 1 LIMIT 1`,
+        { screenId }
+      );
+
+      if (existing) {
+        await sequelize.query(
+          `
+          UPDATE Mfa_Screen_Policy
+          SET require_mfa = :required, modified_date = CURRENT_TIMESTAMP, modified_by = :byUserId
+          WHERE id = :id
+          `,
+          { replacements: { required: required ? 1 : 0, byUserId, id: existing.id }, type: UPDATE }
+        );
+      } else if (required) {
+        await sequelize.query(
+          `
+          INSERT INTO Mfa_Screen_Policy (system_screen_id, require_mfa, created_by, modified_by, row_status)
+          VALUES (:screenId, 1, :byUserId, :byUserId, 1)
+          `,
+          { replacements: { screenId, byUserId }, type: INSERT }
+        );
+      }
+    },
+  };
+
+  // -------------------- SSO identities (User_Oidc_Identities) --------------------
+  const oidc = {
+    async findLinkedUserId(providerId, subject) {
+      const [row] = await select(
+        `SELECT user_id FROM User_Oidc_Identities WHERE provider_id = :providerId AND subject = :subject LIMIT 1`,
+        { providerId, subject }
+      );
+      return row?.user_id ?? null;
+    },
+
+    // signedIn: false for links an admin creates ahead of the first SSO login
+    async link({ userId, providerId, subject, email = null, signedIn = true }) {
+      await sequelize.query(
+        `
+        INSERT INTO User_Oidc_Identities (user_id, provider_id, subject, email, last_login_date)
+        VALUES (:userId, :providerId, :subject, :email, ${signedIn ? 'CURRENT_TIMESTAMP' : 'NULL'})
+        `,
+        { replacements: { userId, providerId, subject, email }, type: INSERT }
+      );
+    },
+
+    async listForUser(userId) {
+      return select(
+        `
+        SELECT id, provider_id, subject, email, ${iso('created_date')} AS created_date,
+               ${iso('last_login_date')} AS last_login_date
+        FROM User_Oidc_Identities
+        WHERE user_id = :userId
+        ORDER BY id
+        `,
+        { userId }
+      );
+    },
+
+    // Removed row { id, user_id, provider_id, subject } | null
+    async unlink(id) {
+      return sequelize.transaction(async (transaction) => {
+        const [row] = await select(
+          'SELECT id, user_id, provider_id, subject FROM User_Oidc_Identities WHERE id = :id',
+          { id },
+          transaction
+        );
+        if (!row) return null;
+        await sequelize.query('DELETE FROM User_Oidc_Identities WHERE id = :id', { replacements: { id }, transaction });
+        return row;
+      });
+    },
+
+    async touch(providerId, subject) {
+      await sequelize.query(
+        `
+        UPDATE User_Oidc_Identities
+        SET last_login_date = CURRENT_TIMESTAMP
+        WHERE provider_id = :providerId AND subject = :subject
+        `,
+        { replacements: { providerId, subject }, type: UPDATE }
+      );
+    },
+  };
+
+  // -------------------- Login lockout audit (Login_Security_Audit) --------------------
+  const loginAudit = {
+    async write({ eventType, scope, subject, ip = null, failCount = null, lockedUntil = null, actorUserId = null }) {
+      await sequelize.query(
+        `
+        INSERT INTO Login_Security_Audit
+          (event_type, scope, subject, ip, fail_count, locked_until, actor_user_id)
+        VALUES
+          (:eventType, :scope, :subject, :ip, :failCount, datetime(:lockedUntil), :actorUserId)
+        `,
+        {
+          replacements: { eventType, scope, subject, ip, failCount, lockedUntil, actorUserId },
+          type: INSERT,
+        }
+      );
+    },
+
+    async listRecent(limit = 200) {
+      return select(
+        `
+        SELECT id, event_type, scope, subject, ip, fail_count, ${iso('locked_until')} AS locked_until,
+               actor_user_id, ${iso('created_date')} AS created_date
+        FROM Login_Security_Audit
+        ORDER BY id DESC
+        LIMIT :limit
+        `,
+        { limit }
+      );
+    },
+  };
+
+  // -------------------- PHI access audit --------------------
+  // Append-only; BEFORE UPDATE / DELETE triggers reject changes to existing rows.
+  // `filter` is already validated by the caller: from / to are YYYY-MM-DD (inclusive days).
+  const phiAuditWhere = ({ from, to, user, patient, action, outcome } = {}) => {
+    const where = ['1 = 1'];
+    const replacements = {};
+    if (from) {
+      where.push('datetime(a.created_date) >= datetime(:from)');
+      replacements.from = from;
+    }
+    if (to) {
+      where.push("datetime(a.created_date) < datetime(:to, '+1 day')");
+      replacements.to = to;
+    }
+    if (user) {
+      where.push('(a.user_email LIKE :user OR CAST(a.user_id AS TEXT) = :userExact)');
+      replacements.user = `%${user}%`;
+      replacements.userExact = user;
+    }
+    if (patient) {
+      where.push('(a.mrn = :patient OR CAST(a.patient_id AS TEXT) = :patient)');
+      replacements.patient = patient;
+    }
+    if (action) {
+      where.push('a.action = :action');
+      replacements.action = action;
+    }
+    if (outcome) {
+      where.push('a.outcome = :outcome');
+      replacements.outcome = outcome;
+    }
+    return { whereSql: where.join(' AND '), replacements };
+  };
+
+  const phiAudit = {
+    async write({ userId, userEmail, action, outcome, patientId, mrn, noteId, ip, userAgent, details = null }, { transaction = null } = {}) {
+      await sequelize.query(
+        `
+        INSERT INTO Phi_Access_Audit
+          (user_id, user_email, action, outcome, patient_id, mrn, note_id, ip, user_agent, details, created_date)
+        VALUES
+          (:userId, :userEmail, :action, :outcome, :patientId, :mrn, :noteId, :ip, :userAgent, :details, CURRENT_TIMESTAMP)
+        `,
+        {
+          replacements: { userId, userEmail, action, outcome, patientId, mrn, noteId, ip, userAgent, details },
+          type: INSERT,
+          transaction,
+        }
+      );
+    },
+
+    async list(filter, { page, pageSize }) {
+      const { whereSql, replacements } = phiAuditWhere(filter);
+      const [countRow] = await select(
+        `SELECT COUNT(*) AS total FROM Phi_Access_Audit a WHERE ${whereSql}`,
+        replacements
+      );
+      const rows = await select(
+        `
+        SELECT a.id, ${iso('a.created_date')} AS created_date, a.user_id, a.user_email, a.action, a.outcome,
+               a.patient_id, a.mrn, a.note_id, a.ip, a.details
+        FROM Phi_Access_Audit a
+        WHERE ${whereSql}
+        ORDER BY a.id DESC
+        LIMIT :pageSize OFFSET :offset
+        `,
+        { ...replacements, offset: (page - 1) * pageSize, pageSize }
+      );
+      return { rows, total: Number(countRow?.total || 0) };
+    },
+
+    async listAll(filter) {
+      const { whereSql, replacements } = phiAuditWhere(filter);
+      return select(
+        `
+        SELECT a.id, ${iso('a.created_date')} AS created_date, a.user_id, a.user_email, a.action, a.outcome,
+               a.patient_id, a.mrn, a.note_id, a.ip, a.user_agent, a.details
+        FROM Phi_Access_Audit a
+        WHERE ${whereSql}
+        ORDER BY a.id DESC
+        `,
+        replacements
+      );
+    },
+  };
+
+  // -------------------- Admin activity log --------------------
+  // `filter` is already validated by the caller: from / to are YYYY-MM-DD (inclusive days).
+  const adminActivityWhere = ({ actor, target, from, to, action } = {}) => {
+    const where = ['1 = 1'];
+    const replacements = {};
+    if (actor) {
+      where.push('(a.actor_email LIKE :actor OR CAST(a.actor_user_id AS TEXT) = :actorExact)');
+      replacements.actor = `%${actor}%`;
+      replacements.actorExact = actor;
+    }
+    if (target) {
+      where.push('(tu.email LIKE :target OR tu.full_name LIKE :target OR CAST(a.target_user_id AS TEXT) = :targetExact)');
+      replacements.target = `%${target}%`;
+      replacements.targetExact = target;
+    }
+    if (from) {
+      where.push('datetime(a.created_date) >= datetime(:from)');
+      replacements.from = from;
+    }
+    if (to) {
+      where.push("datetime(a.created_date) < datetime(:to, '+1 day')");
+      replacements.to = to;
+    }
+    if (action) {
+      where.push('a.action = :action');
+      replacements.action = action;
+    }
+    return { whereSql: where.join(' AND '), replacements };
+  };
+
+  const adminActivity = {
+    async write({ actorUserId, actorEmail, action, entity, entityId, targetUserId, beforeJson, afterJson, diffJson, ip }) {
+      await sequelize.query(
+        `
+        INSERT INTO Admin_Activity_Log
+          (actor_user_id, actor_email, action, entity, entity_id, target_user_id,
+           before_json, after_json, diff_json, ip, created_date)
+        VALUES
+          (:actorUserId, :actorEmail, :action, :entity, :entityId, :targetUserId,
+           :beforeJson, :afterJson, :diffJson, :ip, CURRENT_TIMESTAMP)
+        `,
+        {
+          replacements: { actorUserId, actorEmail, action, entity, entityId, targetUserId, beforeJson, afterJson, diffJson, ip },
+          type: INSERT,
+        }
+      );
+    },
+
+    async list(filter, { page, pageSize }) {
+      const { whereSql, replacements } = adminActivityWhere(filter);
+      const fromSql = `
+        FROM Admin_Activity_Log a
+        LEFT JOIN System_Users tu ON tu.id = a.target_user_id
+        WHERE ${whereSql}
+      `;
+      const [countRow] = await select(`SELECT COUNT(*) AS total ${fromSql}`, replacements);
+      const rows = await select(
+        `
+        SELECT a.id, ${iso('a.created_date')} AS created_date, a.actor_user_id, a.actor_email, a.action, a.entity, a.entity_id,
+               a.target_user_id, tu.full_name AS target_name, tu.email AS target_email, a.diff_json, a.ip
+        ${fromSql}
+        ORDER BY a.id DESC
+        LIMIT :pageSize OFFSET :offset
+        `,
+        { ...replacements, offset: (page - 1) * pageSize, pageSize }
+      );
+      return { rows, total: Number(countRow?.total || 0) };
+    },
+  };
+
+  // -------------------- Password reset tokens --------------------
+  const passwordResets = {
+    async hasRecent(userId, seconds) {
+      const [row] = await select(
+        `
+        SELECT id
+        FROM Password_Reset_Tokens
+        WHERE user_id = :userId
+          AND used_date IS NULL
+          AND datetime(created_date) > datetime('now', '-' || :seconds || ' seconds')
+        LIMIT 1
+        `,
+        { userId, seconds }
+      );
+      return !!row;
+    },
+
+    async create({ userId, tokenHash, expiresAt, ip = null }) {
+      await sequelize.query(
+        `
+        INSERT INTO Password_Reset_Tokens (user_id, token_hash, expires_date, requested_ip)
+        VALUES (:userId, :tokenHash, datetime(:expiresAt), :ip)
+        `,
+        { replacements: { userId, tokenHash, expiresAt, ip }, type: INSERT }
+      );
+    },
+
+    async redeem({ userId, tokenHash, passwordHash }) {
+      return sequelize.transaction(async (transaction) => {
+        // No OUTPUT clause here; the transaction makes SELECT + UPDATE a single claim
+        const [token] = await select(
+          `
+          SELECT id
+          FROM Password_Reset_Tokens
+          WHERE token_hash = :tokenHash
+            AND user_id = :userId
+            AND used_date IS NULL
+            AND datetime(expires_date) > datetime('now')
+          LIMIT 1
+          `,
+          { tokenHash, userId },
+          transaction
+        );
+        if (!token) return false;
+
+        await sequelize.query(
+          `
+          UPDATE System_Users
+          SET password = :passwordHash, modified_date = CURRENT_TIMESTAMP, modified_by = :userId
+          WHERE id = :userId
+          `,
+          { replacements: { passwordHash, userId }, type: UPDATE, transaction }
+        );
+
+        // Marks the claimed token too
+        await sequelize.query(
+          `
+          UPDATE Password_Reset_Tokens
+          SET used_date = CURRENT_TIMESTAMP
+          WHERE user_id = :userId AND used_date IS NULL
+          `,
+          { replacements: { userId }, type: UPDATE, transaction }
+        );
+        return true;
+      });
+    },
+  };
+
+  // -------------------- Temporary access grants (User_Additional_Permissions) --------------------
+  const GRANT_STATUS_SQL = `
+    CASE
+      WHEN uap.row_status <> 1 THEN 'revoked'
+      WHEN uap.end_date IS NOT NULL AND datetime(uap.end_date) < datetime('now') THEN 'expired'
+      WHEN uap.start_date IS NOT NULL AND datetime(uap.start_date) > datetime('now') THEN 'scheduled'
+      ELSE 'active'
+    END
+  `;
+
+  const accessGrants = {
+    async find(grantId) {
+      const [row] = await select(
+        `
+        SELECT
+          uap.id, uap.user_id, uap.system_screen_id, uap."read", uap."write",
+          ${iso('uap.start_date')} AS start_date, ${iso('uap.end_date')} AS end_date, uap.row_status,
+          ${GRANT_STATUS_SQL} AS status
+        FROM User_Additional_Permissions uap
+        WHERE uap.id = :grantId
+        `,
+        { grantId }
+      );
+      return row || null;
+    },
+
+    async findOverlapping({ userId, screenId, startDate, endDate, exceptId = null }) {
+      const [row] = await select(
+        `
+        SELECT uap.id
+        FROM User_Additional_Permissions uap
+        WHERE uap.user_id = :userId
+          AND uap.system_screen_id = :screenId
+          AND uap.row_status = 1
+          AND (:exceptId IS NULL OR uap.id <> :exceptId)
+          AND (uap.start_date IS NULL OR datetime(uap.start_date) < datetime(:endDate))
+          AND (uap.end_date   IS NULL OR datetime(uap.end_date)   > datetime(:startDate))
+        LIMIT 1
+        `,
+        { userId, screenId, startDate, endDate, exceptId }
+      );
+      return row || null;
+    },
+
+    async list({ userId = null, status = null } = {}) {
+      const where = ['1 = 1'];
+      if (userId != null) where.push('uap.user_id = :userId');
+      if (status) where.push(`${GRANT_STATUS_SQL} = :status`);
+
+      return select(
+        `
+        SELECT
+          uap.id,
+          uap.user_id,
+          su.full_name AS user_name,
+          su.email AS user_email,
+          uap.system_screen_id AS screen_id,
+          ss.screen_name,
+          COALESCE(uap."read", 0)  AS "read",
+          COALESCE(uap."write", 0) AS "write",
+          ${iso('uap.start_date')} AS start_date,
+          ${iso('uap.end_date')} AS end_date,
+          ${iso('uap.created_date')} AS created_date,
+          cb.email AS created_by_email,
+          ${GRANT_STATUS_SQL} AS status
+        FROM User_Additional_Permissions uap
+        JOIN System_Users su ON su.id = uap.user_id
+        LEFT JOIN System_Screens ss ON ss.id = uap.system_screen_id
+        LEFT JOIN System_Users cb ON cb.id = uap.created_by
+        WHERE ${where.join(' AND ')}
+        ORDER BY
+          CASE ${GRANT_STATUS_SQL} WHEN 'active' THEN 0 WHEN 'scheduled' THEN 1 ELSE 2 END,
+          datetime(uap.end_date) DESC,
+          uap.id DESC
+        LIMIT 500
+        `,
+        { userId, status }
+      );
+    },
+
+    async targetExists(userId, screenId) {
+      const [row] = await select(
+        `
+        SELECT su.id
+        FROM System_Users su
+        CROSS JOIN System_Screens ss
+        WHERE su.id = :userId AND su.row_status = 1
+          AND ss.id = :screenId AND ss.row_status = 1
+        `,
+        { userId, screenId }
+      );
+      return !!row;
+    },
+
+    async create({ userId, screenId, read, write, startDate, endDate, createdBy = null }) {
+      const [grantId] = await sequelize.query(
+        `
+        INSERT INTO User_Additional_Permissions
+          (user_id, system_screen_id, "read", "write", start_date, end_date, created_by, modified_by, row_status)
+        VALUES
+          (:userId, :screenId, :read, :write, datetime(:startDate), datetime(:endDate), :createdBy, :createdBy, 1)
+        `,
+        {
+          replacements: { userId, screenId, read: read ? 1 : 0, write: write ? 1 : 0, startDate, endDate, createdBy },
+          type: INSERT,
+        }
+      );
+      return grantId ?? null;
+    },
+
+    async update(grantId, { read, write, startDate, endDate, modifiedBy = null }) {
+      await sequelize.query(
+        `
+        UPDATE User_Additional_Permissions
+        SET "read" = :read,
+            "write" = :write,
+            start_date = datetime(:startDate),
+            end_date = datetime(:endDate),
+            modified_date = CURRENT_TIMESTAMP,
+            modified_by = :modifiedBy
+        WHERE id = :grantId
+        `,
+        {
+          replacements: { grantId, read: read ? 1 : 0, write: write ? 1 : 0, startDate, endDate, modifiedBy },
+          type: UPDATE,
+        }
+      );
+    },
+
+    async revoke(grantId, modifiedBy = null) {
+      await sequelize.query(
+        `
+        UPDATE User_Additional_Permissions
+        SET row_status = 0, modified_date = CURRENT_TIMESTAMP, modified_by = :modifiedBy
+        WHERE id = :grantId
+        `,
+        { replacements: { grantId, modifiedBy }, type: UPDATE }
+      );
+    },
+  };
+
+  // -------------------- Role permission matrix (Access_Rights) --------------------
+  const accessRights = {
+    async listMatrix() {
+      const [roles, rights] = await Promise.all([
+        select(
+          `
+          SELECT
+            urm.id,
+            p.persona,
+            d.department,
+            t.type,
+            CASE WHEN t.type = 'SuperAdmin' THEN 1 ELSE 0 END AS is_superadmin,
+            COUNT(su.id) AS user_count,
+            MIN(su.full_name) AS sample_user
+          FROM User_Role_Mapping urm
+          JOIN Personas p    ON urm.persona_id = p.id
+          JOIN Departments d ON urm.department_id = d.id
+          JOIN Types t       ON urm.type_id = t.id
+          LEFT JOIN System_Users su ON su.user_role_mapping_id = urm.id AND su.row_status = 1
+          WHERE urm.row_status = 1
+          GROUP BY urm.id, p.persona, d.department, t.type
+          ORDER BY p.persona, d.department, t.type, urm.id
+          `
+        ),
+        select(
+          `
+          SELECT
+            user_role_mapping_id AS role_id,
+            system_screen_id AS screen_id,
+            COALESCE("read", 0)  AS "read",
+            COALESCE("write", 0) AS "write"
+          FROM Access_Rights
+          WHERE row_status = 1
+          `
+        ),
+      ]);
+      return { roles, rights };
+    },
+
+    async listRoleTypes(roleIds) {
+      if (!roleIds.length) return [];
+      return select(
+        `
+        SELECT urm.id, t.type
+        FROM User_Role_Mapping urm
+        JOIN Types t ON urm.type_id = t.id
+        WHERE urm.id IN (:roleIds) AND urm.row_status = 1
+        `,
+        { roleIds }
+      );
+    },
+
+    async saveMatrix(changes, { actorId = null, guard = null } = {}) {
+      const roleIds = Array.from(new Set(changes.map((c) => c.roleId)));
+      const screenIds = Array.from(new Set(changes.map((c) => c.screenId)));
+      const ROLLED_BACK = Symbol('rolled back');
+
+      try {
+        return await sequelize.transaction(async (transaction) => {
+          const previous = await select(
+            `
+            SELECT id, user_role_mapping_id, system_screen_id, "read", "write"
+            FROM Access_Rights
+            WHERE user_role_mapping_id IN (:roleIds)
+              AND system_screen_id IN (:screenIds)
+              AND row_status = 1
+            `,
+            { roleIds, screenIds },
+            transaction
+          );
+          const byCell = new Map(previous.map((r) => [`${r.user_role_mapping_id}:${r.system_screen_id}`, r]));
+
+          for (const c of changes) {
+            const current = byCell.get(`${c.roleId}:${c.screenId}`);
+            const replacements = { ...c, read: c.read ? 1 : 0, write: c.write ? 1 : 0, actorId };
+
+            if (current) {
+              if (!!current.read === !!c.read && (!c.read || !!current.write === !!c.write)) continue;
+              await sequelize.query(
+                `
+                UPDATE Access_Rights
+                SET "read" = :read, "write" = :write, modified_date = CURRENT_TIMESTAMP, modified_by = :actorId
+                WHERE user_role_mapping_id = :roleId AND system_screen_id = :screenId AND row_status = 1
+                `,
+                { replacements, type: UPDATE, transaction }
+              );
+            } else if (c.read) {
+              await sequelize.query(
+                `
+                INSERT INTO Access_Rights
+                  (user_role_mapping_id, system_screen_id, "read", "write", "edit", "delete", created_by, modified_by, row_status)
+                VALUES
+                  (:roleId, :screenId, :read, :write, 0, 0, :actorId, :actorId, 1)
+                `,
+                { replacements, type: INSERT, transaction }
+              );
+            }
+          }
+
+          if (guard) {
+            const tx = {
+              listUsers: () =>
+                select(
+                  `
+                  SELECT su.id, su.full_name, su.email, su.user_role_mapping_id, t.type, s.status
+                  FROM System_Users su
+                  JOIN User_Role_Mapping urm ON su.user_role_mapping_id = urm.id AND urm.row_status = 1
+                  JOIN Types t ON urm.type_id = t.id
+                  LEFT JOIN Status s ON su.status_id = s.id
+                  WHERE su.row_status = 1
+                  `,
+                  {},
+                  transaction
+                ),
+              listRolesWithScreens: async (ids, screens) => {
+                if (!ids.length) return [];
+                const rows = await select(
+                  `
+                  SELECT user_role_mapping_id, COUNT(DISTINCT system_screen_id) AS screens
+                  FROM Access_Rights
+                  WHERE user_role_mapping_id IN (:ids)
+                    AND system_screen_id IN (:screens)
+                    AND row_status = 1
+                    AND "read" = 1
+                    AND "write" = 1
+                  GROUP BY user_role_mapping_id
+                  `,
+                  { ids, screens },
+                  transaction
+                );
+                return rows.filter((r) => Number(r.screens) === screens.length).map((r) => r.user_role_mapping_id);
+              },
+            };
+            if (!(await guard(tx))) throw ROLLED_BACK;
+          }
+
+          return { saved: true, previous };
+        });
+      } catch (err) {
+        if (err === ROLLED_BACK) return { saved: false, previous: [] };
+        throw err;
+      }
+    },
+  };
+
+  // -------------------- Legacy tables (assignusers, auth_users) --------------------
+  const legacy = {
+    async findAssignment(userId) {
+      const [row] = await select('SELECT * FROM assignusers WHERE user_id = :userId LIMIT 1', { userId });
+      return row || null;
+    },
+
+    async saveAssignment({ userId, providerId = null, scribeId = null, level = null }) {
+      const replacements = { userId, providerId, scribeId, level };
+      const [existing] = await select('SELECT id FROM assignusers WHERE user_id = :userId LIMIT 1', { userId });
+
+      if (existing) {
+        await sequelize.query(
+          `
+          UPDATE assignusers
+          SET provider_id = :providerId, scribe_id = :scribeId, level = :level, updated_at = CURRENT_TIMESTAMP
+          WHERE user_id = :userId
+          `,
+          { replacements, type: UPDATE }
+        );
+      } else {
+        await sequelize.query(
+          `
+          INSERT INTO assignusers (user_id, provider_id, scribe_id, level)
+          VALUES (:userId, :providerId, :scribeId, :level)
+          `,
+          { replacements, type: INSERT }
+        );
+      }
+    },
+
+    async findAuthUser(email) {
+      const [row] = await select(
+        `SELECT id, name, email, password_hash, reporting_manager FROM auth_users WHERE email = :email LIMIT 1`,
+        { email }
+      );
+      return row || null;
+    },
+
+    async updateAuthUserHash(id, hash) {
+      await sequelize.query(`UPDATE auth_users SET password_hash = :hash WHERE id = :id`, {
+        replacements: { hash, id },
+        type: UPDATE,
+      });
+    },
+  };
+
+  return {
+    dialect: 'sqlite',
+    prepare,
+    users,
+    templates,
+    notes,
+    drugs,
+    mappings,
+    hierarchy,
+    encounters,
+    metrics,
+    lookups,
+    mfa,
+    oidc,
+    loginAudit,
+    phiAudit,
+    adminActivity,
+    passwordResets,
+    accessGrants,
+    accessRights,
+    legacy,
+  };
+}
+
+module.exports = { createSqliteRepositories };
@@ -2,12 +2,25 @@
 require('dotenv').config();
 const { Sequelize } = require('sequelize');
 
+const path = require('path');
+
 let sequelize; // Primary database only
 
 const AZURE_ENV = process.env.AZURE_ENV;
+// Demo / frontend work without credentials: in-memory SQLite seeded with the mock fixtures, canned AI
+const MOCK_MODE = (process.env.MOCK_MODE || 'false').toLowerCase() === 'true';
+const DB_ENGINE = MOCK_MODE ? 'sqlite' : String(process.env.DB_ENGINE || 'mssql').toLowerCase();
 
 // Create ONLY the Primary DB connection
-if (AZURE_ENV === 'DEVELOPMENT' || AZURE_ENV === 'PRODUCTION' || AZURE_ENV === 'STAGING') {
+if (DB_ENGINE === 'sqlite') {
+  // Local SQLite stand-in (offline development / integration tests); schema + seed come from backend/data
+  // Requires the optional `sqlite3` package
+  sequelize = new Sequelize({
+    dialect: 'sqlite',
+    storage: MOCK_MODE ? ':memory:' : process.env.SQLITE_STORAGE || path.join(__dirname, 'local.sqlite'),
+    logging: false,
+  });
+} else if (AZURE_ENV === 'DEVELOPMENT' || AZURE_ENV === 'PRODUCTION' || AZURE_ENV === 'STAGING') {
   // Managed Identity (User Assigned) - Primary Database
   sequelize = new Sequelize(process.env.DB_NAME, process.env.AZURE_CLIENT_ID_MI, '', {
     host: process.env.DB_SERVER,
@@ -52,7 +65,7 @@ if (AZURE_ENV === 'DEVELOPMENT' || AZURE_ENV === 'PRODUCTION' || AZURE_ENV === '
 async function connectToDatabase() {
   try {
     await sequelize.authenticate();
-    console.log('✅ Primary database connected successfully');
+    console.log(`✅ Primary database connected successfully (${sequelize.getDialect()})`);
 
     // Keep this only if you actually use Sequelize models & want sync
     await sequelize.sync({ alter: false });
@@ -72,4 +85,4 @@ async function closeDatabase() {
   }
 }
 
-module.exports = { sequelize, connectToDatabase, closeDatabase };
\ No newline at end of file
+module.exports = { sequelize, connectToDatabase, closeDatabase, MOCK_MODE };
\ No newline at end of file
@@ -0,0 +1,223 @@
+// ========================================
+// Schema migrations (Azure SQL)
+// ========================================
+// Numbered T-SQL scripts in ./migrations, one pair per version:
+//   NNNN_name.up.sql     applies the change
+//   NNNN_name.down.sql   reverts it
+// Batches inside a script are separated by a line holding only `GO` (as in SSMS).
+// Applied versions are recorded in [dbo].[Schema_Migrations]; each migration runs
+// in its own transaction together with that bookkeeping row.
+//
+// CLI (from backend/):
+//   npm run migrate                  apply everything pending
+//   npm run migrate -- --to 3        apply up to version 3
+//   npm run migrate:status           current / latest / pending
+//   npm run migrate:down -- --to 2   revert down to version 2 (dev databases only;
+//                                    refused in production unless --force is given)
+//
+// SQLite (DB_ENGINE=sqlite) is not migrated: backend/data builds it from fixtures.
+
+const fs = require('fs');
+const path = require('path');
+const { Sequelize } = require('sequelize');
+
+const { SELECT } = Sequelize.QueryTypes;
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_RE = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// [{ version, name, upPath, downPath }] sorted by version
+function listMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(dir)) {
+    const m = FILE_RE.exec(file);
+    if (!m) continue;
+    const version = Number(m[1]);
+    const entry = byVersion.get(version) || { version, name: m[2] };
+    if (entry.name !== m[2]) {
+      throw new Error(`Migration ${m[1]} has two names: ${entry.name} and ${m[2]}`);
+    }
+    entry[m[3] === 'up' ? 'upPath' : 'downPath'] = path.join(dir, file);
+    byVersion.set(version, entry);
+  }
+
+  const migrations = Array.from(byVersion.values()).sort((a, b) => a.version - b.version);
+  for (const m of migrations) {
+    if (!m.upPath || !m.downPath) {
+      throw new Error(`Migration ${m.version} (${m.name}) needs both an .up.sql and a .down.sql file`);
+    }
+  }
+  return migrations;
+}
+
+// Batches holding only comments are dropped (no-op down scripts)
+function splitBatches(sql) {
+  return sql
+    .split(/^\s*GO\s*$/gim)
+    .map((batch) => batch.trim())
+    .filter((batch) => batch.replace(/^\s*--.*$/gm, '').trim());
+}
+
+// A down script with nothing but comments: the migration adopted tables that predate it
+function isNoopDown(migration) {
+  return splitBatches(fs.readFileSync(migration.downPath, 'utf8')).length === 0;
+}
+
+// Same rule as server.js: NODE_ENV=prod* or running on Azure App Service
+function isProduction(env = process.env) {
+  return (env.NODE_ENV || '').toLowerCase().startsWith('prod') || !!env.WEBSITE_SITE_NAME;
+}
+
+async function ensureVersionTable(sequelize) {
+  await sequelize.query(`
+    IF OBJECT_ID(N'[dbo].[Schema_Migrations]', N'U') IS NULL
+    CREATE TABLE [dbo].[Schema_Migrations] (
+      version       INT            NOT NULL PRIMARY KEY,
+      name          NVARCHAR(200)  NOT NULL,
+      applied_date  DATETIME2      NOT NULL DEFAULT SYSDATETIME()
+    );
+  `);
+}
+
+// Applied versions, ascending. Read-only: returns [] when the version table does not exist yet.
+async function getAppliedVersions(sequelize) {
+  const [exists] = await sequelize.query(
+    `SELECT CASE WHEN OBJECT_ID(N'[dbo].[Schema_Migrations]', N'U') IS NULL THEN 0 ELSE 1 END AS has_table`,
+    { type: SELECT }
+  );
+  if (!exists?.has_table) return [];
+
+  const rows = await sequelize.query(
+    'SELECT version FROM [dbo].[Schema_Migrations] ORDER BY version',
+    { type: SELECT }
+  );
+  return rows.map((r) => Number(r.version));
+}
+
+// { managed, current, latest, pending: [version], behind }
+async function getSchemaStatus(sequelize) {
+  if (sequelize.getDialect() !== 'mssql') {
+    return { managed: false, dialect: sequelize.getDialect() };
+  }
+
+  const migrations = listMigrations();
+  const applied = new Set(await getAppliedVersions(sequelize));
+  const pending = migrations.filter((m) => !applied.has(m.version)).map((m) => m.version);
+  const latest = migrations.length ? migrations[migrations.length - 1].version : 0;
+  const current = applied.size ? Math.max(...applied) : 0;
+
+  return { managed: true, current, latest, pending, behind: pending.length > 0 };
+}
+
+async function runScript(sequelize, filePath, transaction) {
+  for (const batch of splitBatches(fs.readFileSync(filePath, 'utf8'))) {
+    await sequelize.query(batch, { transaction });
+  }
+}
+
+// Applies every pending migration up to `to` (default: latest). Returns the versions applied.
+async function migrateUp(sequelize, { to = Infinity, log = console.log } = {}) {
+  await ensureVersionTable(sequelize);
+  const applied = new Set(await getAppliedVersions(sequelize));
+  const done = [];
+
+  for (const m of listMigrations()) {
+    if (m.version > to || applied.has(m.version)) continue;
+    log(`[MIGRATE] up ${m.version} ${m.name}`);
+    await sequelize.transaction(async (transaction) => {
+      await runScript(sequelize, m.upPath, transaction);
+      await sequelize.query(
+        'INSERT INTO [dbo].[Schema_Migrations] (version, name) VALUES (:version, :name)',
+        { replacements: { version: m.version, name: m.name }, transaction }
+      );
+    });
+    done.push(m.version);
+  }
+  return done;
+}
+
+// Reverts applied migrations newer than `to`, newest first. Returns the versions reverted.
+// Refused in production unless `force` is set.
+async function migrateDown(sequelize, { to, force = false, log = console.log } = {}) {
+  if (!Number.isInteger(to) || to < 0) {
+    throw new Error('migrateDown needs an explicit target version (--to N, 0 = empty schema)');
+  }
+  if (isProduction() && !force) {
+    throw new Error('Refusing to migrate down in production; pass --force to revert anyway');
+  }
+  const applied = new Set(await getAppliedVersions(sequelize));
+  const done = [];
+
+  for (const m of listMigrations().reverse()) {
+    if (m.version <= to || !applied.has(m.version)) continue;
+    log(`[MIGRATE] down ${m.version} ${m.name}${isNoopDown(m) ? ' (version row only, tables kept)' : ''}`);
+    await sequelize.transaction(async (transaction) => {
+      await runScript(sequelize, m.downPath, transaction);
+      await sequelize.query(
+        'DELETE FROM [dbo].[Schema_Migrations] WHERE version = :version',
+        { replacements: { version: m.version }, transaction }
+      );
+    });
+    done.push(m.version);
+  }
+  return done;
+}
+
+function parseTo(argv) {
+  const i = argv.indexOf('--to');
+  if (i === -1) return undefined;
+  const to = Number(argv[i + 1]);
+  if (!Number.isInteger(to) || to < 0) throw new Error('--to expects a version number');
+  return to;
+}
+
+async function main(argv) {
+  require('../config/env-loader');
+  const { sequelize, closeDatabase } = require('./database-config');
+
+  const command = argv[0] || 'status';
+  const to = parseTo(argv);
+
+  try {
+    await sequelize.authenticate();
+    if (sequelize.getDialect() !== 'mssql') {
+      console.log(`[MIGRATE] ${sequelize.getDialect()} is built from backend/data fixtures; nothing to migrate`);
+      return;
+    }
+
+    if (command === 'up') {
+      const done = await migrateUp(sequelize, { to });
+      console.log(done.length ? `[MIGRATE] applied ${done.join(', ')}` : '[MIGRATE] already up to date');
+    } else if (command === 'down') {
+      const done = await migrateDown(sequelize, { to, force: argv.includes('--force') });
+      const byVersion = new Map(listMigrations().map((m) => [m.version, m]));
+      const kept = done.filter((v) => isNoopDown(byVersion.get(v)));
+      const dropped = done.filter((v) => !kept.includes(v));
+      console.log(
+        done.length
+          ? `[MIGRATE] reverted ${dropped.join(', ') || 'none'}` +
+              (kept.length ? `; version row only (tables predate the migrations): ${kept.join(', ')}` : '')
+          : '[MIGRATE] nothing to revert'
+      );
+    } else if (command !== 'status') {
+      throw new Error(`Unknown command "${command}" (expected status | up | down)`);
+    }
+
+    const status = await getSchemaStatus(sequelize);
+    console.log(
+      `[MIGRATE] schema at ${status.current}, latest ${status.latest}` +
+        (status.behind ? `, pending ${status.pending.join(', ')}` : '')
+    );
+  } finally {
+    await closeDatabase();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error('[MIGRATE] failed:', err?.message || err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { listMigrations, splitBatches, isNoopDown, isProduction, getSchemaStatus, migrateUp, migrateDown };
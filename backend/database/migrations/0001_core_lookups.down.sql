@@ -0,0 +1,3 @@
+-- No-op. Clinics, Personas, Departments, Types, Status, User_Role_Mapping and View_User_Role_Mapping are the
+-- application's original lookup schema: 0001 only creates them on an empty database and records the version.
+-- Reverting removes the version row and keeps the tables.
@@ -0,0 +1,88 @@
+-- Reference tables behind User_Role_Mapping and System_Users.
+-- Every CREATE is guarded so databases that predate migrations only record the version.
+
+IF OBJECT_ID(N'[dbo].[Clinics]', N'U') IS NULL
+CREATE TABLE [dbo].[Clinics] (
+  id             INT IDENTITY(1,1) PRIMARY KEY,
+  clinic         NVARCHAR(200)  NOT NULL,
+  created_date   DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+  created_by     INT            NULL,
+  modified_date  DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+  modified_by    INT            NULL,
+  row_status     TINYINT        NOT NULL DEFAULT 1
+);
+
+IF OBJECT_ID(N'[dbo].[Personas]', N'U') IS NULL
+CREATE TABLE [dbo].[Personas] (
+  id             INT IDENTITY(1,1) PRIMARY KEY,
+  persona        NVARCHAR(100)  NOT NULL,
+  created_date   DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+  created_by     INT            NULL,
+  modified_date  DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+  modified_by    INT            NULL,
+  row_status     TINYINT        NOT NULL DEFAULT 1
+);
+
+IF OBJECT_ID(N'[dbo].[Departments]', N'U') IS NULL
+CREATE TABLE [dbo].[Departments] (
+  id             INT IDENTITY(1,1) PRIMARY KEY,
+  department     NVARCHAR(100)  NOT NULL,
+  created_date   DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+  created_by     INT            NULL,
+  modified_date  DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+  modified_by    INT            NULL,
+  row_status     TINYINT        NOT NULL DEFAULT 1
+);
+
+IF OBJECT_ID(N'[dbo].[Types]', N'U') IS NULL
+CREATE TABLE [dbo].[Types] (
+  id             INT IDENTITY(1,1) PRIMARY KEY,
+  type           NVARCHAR(100)  NOT NULL,
+  created_date   DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+  created_by     INT            NULL,
+  modified_date  DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+  modified_by    INT            NULL,
+  row_status     TINYINT        NOT NULL DEFAULT 1
+);
+
+IF OBJECT_ID(N'[dbo].[Status]', N'U') IS NULL
+CREATE TABLE [dbo].[Status] (
+  id             INT IDENTITY(1,1) PRIMARY KEY,
+  status         NVARCHAR(50)   NOT NULL,
+  created_date   DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+  created_by     INT            NULL,
+  modified_date  DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+  modified_by    INT            NULL,
+  row_status     TINYINT        NOT NULL DEFAULT 1
+);
+
+IF OBJECT_ID(N'[dbo].[User_Role_Mapping]', N'U') IS NULL
+CREATE TABLE [dbo].[User_Role_Mapping] (
+  id             INT IDENTITY(1,1) PRIMARY KEY,
+  persona_id     INT        NOT NULL REFERENCES [dbo].[Personas](id),
+  department_id  INT        NOT NULL REFERENCES [dbo].[Departments](id),
+  type_id        INT        NOT NULL REFERENCES [dbo].[Types](id),
+  created_date   DATETIME2  NOT NULL DEFAULT SYSDATETIME(),
+  created_by     INT        NULL,
+  modified_date  DATETIME2  NOT NULL DEFAULT SYSDATETIME(),
+  modified_by    INT        NULL,
+  row_status     TINYINT    NOT NULL DEFAULT 1
+);
+
+GO
+
+IF OBJECT_ID(N'[dbo].[View_User_Role_Mapping]', N'V') IS NULL
+EXEC(N'CREATE VIEW [dbo].[View_User_Role_Mapping] AS
+  SELECT
+    urm.id,
+    urm.persona_id,
+    p.persona,
+    urm.department_id,
+    d.department,
+    urm.type_id,
+    t.type,
+    urm.row_status
+  FROM [dbo].[User_Role_Mapping] urm
+  JOIN [dbo].[Personas] p ON p.id = urm.persona_id
+  JOIN [dbo].[Departments] d ON d.id = urm.department_id
+  JOIN [dbo].[Types] t ON t.id = urm.type_id');
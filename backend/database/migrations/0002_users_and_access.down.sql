@@ -0,0 +1,2 @@
+-- No-op. System_Users, System_Screens, Access_Rights and User_Additional_Permissions hold the existing users
+-- (patients included) and screen rights the server has always read. Reverting removes the version row only.
@@ -0,0 +1,80 @@
+-- Platform users (patients share System_Users, identified by mrn_no), screens and
+-- role / per-user screen rights.
+
+IF OBJECT_ID(N'[dbo].[System_Users]', N'U') IS NULL
+BEGIN
+  CREATE TABLE [dbo].[System_Users] (
+    id                    INT IDENTITY(1,1) PRIMARY KEY,
+    full_name             NVARCHAR(200)  NOT NULL,
+    email                 NVARCHAR(320)  NULL,
+    password              NVARCHAR(255)  NULL,       -- bcrypt hash
+    manager_user_id       INT            NULL REFERENCES [dbo].[System_Users](id),
+    clinic_id             INT            NULL REFERENCES [dbo].[Clinics](id),
+    xr_id                 NVARCHAR(64)   NULL,
+    status_id             INT            NULL REFERENCES [dbo].[Status](id),
+    user_role_mapping_id  INT            NULL REFERENCES [dbo].[User_Role_Mapping](id),
+    contact_no_primary    NVARCHAR(32)   NULL,
+    mrn_no                NVARCHAR(64)   NULL,
+    created_date          DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+    created_by            INT            NULL,
+    modified_date         DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+    modified_by           INT            NULL,
+    row_status            TINYINT        NOT NULL DEFAULT 1
+  );
+  CREATE INDEX IX_System_Users_email ON [dbo].[System_Users] (email);
+  CREATE INDEX IX_System_Users_mrn_no ON [dbo].[System_Users] (mrn_no);
+  CREATE INDEX IX_System_Users_manager ON [dbo].[System_Users] (manager_user_id);
+END;
+
+IF OBJECT_ID(N'[dbo].[System_Screens]', N'U') IS NULL
+CREATE TABLE [dbo].[System_Screens] (
+  id             INT IDENTITY(1,1) PRIMARY KEY,
+  screen_name    NVARCHAR(100)  NOT NULL,
+  route_path     NVARCHAR(200)  NULL,
+  created_date   DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+  created_by     INT            NULL,
+  modified_date  DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+  modified_by    INT            NULL,
+  row_status     TINYINT        NOT NULL DEFAULT 1
+);
+
+IF OBJECT_ID(N'[dbo].[Access_Rights]', N'U') IS NULL
+BEGIN
+  CREATE TABLE [dbo].[Access_Rights] (
+    id                    INT IDENTITY(1,1) PRIMARY KEY,
+    user_role_mapping_id  INT        NOT NULL REFERENCES [dbo].[User_Role_Mapping](id),
+    system_screen_id      INT        NOT NULL REFERENCES [dbo].[System_Screens](id),
+    [read]                BIT        NOT NULL DEFAULT 0,
+    [write]               BIT        NOT NULL DEFAULT 0,
+    [edit]                BIT        NOT NULL DEFAULT 0,
+    [delete]              BIT        NOT NULL DEFAULT 0,
+    created_date          DATETIME2  NOT NULL DEFAULT SYSDATETIME(),
+    created_by            INT        NULL,
+    modified_date         DATETIME2  NOT NULL DEFAULT SYSDATETIME(),
+    modified_by           INT        NULL,
+    row_status            TINYINT    NOT NULL DEFAULT 1
+  );
+  CREATE INDEX IX_Access_Rights_role ON [dbo].[Access_Rights] (user_role_mapping_id, system_screen_id);
+END;
+
+-- Per-user overrides; start_date / end_date make a temporary grant
+IF OBJECT_ID(N'[dbo].[User_Additional_Permissions]', N'U') IS NULL
+BEGIN
+  CREATE TABLE [dbo].[User_Additional_Permissions] (
+    id                INT IDENTITY(1,1) PRIMARY KEY,
+    user_id           INT        NOT NULL REFERENCES [dbo].[System_Users](id),
+    system_screen_id  INT        NOT NULL REFERENCES [dbo].[System_Screens](id),
+    [read]            BIT        NULL,
+    [write]           BIT        NULL,
+    [edit]            BIT        NULL,
+    [delete]          BIT        NULL,
+    start_date        DATETIME2  NULL,
+    end_date          DATETIME2  NULL,
+    created_date      DATETIME2  NOT NULL DEFAULT SYSDATETIME(),
+    created_by        INT        NULL,
+    modified_date     DATETIME2  NOT NULL DEFAULT SYSDATETIME(),
+    modified_by       INT        NULL,
+    row_status        TINYINT    NOT NULL DEFAULT 1
+  );
+  CREATE INDEX IX_User_Additional_Permissions_user ON [dbo].[User_Additional_Permissions] (user_id, system_screen_id);
+END;
@@ -0,0 +1,3 @@
+-- No-op. The template tables, Patient_Notes / Patient_Note_Content, DrugMaster, Scribe_Provider_Mapping and both
+-- views predate the migrations and hold patient notes. 0003 may have redefined View_Template_Component_Mapping
+-- with row_status; the view is left as it is. Reverting removes the version row only.
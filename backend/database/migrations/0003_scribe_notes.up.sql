@@ -0,0 +1,129 @@
+-- Scribe ⇄ provider pairing, note templates, patient notes and the drug list.
+
+IF OBJECT_ID(N'[dbo].[Scribe_Provider_Mapping]', N'U') IS NULL
+BEGIN
+  CREATE TABLE [dbo].[Scribe_Provider_Mapping] (
+    id                INT IDENTITY(1,1) PRIMARY KEY,
+    scribe_user_id    INT        NOT NULL REFERENCES [dbo].[System_Users](id),
+    provider_user_id  INT        NOT NULL REFERENCES [dbo].[System_Users](id),
+    created_date      DATETIME2  NOT NULL DEFAULT SYSDATETIME(),
+    created_by        INT        NULL,
+    modified_date     DATETIME2  NOT NULL DEFAULT SYSDATETIME(),
+    modified_by       INT        NULL,
+    row_status        TINYINT    NOT NULL DEFAULT 1
+  );
+  CREATE INDEX IX_Scribe_Provider_Mapping_scribe ON [dbo].[Scribe_Provider_Mapping] (scribe_user_id, row_status);
+  CREATE INDEX IX_Scribe_Provider_Mapping_provider ON [dbo].[Scribe_Provider_Mapping] (provider_user_id, row_status);
+END;
+
+IF OBJECT_ID(N'[dbo].[Templates]', N'U') IS NULL
+CREATE TABLE [dbo].[Templates] (
+  id             INT IDENTITY(1,1) PRIMARY KEY,
+  template       NVARCHAR(200)  NOT NULL,
+  short_name     NVARCHAR(50)   NULL,
+  created_date   DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+  created_by     INT            NULL,
+  modified_date  DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+  modified_by    INT            NULL,
+  row_status     TINYINT        NOT NULL DEFAULT 1
+);
+
+IF OBJECT_ID(N'[dbo].[Template_Components]', N'U') IS NULL
+CREATE TABLE [dbo].[Template_Components] (
+  id             INT IDENTITY(1,1) PRIMARY KEY,
+  component      NVARCHAR(200)  NOT NULL,
+  created_date   DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+  created_by     INT            NULL,
+  modified_date  DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+  modified_by    INT            NULL,
+  row_status     TINYINT        NOT NULL DEFAULT 1
+);
+
+-- One row per section of a template; Patient_Note_Content points here
+IF OBJECT_ID(N'[dbo].[Template_Component_Mapping]', N'U') IS NULL
+CREATE TABLE [dbo].[Template_Component_Mapping] (
+  id                     INT IDENTITY(1,1) PRIMARY KEY,
+  template_id            INT        NOT NULL REFERENCES [dbo].[Templates](id),
+  template_component_id  INT        NOT NULL REFERENCES [dbo].[Template_Components](id),
+  position               INT        NOT NULL DEFAULT 0,
+  created_date           DATETIME2  NOT NULL DEFAULT SYSDATETIME(),
+  created_by             INT        NULL,
+  modified_date          DATETIME2  NOT NULL DEFAULT SYSDATETIME(),
+  modified_by            INT        NULL,
+  row_status             TINYINT    NOT NULL DEFAULT 1
+);
+
+IF OBJECT_ID(N'[dbo].[Patient_Notes]', N'U') IS NULL
+BEGIN
+  CREATE TABLE [dbo].[Patient_Notes] (
+    id             INT IDENTITY(1,1) PRIMARY KEY,
+    patient_id     INT        NOT NULL REFERENCES [dbo].[System_Users](id),
+    doctor_id      INT        NOT NULL REFERENCES [dbo].[System_Users](id),
+    created_date   DATETIME2  NOT NULL DEFAULT SYSDATETIME(),
+    created_by     INT        NULL,
+    modified_date  DATETIME2  NOT NULL DEFAULT SYSDATETIME(),
+    modified_by    INT        NULL,
+    row_status     TINYINT    NOT NULL DEFAULT 1
+  );
+  CREATE INDEX IX_Patient_Notes_patient ON [dbo].[Patient_Notes] (patient_id, created_date DESC);
+END;
+
+IF OBJECT_ID(N'[dbo].[Patient_Note_Content]', N'U') IS NULL
+BEGIN
+  CREATE TABLE [dbo].[Patient_Note_Content] (
+    id                             INT IDENTITY(1,1) PRIMARY KEY,
+    patient_note_id                INT            NOT NULL REFERENCES [dbo].[Patient_Notes](id),
+    template_component_mapping_id  INT            NOT NULL REFERENCES [dbo].[Template_Component_Mapping](id),
+    text                           NVARCHAR(MAX)  NULL,
+    edit_count                     INT            NOT NULL DEFAULT 0,
+    created_date                   DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+    created_by                     INT            NULL,
+    modified_date                  DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+    modified_by                    INT            NULL,
+    row_status                     TINYINT        NOT NULL DEFAULT 1
+  );
+  CREATE INDEX IX_Patient_Note_Content_note ON [dbo].[Patient_Note_Content] (patient_note_id);
+END;
+
+IF OBJECT_ID(N'[dbo].[DrugMaster]', N'U') IS NULL
+BEGIN
+  CREATE TABLE [dbo].[DrugMaster] (
+    id      INT IDENTITY(1,1) PRIMARY KEY,
+    drug    NVARCHAR(300)  NULL,
+    status  TINYINT        NOT NULL DEFAULT 1
+  );
+  CREATE INDEX IX_DrugMaster_drug ON [dbo].[DrugMaster] (drug);
+END;
+
+GO
+
+-- Older databases shipped this view without row_status; it is (re)defined here so
+-- template component lookups can always filter on it.
+IF OBJECT_ID(N'[dbo].[View_Template_Component_Mapping]', N'V') IS NULL
+   OR COL_LENGTH(N'[dbo].[View_Template_Component_Mapping]', N'row_status') IS NULL
+EXEC(N'CREATE OR ALTER VIEW [dbo].[View_Template_Component_Mapping] AS
+  SELECT
+    tcm.id           AS mapping_id,
+    tcm.template_id,
+    t.template,
+    tc.component,
+    tcm.position,
+    tcm.row_status
+  FROM [dbo].[Template_Component_Mapping] tcm
+  JOIN [dbo].[Templates] t ON t.id = tcm.template_id
+  JOIN [dbo].[Template_Components] tc ON tc.id = tcm.template_component_id');
+
+IF OBJECT_ID(N'[dbo].[View_Patient_Note_Content]', N'V') IS NULL
+EXEC(N'CREATE VIEW [dbo].[View_Patient_Note_Content] AS
+  SELECT
+    pnc.id,
+    pnc.patient_note_id,
+    t.template,
+    tcm.position,
+    tc.component,
+    pnc.text
+  FROM [dbo].[Patient_Note_Content] pnc
+  JOIN [dbo].[Template_Component_Mapping] tcm ON tcm.id = pnc.template_component_mapping_id
+  JOIN [dbo].[Templates] t ON t.id = tcm.template_id
+  JOIN [dbo].[Template_Components] tc ON tc.id = tcm.template_component_id
+  WHERE pnc.row_status = 1');
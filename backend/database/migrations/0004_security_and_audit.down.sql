@@ -0,0 +1,8 @@
+-- Dropping the table also drops its append-only trigger.
+IF OBJECT_ID(N'[dbo].[Phi_Access_Audit]', N'U') IS NOT NULL DROP TABLE [dbo].[Phi_Access_Audit];
+IF OBJECT_ID(N'[dbo].[Admin_Activity_Log]', N'U') IS NOT NULL DROP TABLE [dbo].[Admin_Activity_Log];
+IF OBJECT_ID(N'[dbo].[Password_Reset_Tokens]', N'U') IS NOT NULL DROP TABLE [dbo].[Password_Reset_Tokens];
+IF OBJECT_ID(N'[dbo].[Login_Security_Audit]', N'U') IS NOT NULL DROP TABLE [dbo].[Login_Security_Audit];
+IF OBJECT_ID(N'[dbo].[User_Oidc_Identities]', N'U') IS NOT NULL DROP TABLE [dbo].[User_Oidc_Identities];
+IF OBJECT_ID(N'[dbo].[Mfa_Screen_Policy]', N'U') IS NOT NULL DROP TABLE [dbo].[Mfa_Screen_Policy];
+IF OBJECT_ID(N'[dbo].[User_Mfa]', N'U') IS NOT NULL DROP TABLE [dbo].[User_Mfa];
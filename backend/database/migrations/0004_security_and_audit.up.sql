@@ -0,0 +1,112 @@
+-- Login hardening (2FA, SSO links, lockout + reset tokens) and the audit trails.
+-- These used to be created lazily by the server on first use.
+
+IF OBJECT_ID(N'[dbo].[User_Mfa]', N'U') IS NULL
+CREATE TABLE [dbo].[User_Mfa] (
+  id              INT IDENTITY(1,1) PRIMARY KEY,
+  user_id         INT            NOT NULL,
+  totp_secret     NVARCHAR(512)  NOT NULL,
+  last_used_step  BIGINT         NULL,
+  recovery_codes  NVARCHAR(MAX)  NULL,
+  enrolled_date   DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+  created_date    DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+  created_by      INT            NULL,
+  modified_date   DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+  modified_by     INT            NULL,
+  row_status      TINYINT        NOT NULL DEFAULT 1
+);
+
+IF OBJECT_ID(N'[dbo].[Mfa_Screen_Policy]', N'U') IS NULL
+CREATE TABLE [dbo].[Mfa_Screen_Policy] (
+  id                INT IDENTITY(1,1) PRIMARY KEY,
+  system_screen_id  INT        NOT NULL,
+  require_mfa       BIT        NOT NULL DEFAULT 1,
+  created_date      DATETIME2  NOT NULL DEFAULT SYSDATETIME(),
+  created_by        INT        NULL,
+  modified_date     DATETIME2  NOT NULL DEFAULT SYSDATETIME(),
+  modified_by       INT        NULL,
+  row_status        TINYINT    NOT NULL DEFAULT 1
+);
+
+IF OBJECT_ID(N'[dbo].[User_Oidc_Identities]', N'U') IS NULL
+CREATE TABLE [dbo].[User_Oidc_Identities] (
+  id               INT IDENTITY(1,1) PRIMARY KEY,
+  user_id          INT            NOT NULL,
+  provider_id      NVARCHAR(64)   NOT NULL,
+  subject          NVARCHAR(255)  NOT NULL,
+  email            NVARCHAR(320)  NULL,
+  created_date     DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+  last_login_date  DATETIME2      NULL,
+  CONSTRAINT UQ_User_Oidc_Identities UNIQUE (provider_id, subject)
+);
+
+IF OBJECT_ID(N'[dbo].[Login_Security_Audit]', N'U') IS NULL
+CREATE TABLE [dbo].[Login_Security_Audit] (
+  id             BIGINT IDENTITY(1,1) PRIMARY KEY,
+  event_type     NVARCHAR(32)   NOT NULL,   -- 'lockout' | 'unlock'
+  scope          NVARCHAR(16)   NOT NULL,   -- 'email' | 'ip'
+  subject        NVARCHAR(320)  NOT NULL,
+  ip             NVARCHAR(64)   NULL,
+  fail_count     INT            NULL,
+  locked_until   DATETIME2      NULL,
+  actor_user_id  INT            NULL,
+  created_date   DATETIME2      NOT NULL DEFAULT SYSDATETIME()
+);
+
+IF OBJECT_ID(N'[dbo].[Password_Reset_Tokens]', N'U') IS NULL
+CREATE TABLE [dbo].[Password_Reset_Tokens] (
+  id             INT IDENTITY(1,1) PRIMARY KEY,
+  user_id        INT           NOT NULL,
+  token_hash     CHAR(64)      NOT NULL,
+  expires_date   DATETIME2     NOT NULL,
+  used_date      DATETIME2     NULL,
+  requested_ip   NVARCHAR(64)  NULL,
+  created_date   DATETIME2     NOT NULL DEFAULT SYSDATETIME()
+);
+
+IF OBJECT_ID(N'[dbo].[Admin_Activity_Log]', N'U') IS NULL
+BEGIN
+  CREATE TABLE [dbo].[Admin_Activity_Log] (
+    id              BIGINT IDENTITY(1,1) PRIMARY KEY,
+    actor_user_id   INT            NULL,
+    actor_email     NVARCHAR(320)  NULL,
+    action          NVARCHAR(32)   NOT NULL,   -- 'user.create' | 'user.assign' | 'mapping.save' | 'session.revoke' | 'access.*' | 'rights.save'
+    entity          NVARCHAR(64)   NOT NULL,   -- table that changed
+    entity_id       INT            NULL,
+    target_user_id  INT            NULL,       -- the user whose access changed
+    before_json     NVARCHAR(MAX)  NULL,
+    after_json      NVARCHAR(MAX)  NULL,
+    diff_json       NVARCHAR(MAX)  NULL,
+    ip              NVARCHAR(64)   NULL,
+    created_date    DATETIME2      NOT NULL DEFAULT SYSDATETIME()
+  );
+  CREATE INDEX IX_Admin_Activity_Log_created ON [dbo].[Admin_Activity_Log] (created_date DESC);
+END;
+
+-- Append-only: an INSTEAD OF UPDATE, DELETE trigger rejects any change to existing rows
+IF OBJECT_ID(N'[dbo].[Phi_Access_Audit]', N'U') IS NULL
+BEGIN
+  CREATE TABLE [dbo].[Phi_Access_Audit] (
+    id             BIGINT IDENTITY(1,1) PRIMARY KEY,
+    user_id        INT            NULL,
+    user_email     NVARCHAR(320)  NULL,
+    action         NVARCHAR(32)   NOT NULL,   -- 'patient_lookup' | 'note_read' | 'ai_summary' | 'note_save'
+    outcome        NVARCHAR(16)   NOT NULL,   -- 'allowed' | 'denied' | 'not_found'
+    patient_id     INT            NULL,
+    mrn            NVARCHAR(64)   NULL,
+    note_id        INT            NULL,
+    ip             NVARCHAR(64)   NULL,
+    user_agent     NVARCHAR(512)  NULL,
+    created_date   DATETIME2      NOT NULL DEFAULT SYSDATETIME()
+  );
+  CREATE INDEX IX_Phi_Access_Audit_created ON [dbo].[Phi_Access_Audit] (created_date DESC);
+  CREATE INDEX IX_Phi_Access_Audit_patient ON [dbo].[Phi_Access_Audit] (patient_id, created_date DESC);
+END;
+
+IF OBJECT_ID(N'[dbo].[TR_Phi_Access_Audit_AppendOnly]', N'TR') IS NULL
+EXEC(N'CREATE TRIGGER [dbo].[TR_Phi_Access_Audit_AppendOnly]
+  ON [dbo].[Phi_Access_Audit]
+  INSTEAD OF UPDATE, DELETE
+  AS BEGIN
+    THROW 51000, ''Phi_Access_Audit is append-only'', 1;
+  END');
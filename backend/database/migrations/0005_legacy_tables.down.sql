@@ -0,0 +1,2 @@
+-- No-op. auth_users and assignusers are the legacy login / assignment tables from before the platform
+-- schema; 0005 only records them. Reverting removes the version row only.
@@ -0,0 +1,25 @@
+-- Tables still read by the older endpoints: POST /api/platform/assign-user
+-- (assignusers) and the simple DB login POST /api/auth/login (auth_users).
+
+IF OBJECT_ID(N'[dbo].[assignusers]', N'U') IS NULL
+CREATE TABLE [dbo].[assignusers] (
+  id           INT IDENTITY(1,1) PRIMARY KEY,
+  user_id      INT           NOT NULL,
+  provider_id  INT           NULL,
+  scribe_id    INT           NULL,
+  level        NVARCHAR(50)  NULL,
+  created_at   DATETIME      NOT NULL DEFAULT GETDATE(),
+  updated_at   DATETIME      NULL
+);
+
+IF OBJECT_ID(N'[dbo].[auth_users]', N'U') IS NULL
+BEGIN
+  CREATE TABLE [dbo].[auth_users] (
+    id                 INT IDENTITY(1,1) PRIMARY KEY,
+    name               NVARCHAR(200)  NULL,
+    email              NVARCHAR(320)  NOT NULL,
+    password_hash      NVARCHAR(255)  NOT NULL,
+    reporting_manager  NVARCHAR(200)  NULL
+  );
+  CREATE UNIQUE INDEX UX_auth_users_email ON [dbo].[auth_users] (email);
+END;
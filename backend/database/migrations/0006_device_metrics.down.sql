@@ -0,0 +1,2 @@
+IF OBJECT_ID(N'[dbo].[Device_Metric_Rollups]', N'U') IS NOT NULL DROP TABLE [dbo].[Device_Metric_Rollups];
+IF OBJECT_ID(N'[dbo].[Device_Metric_Samples]', N'U') IS NOT NULL DROP TABLE [dbo].[Device_Metric_Samples];
@@ -0,0 +1,32 @@
+-- Long-term device telemetry / WebRTC quality history (backend/metrics/device-metrics.js).
+-- Raw samples are kept for 24 hours; 1-minute rollups for 30 days and 1-hour rollups
+-- for a year. Timestamps are epoch milliseconds (UTC), as sent to the dashboard charts.
+
+IF OBJECT_ID(N'[dbo].[Device_Metric_Samples]', N'U') IS NULL
+BEGIN
+  CREATE TABLE [dbo].[Device_Metric_Samples] (
+    id      BIGINT IDENTITY(1,1) PRIMARY KEY,
+    xr_id   NVARCHAR(64)  NOT NULL,
+    metric  VARCHAR(32)   NOT NULL,
+    ts      BIGINT        NOT NULL,
+    value   FLOAT         NOT NULL
+  );
+  CREATE INDEX IX_Device_Metric_Samples_series ON [dbo].[Device_Metric_Samples] (xr_id, metric, ts);
+  CREATE INDEX IX_Device_Metric_Samples_ts ON [dbo].[Device_Metric_Samples] (ts);
+END;
+
+IF OBJECT_ID(N'[dbo].[Device_Metric_Rollups]', N'U') IS NULL
+BEGIN
+  CREATE TABLE [dbo].[Device_Metric_Rollups] (
+    xr_id         NVARCHAR(64)  NOT NULL,
+    metric        VARCHAR(32)   NOT NULL,
+    bucket_ms     INT           NOT NULL,   -- 60000 | 3600000
+    bucket_start  BIGINT        NOT NULL,
+    sample_count  INT           NOT NULL,
+    value_sum     FLOAT         NOT NULL,
+    value_min     FLOAT         NOT NULL,
+    value_max     FLOAT         NOT NULL,
+    CONSTRAINT PK_Device_Metric_Rollups PRIMARY KEY (xr_id, metric, bucket_ms, bucket_start)
+  );
+  CREATE INDEX IX_Device_Metric_Rollups_bucket ON [dbo].[Device_Metric_Rollups] (bucket_ms, bucket_start);
+END;
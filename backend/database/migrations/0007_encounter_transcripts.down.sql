@@ -0,0 +1,2 @@
+IF OBJECT_ID(N'[dbo].[Encounter_Transcript_Segments]', N'U') IS NOT NULL DROP TABLE [dbo].[Encounter_Transcript_Segments];
+IF OBJECT_ID(N'[dbo].[Encounters]', N'U') IS NOT NULL DROP TABLE [dbo].[Encounters];
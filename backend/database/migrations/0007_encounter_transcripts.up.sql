@@ -0,0 +1,37 @@
+-- Server-side copy of encounter transcripts (backend/encounters/transcript-store.js).
+-- An encounter groups the final transcript segments of one pair room session and
+-- links them to the device, the scribe / provider of the pair and the patient MRN.
+
+IF OBJECT_ID(N'[dbo].[Encounters]', N'U') IS NULL
+BEGIN
+  CREATE TABLE [dbo].[Encounters] (
+    id                 INT IDENTITY(1,1) PRIMARY KEY,
+    room_id            NVARCHAR(150)  NOT NULL,
+    device_xr_id       NVARCHAR(64)   NOT NULL,
+    scribe_user_id     INT            NULL,
+    provider_user_id   INT            NULL,
+    patient_mrn        NVARCHAR(64)   NULL,
+    status             VARCHAR(16)    NOT NULL DEFAULT 'open',   -- 'open' | 'closed'
+    segment_count      INT            NOT NULL DEFAULT 0,
+    started_date       DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+    last_segment_date  DATETIME2      NULL,
+    closed_date        DATETIME2      NULL,
+    modified_date      DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+    modified_by        INT            NULL
+  );
+  CREATE INDEX IX_Encounters_room_status ON [dbo].[Encounters] (room_id, status);
+  CREATE INDEX IX_Encounters_provider ON [dbo].[Encounters] (provider_user_id, started_date);
+  CREATE INDEX IX_Encounters_patient_mrn ON [dbo].[Encounters] (patient_mrn);
+END;
+
+IF OBJECT_ID(N'[dbo].[Encounter_Transcript_Segments]', N'U') IS NULL
+CREATE TABLE [dbo].[Encounter_Transcript_Segments] (
+  id             BIGINT IDENTITY(1,1) PRIMARY KEY,
+  encounter_id   INT            NOT NULL REFERENCES [dbo].[Encounters](id),
+  sequence       INT            NOT NULL,
+  speaker_xr_id  NVARCHAR(64)   NULL,
+  text           NVARCHAR(MAX)  NOT NULL,
+  spoken_date    DATETIME2      NOT NULL,
+  created_date   DATETIME2      NOT NULL DEFAULT SYSDATETIME(),
+  CONSTRAINT UQ_Encounter_Transcript_Segments UNIQUE (encounter_id, sequence)
+);
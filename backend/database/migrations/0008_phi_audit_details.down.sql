@@ -0,0 +1,2 @@
+IF COL_LENGTH(N'dbo.Phi_Access_Audit', N'details') IS NOT NULL
+  ALTER TABLE [dbo].[Phi_Access_Audit] DROP COLUMN details;
@@ -0,0 +1,5 @@
+-- Free-form JSON context for a PHI audit row (server.js writePhiAudit), e.g. the grounding
+-- warnings a scribe acknowledged on note_save: { "encounterId": 12, "groundingAcknowledged": [key, …] }.
+
+IF COL_LENGTH(N'dbo.Phi_Access_Audit', N'details') IS NULL
+  ALTER TABLE [dbo].[Phi_Access_Audit] ADD details NVARCHAR(MAX) NULL;
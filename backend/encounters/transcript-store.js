@@ -0,0 +1,105 @@
+// ========================================
+// Encounter transcripts
+// ========================================
+// Final transcript segments are stored server-side so they outlive the cockpit's
+// localStorage and another scribe can pick an encounter up. An encounter is the
+// open Encounters row of a pair room, linked to the device that spoke, the
+// scribe / provider of its mapping and (once the cockpit loads one) a patient MRN.
+// A room that has been quiet for ENCOUNTER_IDLE_MINUTES (default 30) starts a new
+// encounter with its next segment.
+//
+// Segments of one room are written one at a time in arrival order, and the room's
+// open encounter is cached, so a segment costs a single transaction. The cache is
+// per instance: the append itself only matches while the cached encounter is still
+// the room's open one, so when another instance closes or resumes an encounter in
+// the room the segment re-reads the room's open encounter and goes there instead.
+
+const IDLE_MS = Math.max(1, parseInt(process.env.ENCOUNTER_IDLE_MINUTES || '30', 10)) * 60 * 1000;
+
+function toTime(v) {
+  const t = v == null ? NaN : new Date(v).getTime();
+  return Number.isFinite(t) ? t : null;
+}
+
+// resolveParticipants(deviceXrId) → { scribeUserId, providerUserId } (either may be null)
+function createTranscriptStore({ repos, resolveParticipants }) {
+  const openByRoom = new Map(); // roomId -> { id, lastAt }
+  const queues = new Map();     // roomId -> tail of that room's write chain
+
+  function inRoomOrder(roomId, task) {
+    const run = (queues.get(roomId) || Promise.resolve()).catch(() => {}).then(task);
+    queues.set(roomId, run);
+    run
+      .finally(() => {
+        if (queues.get(roomId) === run) queues.delete(roomId);
+      })
+      .catch(() => {});
+    return run;
+  }
+
+  async function openEncounterFor(roomId, deviceXrId, now) {
+    let enc = openByRoom.get(roomId) || null;
+    if (!enc) {
+      const row = await repos.encounters.findOpenForRoom(roomId);
+      if (row) enc = { id: row.id, lastAt: toTime(row.last_segment_date) ?? toTime(row.started_date) ?? now };
+    }
+
+    if (enc && now - enc.lastAt > IDLE_MS) {
+      await repos.encounters.close(enc.id);
+      enc = null;
+    }
+
+    if (!enc) {
+      const { scribeUserId = null, providerUserId = null } = (await resolveParticipants(deviceXrId)) || {};
+      const id = await repos.encounters.create({ roomId, deviceXrId, scribeUserId, providerUserId });
+      enc = { id, lastAt: now };
+    }
+
+    openByRoom.set(roomId, enc);
+    return enc;
+  }
+
+  // One final segment → { encounterId, segmentId, sequence }
+  function appendSegment({ roomId, deviceXrId, text, spokenAt }) {
+    return inRoomOrder(roomId, async () => {
+      const now = Date.now();
+      try {
+        const fields = {
+          roomId,
+          speakerXrId: deviceXrId,
+          text,
+          spokenAt: new Date(toTime(spokenAt) ?? now).toISOString(),
+        };
+        let enc = await openEncounterFor(roomId, deviceXrId, now);
+        let segment = await repos.encounters.appendSegment(enc.id, fields);
+        if (!segment) {
+          // The cached encounter was closed or resumed elsewhere since it was cached
+          openByRoom.delete(roomId);
+          enc = await openEncounterFor(roomId, deviceXrId, now);
+          segment = await repos.encounters.appendSegment(enc.id, fields);
+          if (!segment) throw new Error(`Encounter ${enc.id} is not open in room ${roomId}`);
+        }
+        enc.lastAt = now;
+        return { encounterId: enc.id, segmentId: segment.id, sequence: segment.sequence };
+      } catch (e) {
+        openByRoom.delete(roomId); // re-read the room's encounter next time
+        throw e;
+      }
+    });
+  }
+
+  // Makes a stored encounter the open one of `roomId`; later segments in that room append to it
+  function resume(encounterId, { roomId, scribeUserId = null, byUserId = null }) {
+    return inRoomOrder(roomId, async () => {
+      await repos.encounters.resume(encounterId, { roomId, scribeUserId, byUserId });
+      for (const [room, enc] of openByRoom) {
+        if (enc.id === encounterId) openByRoom.delete(room);
+      }
+      openByRoom.set(roomId, { id: encounterId, lastAt: Date.now() });
+    });
+  }
+
+  return { appendSegment, resume };
+}
+
+module.exports = { createTranscriptStore };
@@ -0,0 +1,65 @@
+// ========================================
+// Streaming JSON object reader
+// ========================================
+// Takes the text of a streamed JSON-mode answer piece by piece and reports each
+// top-level "key": value pair of the object as soon as its value is complete, so
+// note sections can be shown before the model has finished the whole object.
+// Anything before the first '{' (a ```json fence, prose) is skipped, nested values
+// are reported whole, and a pair that does not parse is skipped – the caller still
+// parses the complete answer at the end.
+
+function createJsonEntryReader(onEntry) {
+  let depth = -1;        // -1 until the opening '{', 0 once the object has closed
+  let inString = false;
+  let escaped = false;
+  let entry = '';        // text of the current top-level pair
+
+  function emit() {
+    const text = entry.trim();
+    entry = '';
+    if (!text) return;
+    let pair;
+    try {
+      pair = JSON.parse(`{${text}}`);
+    } catch {
+      return;
+    }
+    for (const [key, value] of Object.entries(pair)) onEntry(key, value);
+  }
+
+  function push(chunk) {
+    for (const ch of String(chunk || '')) {
+      if (depth === -1) {
+        if (ch === '{') depth = 1;
+        continue;
+      }
+      if (depth === 0) return;
+
+      if (inString) {
+        entry += ch;
+        if (escaped) escaped = false;
+        else if (ch === '\\') escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+
+      if (ch === '"') inString = true;
+      else if (ch === '{' || ch === '[') depth++;
+      else if (ch === '}' || ch === ']') {
+        depth--;
+        if (depth === 0) {
+          emit();
+          return;
+        }
+      } else if (ch === ',' && depth === 1) {
+        emit();
+        continue;
+      }
+      entry += ch;
+    }
+  }
+
+  return { push };
+}
+
+module.exports = { createJsonEntryReader };
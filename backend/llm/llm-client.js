@@ -0,0 +1,192 @@
+// ========================================
+// LLM client
+// ========================================
+// Single entry point for the AI routes (note generation, patient summary, AI
+// diagnosis). Picks the provider for the caller's clinic, applies the timeout and
+// retries, parses JSON-mode answers and keeps per provider / task token totals.
+//
+//   LLM_PROVIDER          routellm | openai | stub (default routellm)
+//   LLM_CLINIC_PROVIDERS  per-clinic override, e.g. "12=openai,15=routellm"
+//   LLM_TIMEOUT_MS        per attempt, default 60000
+//   LLM_MAX_RETRIES       default 2; only timeouts, network errors, HTTP 429 / 5xx
+//                         and empty answers are retried (backoff 0.5 s, 1 s, 2 s …)
+//
+// stream() is complete() with the answer handed to onText piece by piece; it only
+// retries while nothing has been handed out yet, and an aborted `signal` ends it
+// with code 'ABORTED'.
+//
+// MOCK_MODE always uses the stub. A provider's settings are read on its first call,
+// so a missing key fails that call rather than the boot.
+
+const { PROVIDERS, llmError } = require('./providers');
+
+const RETRY_BASE_MS = 500;
+
+function providerName(value, source) {
+  const name = String(value || '').trim().toLowerCase();
+  if (!PROVIDERS[name]) {
+    throw new Error(`${source}: unknown LLM provider "${value}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return name;
+}
+
+// "12=openai, 15=stub" → Map { '12' => 'openai', '15' => 'stub' }
+function parseClinicProviders(spec) {
+  const out = new Map();
+  for (const entry of String(spec || '').split(',')) {
+    if (!entry.trim()) continue;
+    const [clinicId, name] = entry.split('=').map((s) => s.trim());
+    if (!clinicId || !name) throw new Error(`LLM_CLINIC_PROVIDERS: bad entry "${entry.trim()}"`);
+    out.set(clinicId, providerName(name, 'LLM_CLINIC_PROVIDERS'));
+  }
+  return out;
+}
+
+// First JSON object in the answer; tolerates ```json fences and surrounding prose
+function parseJsonAnswer(text) {
+  const unfenced = String(text || '')
+    .trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/i, '')
+    .trim();
+  try {
+    return JSON.parse(unfenced);
+  } catch {
+    const start = unfenced.indexOf('{');
+    const end = unfenced.lastIndexOf('}');
+    try {
+      if (start !== -1 && end > start) return JSON.parse(unfenced.slice(start, end + 1));
+    } catch { }
+    throw llmError('BAD_JSON', 'Model did not return valid JSON');
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createLlmClient({ env = process.env, mockMode = false } = {}) {
+  const defaultProvider = mockMode ? 'stub' : providerName(env.LLM_PROVIDER || 'routellm', 'LLM_PROVIDER');
+  const clinicProviders = mockMode ? new Map() : parseClinicProviders(env.LLM_CLINIC_PROVIDERS);
+  const defaultTimeoutMs = Math.max(1000, parseInt(env.LLM_TIMEOUT_MS || '60000', 10) || 60000);
+  const maxRetries = Math.max(0, parseInt(env.LLM_MAX_RETRIES ?? '2', 10) || 0);
+
+  const instances = new Map(); // provider name → adapter
+  const totals = new Map();    // `${provider}|${model}|${task}` → usage row
+  const since = new Date().toISOString();
+
+  function providerFor(clinicId) {
+    const name = (clinicId != null && clinicProviders.get(String(clinicId))) || defaultProvider;
+    if (!instances.has(name)) instances.set(name, PROVIDERS[name](env));
+    return instances.get(name);
+  }
+
+  function account(provider, task, usage, failed) {
+    const key = `${provider.name}|${provider.model}|${task}`;
+    let row = totals.get(key);
+    if (!row) {
+      row = { provider: provider.name, model: provider.model, task, calls: 0, failures: 0, promptTokens: 0, completionTokens: 0 };
+      totals.set(key, row);
+    }
+    row.calls += 1;
+    if (failed) row.failures += 1;
+    if (usage) {
+      row.promptTokens += usage.promptTokens;
+      row.completionTokens += usage.completionTokens;
+    }
+  }
+
+  // One attempt of `mode` ('complete' / 'stream') with its own deadline, chained to request.signal
+  async function attemptOnce(provider, mode, request) {
+    const deadline = new AbortController();
+    const timeoutMs = request.timeoutMs ?? defaultTimeoutMs;
+    const timer = setTimeout(() => deadline.abort(), timeoutMs);
+    const onAbort = () => deadline.abort();
+    request.signal?.addEventListener('abort', onAbort);
+    try {
+      return await provider[mode]({ ...request, timeoutMs, signal: deadline.signal });
+    } catch (e) {
+      if (e.code === 'ABORTED' && !request.signal?.aborted) {
+        throw llmError('TIMEOUT', `${provider.name}: no answer within ${timeoutMs} ms`, { retryable: true });
+      }
+      throw e;
+    } finally {
+      clearTimeout(timer);
+      request.signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  async function run(mode, request) {
+    const { task = 'chat', clinicId = null, json = false } = request;
+    const provider = providerFor(clinicId);
+    const retries = request.retries ?? maxRetries;
+
+    let delivered = false;
+    const onDelta = (delta) => {
+      delivered = true;
+      request.onText?.(delta);
+    };
+
+    for (let attempt = 1; ; attempt++) {
+      let out;
+      try {
+        out = await attemptOnce(provider, mode, {
+          ...request,
+          task,
+          json,
+          temperature: request.temperature ?? 0,
+          onDelta,
+        });
+      } catch (e) {
+        if (!e.retryable || delivered || attempt > retries || request.signal?.aborted) {
+          account(provider, task, null, true);
+          throw e;
+        }
+        const delay = RETRY_BASE_MS * 2 ** (attempt - 1);
+        console.warn(`[LLM] ${provider.name} ${task} attempt ${attempt} failed (${e.code}), retrying in ${delay} ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      const usage = { ...out.usage, totalTokens: out.usage.promptTokens + out.usage.completionTokens };
+      let parsed = null;
+      try {
+        if (json) parsed = parseJsonAnswer(out.text);
+      } catch (e) {
+        account(provider, task, usage, true);
+        throw e;
+      }
+      account(provider, task, usage, false);
+      return { text: out.text, json: parsed, usage, provider: provider.name, model: provider.model, attempts: attempt };
+    }
+  }
+
+  // request: { task, messages, json?, temperature?, maxTokens?, timeoutMs?, retries?, clinicId?, signal?, stub? }
+  //   task      short name used for token totals and stub fixtures ('soap_note', …)
+  //   json      ask for a JSON object and return it parsed as `json`
+  //   stub      () => answer, used by the stub provider when no fixture file exists
+  // → { text, json, usage: { promptTokens, completionTokens, totalTokens }, provider, model, attempts }
+  function complete(request) {
+    return run('complete', request);
+  }
+
+  // Same request plus onText(delta); same result once the answer is complete
+  function stream(request) {
+    return run('stream', request);
+  }
+
+  // Token totals since boot (this instance), busiest first
+  function usage() {
+    const rows = Array.from(totals.values()).sort(
+      (a, b) => b.promptTokens + b.completionTokens - (a.promptTokens + a.completionTokens)
+    );
+    return {
+      since,
+      defaultProvider,
+      clinicProviders: Object.fromEntries(clinicProviders),
+      rows: rows.map((r) => ({ ...r })),
+    };
+  }
+
+  return { complete, stream, usage };
+}
+
+module.exports = { createLlmClient };
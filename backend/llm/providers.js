@@ -0,0 +1,233 @@
+// ========================================
+// LLM provider adapters
+// ========================================
+// Each adapter sends one chat request to its vendor and returns { text, usage };
+// stream() does the same while passing each piece of text to onDelta as it arrives:
+//   routellm   Abacus RouteLLM (ABACUS_API_KEY, ABACUS_MODEL, ROUTELLM_BASE_URL)
+//   openai     any OpenAI-compatible /chat/completions endpoint – OpenAI itself or a
+//              local llama.cpp / vLLM server (LLM_OPENAI_BASE_URL, LLM_OPENAI_MODEL,
+//              LLM_OPENAI_API_KEY, LLM_OPENAI_JSON_MODE)
+//   stub       no network: LLM_STUB_DIR/<task>.json if present, otherwise the canned
+//              answer the call site passes as `stub`
+// Adapters make a single attempt; timeouts, retries, JSON parsing and token totals
+// are handled by llm-client.js. Failures throw llmError(code, message, { retryable }),
+// an aborted `signal` throws code 'ABORTED'.
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+function llmError(code, message, extra = {}) {
+  return Object.assign(new Error(message), { code, retryable: false, ...extra });
+}
+
+// Used when a provider reports no usage (~4 characters per token)
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function promptText(messages) {
+  return (messages || []).map((m) => m.content).join('\n');
+}
+
+function requestError(name, e) {
+  if (e?.code === 'ERR_CANCELED' || e?.name === 'CanceledError' || e?.name === 'AbortError') {
+    return llmError('ABORTED', `${name}: request aborted`);
+  }
+  const timedOut = e?.code === 'ECONNABORTED' || e?.code === 'ETIMEDOUT';
+  return llmError(timedOut ? 'TIMEOUT' : 'NETWORK', `${name}: ${e?.message || e}`, { retryable: true });
+}
+
+function httpError(name, status, data) {
+  const detail =
+    data?.error?.message || data?.message || (typeof data === 'string' && data.trim()) || `HTTP ${status}`;
+  return llmError('HTTP', `${name} error: ${detail}`, { status, retryable: status === 429 || status >= 500 });
+}
+
+function readAll(stream) {
+  return new Promise((resolve) => {
+    let out = '';
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => { out += chunk; });
+    stream.on('end', () => resolve(out));
+    stream.on('error', () => resolve(out));
+  });
+}
+
+function createOpenAiCompatibleProvider({ name, baseUrl, apiKey = null, model, jsonMode = true }) {
+  const url = `${String(baseUrl).replace(/\/+$/, '')}/chat/completions`;
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+  };
+
+  const body = ({ messages, json, temperature, maxTokens }, stream) => ({
+    model,
+    messages,
+    temperature,
+    stream,
+    ...(maxTokens ? { max_tokens: maxTokens } : {}),
+    ...(json && jsonMode ? { response_format: { type: 'json_object' } } : {}),
+  });
+
+  const usageOf = (messages, text, reported) => ({
+    promptTokens: Number(reported?.prompt_tokens) || estimateTokens(promptText(messages)),
+    completionTokens: Number(reported?.completion_tokens) || estimateTokens(text),
+  });
+
+  async function complete(request) {
+    let response;
+    try {
+      response = await axios.post(url, body(request, false), {
+        headers,
+        timeout: request.timeoutMs,
+        signal: request.signal,
+        validateStatus: () => true,
+      });
+    } catch (e) {
+      throw requestError(name, e);
+    }
+
+    const { status, data } = response;
+    if (status < 200 || status >= 300) throw httpError(name, status, data);
+
+    const content = data?.choices?.[0]?.message?.content;
+    if (!content) throw llmError('EMPTY', `${name}: empty response`, { retryable: true });
+
+    const text = typeof content === 'string' ? content : JSON.stringify(content);
+    return { text, usage: usageOf(request.messages, text, data?.usage) };
+  }
+
+  // Server-sent chat.completion.chunk events; the overall deadline is the caller's `signal`
+  async function stream(request) {
+    let response;
+    try {
+      response = await axios.post(url, body(request, true), {
+        headers,
+        responseType: 'stream',
+        signal: request.signal,
+        validateStatus: () => true,
+      });
+    } catch (e) {
+      throw requestError(name, e);
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+      const raw = await readAll(response.data);
+      let data = raw;
+      try { data = JSON.parse(raw); } catch { }
+      throw httpError(name, response.status, data);
+    }
+
+    return new Promise((resolve, reject) => {
+      let buf = '';
+      let text = '';
+      let reported = null;
+
+      const handleLine = (line) => {
+        if (!line.startsWith('data:')) return;
+        const payload = line.slice(5).trim();
+        if (!payload || payload === '[DONE]') return;
+        let evt;
+        try { evt = JSON.parse(payload); } catch { return; }
+        if (evt.usage) reported = evt.usage;
+        const delta = evt.choices?.[0]?.delta?.content;
+        if (!delta) return;
+        text += delta;
+        request.onDelta?.(delta);
+      };
+
+      response.data.setEncoding('utf8');
+      response.data.on('data', (chunk) => {
+        buf += chunk;
+        let nl;
+        while ((nl = buf.indexOf('\n')) !== -1) {
+          handleLine(buf.slice(0, nl).trim());
+          buf = buf.slice(nl + 1);
+        }
+      });
+      response.data.on('end', () => {
+        handleLine(buf.trim());
+        if (!text) return reject(llmError('EMPTY', `${name}: empty response`, { retryable: true }));
+        resolve({ text, usage: usageOf(request.messages, text, reported) });
+      });
+      response.data.on('error', (e) => reject(requestError(name, e)));
+    });
+  }
+
+  return { name, model, complete, stream };
+}
+
+function createRouteLlmProvider(env) {
+  const apiKey = String(env.ABACUS_API_KEY || '').trim();
+  if (!apiKey) throw llmError('CONFIG', 'Missing ABACUS_API_KEY');
+
+  return createOpenAiCompatibleProvider({
+    name: 'routellm',
+    baseUrl: env.ROUTELLM_BASE_URL || 'https://routellm.abacus.ai/v1',
+    apiKey,
+    model: String(env.ABACUS_MODEL || '').trim() || 'claude-opus-4-6',
+  });
+}
+
+function createOpenAiProvider(env) {
+  const model = String(env.LLM_OPENAI_MODEL || '').trim();
+  if (!model) throw llmError('CONFIG', 'Missing LLM_OPENAI_MODEL');
+
+  return createOpenAiCompatibleProvider({
+    name: 'openai',
+    baseUrl: String(env.LLM_OPENAI_BASE_URL || '').trim() || 'https://api.openai.com/v1',
+    apiKey: String(env.LLM_OPENAI_API_KEY || '').trim() || null,
+    model,
+    // Older llama.cpp builds reject response_format
+    jsonMode: String(env.LLM_OPENAI_JSON_MODE || 'true').toLowerCase() !== 'false',
+  });
+}
+
+const STUB_CHUNK_CHARS = 32;
+const STUB_CHUNK_DELAY_MS = 10;
+
+function createStubProvider(env) {
+  const dir = String(env.LLM_STUB_DIR || '').trim();
+
+  function fixtureFor(task) {
+    if (!dir || !/^[\w-]+$/.test(String(task || ''))) return null;
+    const file = path.join(path.resolve(dir), `${task}.json`);
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+  }
+
+  async function complete({ task, messages, stub }) {
+    let text = fixtureFor(task);
+    if (text == null && typeof stub === 'function') {
+      const answer = await stub();
+      text = typeof answer === 'string' ? answer : JSON.stringify(answer, null, 2);
+    }
+    if (text == null) throw llmError('CONFIG', `stub: no fixture for task "${task}"`);
+
+    return {
+      text,
+      usage: { promptTokens: estimateTokens(promptText(messages)), completionTokens: estimateTokens(text) },
+    };
+  }
+
+  // Same answer, handed out in fixed-size pieces so streaming UIs can be exercised
+  async function stream(request) {
+    const out = await complete(request);
+    for (let i = 0; i < out.text.length; i += STUB_CHUNK_CHARS) {
+      if (request.signal?.aborted) throw llmError('ABORTED', 'stub: request aborted');
+      await new Promise((resolve) => setTimeout(resolve, STUB_CHUNK_DELAY_MS));
+      request.onDelta?.(out.text.slice(i, i + STUB_CHUNK_CHARS));
+    }
+    return out;
+  }
+
+  return { name: 'stub', model: 'stub', complete, stream };
+}
+
+const PROVIDERS = {
+  routellm: createRouteLlmProvider,
+  openai: createOpenAiProvider,
+  stub: createStubProvider,
+};
+
+module.exports = { PROVIDERS, llmError };
@@ -0,0 +1,122 @@
+// ========================================
+// PHI redaction for server logs
+// ========================================
+// Hosting logs are not an approved PHI store, so everything dlog / dwarn / derr
+// prints goes through redactLogArgs() first.
+//
+// Modes (LOG_REDACTION):
+//   standard – objects keep their shape; values under PHI-looking keys are
+//              masked and emails / phone numbers / MRNs / SSNs inside any
+//              string are replaced. Default outside production.
+//   strict   – only values under SAFE_LOG_FIELDS keys are printed; every other
+//              field is reduced to a type marker, long free-text log arguments and
+//              bare strings inside values are dropped. Default in production.
+//   off      – no redaction; refused in production (falls back to strict).
+
+// Keys whose values are identifiers / counters / states, never patient data
+const SAFE_LOG_FIELDS = new Set([
+  // routing & identity of devices and sockets
+  'xrId', 'XR', 'from', 'to', 'me', 'peerId', 'partner', 'oldPartner', 'target', 'targetRoom', 'wanted',
+  'roomId', 'pairRoomId', 'socketId', 'partnerSocketId', 'cockpitForXrId', 'ignoredTo', 'clientType',
+  'deviceName', 'device', 'by', 'inst', 'stamp', 'instance',
+  // event shape
+  'type', 'event', 'command', 'action', 'outcome', 'reason', 'code', 'status', 'final', 'urgent',
+  'timestamp', 'ts', 'at',
+  // platform ids (no names / emails)
+  'id', 'userId', 'mappingId', 'noteId', 'screenId', 'roleId', 'grantId', 'provider',
+  'patientId', 'encounterId', 'actorUserId', 'targetUserId', 'entity', 'entityId', 'scope', 'scopes',
+  // counters & telemetry
+  'count', 'len', 'length', 'size', 'total', 'attempt', 'delay', 'watchers', 'local', 'cluster',
+  'pct', 'charging', 'cpuPct', 'memUsedMb', 'memTotalMb', 'deviceTempC', 'rttMs', 'jitterMs',
+  'packetLoss', 'bitrateKbps', 'fps', 'width', 'height',
+]);
+
+// Keys whose values are masked in every mode
+const PHI_KEY_PATTERN =
+  /mrn|patient|name|email|phone|mobile|contact|dob|birth|address|ssn|text|transcript|message|msg|note|soap|summary|content|body|payload|history|diagnos|medication|allerg|complaint/i;
+
+const TEXT_PATTERNS = [
+  [/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, '[email]'],
+  [/\b\d{3}-\d{2}-\d{4}\b/g, '[ssn]'],
+  [/\bMRN\b[\s:#-]*[A-Z0-9-]+/gi, 'MRN [mrn]'],
+  [/(?:\+?\d{1,3}[\s.-]?)?(?:\(\d{3}\)|\b\d{3})[\s.-]?\d{3}[\s.-]?\d{4}\b/g, '[phone]'],
+];
+
+const STRICT_MAX_TEXT = 200;
+const MAX_DEPTH = 6;
+
+function maskText(s) {
+  let out = String(s);
+  for (const [re, replacement] of TEXT_PATTERNS) out = out.replace(re, replacement);
+  return out;
+}
+
+function marker(value) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return `[redacted ${value.length} chars]`;
+  if (Array.isArray(value)) return `[redacted array(${value.length})]`;
+  return `[redacted ${typeof value}]`;
+}
+
+function resolveMode(mode, isProd) {
+  const m = String(mode || '').toLowerCase();
+  if (isProd) return m === 'standard' ? 'standard' : 'strict';
+  return ['strict', 'standard', 'off'].includes(m) ? m : 'standard';
+}
+
+function createLogRedactor({ mode, isProd = false } = {}) {
+  const effective = resolveMode(mode, isProd);
+  if (isProd && String(mode || '').toLowerCase() === 'off') {
+    console.warn('[LOG_REDACTION] "off" is not allowed in production; using strict');
+  }
+
+  function redactValue(value, key, depth, seen) {
+    if (value === null || value === undefined) return value;
+
+    if (key !== null && !SAFE_LOG_FIELDS.has(key)) {
+      if (PHI_KEY_PATTERN.test(key)) return marker(value);
+      if (effective === 'strict' && (typeof value !== 'object' || value instanceof Date)) return marker(value);
+    }
+
+    if (typeof value === 'string') {
+      // A string with no field name around it (a raw socket payload, say) can be anything: strict drops it
+      if (key === null && effective === 'strict') return marker(value);
+      return maskText(value);
+    }
+    if (typeof value !== 'object') return value;
+    if (value instanceof Date) return value;
+    if (value instanceof Error) return `${value.name}: ${maskText(value.message)}`;
+
+    if (depth >= MAX_DEPTH) return '[…]';
+    if (seen.has(value)) return '[circular]';
+    seen.add(value);
+
+    // Items are judged by the array's own key (`scopes: ['openid']` stays readable)
+    if (Array.isArray(value)) return value.map((v) => redactValue(v, key, depth + 1, seen));
+
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      out[k] = redactValue(v, k, depth + 1, seen);
+    }
+    return out;
+  }
+
+  // Top-level arguments: log tags and ids stay readable, objects are walked
+  function redactLogArgs(args) {
+    if (effective === 'off') return args;
+    return args.map((arg) => {
+      if (typeof arg === 'string') {
+        if (effective === 'strict' && arg.length > STRICT_MAX_TEXT) return marker(arg);
+        return maskText(arg);
+      }
+      return redactValue(arg, null, 0, new WeakSet());
+    });
+  }
+
+  return { mode: effective, redactLogArgs, redactValue: (v) => redactValue(v, null, 0, new WeakSet()) };
+}
+
+module.exports = {
+  SAFE_LOG_FIELDS,
+  createLogRedactor,
+};
@@ -0,0 +1,90 @@
+// ========================================
+// Pluggable mail transport
+// ========================================
+// Every transport exposes the same shape:
+//   { name, send({ to, subject, text, html }) → Promise<{ id }> }
+//
+// MAIL_TRANSPORT selects one explicitly:
+//   acs    → Azure Communication Services EmailClient (production)
+//   smtp   → nodemailer SMTP (SMTP_HOST/SMTP_PORT…), e.g. a local MailHog / smtp4dev catcher
+//   memory → keeps messages in an array; for tests and offline development
+// If unset: ACS when an EmailClient is configured, else SMTP when SMTP_HOST is set, else none.
+
+const nodemailer = require('nodemailer');
+
+function createAcsTransport(emailClient, { from, replyTo, senderName } = {}) {
+  return {
+    name: 'acs',
+    async send({ to, subject, text, html }) {
+      const poller = await emailClient.beginSend({
+        senderAddress: from,
+        recipients: { to: [{ address: to }] },
+        content: { subject, plainText: text, html },
+        replyTo: replyTo ? [{ address: replyTo, displayName: senderName }] : undefined,
+      });
+      const result = await poller.pollUntilDone();
+      return { id: result?.id || null };
+    },
+  };
+}
+
+function createSmtpTransport({
+  host = process.env.SMTP_HOST,
+  port = parseInt(process.env.SMTP_PORT || '1025', 10),
+  secure = (process.env.SMTP_SECURE || 'false').toLowerCase() === 'true',
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+  from,
+} = {}) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    async send({ to, subject, text, html }) {
+      const info = await transporter.sendMail({ from, to, subject, text, html });
+      return { id: info?.messageId || null };
+    },
+  };
+}
+
+function createMemoryTransport() {
+  const sent = [];
+  return {
+    name: 'memory',
+    sent,
+    async send(message) {
+      const id = `mem-${sent.length + 1}`;
+      sent.push({ id, ...message, sentAt: new Date().toISOString() });
+      console.log('[MAIL][memory] captured message', id, '-', message.subject); // never the recipient address
+      return { id };
+    },
+    clear() {
+      sent.length = 0;
+    },
+  };
+}
+
+// Returns a transport, or null when mail is not configured (callers skip sending).
+function selectMailTransport({ emailClient = null, from, replyTo, senderName } = {}) {
+  const mode = (process.env.MAIL_TRANSPORT || '').trim().toLowerCase();
+
+  if (mode === 'memory') return createMemoryTransport();
+  if (mode === 'smtp') return createSmtpTransport({ from });
+  if (mode === 'acs') return emailClient ? createAcsTransport(emailClient, { from, replyTo, senderName }) : null;
+
+  if (emailClient) return createAcsTransport(emailClient, { from, replyTo, senderName });
+  if (process.env.SMTP_HOST) return createSmtpTransport({ from });
+  return null;
+}
+
+module.exports = {
+  createAcsTransport,
+  createSmtpTransport,
+  createMemoryTransport,
+  selectMailTransport,
+};
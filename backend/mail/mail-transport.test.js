@@ -0,0 +1,102 @@
+// Unit cases for the memory mail transport and transport selection (node:test, no dependencies).
+//
+// CLI (from backend/):
+//   npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMemoryTransport, selectMailTransport } = require('./mail-transport');
+
+const MESSAGE = {
+  to: 'sam.rivera@example.test',
+  subject: 'Reset your XR Base password',
+  text: 'Open the link to choose a new password.',
+  html: '<p>Open the link to choose a new password.</p>',
+};
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+});
+
+test('the memory transport keeps every message with an id and a send time', async () => {
+  const transport = createMemoryTransport();
+  assert.equal(transport.name, 'memory');
+
+  assert.deepEqual(await transport.send(MESSAGE), { id: 'mem-1' });
+  assert.deepEqual(await transport.send({ ...MESSAGE, subject: 'Second' }), { id: 'mem-2' });
+
+  assert.equal(transport.sent.length, 2);
+  const [first, second] = transport.sent;
+  assert.deepEqual({ ...first, sentAt: undefined }, { id: 'mem-1', ...MESSAGE, sentAt: undefined });
+  assert.equal(Number.isNaN(Date.parse(first.sentAt)), false);
+  assert.equal(second.subject, 'Second');
+});
+
+test('clear empties the captured messages and restarts the ids', async () => {
+  const transport = createMemoryTransport();
+  await transport.send(MESSAGE);
+  const { sent } = transport;
+  transport.clear();
+  assert.equal(sent.length, 0, 'the same array is emptied, so held references see it');
+  assert.deepEqual(await transport.send(MESSAGE), { id: 'mem-1' });
+});
+
+test('the memory transport logs the subject but never the recipient', async () => {
+  await createMemoryTransport().send(MESSAGE);
+  const logged = console.log.mock.calls.map((call) => call.arguments.join(' ')).join('\n');
+  assert.match(logged, /Reset your XR Base password/);
+  assert.equal(logged.includes(MESSAGE.to), false);
+});
+
+function withEnv(t, values) {
+  for (const [key, value] of Object.entries(values)) {
+    const before = process.env[key];
+    if (value == null) delete process.env[key];
+    else process.env[key] = value;
+    t.after(() => {
+      if (before == null) delete process.env[key];
+      else process.env[key] = before;
+    });
+  }
+}
+
+const emailClient = { beginSend: async () => ({ pollUntilDone: async () => ({ id: 'acs-1' }) }) };
+
+test('MAIL_TRANSPORT picks the transport explicitly', (t) => {
+  withEnv(t, { MAIL_TRANSPORT: 'Memory', SMTP_HOST: 'smtp.example.test' });
+  assert.equal(selectMailTransport({ emailClient }).name, 'memory');
+
+  process.env.MAIL_TRANSPORT = 'smtp';
+  assert.equal(selectMailTransport({ emailClient }).name, 'smtp');
+
+  process.env.MAIL_TRANSPORT = 'acs';
+  assert.equal(selectMailTransport({ emailClient }).name, 'acs');
+  assert.equal(selectMailTransport(), null, 'acs without an EmailClient is not configured');
+});
+
+test('without MAIL_TRANSPORT: ACS, then SMTP_HOST, else no mail', (t) => {
+  withEnv(t, { MAIL_TRANSPORT: null, SMTP_HOST: null });
+  assert.equal(selectMailTransport(), null);
+  assert.equal(selectMailTransport({ emailClient }).name, 'acs');
+
+  process.env.SMTP_HOST = 'smtp.example.test';
+  assert.equal(selectMailTransport().name, 'smtp');
+  assert.equal(selectMailTransport({ emailClient }).name, 'acs');
+});
+
+test('the ACS transport sends through the EmailClient poller', async (t) => {
+  withEnv(t, { MAIL_TRANSPORT: 'acs' });
+  const requests = [];
+  const client = {
+    async beginSend(request) {
+      requests.push(request);
+      return { pollUntilDone: async () => ({ id: 'acs-1' }) };
+    },
+  };
+  const transport = selectMailTransport({ emailClient: client, from: 'no-reply@example.test' });
+  assert.deepEqual(await transport.send(MESSAGE), { id: 'acs-1' });
+  assert.equal(requests[0].senderAddress, 'no-reply@example.test');
+  assert.deepEqual(requests[0].recipients, { to: [{ address: MESSAGE.to }] });
+  assert.equal(requests[0].content.subject, MESSAGE.subject);
+});
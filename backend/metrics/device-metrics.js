@@ -0,0 +1,198 @@
+// ========================================
+// Device metric history (telemetry + WebRTC quality)
+// ========================================
+// Long-term store behind the dashboard's device detail charts. Samples fed to
+// record() are buffered and written every METRICS_FLUSH_SECONDS (default 15) via
+// repos.metrics, in three tiers:
+//   raw      every sample              kept 24 hours
+//   1m       avg / min / max / count   kept 30 days
+//   1h       avg / min / max / count   kept 1 year
+// Rollups are accumulated in memory between flushes and merged *onto* the stored
+// bucket (count and sum add up, min / max combine), so several instances – or a
+// restart mid-bucket – still produce correct buckets.
+//
+// Writes are best-effort: a failed flush is logged and that interval's data dropped.
+// Nothing is buffered until start() (called once the database is connected).
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const RAW_RETENTION_MS = DAY_MS;
+const ROLLUP_RETENTION_MS = { [MINUTE_MS]: 30 * DAY_MS, [HOUR_MS]: 365 * DAY_MS };
+const ROLLUP_SIZES = [MINUTE_MS, HOUR_MS];
+
+const RESOLUTIONS = { raw: 0, '1m': MINUTE_MS, '1h': HOUR_MS };
+
+// `auto` picks the finest tier that still covers the range in a chartable number of points
+const AUTO_RAW_MAX_RANGE_MS = 6 * HOUR_MS;
+const AUTO_MINUTE_MAX_RANGE_MS = 3 * DAY_MS;
+
+// A device clock (or a forged payload) may not place samples in far-away buckets
+const MAX_CLOCK_SKEW_MS = 5 * MINUTE_MS;
+
+const FLUSH_MS = Math.max(1, parseInt(process.env.METRICS_FLUSH_SECONDS || '15', 10)) * 1000;
+const PRUNE_MS = HOUR_MS;
+
+// Numeric fields persisted from telemetryHist / qualityHist samples
+const METRICS = [
+  'batteryPct', 'wifiMbps', 'netDownMbps', 'netUpMbps', 'cpuPct', 'memUsedMb', 'deviceTempC',
+  'jitterMs', 'rttMs', 'lossPct', 'bitrateKbps',
+];
+const METRIC_SET = new Set(METRICS);
+
+function badQuery(message) {
+  return Object.assign(new Error(message), { code: 'BAD_QUERY' });
+}
+
+function createDeviceMetrics({ repos }) {
+  let samples = [];          // raw rows waiting for the next flush
+  let rollups = new Map();   // `${xrId}|${metric}|${bucketMs}|${bucketStart}` → rollup row
+  let flushTimer = null;
+  let pruneTimer = null;
+  let flushing = null;
+
+  function addToRollup(xrId, metric, bucketMs, ts, value) {
+    const bucketStart = ts - (ts % bucketMs);
+    const key = `${xrId}|${metric}|${bucketMs}|${bucketStart}`;
+    const r = rollups.get(key);
+    if (!r) {
+      rollups.set(key, { xrId, metric, bucketMs, bucketStart, count: 1, sum: value, min: value, max: value });
+      return;
+    }
+    r.count += 1;
+    r.sum += value;
+    if (value < r.min) r.min = value;
+    if (value > r.max) r.max = value;
+  }
+
+  // sample: { ts, <metric>: number|null, … } – unknown fields and nulls are ignored.
+  // A ts more than MAX_CLOCK_SKEW_MS away from the server clock is replaced by now.
+  function record(xrId, sample) {
+    if (!flushTimer || !xrId || !sample) return;
+    const now = Date.now();
+    const given = Number(sample.ts);
+    const ts = Number.isFinite(given) && Math.abs(given - now) <= MAX_CLOCK_SKEW_MS ? Math.round(given) : now;
+
+    for (const [metric, raw] of Object.entries(sample)) {
+      if (!METRIC_SET.has(metric) || raw == null) continue;
+      const value = Number(raw);
+      if (!Number.isFinite(value)) continue;
+
+      samples.push({ xrId, metric, ts, value });
+      for (const bucketMs of ROLLUP_SIZES) addToRollup(xrId, metric, bucketMs, ts, value);
+    }
+  }
+
+  async function flush() {
+    if (flushing) return flushing;
+    if (!samples.length && !rollups.size) return;
+
+    const pendingSamples = samples;
+    const pendingRollups = Array.from(rollups.values());
+    samples = [];
+    rollups = new Map();
+
+    flushing = (async () => {
+      try {
+        await repos.metrics.insertSamples(pendingSamples);
+        await repos.metrics.mergeRollups(pendingRollups);
+      } catch (e) {
+        console.error(
+          `[METRICS] flush failed, dropped ${pendingSamples.length} samples:`,
+          e?.message || e
+        );
+      } finally {
+        flushing = null;
+      }
+    })();
+    return flushing;
+  }
+
+  async function prune(now = Date.now()) {
+    try {
+      await repos.metrics.deleteSamplesBefore(now - RAW_RETENTION_MS);
+      for (const bucketMs of ROLLUP_SIZES) {
+        await repos.metrics.deleteRollupsBefore(bucketMs, now - ROLLUP_RETENTION_MS[bucketMs]);
+      }
+    } catch (e) {
+      console.error('[METRICS] prune failed:', e?.message || e);
+    }
+  }
+
+  function pickResolution(resolution, from, to) {
+    if (resolution && resolution !== 'auto') return RESOLUTIONS[resolution];
+    const range = to - from;
+    const age = Date.now() - from;
+    if (range <= AUTO_RAW_MAX_RANGE_MS && age <= RAW_RETENTION_MS) return RESOLUTIONS.raw;
+    if (range <= AUTO_MINUTE_MAX_RANGE_MS && age <= ROLLUP_RETENTION_MS[MINUTE_MS]) return MINUTE_MS;
+    return HOUR_MS;
+  }
+
+  // → { xrId, resolution, from, to, series: { [metric]: [{ ts, value, min?, max?, count? }] } }
+  // Rollup points carry the bucket average as `value`.
+  // Bad input throws with code 'BAD_QUERY' (the message is safe to return to the client).
+  async function query({ xrId, metrics = METRICS, from, to = Date.now(), resolution = 'auto' }) {
+    const unknown = metrics.filter((m) => !METRIC_SET.has(m));
+    if (!xrId) throw badQuery('xrId is required');
+    if (!metrics.length || unknown.length) throw badQuery(`metric must be one of: ${METRICS.join(', ')}`);
+    if (resolution !== 'auto' && !(resolution in RESOLUTIONS)) {
+      throw badQuery('resolution must be auto, raw, 1m or 1h');
+    }
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) {
+      throw badQuery('from / to must be a valid range');
+    }
+
+    // Write out buffered points so the range includes the last few seconds
+    await flush();
+
+    const bucketMs = pickResolution(resolution, from, to);
+    const series = Object.fromEntries(metrics.map((m) => [m, []]));
+
+    if (bucketMs === RESOLUTIONS.raw) {
+      const rows = await repos.metrics.listSamples({ xrId, metrics, from, to });
+      for (const r of rows) series[r.metric].push({ ts: Number(r.ts), value: Number(r.value) });
+    } else {
+      const rows = await repos.metrics.listRollups({
+        xrId,
+        metrics,
+        bucketMs,
+        from: from - (from % bucketMs),
+        to,
+      });
+      for (const r of rows) {
+        const count = Number(r.sample_count);
+        series[r.metric].push({
+          ts: Number(r.bucket_start),
+          value: count ? Number(r.value_sum) / count : null,
+          min: Number(r.value_min),
+          max: Number(r.value_max),
+          count,
+        });
+      }
+    }
+
+    const label = Object.keys(RESOLUTIONS).find((k) => RESOLUTIONS[k] === bucketMs);
+    return { xrId, resolution: label, from, to, series };
+  }
+
+  function start() {
+    if (flushTimer) return;
+    flushTimer = setInterval(flush, FLUSH_MS);
+    pruneTimer = setInterval(prune, PRUNE_MS);
+    flushTimer.unref?.();
+    pruneTimer.unref?.();
+  }
+
+  // Stops the timers and writes whatever is still buffered (called on shutdown)
+  async function stop() {
+    clearInterval(flushTimer);
+    clearInterval(pruneTimer);
+    flushTimer = pruneTimer = null;
+    await flush();
+  }
+
+  return { record, query, flush, prune, start, stop };
+}
+
+module.exports = { createDeviceMetrics, METRICS };
@@ -0,0 +1,134 @@
+// ========================================
+// Canned AI responses (MOCK_MODE=true)
+// ========================================
+// Stand-ins for the RouteLLM / ElevenLabs calls so demos and frontend work run
+// without API keys. Nothing here is random or time-dependent: the same input
+// always yields the same output, built only from the text it was given.
+// Output shapes match what the real calls return after normalization.
+
+const NOT_MENTIONED = 'Not mentioned in transcript';
+
+// The first sentence naming a symptom is the chief complaint (it may also land in another section)
+const CHIEF_SECTION = /chief|complaint|reason/i;
+const COMPLAINT_SENTENCE = /\b(pain|ache|cough|fever|rash|nausea|dizz\w*|tired|fatigue|swelling|trouble|problem)\b/i;
+
+// Template section name → sentence test for the SOAP stand-in (first match wins per sentence)
+const SOAP_SECTION_RULES = [
+  { section: /medication/i, sentence: /\b\d+(\.\d+)?\s*(mg|mcg|ml|units?)\b|\b(prescrib\w*|refill|tablets?|capsules?|inhaler)\b/i },
+  { section: /objective|exam/i, sentence: /\b(bp|blood pressure|pulse|heart rate|temp\w*|weight|exam\w*|lungs?|auscultation|tender\w*|swelling)\b|\d+\/\d+/i },
+  { section: /assessment|diagnos/i, sentence: /\b(likely|consistent with|diagnos\w*|assessment|looks like|probably)\b/i },
+  { section: /plan/i, sentence: /\b(will|follow[- ]?up|return|recheck|order|refer\w*|schedule|recommend\w*|plan)\b/i },
+  { section: /history|hpi/i, sentence: /\b(since|started|began|for (the )?(past|last)|weeks?|days?|months?|worse|better)\b/i },
+  { section: /subjective/i, sentence: /\b(i|i'm|i've|my|feel\w*|reports?|denies)\b/i },
+];
+
+function splitSentences(text) {
+  return String(text || '')
+    .split(/\n+/)
+    .map((line) => line.replace(/^\s*[A-Za-z][\w .]{0,20}:\s*/, '')) // "Doctor: …" speaker labels
+    .join(' ')
+    .split(/(?<=[.!?])\s+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// { [section]: string[] | "Not mentioned in transcript" } – same contract as generateSoapNote's parsed JSON
+function cannedSoapNote(transcript, sections) {
+  const buckets = new Map(sections.map((s) => [s, []]));
+  const ruleFor = (sentence) => SOAP_SECTION_RULES.find((r) => r.sentence.test(sentence));
+  const sentences = splitSentences(transcript);
+
+  const chief = sections.find((s) => CHIEF_SECTION.test(s));
+  const complaint = sentences.find((s) => COMPLAINT_SENTENCE.test(s));
+  if (chief && complaint) buckets.get(chief).push(complaint);
+
+  for (const sentence of sentences) {
+    const rule = ruleFor(sentence);
+    if (!rule) continue;
+    const target = sections.find((s) => rule.section.test(s));
+    if (target) buckets.get(target).push(sentence);
+  }
+
+  const note = {};
+  for (const [section, lines] of buckets) {
+    note[section] = lines.length ? lines : NOT_MENTIONED;
+  }
+  return note;
+}
+
+// "Component: text" lines (as built for the summary / diagnosis prompts) → { component: text }
+function sectionsFromLines(lines) {
+  const out = {};
+  for (const line of lines) {
+    const m = /^([^:\n]{1,60}):\s*([\s\S]*)$/.exec(String(line || '').trim());
+    if (!m) continue;
+    const key = m[1].trim().toLowerCase();
+    if (!out[key]) out[key] = m[2].trim();
+  }
+  return out;
+}
+
+function pick(sections, pattern) {
+  const key = Object.keys(sections).find((k) => pattern.test(k));
+  return key ? sections[key] : '';
+}
+
+const dateOnly = (v) => (v ? String(v instanceof Date ? v.toISOString() : v).slice(0, 10) : '');
+const sentence = (s) => (/[.!?]$/.test(s) ? s : `${s}.`);
+
+// visits: [{ created_date, lines: ["Component: text"] }] latest first → { template_title, text }
+function cannedSummary({ patientName, visits }) {
+  const name = patientName || 'The patient';
+  const latest = visits[0];
+  const s = sectionsFromLines(latest.lines);
+
+  const parts = [
+    `${name} has ${visits.length} documented visit${visits.length === 1 ? '' : 's'} in the available records.`,
+  ];
+  const reason = pick(s, /chief|subjective/);
+  if (reason) parts.push(`At the most recent visit (${dateOnly(latest.created_date) || 'date not documented'}) the patient presented with: ${sentence(reason)}`);
+  const assessment = pick(s, /assessment/);
+  if (assessment) parts.push(`Assessment: ${sentence(assessment)}`);
+  const plan = pick(s, /plan/);
+  if (plan) parts.push(`Plan: ${sentence(plan)}`);
+  parts.push(`Medications: ${sentence(pick(s, /medication/) || 'not documented')}`);
+
+  return { template_title: 'AI Summary Note', text: parts.join(' ') };
+}
+
+// Reconciles the note's own Assessment / Plan / Medication sections – never adds anything
+function cannedDiagnosis({ soapText }) {
+  const s = sectionsFromLines(String(soapText || '').split(/\n{2,}/));
+  const norm = (v) => (v && v !== NOT_MENTIONED ? v : 'N/A');
+  return {
+    template_title: 'AI Diagnosis',
+    assessment: norm(pick(s, /assessment|diagnos/)),
+    plan: norm(pick(s, /plan/)),
+    medications: norm(pick(s, /medication/)),
+  };
+}
+
+// Short silent 16 kHz mono WAV so the cockpit's audio player has something to play
+function cannedSpeech(text) {
+  const sampleRate = 16000;
+  const words = String(text || '').split(/\s+/).filter(Boolean).length;
+  const samples = Math.min(sampleRate * 2, Math.max(sampleRate / 2, words * 800));
+  const dataBytes = samples * 2;
+  const buf = Buffer.alloc(44 + dataBytes);
+  buf.write('RIFF', 0);
+  buf.writeUInt32LE(36 + dataBytes, 4);
+  buf.write('WAVE', 8);
+  buf.write('fmt ', 12);
+  buf.writeUInt32LE(16, 16);          // PCM header size
+  buf.writeUInt16LE(1, 20);           // PCM
+  buf.writeUInt16LE(1, 22);           // mono
+  buf.writeUInt32LE(sampleRate, 24);
+  buf.writeUInt32LE(sampleRate * 2, 28);
+  buf.writeUInt16LE(2, 32);
+  buf.writeUInt16LE(16, 34);
+  buf.write('data', 36);
+  buf.writeUInt32LE(dataBytes, 40);
+  return { audio: buf.toString('base64'), contentType: 'audio/wav' };
+}
+
+module.exports = { cannedSoapNote, cannedSummary, cannedDiagnosis, cannedSpeech };
@@ -0,0 +1,120 @@
+// ========================================
+// Transcript evidence for generated notes
+// ========================================
+// The note prompts number the transcript sentences ([S1], [S2] …) and ask the model to
+// cite, per statement, the sentences it is based on. sectionEvidence() turns that into
+// one entry per bullet: the cited sentence ids and their character spans in the
+// (trimmed) transcript. Citations are checked, not trusted:
+//   - ids that do not exist are dropped
+//   - cited sentences sharing no content word with the statement are ignored
+//   - without usable citations, the sentences covering at least half of the
+//     statement's content words are used instead (this is also how the stub's
+//     plain-string answers get their evidence)
+// A bullet left without evidence is `supported: false`; the cockpit flags it.
+
+const NOT_MENTIONED = 'Not mentioned in transcript';
+const MIN_COVERAGE = 0.5;
+
+const STOPWORDS = new Set(
+  ('the and for with that this have has had was were are is been being not but from they them their there ' +
+    'then than you your our his her she him its per any all also into onto over about after before while ' +
+    'patient patients reports reported states stated doctor provider says said will would should could')
+    .split(' ')
+);
+
+// Sentences (split at . ! ? followed by a space, and at line breaks) with their offsets in `text`
+function segmentTranscript(text) {
+  const src = String(text || '');
+  const segments = [];
+  let start = 0;
+
+  const cut = (end) => {
+    const raw = src.slice(start, end);
+    const lead = raw.length - raw.trimStart().length;
+    const body = raw.trim();
+    if (body) {
+      segments.push({ id: `S${segments.length + 1}`, start: start + lead, end: start + lead + body.length, text: body });
+    }
+    start = end;
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (ch === '\n') cut(i + 1);
+    else if ((ch === '.' || ch === '!' || ch === '?') && (i + 1 === src.length || /\s/.test(src[i + 1]))) cut(i + 1);
+  }
+  cut(src.length);
+  return segments;
+}
+
+// Transcript block for the prompt: one "[S1] sentence" per line
+function numberedTranscript(segments) {
+  return segments.map((s) => `[${s.id}] ${s.text}`).join('\n');
+}
+
+function contentWords(text) {
+  const words = String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((w) => w && (/\d/.test(w) || (w.length > 2 && !STOPWORDS.has(w))));
+  return new Set(words);
+}
+
+// Model value for a section → [{ text, cited: ['S1', …] }] (null for "Not mentioned")
+function bulletsOf(raw) {
+  const list = Array.isArray(raw) ? raw : typeof raw === 'string' || (raw && typeof raw === 'object') ? [raw] : [];
+  const bullets = list
+    .map((x) => {
+      const text = String((x && typeof x === 'object' ? x.text : x) ?? '').trim();
+      const cited = x && typeof x === 'object' && Array.isArray(x.evidence) ? x.evidence.map((id) => String(id).trim()) : [];
+      return { text, cited };
+    })
+    .filter((b) => b.text && b.text !== NOT_MENTIONED);
+  return bullets.length ? bullets : null;
+}
+
+function findEvidence(bullet, segments, byId) {
+  const words = contentWords(bullet.text);
+  const shares = (seg) => !words.size || [...contentWords(seg.text)].some((w) => words.has(w));
+
+  const cited = [...new Set(bullet.cited)].map((id) => byId.get(id)).filter(Boolean).filter(shares);
+  if (cited.length) return cited;
+  if (!words.size) return [];
+
+  // Greedy cover: best-overlapping sentences first, until the statement's words are covered
+  const ranked = segments
+    .map((seg) => ({ seg, hits: [...contentWords(seg.text)].filter((w) => words.has(w)) }))
+    .filter((r) => r.hits.length)
+    .sort((a, b) => b.hits.length - a.hits.length);
+
+  const covered = new Set();
+  const picked = [];
+  for (const { seg, hits } of ranked) {
+    if (!hits.some((w) => !covered.has(w))) continue;
+    hits.forEach((w) => covered.add(w));
+    picked.push(seg);
+    if (covered.size / words.size >= MIN_COVERAGE) {
+      return picked.sort((a, b) => a.start - b.start);
+    }
+  }
+  return [];
+}
+
+// → [{ text, segments: ['S2'], spans: [[start, end]], supported }] one per bullet, [] for "Not mentioned"
+function sectionEvidence(raw, segments) {
+  const bullets = bulletsOf(raw);
+  if (!bullets) return [];
+
+  const byId = new Map(segments.map((s) => [s.id, s]));
+  return bullets.map((bullet) => {
+    const found = findEvidence(bullet, segments, byId);
+    return {
+      text: bullet.text,
+      segments: found.map((s) => s.id),
+      spans: found.map((s) => [s.start, s.end]),
+      supported: found.length > 0,
+    };
+  });
+}
+
+module.exports = { NOT_MENTIONED, segmentTranscript, numberedTranscript, contentWords, bulletsOf, sectionEvidence };
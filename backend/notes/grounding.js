@@ -0,0 +1,318 @@
+// ========================================
+// Grounding check for note text
+// ========================================
+// Re-reads a note against its transcript and lists, per section, the clinical facts the
+// transcript does not back up:
+//   dose        "<drug> 500 mg" – drug not mentioned, mentioned with another dose, or the
+//               dose itself not stated
+//   medication  a medication-section line naming a drug the transcript never mentions
+//   vital       BP, temperature, pulse, RR, SpO2, weight, glucose – value differs from
+//               the transcript or is not in it
+//   number      any other figure (durations, counts) not found in the transcript
+//   diagnosis   assessment / diagnosis lines no transcript sentence covers
+//   negation    a finding stated as present that the transcript negates, or the reverse
+// Each issue is { key, kind, status: 'unsupported' | 'contradicted', claim, detail, line }.
+// The check is lexical and errs on the quiet side: it flags, the scribe decides. It runs
+// after generation (note._grounding) and again on the edited text when the note is saved.
+
+const { NOT_MENTIONED, segmentTranscript, contentWords, sectionEvidence } = require('./evidence');
+
+const CONFLICT_MARK = 'conflicting in transcript';
+
+const NUMBER_WORDS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+  eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70,
+  eighty: 80, ninety: 90, hundred: 100,
+};
+const NUMBER_WORD_RE = new RegExp(`\\b(?:${Object.keys(NUMBER_WORDS).join('|')})\\b`, 'g');
+const NUMBER_RE = /\d+(?:\.\d+)?/g;
+
+const UNITS = {
+  mg: 'mg', milligram: 'mg', milligrams: 'mg',
+  mcg: 'mcg', 'µg': 'mcg', ug: 'mcg', microgram: 'mcg', micrograms: 'mcg',
+  g: 'g', gram: 'g', grams: 'g',
+  ml: 'ml', milliliter: 'ml', milliliters: 'ml',
+  unit: 'units', units: 'units', iu: 'units',
+};
+const DOSE_RE = /(\d+(?:\.\d+)?)\s*(micrograms?|milligrams?|milliliters?|grams?|units?|mcg|µg|ug|mg|ml|iu|g)(?![a-z])/g;
+
+// Words that sit between a drug name and its dose ("amoxicillin capsules 500 mg", "take 500 mg")
+const DOSE_FILLER = new Set(
+  ('take takes taking took give given start started starting continue continued increase increased ' +
+    'decrease decreased reduce dose doses dosage of at on to and or with was is be prescribed prescribe ' +
+    'tablet tablets tab tabs capsule capsules cap caps syrup suspension injection oral po iv im sc ' +
+    'daily once twice every each per extended release er xr sr mr')
+    .split(' ')
+);
+
+const VITALS = [
+  { name: 'blood pressure', cue: /\b(?:bp|blood pressure)\b/g, value: /\d{2,3}\/\d{2,3}/ },
+  { name: 'temperature', cue: /\b(?:temp|temperature)\b/g, value: /\d{2,3}(?:\.\d+)?/ },
+  { name: 'heart rate', cue: /\b(?:hr|heart rate|pulse)\b/g, value: /\d{2,3}/ },
+  { name: 'respiratory rate', cue: /\b(?:rr|respiratory rate|respirations)\b/g, value: /\d{1,2}/ },
+  { name: 'oxygen saturation', cue: /\b(?:spo2|o2 sat(?:uration)?|oxygen saturation|sats)\b/g, value: /\d{2,3}/ },
+  { name: 'weight', cue: /\b(?:weight|weighs)\b/g, value: /\d{1,3}(?:\.\d+)?/ },
+  { name: 'blood glucose', cue: /\b(?:glucose|blood sugar)\b/g, value: /\d{2,3}(?:\.\d+)?/ },
+];
+const VITAL_VALUE_REACH = 25; // characters after the cue
+
+const NEGATIONS = new Set(['no', 'not', 'denies', 'denied', 'deny', 'denying', 'without', 'never', 'negative', 'none', 'nor', 'absent']);
+// A new positive statement ends the reach of an earlier negation ("no fever, has cough")
+const AFFIRMATIONS = new Set(['has', 'have', 'having', 'reports', 'complains', 'presents', 'endorses', 'admits', 'positive', 'but', 'however', 'although']);
+// Words that only carry polarity; never compared as a finding ("fever present", "positive for fever")
+const POLARITY_WORDS = new Set([...NEGATIONS, ...AFFIRMATIONS, 'present', 'reported', 'endorsed', 'noted']);
+const NEGATION_WINDOW = 4; // words after the cue
+
+const DIAGNOSIS_SECTION_RE = /assessment|diagnos|impression|problem/i;
+const MEDICATION_SECTION_RE = /medication|prescription|\brx\b|drug/i;
+
+// Lower case, "n't" → " not", number words → digits, "120 over 80" → "120/80"
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/n['’]t\b/g, ' not')
+    .replace(NUMBER_WORD_RE, (w) => String(NUMBER_WORDS[w]))
+    .replace(/(\d)\s+over\s+(\d)/g, '$1/$2');
+}
+
+// Sentence-ish pieces; a '.' or ',' inside a number does not split
+function clausesOf(text) {
+  return text.split(/[;\n]|[.,:](?!\d)/).map((c) => c.trim()).filter(Boolean);
+}
+
+function sameNumber(a, b) {
+  return parseFloat(a) === parseFloat(b);
+}
+
+function hasWord(text, word) {
+  return new RegExp(`(?:^|[^a-z0-9])${word.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&')}(?:$|[^a-z0-9])`).test(text);
+}
+
+function linesOf(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split('\n');
+  return list
+    .map((l) => String(l ?? '').replace(/^\s*[-•●*]\s*/, '').trim())
+    .filter((l) => l && l !== NOT_MENTIONED);
+}
+
+// ---- transcript side ------------------------------------------------------------------
+
+function vitalValues(clauses, vital) {
+  const values = [];
+  for (const clause of clauses) {
+    for (const m of clause.matchAll(vital.cue)) {
+      const after = clause.slice(m.index + m[0].length, m.index + m[0].length + VITAL_VALUE_REACH);
+      const v = after.match(vital.value);
+      if (v) values.push(v[0]);
+    }
+  }
+  return values;
+}
+
+function dosesNear(text, name) {
+  const doses = [];
+  const re = new RegExp(`\\b${name.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&')}\\b`, 'g');
+  for (const m of text.matchAll(re)) {
+    const window = text.slice(Math.max(0, m.index - 30), m.index + m[0].length + 60);
+    for (const d of window.matchAll(DOSE_RE)) doses.push({ value: d[1], unit: UNITS[d[2]] });
+  }
+  return doses;
+}
+
+// term → [negated?, …] per occurrence
+function termPolarity(text) {
+  const out = new Map();
+  for (const clause of clausesOf(normalize(text))) {
+    let lastCue = -Infinity;
+    clause.split(/[^a-z0-9]+/).filter(Boolean).forEach((w, i) => {
+      if (NEGATIONS.has(w)) {
+        lastCue = i;
+        return;
+      }
+      if (AFFIRMATIONS.has(w) && i - lastCue > 1) lastCue = -Infinity; // "does not have" stays negated
+      if (!out.has(w)) out.set(w, []);
+      out.get(w).push(i - lastCue <= NEGATION_WINDOW);
+    });
+  }
+  return out;
+}
+
+function analyseTranscript(transcript) {
+  const text = normalize(String(transcript || '').trim());
+  const segments = segmentTranscript(String(transcript || '').trim());
+  return {
+    text,
+    clauses: clausesOf(text),
+    segments,
+    numbers: (text.match(NUMBER_RE) || []).map(Number),
+    polarity: segments.map((s) => ({ segment: s, terms: termPolarity(s.text) })),
+  };
+}
+
+// ---- one line of the note --------------------------------------------------------------
+
+function checkVitals(line, tx, issues, consumed) {
+  const clauses = clausesOf(line);
+  for (const vital of VITALS) {
+    for (const value of vitalValues(clauses, vital)) {
+      consumed.push(...value.split('/'));
+      const heard = vitalValues(tx.clauses, vital);
+      const matches = (v) => (vital.name === 'blood pressure' ? v === value : sameNumber(v, value));
+      if (heard.some(matches)) continue;
+
+      const claim = `${vital.name} ${value}`;
+      if (heard.length) {
+        issues.push({ kind: 'vital', status: 'contradicted', claim, detail: `Transcript: ${vital.name} ${[...new Set(heard)].join(', ')}` });
+      } else if (!tx.text.includes(value)) {
+        issues.push({ kind: 'vital', status: 'unsupported', claim, detail: `No ${vital.name} of ${value} in the transcript` });
+      }
+    }
+  }
+}
+
+function drugNameBefore(text) {
+  const words = text.match(/[a-z][a-z-]+/g) || [];
+  for (let i = words.length - 1; i >= Math.max(0, words.length - 4); i--) {
+    if (words[i].length >= 3 && !DOSE_FILLER.has(words[i])) return words[i];
+  }
+  return null;
+}
+
+function checkDoses(line, tx, issues, consumed) {
+  const named = new Set();
+  for (const clause of clausesOf(line)) {
+    for (const m of clause.matchAll(DOSE_RE)) {
+      consumed.push(m[1]);
+      const dose = { value: m[1], unit: UNITS[m[2]] };
+      const doseText = `${dose.value} ${dose.unit}`;
+      const doseStated = [...tx.text.matchAll(DOSE_RE)].some((d) => sameNumber(d[1], dose.value) && UNITS[d[2]] === dose.unit);
+
+      const name = drugNameBefore(clause.slice(0, m.index));
+      if (!name) {
+        if (!doseStated) issues.push({ kind: 'dose', status: 'unsupported', claim: doseText, detail: 'Dose not stated in the transcript' });
+        continue;
+      }
+      named.add(name);
+
+      const claim = `${name} ${doseText}`;
+      if (!hasWord(tx.text, name)) {
+        issues.push({ kind: 'dose', status: 'unsupported', claim, detail: `${name} is not mentioned in the transcript` });
+        continue;
+      }
+      const heard = dosesNear(tx.text, name);
+      if (heard.some((d) => sameNumber(d.value, dose.value) && d.unit === dose.unit)) continue;
+      if (heard.length) {
+        const said = [...new Set(heard.map((d) => `${d.value} ${d.unit}`))].join(', ');
+        issues.push({ kind: 'dose', status: 'contradicted', claim, detail: `Transcript: ${name} ${said}` });
+      } else if (!doseStated) {
+        issues.push({ kind: 'dose', status: 'unsupported', claim, detail: `No dose of ${name} stated in the transcript` });
+      }
+    }
+  }
+  return named;
+}
+
+function checkMedicationName(line, tx, issues, named) {
+  const name = (line.match(/[a-z][a-z-]+/g) || []).find((w) => w.length >= 3 && !DOSE_FILLER.has(w));
+  if (!name || named.has(name) || hasWord(tx.text, name)) return;
+  issues.push({ kind: 'medication', status: 'unsupported', claim: name, detail: `${name} is not mentioned in the transcript` });
+}
+
+function checkNumbers(line, tx, issues, consumed) {
+  const left = [...consumed];
+  for (const m of line.matchAll(NUMBER_RE)) {
+    const i = left.findIndex((c) => sameNumber(c, m[0]));
+    if (i !== -1) {
+      left.splice(i, 1);
+      continue;
+    }
+    if (tx.numbers.some((n) => sameNumber(n, m[0]))) continue;
+    const claim = line.slice(m.index).match(/^\S+(?:\s+[a-z]+)?/)[0];
+    issues.push({ kind: 'number', status: 'unsupported', claim, detail: `${m[0]} does not appear in the transcript` });
+  }
+}
+
+function checkDiagnosis(rawLine, tx, issues) {
+  if (sectionEvidence([rawLine], tx.segments)[0]?.supported) return;
+  issues.push({ kind: 'diagnosis', status: 'unsupported', claim: rawLine, detail: 'No transcript sentence supports this' });
+}
+
+// Contradicted when a finding in the line is only ever stated with the other polarity in the
+// transcript. A negation is an explicit cue, so one shared term is enough against "Denies fever."
+// ("Fever present"); a bare mention is not, so against "No shortness of breath" the affirming
+// sentence has to share two of the line's findings ("Breath sounds clear" does not count).
+function checkNegation(rawLine, tx, issues) {
+  const linePolarity = termPolarity(rawLine);
+  const terms = [...contentWords(normalize(rawLine))].filter(
+    (w) => !/\d/.test(w) && !POLARITY_WORDS.has(w) && linePolarity.has(w)
+  );
+  const neededForNegated = Math.min(2, terms.length);
+
+  for (const term of terms) {
+    const negated = linePolarity.get(term)[0];
+    let disagreeing = null;
+    let agrees = false;
+    for (const { segment, terms: segTerms } of tx.polarity) {
+      const seen = segTerms.get(term);
+      if (!seen) continue;
+      if (seen.includes(negated)) {
+        agrees = true;
+        break;
+      }
+      if (negated && terms.filter((t) => segTerms.has(t)).length < neededForNegated) continue;
+      disagreeing = disagreeing || segment;
+    }
+    if (agrees || !disagreeing) continue;
+
+    const quote = disagreeing.text.length > 160 ? `${disagreeing.text.slice(0, 157)}…` : disagreeing.text;
+    issues.push({ kind: 'negation', status: 'contradicted', claim: rawLine, detail: `Transcript: "${quote}"` });
+    return;
+  }
+}
+
+function checkLine(section, rawLine, tx) {
+  const line = normalize(rawLine);
+  const issues = [];
+  const consumed = [];
+
+  checkVitals(line, tx, issues, consumed);
+  const named = checkDoses(line, tx, issues, consumed);
+  if (MEDICATION_SECTION_RE.test(section)) checkMedicationName(line, tx, issues, named);
+  checkNumbers(line, tx, issues, consumed);
+  if (DIAGNOSIS_SECTION_RE.test(section)) checkDiagnosis(rawLine, tx, issues);
+  if (!line.includes(CONFLICT_MARK)) checkNegation(rawLine, tx, issues);
+
+  return issues.map((issue) => ({ ...issue, line: rawLine }));
+}
+
+// ---- public ----------------------------------------------------------------------------
+
+// note: { [section]: string | string[] } (other keys are ignored unless listed in `sections`)
+// → { [section]: issue[] }, only sections with issues
+function checkGrounding(note, transcript, sections = null) {
+  const tx = analyseTranscript(transcript);
+  const names = sections || Object.keys(note || {}).filter((k) => !k.startsWith('_') && k !== 'medications');
+  const report = {};
+
+  for (const section of names) {
+    const seen = new Set();
+    const issues = [];
+    for (const rawLine of linesOf(note?.[section])) {
+      for (const issue of checkLine(section, rawLine, tx)) {
+        const key = `${section}|${issue.kind}|${issue.claim}`.toLowerCase();
+        if (seen.has(key)) continue;
+        seen.add(key);
+        issues.push({ key, ...issue });
+      }
+    }
+    if (issues.length) report[section] = issues;
+  }
+  return report;
+}
+
+function countGroundingIssues(report) {
+  return Object.values(report || {}).reduce((n, list) => n + list.length, 0);
+}
+
+module.exports = { checkGrounding, countGroundingIssues };
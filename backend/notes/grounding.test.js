@@ -0,0 +1,65 @@
+// Unit cases for the grounding check (node:test, no dependencies).
+//
+// CLI (from backend/):
+//   npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkGrounding, countGroundingIssues } = require('./grounding');
+
+const TRANSCRIPT = [
+  'Denies fever.',
+  'She has a cough for 3 days.',
+  'Breath sounds clear.',
+  'Blood pressure 128 over 82.',
+  'Started amoxicillin 500 mg twice daily.',
+].join(' ');
+
+function kindsFor(line, section = 'hpi', transcript = TRANSCRIPT) {
+  const report = checkGrounding({ [section]: [line] }, transcript);
+  return (report[section] || []).map((issue) => issue.kind);
+}
+
+test('single-term findings stated against a negation are contradicted', () => {
+  for (const line of ['Fever present', 'Positive for fever', 'Reports fever and chills', 'Fever']) {
+    assert.deepEqual(kindsFor(line), ['negation'], line);
+  }
+});
+
+test('the contradicting sentence is quoted', () => {
+  const [issue] = checkGrounding({ hpi: ['Fever present'] }, TRANSCRIPT).hpi;
+  assert.equal(issue.status, 'contradicted');
+  assert.equal(issue.detail, 'Transcript: "Denies fever."');
+});
+
+test('findings with the transcript polarity are not flagged', () => {
+  for (const line of ['No fever', 'Denies fever', 'Patient does not have a fever', 'Cough for 3 days']) {
+    assert.deepEqual(kindsFor(line), [], line);
+  }
+});
+
+test('a negated line is contradicted by a sentence stating the finding', () => {
+  assert.deepEqual(kindsFor('No cough'), ['negation']);
+});
+
+test('a negated line is not contradicted by a passing mention of one of its words', () => {
+  assert.deepEqual(kindsFor('No shortness of breath'), []);
+});
+
+test('a finding stated both ways in the transcript is not contradicted', () => {
+  assert.deepEqual(kindsFor('Fever present', 'hpi', 'No fever yesterday. Fever since this morning.'), []);
+});
+
+test('vitals and doses are compared with the transcript', () => {
+  assert.deepEqual(kindsFor('BP 128/82', 'vitals'), []);
+  assert.deepEqual(kindsFor('BP 140/90', 'vitals'), ['vital']);
+  assert.deepEqual(kindsFor('Amoxicillin 500 mg twice daily', 'plan'), []);
+  assert.deepEqual(kindsFor('Amoxicillin 875 mg twice daily', 'plan'), ['dose']);
+});
+
+test('countGroundingIssues adds up every section', () => {
+  const report = checkGrounding({ hpi: ['Fever present'], vitals: ['BP 140/90'] }, TRANSCRIPT);
+  assert.equal(countGroundingIssues(report), 2);
+  assert.equal(countGroundingIssues(null), 0);
+});
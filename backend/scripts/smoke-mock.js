@@ -0,0 +1,133 @@
+// ========================================
+// Mock-mode smoke check
+// ========================================
+// Boots server.js with MOCK_MODE=true on a spare port, signs in as the mock
+// SuperAdmin and calls every GET /api/platform/* route found in server.js.
+// Any non-2xx answer fails the run, so a route that still builds dialect-specific
+// SQL inline (and 500s on SQLite) shows up here.
+//
+// CLI (from backend/):
+//   npm run smoke:mock
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const SERVER_FILE = path.join(__dirname, '..', 'server.js');
+const PORT = Number(process.env.SMOKE_PORT || 18099);
+const BASE = `http://127.0.0.1:${PORT}`;
+const BOOT_TIMEOUT_MS = 60 * 1000;
+
+// Mock SuperAdmin (see data/fixtures/seed.js)
+const LOGIN = { email: 'admin@xrbase.local', password: process.env.SQLITE_SEED_PASSWORD || 'Local@123' };
+
+// Values for path params; routes whose params are not listed are skipped
+const PARAMS = { userId: '3' };
+
+// Redirect flows that need a configured identity provider
+const SKIP = new Set(['/api/platform/sso/:providerId/start', '/api/platform/sso/:providerId/callback']);
+
+// Required query strings
+const QUERY = { '/api/platform/providers': 'clinicId=1' };
+
+// Extra query strings worth covering next to the bare route
+const EXTRA = [
+  '/api/platform/user-hierarchy?userId=2',
+  '/api/platform/phi-audit?format=csv',
+  '/api/platform/access-grants?status=active',
+];
+
+function listPlatformGets(file = SERVER_FILE) {
+  const source = fs.readFileSync(file, 'utf8');
+  const routes = new Set();
+  for (const m of source.matchAll(/app\.get\(\s*'(\/api\/platform\/[^']*)'/g)) routes.add(m[1]);
+  return Array.from(routes);
+}
+
+function fillParams(route) {
+  let missing = false;
+  const url = route.replace(/:(\w+)/g, (_, name) => {
+    if (!(name in PARAMS)) missing = true;
+    return encodeURIComponent(PARAMS[name] || '');
+  });
+  if (missing) return null;
+  return QUERY[route] ? `${url}?${QUERY[route]}` : url;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function login() {
+  const deadline = Date.now() + BOOT_TIMEOUT_MS;
+  let lastError = null;
+  while (Date.now() < deadline) {
+    let res = null;
+    try {
+      res = await fetch(`${BASE}/api/platform/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(LOGIN),
+      });
+    } catch (err) {
+      lastError = err; // not listening yet
+    }
+
+    // 500 while the in-memory database is still being seeded
+    const data = res?.ok ? await res.json() : null;
+    if (data?.mfaRequired || data?.mfaEnrollRequired) {
+      throw new Error('The mock SuperAdmin has to pass MFA; the smoke check needs a password-only login');
+    }
+    if (data?.ok && data.role === 'superadmin') {
+      const cookie = res.headers.get('set-cookie');
+      if (!cookie) throw new Error('Login answered without a session cookie');
+      return cookie.split(';')[0];
+    }
+    if (res) lastError = new Error(`login answered ${res.status}`);
+    await sleep(500);
+  }
+  throw new Error(`Server did not accept the mock login within ${BOOT_TIMEOUT_MS / 1000}s: ${lastError?.message}`);
+}
+
+async function main() {
+  const child = spawn(process.execPath, [SERVER_FILE], {
+    cwd: path.dirname(SERVER_FILE),
+    env: { ...process.env, MOCK_MODE: 'true', PORT: String(PORT) },
+    stdio: ['ignore', 'ignore', 'pipe'],
+  });
+  let stderr = '';
+  child.stderr.on('data', (chunk) => { stderr = (stderr + chunk).slice(-4000); });
+
+  const failures = [];
+  try {
+    const cookie = await login();
+
+    const urls = [];
+    for (const route of listPlatformGets()) {
+      if (SKIP.has(route)) continue;
+      const url = fillParams(route);
+      if (url) urls.push(url);
+      else console.log(`SKIP ${route} (no value for its path params)`);
+    }
+    urls.push(...EXTRA);
+
+    for (const url of urls) {
+      const res = await fetch(`${BASE}${url}`, { headers: { cookie }, redirect: 'manual' });
+      const ok = res.status >= 200 && res.status < 300;
+      console.log(`${ok ? 'ok  ' : 'FAIL'} ${res.status} ${url}`);
+      if (!ok) failures.push(`${res.status} ${url} ${(await res.text()).slice(0, 200)}`);
+    }
+    console.log(`\n${urls.length - failures.length}/${urls.length} platform GETs answered 2xx`);
+  } finally {
+    child.kill('SIGTERM');
+  }
+
+  if (failures.length) {
+    console.error('\nFailures:\n' + failures.join('\n'));
+    if (stderr) console.error('\nServer stderr (tail):\n' + stderr);
+    process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error('[SMOKE] failed:', err.message);
+  process.exit(1);
+});
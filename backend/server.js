@@ -17,14 +17,41 @@ const { Server } = require('socket.io');
 const { createClient } = require('redis');
 const { createAdapter } = require('@socket.io/redis-adapter');
 const axios = require('axios'); // for SOAP note generation
+const crypto = require('crypto');
 const sql = require('mssql');   // MSSQL driver
-const { Sequelize } = require('sequelize');
 const bcrypt = require('bcryptjs');
 const session = require('express-session');
 const nodemailer = require('nodemailer');
 const { userInfo } = require('os');
-const { sequelize, connectToDatabase, closeDatabase } = require('./database/database-config');
+const { sequelize, connectToDatabase, closeDatabase, MOCK_MODE } = require('./database/database-config');
+const { createRepositories } = require('./data');
+const { MOCK_FIXTURES } = require('./data/fixtures/mock');
+const cannedAi = require('./mock/canned-ai');
+const { createLlmClient } = require('./llm/llm-client');
+const { createJsonEntryReader } = require('./llm/json-entry-reader');
+const { NOT_MENTIONED, segmentTranscript, numberedTranscript, bulletsOf, sectionEvidence } = require('./notes/evidence');
+const { checkGrounding, countGroundingIssues } = require('./notes/grounding');
+const { getSchemaStatus } = require('./database/migrate');
 const { getAzureSqlConnection } = require('./database/azure-db-helper');
+const { hashPassword, verifyPassword, equalizeLoginTiming } = require('./auth/password-hash');
+const { createLoginThrottle } = require('./auth/login-throttle');
+const resetTokens = require('./auth/reset-token');
+const { selectMailTransport } = require('./mail/mail-transport');
+const totp = require('./auth/totp');
+const { trackSessionActivity, createSessionRegistry } = require('./auth/session-registry');
+const {
+  loadOidcProviders,
+  createOidcClient,
+  createOidcUserResolver,
+  createPkcePair,
+  randomToken: oidcRandomToken,
+} = require('./auth/oidc');
+const { createPermissionCache } = require('./auth/permission-cache');
+const { createLogRedactor } = require('./logging/redact');
+const { createMessageHistory } = require('./chat/message-history');
+const { createDeviceMetrics, METRICS: DEVICE_METRICS } = require('./metrics/device-metrics');
+const { createTranscriptStore } = require('./encounters/transcript-store');
+const QRCode = require('qrcode');
 
 
 
@@ -32,19 +59,20 @@ console.log('[BOOT] Instance:', process.env.WEBSITE_INSTANCE_ID || process.pid);
 
 // -------------------- Process-level safety --------------------
 process.on('unhandledRejection', (err) => {
-  console.error('[FATAL] unhandledRejection:', err?.stack || err);
+  derr('[FATAL] unhandledRejection:', err?.stack || err);
 });
 
 // -------------------- Debug helpers --------------------
+// Everything below goes through logRedactor (see Env Flags / backend/logging/redact.js)
 const DEBUG_LOGS = (process.env.DEBUG_LOGS || 'true').toLowerCase() === 'true';
 function dlog(...args) {
-  if (DEBUG_LOGS) console.log(...['[DEBUG]'].concat(args));
+  if (DEBUG_LOGS) console.log(...['[DEBUG]'].concat(logRedactor.redactLogArgs(args)));
 }
 function dwarn(...args) {
-  console.warn(...['[WARN]'].concat(args));
+  console.warn(...['[WARN]'].concat(logRedactor.redactLogArgs(args)));
 }
 function derr(...args) {
-  console.error(...['[ERROR]'].concat(args));
+  console.error(...['[ERROR]'].concat(logRedactor.redactLogArgs(args)));
 }
 function trimStr(s, max = 140) {
   if (typeof s !== 'string') return s;
@@ -52,7 +80,17 @@ function trimStr(s, max = 140) {
 }
 function safeDataPreview(obj) {
   try {
-    const s = JSON.stringify(obj);
+    // Socket payloads may arrive as JSON text; parse so the field rules apply to them too
+    let value = obj;
+    if (typeof value === 'string') {
+      try {
+        value = JSON.parse(value);
+      } catch {
+        // plain text: redactValue masks (standard) or drops (strict) it
+      }
+    }
+    // Redact before serialising: once it is a JSON string the field names are lost
+    const s = JSON.stringify(logRedactor.redactValue(value));
     return trimStr(s, 300);
   } catch {
     return '[unserializable]';
@@ -83,7 +121,7 @@ async function safeFetchSockets(io, namespace = "/") {
     const globalSockets = await Promise.race([nsp.fetchSockets(), guard]);
 
     if (!Array.isArray(globalSockets)) {
-      console.warn("[WARN] [safeFetchSockets] fetchSockets returned non-array; using local only:", typeof globalSockets);
+      dwarn("[safeFetchSockets] fetchSockets returned non-array; using local only:", typeof globalSockets);
       return local;
     }
 
@@ -93,7 +131,7 @@ async function safeFetchSockets(io, namespace = "/") {
     for (const s of globalSockets) byId.set(s.id, s);
     return Array.from(byId.values());
   } catch (e) {
-    console.warn("[WARN] [safeFetchSockets] global fetch failed; using local only:", e.message);
+    dwarn("[safeFetchSockets] global fetch failed; using local only:", e.message);
     return local;
   }
 }
@@ -112,6 +150,10 @@ if (IS_PROD && String(process.env.NODE_ENV || '').toLowerCase() !== 'production'
   console.log('[SECURITY] Forced NODE_ENV=production');
 }
 
+// 🔒 PHI redaction for dlog / dwarn / derr: strict in prod, standard elsewhere (LOG_REDACTION)
+const logRedactor = createLogRedactor({ mode: process.env.LOG_REDACTION, isProd: IS_PROD });
+console.log('[SECURITY] Log redaction mode:', logRedactor.mode);
+
 // -------------------- Config & Servers --------------------
 console.log('[INIT] Starting server initialization...');
 const PORT = process.env.PORT || 8080;
@@ -183,8 +225,8 @@ if (IS_PROD && process.env.REDIS_URL) {
 
   const subClient = pubClient.duplicate();
 
-  pubClient.on('error', (err) => console.error('[SOCKET.IO][REDIS][PUB] error', err));
-  subClient.on('error', (err) => console.error('[SOCKET.IO][REDIS][SUB] error', err));
+  pubClient.on('error', (err) => derr('[SOCKET.IO][REDIS][PUB] error', err));
+  subClient.on('error', (err) => derr('[SOCKET.IO][REDIS][SUB] error', err));
 
   Promise.all([pubClient.connect(), subClient.connect()])
     .then(() => {
@@ -193,7 +235,7 @@ if (IS_PROD && process.env.REDIS_URL) {
       console.log('[SOCKET.IO][REDIS] adapter attached (multi-instance room sync ON)');
     })
     .catch((err) => {
-      console.error(
+      derr(
         '[SOCKET.IO][REDIS] adapter connect failed — exiting (prod requires Redis adapter):',
         err?.message || err
       );
@@ -228,16 +270,16 @@ function createStableRedisClient(url, tag) {
   });
 
   client.on('error', (e) =>
-    console.error(`[${tag}][REDIS] error`, e?.message || e)
+    derr(`[${tag}][REDIS] error`, e?.message || e)
   );
   client.on('reconnecting', () =>
-    console.warn(`[${tag}][REDIS] reconnecting...`)
+    dwarn(`[${tag}][REDIS] reconnecting...`)
   );
   client.on('ready', () =>
     console.log(`[${tag}][REDIS] ready`)
   );
   client.on('end', () =>
-    console.warn(`[${tag}][REDIS] connection ended`)
+    dwarn(`[${tag}][REDIS] connection ended`)
   );
 
   return client;
@@ -248,13 +290,14 @@ function createStableRedisClient(url, tag) {
 
 // -------------------- Session Store (Prod: Redis) --------------------
 let sessionStore;
+let sessionRedis = null;
 
 if (IS_PROD && process.env.REDIS_URL) {
   const connectRedis = require('connect-redis');
   // connect-redis v9 CommonJS: class is usually at .RedisStore
   const RedisStore = connectRedis.RedisStore || connectRedis.default || connectRedis;
 
-  const sessionRedis = createStableRedisClient(
+  sessionRedis = createStableRedisClient(
     process.env.REDIS_URL,
     'SESSION'
   );
@@ -264,7 +307,7 @@ if (IS_PROD && process.env.REDIS_URL) {
   sessionRedis.connect().then(
     () => console.log('[SESSION][REDIS] connected'),
     (err) =>
-      console.error(
+      derr(
         '[SESSION][REDIS] connect failed (continuing)',
         err?.message || err
       )
@@ -276,6 +319,9 @@ if (IS_PROD && process.env.REDIS_URL) {
   });
 }
 
+// Explicit MemoryStore otherwise, so active sessions can be listed and revoked in dev too
+if (!sessionStore) sessionStore = new session.MemoryStore();
+
 // -------------------- XR Runtime Redis (Owner Locks) --------------------
 // Separate Redis client for XR online/offline authority (Option B)
 let xrRedis = null;
@@ -291,7 +337,7 @@ if (IS_PROD && process.env.REDIS_URL) {
   xrRedis.connect().then(
     () => console.log('[XR][REDIS] connected'),
     (err) =>
-      console.error(
+      derr(
         '[XR][REDIS] connect failed (continuing)',
         err?.message || err
       )
@@ -302,39 +348,103 @@ if (IS_PROD && process.env.REDIS_URL) {
 
 // Session middleware for platform admin
 const sessionSecret = process.env.SESSION_SECRET || 'change-me-in-production';
-app.use(
-  session({
-    secret: sessionSecret,
-    resave: false,
-    saveUninitialized: false,
+const sessionMiddleware = session({
+  secret: sessionSecret,
+  resave: false,
+  saveUninitialized: false,
 
-    // ✅ critical for Azure scale-out / restarts
-    store: sessionStore || undefined,
+  // ✅ critical for Azure scale-out / restarts
+  store: sessionStore,
 
-    // helps when behind proxy (pairs with trust proxy)
-    proxy: IS_PROD,
+  // helps when behind proxy (pairs with trust proxy)
+  proxy: IS_PROD,
 
-    cookie: {
-      httpOnly: true,
+  cookie: {
+    httpOnly: true,
 
-      // ✅ REQUIRED for HTTPS + Azure proxy
-      sameSite: IS_PROD ? 'none' : 'lax',
-      secure: IS_PROD,
+    // ✅ REQUIRED for HTTPS + Azure proxy
+    sameSite: IS_PROD ? 'none' : 'lax',
+    secure: IS_PROD,
 
-      maxAge: 24 * 60 * 60 * 1000,
-    },
-  })
-);
+    maxAge: 24 * 60 * 60 * 1000,
+  },
+});
+app.use(sessionMiddleware);
+app.use(trackSessionActivity);
+
+const sessionRegistry = createSessionRegistry({ store: sessionStore, redis: sessionRedis });
 
 console.log('[MIDDLEWARE] Session enabled');
 
+// -------------------- Socket.IO ↔ session (handshake auth) --------------------
+// Sockets share the express-session store, so socket.request.session is the
+// same session the platform login created. SOCKET_AUTH=off disables the check (local dev only).
+const SOCKET_AUTH_ENFORCED = (process.env.SOCKET_AUTH || 'on').toLowerCase() !== 'off';
+
+io.engine.use(sessionMiddleware);
+
+io.use(async (socket, next) => {
+  const req = socket.request;
+  const revoked = await sessionRegistry.isRevoked(req.sessionID);
+  const user = !revoked && req.session && req.session.user;
+
+  if (!user) {
+    if (!SOCKET_AUTH_ENFORCED) return next();
+    dwarn('[SOCKET_AUTH] rejected unauthenticated handshake', { socketId: socket.id });
+    const err = new Error('Not logged in');
+    err.data = { code: 'AUTH_REQUIRED', message: 'Please sign in to the platform first.' };
+    return next(err);
+  }
+
+  socket.data.authUser = {
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    type: user.type,
+    xrId: user.xrId || null,
+    userRoleMappingId: user.userRoleMappingId || null,
+  };
+  socket.data.sessionId = req.sessionID;
+  next();
+});
+
+console.log(`[SOCKET.IO] Session auth ${SOCKET_AUTH_ENFORCED ? 'enforced' : 'DISABLED (SOCKET_AUTH=off)'}`);
+
+// Users / templates / notes / drugs / mappings / hierarchy queries (Azure SQL or local SQLite)
+const repos = createRepositories(sequelize, MOCK_MODE ? { fixtures: MOCK_FIXTURES } : {});
+
+if (MOCK_MODE) {
+  dwarn('⚠️ [MOCK] MOCK_MODE=true – in-memory fixture data and canned AI responses, no Azure SQL / LLM calls');
+}
+
+// Note generation / summary / diagnosis model calls; provider chosen per clinic (see llm/llm-client.js)
+const llm = createLlmClient({ mockMode: MOCK_MODE });
+console.log(`[LLM] Default provider: ${llm.usage().defaultProvider}`);
+
+// Migration state checked once on boot and reported by /health (see database/migrate.js)
+let schemaStatus = null;
+
 // ✅ Connect to Azure SQL via Sequelize on boot (non-fatal if it fails)
 (async () => {
   try {
     await connectToDatabase();
-    console.log('🚀 [DB] Azure SQL connection established');
+    await repos.prepare();
+    console.log(`🚀 [DB] ${repos.dialect === 'sqlite' ? 'Local SQLite' : 'Azure SQL'} connection established`);
+    deviceMetrics.start();
+
+    try {
+      schemaStatus = await getSchemaStatus(sequelize);
+      if (schemaStatus.behind) {
+        dwarn(
+          `⚠️ [DB] Schema is behind: at ${schemaStatus.current}, latest ${schemaStatus.latest} ` +
+            `(pending ${schemaStatus.pending.join(', ')}). Run \`npm run migrate\` in backend/.`
+        );
+      }
+    } catch (err) {
+      derr('[DB] Could not read schema version:', err?.message || err);
+    }
   } catch (err) {
-    console.error('❌ [DB] Failed to connect to Azure SQL (continuing without DB):', err?.message || err);
+    derr('❌ [DB] Failed to connect to Azure SQL (continuing without DB):', err?.message || err);
     // NOTE: Do not exit; server keeps running without DB.
   }
 })();
@@ -364,7 +474,7 @@ app.use((req, res, next) => {
 const sendView = (name) => (_req, res) => {
   const filePath = path.join(VIEWS_DIR, name);
   if (!fs.existsSync(filePath)) {
-    console.warn(`[WARN] Missing view: ${filePath}`);
+    dwarn(`[WARN] Missing view: ${filePath}`);
     return res.status(404).send(`View not found: ${name}`);
   }
 
@@ -379,7 +489,7 @@ const sendView = (name) => (_req, res) => {
     // Make sure the result is HTML
     res.type('html').send(injected);
   } catch (err) {
-    console.error('[sendView] error reading / sending view:', err);
+    derr('[sendView] error reading / sending view:', err);
     res.status(500).send('Server error');
   }
 };
@@ -477,13 +587,19 @@ const METRIC_WINDOW_MS = 24 * 60 * 60 * 1000; // 24 hours
 const telemetryHist = new Map(); // xrId -> [{ ts, connType, wifiMbps, netDownMbps, netUpMbps, batteryPct }]
 const qualityHist = new Map();   // xrId -> [{ ts, jitterMs, rttMs, lossPct, bitrateKbps }]
 
+// Long-term copy of the same samples (raw 24h, 1-minute 30d, 1-hour 1y) for GET /api/metrics/:xrId
+const deviceMetrics = createDeviceMetrics({ repos });
 
-function pushHist(map, xrId, sample) {
+
+// The in-memory window (live charts) takes every reporter; the long-term history only
+// takes what a device reports about itself over its own authenticated socket.
+function pushHist(map, xrId, sample, { socket = null } = {}) {
   const arr = map.get(xrId) || [];
   arr.push(sample);
   const cutoff = Date.now() - METRIC_WINDOW_MS;
   while (arr.length && arr[0].ts < cutoff) arr.shift();
   map.set(xrId, arr);
+  if (socket?.data?.xrId && normXr(socket.data.xrId) === normXr(xrId)) deviceMetrics.record(xrId, sample);
 }
 
 
@@ -644,64 +760,24 @@ function broadcastPairs() {
   dlog('[PAIR] broadcastPairs:', pairs);
 }
 
-// ---- DB resolvers using Sequelize (you already use sequelize.query elsewhere) ----
-// NOTE: This assumes `sequelize` and `Sequelize` are in scope in server.js (they are in your existing routes).
+// ---- DB resolvers (XR id ⇄ user id ⇄ mapped partner) ----
 
 async function resolveUserIdByXrId(xrId) {
   const xr = normXr(xrId);
   if (!xr) return null;
-
-  const rows = await sequelize.query(
-    `
-      SELECT TOP 1 id
-      FROM System_Users
-      WHERE row_status = 1
-        AND LOWER(LTRIM(RTRIM(xr_id))) = :xr
-    `,
-    { replacements: { xr }, type: Sequelize.QueryTypes.SELECT }
-  );
-
-  return rows?.[0]?.id ?? null;
+  return repos.users.findIdByXrId(xr);
 }
 
 async function resolvePartnerUserId(userId) {
   if (!userId) return null;
-
-  const rows = await sequelize.query(
-    `
-      SELECT TOP 1
-        CASE
-          WHEN scribe_user_id = :userId THEN provider_user_id
-          WHEN provider_user_id = :userId THEN scribe_user_id
-          ELSE NULL
-        END AS partnerUserId
-      FROM Scribe_Provider_Mapping
-      WHERE row_status = 1
-        AND (:userId IN (scribe_user_id, provider_user_id))
-      ORDER BY id DESC
-    `,
-    { replacements: { userId }, type: Sequelize.QueryTypes.SELECT }
-  );
-
-  return rows?.[0]?.partnerUserId ?? null;
+  return repos.mappings.findPartnerUserId(userId);
 }
 
 async function resolveXrIdByUserId(userId) {
   if (!userId) return null;
-
-  const rows = await sequelize.query(
-    `
-      SELECT TOP 1 xr_id
-      FROM System_Users
-      WHERE row_status = 1
-        AND id = :userId
-    `,
-    { replacements: { userId }, type: Sequelize.QueryTypes.SELECT }
-  );
-
-  const xr = rows?.[0]?.xr_id;
-  return xr ? String(xr).trim() : null;
+  return repos.users.findXrIdById(userId);
 }
+
 async function findSocketByXrIdCI_Cluster(xrId, debugSocket = null) {
   const XR = normXr(xrId);
   if (!XR) {
@@ -926,8 +1002,16 @@ function roomOf(xrId) {
 
 // Message history MUST be isolated per pair room
 // Key = canonical roomId (pair:<XR-A>:<XR-B>) or solo:<XR-ID> if not paired yet
-const messageHistoryByRoom = new Map(); // Map<roomId, Array<Message>>
-const MAX_MESSAGES_PER_ROOM = 200;
+// Shared through Redis when REDIS_URL is set (survives restarts), otherwise per-instance memory.
+let chatRedis = xrRedis;
+if (!chatRedis && process.env.REDIS_URL) {
+  chatRedis = createStableRedisClient(process.env.REDIS_URL, 'CHAT');
+  chatRedis.connect().then(
+    () => console.log('[CHAT][REDIS] connected'),
+    (err) => derr('[CHAT][REDIS] connect failed (using memory history)', err?.message || err)
+  );
+}
+const chatHistory = createMessageHistory({ redis: chatRedis });
 
 function roomForHistory(socket) {
   // Option B: paired sockets have socket.data.roomId set
@@ -939,18 +1023,7 @@ function roomForHistory(socket) {
   return `solo:${normXr(xrId)}`;
 }
 
-function appendMessage(roomId, msg) {
-  const arr = messageHistoryByRoom.get(roomId) || [];
-  arr.push(msg);
-  if (arr.length > MAX_MESSAGES_PER_ROOM) arr.splice(0, arr.length - MAX_MESSAGES_PER_ROOM);
-  messageHistoryByRoom.set(roomId, arr);
-}
-
-function getMessages(roomId) {
-  return messageHistoryByRoom.get(roomId) || [];
-}
-
-dlog('[STATE] messageHistoryByRoom initialized'); function roomOf(xrId) {
+dlog('[STATE] chatHistory initialized'); function roomOf(xrId) {
   return `xr:${normXr(xrId)}`;
 }
 
@@ -1399,24 +1472,28 @@ async function broadcastDeviceList(roomId) {
 }
 
 
-function addToMessageHistory(socket, message) {
+// Returns the stored message (with id, server timestamp and roomId) for broadcasting
+async function addToMessageHistory(socket, message) {
   const roomId = roomForHistory(socket);
-
-  const msg = {
-    ...message,
-    id: Date.now(),
-    timestamp: new Date().toISOString(),
-    roomId, // tag for safety/debug
-  };
-
-  appendMessage(roomId, msg);
-
-  const len = getMessages(roomId).length;
-  dlog('[MSG_HISTORY] added; room=', roomId, 'len=', len);
+  const msg = await chatHistory.append(roomId, message);
+  dlog('[MSG_HISTORY] added; room=', roomId, 'id=', msg.id);
+  return msg;
 }
 
 
 // -------------------- Routes --------------------
+// Stays 200 while the schema is behind (routes touching the new tables fail), but says so
+function schemaHealth() {
+  if (!schemaStatus) return { schema: { checked: false } };
+  const health = { schema: schemaStatus };
+  if (schemaStatus.behind) {
+    health.warnings = [
+      `Database schema is behind: version ${schemaStatus.current} of ${schemaStatus.latest}, run \`npm run migrate\``,
+    ];
+  }
+  return health;
+}
+
 app.get('/health', async (_req, res) => {
   dlog('[HEALTH] request');
   try {
@@ -1426,6 +1503,7 @@ app.get('/health', async (_req, res) => {
       timestamp: new Date().toISOString(),
       instanceId: process.env.WEBSITE_INSTANCE_ID || process.pid,
       connectedClients: sockets.length,
+      ...schemaHealth(),
     });
   } catch {
     res.status(200).json({
@@ -1433,11 +1511,201 @@ app.get('/health', async (_req, res) => {
       timestamp: new Date().toISOString(),
       instanceId: process.env.WEBSITE_INSTANCE_ID || process.pid,
       connectedClients: 'unknown',
+      ...schemaHealth(),
+    });
+  }
+});
+
+// -------------------- EHR access control --------------------
+// System_Screens ids used by the EHR / AI routes and the socket clients
+const SCREEN_XR_HUB_DASHBOARD = 1;
+const SCREEN_SCRIBE_COCKPIT = 2;
+const SCREEN_XR_VISION_DOCK = 3;
+// EHR data is read/written from the Scribe Cockpit unless a dedicated screen row is configured
+const SCREEN_EHR = parseInt(process.env.EHR_SCREEN_ID || String(SCREEN_SCRIBE_COCKPIT), 10);
+
+// 🔐 Passes when the session user can read ANY of the given screens
+function requireAnyScreen(screenIds) {
+  return async (req, res, next) => {
+    try {
+      if (!req.session || !req.session.user) {
+        return res.status(401).json({ ok: false, message: 'Not logged in' });
+      }
+
+      for (const screenId of screenIds) {
+        if (await hasScreenPermission(req.session.user, screenId, 'read')) return next();
+      }
+
+      return res
+        .status(403)
+        .json({ ok: false, message: 'You do not have access to this screen' });
+    } catch (err) {
+      derr('[PLATFORM] requireAnyScreen error:', err);
+      return res
+        .status(500)
+        .json({ ok: false, message: 'Internal server error' });
+    }
+  };
+}
+
+// Provider user ids whose patients the session user may see:
+// the user themself (providers) + providers mapped to them in Scribe_Provider_Mapping (scribes).
+// Returns null for SuperAdmin (unrestricted).
+async function resolveEhrProviderIds(sessionUser) {
+  if (!sessionUser) return [];
+  if (sessionUser.type === 'SuperAdmin') return null;
+
+  const mapped = await repos.mappings.listProviderIdsForScribe(sessionUser.id);
+
+  const ids = new Set([Number(sessionUser.id)]);
+  for (const providerId of mapped) ids.add(Number(providerId));
+  return Array.from(ids);
+}
+
+function canSeeProvider(providerIds, doctorId) {
+  return providerIds === null || providerIds.includes(Number(doctorId));
+}
+
+// A patient "belongs" to the providers who authored their notes.
+// Patients without any notes yet belong to their clinic: visible when the patient is registered at the
+// clinic of the caller or one of their mapped providers, or when the caller already has an encounter for them.
+// Returns { ok, patientId, mrn, providerIds } or { ok:false, status, message }.
+async function checkEhrPatientAccess(sessionUser, { mrn = null, patientId = null }) {
+  const providerIds = await resolveEhrProviderIds(sessionUser);
+
+  const rows = await repos.notes.listPatientNoteAuthors({ mrn, patientId });
+
+  if (!rows.length) return { ok: false, status: 404, message: 'Patient not found' };
+
+  const doctors = rows.map((r) => r.doctor_id).filter((d) => d != null);
+  if (doctors.length && !doctors.some((d) => canSeeProvider(providerIds, d))) {
+    return { ok: false, status: 403, message: "You are not mapped to this patient's provider" };
+  }
+
+  if (!doctors.length && providerIds !== null) {
+    const patientClinicId = rows[0].patient_clinic_id == null ? null : Number(rows[0].patient_clinic_id);
+    const clinicIds = await repos.users.listClinicIds(providerIds);
+    const atClinic = patientClinicId != null && clinicIds.includes(patientClinicId);
+    const encounters = atClinic || !rows[0].mrn_no
+      ? []
+      : await repos.encounters.list({ userId: sessionUser.id, providerIds, mrn: rows[0].mrn_no, limit: 1 });
+    if (!atClinic && !encounters.length) {
+      return { ok: false, status: 403, message: 'This patient is not registered at your clinic' };
+    }
+  }
+
+  return { ok: true, patientId: rows[0].patient_id, mrn: rows[0].mrn_no, providerIds };
+}
+
+// -------------------- PHI access audit --------------------
+// Append-only trail of who looked at / wrote which patient (HIPAA access reviews).
+// An INSTEAD OF UPDATE, DELETE trigger rejects any change to existing rows.
+const PHI_AUDIT_ACTIONS = [
+  'patient_lookup',
+  'note_read',
+  'ai_summary',
+  'note_save',
+  'transcript_read',
+  'encounter_patient_link',
+];
+
+// PHI reads and writes fail closed: callers refuse the request (503) when this returns false
+const PHI_AUDIT_UNAVAILABLE = 'Access could not be recorded in the audit log. Please try again shortly.';
+
+// Returns true once the row is stored, false (after logging an alert) when the write failed
+// details: optional JSON-serialisable context stored with the row (e.g. acknowledged grounding keys)
+// transaction: write the row inside the caller's transaction (it then commits or rolls back with it)
+async function writePhiAudit(
+  req,
+  { action, outcome = 'allowed', patientId = null, mrn = null, noteId = null, details = null },
+  { transaction = null } = {}
+) {
+  const user = req.session?.user || {};
+  try {
+    await repos.phiAudit.write({
+      userId: user.id ?? null,
+      userEmail: user.email ?? null,
+      action,
+      outcome,
+      patientId: patientId ?? null,
+      mrn: mrn ? String(mrn).slice(0, 64) : null,
+      noteId: noteId ?? null,
+      ip: req.ip || null,
+      userAgent: String(req.get('user-agent') || '').slice(0, 512) || null,
+      details: details == null ? null : JSON.stringify(details),
+    }, { transaction });
+    return true;
+  } catch (err) {
+    // Never log the MRN here; ids are enough to reconcile from the server log
+    derr('[PHI_AUDIT][ALERT] write failed:', { action, outcome, userId: user.id, patientId, noteId }, err?.message || err);
+    return false;
+  }
+}
+
+// Shared filter for the viewer and CSV export; unknown / malformed values are dropped
+// from / to filters are inclusive calendar days (YYYY-MM-DD)
+function isIsoDay(v) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(v || ''));
+}
+
+function parsePhiAuditFilter(q = {}) {
+  return {
+    from: isIsoDay(q.from) ? q.from : null,
+    to: isIsoDay(q.to) ? q.to : null,
+    user: String(q.user || '').trim() || null,
+    patient: String(q.patient || '').trim() || null,
+    action: PHI_AUDIT_ACTIONS.includes(q.action) ? q.action : null,
+    outcome: ['allowed', 'denied', 'not_found'].includes(q.outcome) ? q.outcome : null,
+  };
+}
+
+function toCsvCell(v) {
+  if (v == null) return '';
+  const str = v instanceof Date ? v.toISOString() : String(v);
+  // Quote everything; also neutralise spreadsheet formula injection
+  const safe = /^[=+\-@]/.test(str) ? `'${str}` : str;
+  return `"${safe.replace(/"/g, '""')}"`;
+}
+
+// SuperAdmin viewer: ?from&to&user&patient&action&outcome&page&pageSize, or &format=csv for the whole filtered set
+app.get('/api/platform/phi-audit', requireSuperAdmin, async (req, res) => {
+  try {
+    const filter = parsePhiAuditFilter(req.query);
+
+    if (req.query.format === 'csv') {
+      const rows = await repos.phiAudit.listAll(filter);
+
+      const columns = ['id', 'created_date', 'user_id', 'user_email', 'action', 'outcome', 'patient_id', 'mrn', 'note_id', 'ip', 'user_agent', 'details'];
+      const csv = [columns.join(',')]
+        .concat(rows.map((r) => columns.map((c) => toCsvCell(r[c])).join(',')))
+        .join('\r\n');
+
+      console.log('[PHI_AUDIT] CSV export by user id', req.session.user.id, { rows: rows.length });
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="phi-access-audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send(csv);
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 50, 1), 500);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const { rows, total } = await repos.phiAudit.list(filter, { page, pageSize });
+
+    return res.json({
+      ok: true,
+      rows,
+      total,
+      page,
+      pageSize,
+      actions: PHI_AUDIT_ACTIONS,
     });
+  } catch (err) {
+    derr('[PLATFORM] phi-audit error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
   }
 });
 
-app.post('/api/medications/availability', async (req, res) => {
+app.post('/api/medications/availability', requireAnyScreen([SCREEN_EHR, SCREEN_XR_VISION_DOCK]), async (req, res) => {
   dlog('[MEDICATION_API] request received');
   try {
     const { names } = req.body;
@@ -1452,16 +1720,6 @@ app.post('/api/medications/availability', async (req, res) => {
 
     dlog(`[MEDICATION_API] Checking ${names.length} medication(s)`);
 
-    const schema = 'dbo';
-    const table = 'DrugMaster';
-    const nameCol = 'drug';
-
-    function normalizeTerm(s) {
-      return String(s || '')
-        .toLowerCase()
-        .replace(/[ \-\/\.,'()]/g, '');
-    }
-
     function extractDrugQuery(raw) {
       if (!raw) return null;
       let s = String(raw)
@@ -1477,51 +1735,6 @@ app.post('/api/medications/availability', async (req, res) => {
       return s || null;
     }
 
-    async function findDrugMatch(q) {
-      const raw = String(q || '').trim();
-      const rawLike = `%${raw}%`;
-      const norm = normalizeTerm(raw);
-      const normLike = `%${norm}%`;
-
-      const normExpr = `
-        REPLACE(
-          REPLACE(
-            REPLACE(
-              REPLACE(
-                REPLACE(
-                  REPLACE(
-                    REPLACE(
-                      REPLACE(LOWER([${nameCol}]), '-', ''), ',', ''), '/', ''), '.', ''), '''', ''), ' ', ''), '(', ''), ')', '')
-      `;
-
-      const sql = `
-        SELECT TOP 1 [${nameCol}] AS name
-        FROM [${schema}].[${table}]
-        WHERE status = 1
-          AND [${nameCol}] IS NOT NULL
-          AND (
-            LOWER([${nameCol}]) = LOWER(:raw)
-            OR LOWER([${nameCol}]) LIKE LOWER(:rawLike)
-            OR ${normExpr} = :norm
-            OR ${normExpr} LIKE :normLike
-          )
-        ORDER BY
-          CASE
-            WHEN ${normExpr} = :norm THEN 1
-            WHEN LOWER([${nameCol}]) = LOWER(:raw) THEN 2
-            WHEN ${normExpr} LIKE :normLike THEN 3
-            ELSE 4
-          END,
-          [${nameCol}];
-      `;
-
-      const rows = await sequelize.query(sql, {
-        replacements: { raw, rawLike, norm, normLike },
-        type: Sequelize.QueryTypes.SELECT
-      });
-      return rows?.[0]?.name || null;
-    }
-
     const results = [];
     for (const name of names) {
       const query = extractDrugQuery(name);
@@ -1531,7 +1744,7 @@ app.post('/api/medications/availability', async (req, res) => {
       }
 
       try {
-        const matched = await findDrugMatch(query);
+        const matched = await repos.drugs.findMatch(query);
         results.push({ name, available: !!matched });
         dlog(`[MEDICATION_API] "${name}" => ${matched ? 'AVAILABLE' : 'NOT FOUND'}`);
       } catch (e) {
@@ -1557,15 +1770,7 @@ app.post('/api/medications/availability', async (req, res) => {
  */
 app.get("/api/templates", async (_req, res) => {
   try {
-    const templates = await sequelize.query(
-      `
-      SELECT id, template AS name, short_name
-      FROM [dbo].[Templates]
-      WHERE row_status = 1
-      ORDER BY template ASC;
-      `,
-      { type: Sequelize.QueryTypes.SELECT }
-    );
+    const templates = await repos.templates.list();
 
     return res.json({ templates });
   } catch (err) {
@@ -1578,7 +1783,7 @@ app.get("/api/templates", async (_req, res) => {
  *    UI calls this when template dropdown changes to regenerate note
  *    Body: { transcript: string, templateId?: number | "default" }
  */
-app.post("/api/notes/generate", async (req, res) => {
+app.post("/api/notes/generate", requireLogin, requireScreen(SCREEN_EHR), async (req, res) => {
   try {
     const transcript = String(req.body?.transcript || "").trim();
     const templateId = req.body?.templateId; // number OR "default" OR null
@@ -1587,7 +1792,7 @@ app.post("/api/notes/generate", async (req, res) => {
       return res.status(400).json({ error: "transcript is required" });
     }
 
-    const note = await generateSoapNote(transcript, templateId);
+    const note = await generateSoapNote(transcript, templateId, { clinicId: req.session.user.clinicId });
     return res.json({ note });
   } catch (err) {
     derr("[NOTES_API] /api/notes/generate failed:", err?.message || err);
@@ -1595,53 +1800,100 @@ app.post("/api/notes/generate", async (req, res) => {
   }
 });
 
-app.get('/ehr/patient/:mrn', async (req, res) => {
-  dlog('[EHR_API] /ehr/patient/:mrn request received');
-
+/**
+ * 2a) POST /api/notes/generate/section
+ *    Body: { transcript, templateId?, section, instructions?, currentText? }
+ *    Regenerates one template section; the cockpit swaps in only that section.
+ *    → { section, value, evidence, grounding }
+ */
+app.post("/api/notes/generate/section", requireLogin, requireScreen(SCREEN_EHR), async (req, res) => {
   try {
-    const mrn = (req.params.mrn || '').trim();
-    if (!mrn) {
-      return res.status(400).json({ error: 'MRN parameter is required' });
-    }
+    const out = await regenerateSoapSection({
+      transcript: req.body?.transcript,
+      templateId: req.body?.templateId,
+      section: req.body?.section,
+      instructions: req.body?.instructions,
+      currentText: req.body?.currentText,
+      clinicId: req.session.user.clinicId,
+    });
+    if (out.error) return res.status(out.status).json({ error: out.error });
+    return res.json(out);
+  } catch (err) {
+    derr("[NOTES_API] /api/notes/generate/section failed:", err?.message || err);
+    return res.status(500).json({ error: "Failed to regenerate section" });
+  }
+});
 
-    const sqlText = `
-      SELECT
-          su.id                  AS patient_id,
-          su.full_name           AS full_name,
-          su.email               AS email,
-          su.mrn_no              AS mrn_no,
-          su.contact_no_primary  AS contact_no_primary,
+/**
+ * 2b) POST /api/notes/generate/stream
+ *    Same body; answers with Server-Sent Events while the model writes:
+ *      template  { templateId, templateName, short_name, components }   once, before the model call
+ *      section   { section, value, evidence }                           each section as it completes
+ *      done      { note }                                               same note as /api/notes/generate
+ *      error     { error }
+ *    Closing the request (the cockpit's Cancel aborts its fetch) aborts the model call.
+ */
+app.post("/api/notes/generate/stream", requireLogin, requireScreen(SCREEN_EHR), async (req, res) => {
+  const transcript = String(req.body?.transcript || "").trim();
+  const templateId = req.body?.templateId;
+  if (!transcript) {
+    return res.status(400).json({ error: "transcript is required" });
+  }
 
-          pn.id                  AS note_id,
-          pn.created_date        AS document_created_date,
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
 
-          MAX(vpn.template)      AS template,
-          MAX(vpn.short_name)    AS short_name
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
 
-      FROM [dbo].[System_Users] su
-      LEFT JOIN [dbo].[Patient_Notes] pn
-        ON pn.patient_id = su.id
-      LEFT JOIN [dbo].[View_Patient_Note_Content] vpn
-        ON vpn.patient_note_id = pn.id
+  const send = (event, data) => {
+    if (!res.writableEnded && !controller.signal.aborted) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
 
-      WHERE su.mrn_no = :mrn
+  try {
+    const note = await generateSoapNote(transcript, templateId, {
+      clinicId: req.session.user.clinicId,
+      signal: controller.signal,
+      onTemplate: (templateMeta) => send("template", templateMeta),
+      onSection: (section, value, evidence) => send("section", { section, value, evidence }),
+    });
 
-      GROUP BY
-          su.id,
-          su.full_name,
-          su.email,
-          su.mrn_no,
-          su.contact_no_primary,
-          pn.id,
-          pn.created_date
+    if (note?.Error) send("error", { error: note.Error[0] });
+    else send("done", { note });
+  } catch (err) {
+    derr("[NOTES_API] /api/notes/generate/stream failed:", err?.message || err);
+    send("error", { error: "Failed to generate note" });
+  }
+  res.end();
+});
 
-      ORDER BY pn.created_date DESC;
-    `;
+app.get('/ehr/patient/:mrn', requireLogin, requireScreen(SCREEN_EHR), async (req, res) => {
+  dlog('[EHR_API] /ehr/patient/:mrn request received');
 
-    const rows = await sequelize.query(sqlText, {
-      replacements: { mrn },
-      type: Sequelize.QueryTypes.SELECT
-    });
+  try {
+    const mrn = (req.params.mrn || '').trim();
+    if (!mrn) {
+      return res.status(400).json({ error: 'MRN parameter is required' });
+    }
+
+    const access = await checkEhrPatientAccess(req.session.user, { mrn });
+    if (!access.ok) {
+      await writePhiAudit(req, { action: 'patient_lookup', outcome: access.status === 404 ? 'not_found' : 'denied', mrn });
+      return res.status(access.status).json({ error: access.message, mrn });
+    }
+    if (!(await writePhiAudit(req, { action: 'patient_lookup', patientId: access.patientId, mrn }))) {
+      return res.status(503).json({ error: PHI_AUDIT_UNAVAILABLE });
+    }
+
+    const rows = await repos.notes.listPatientNotesByMrn(mrn);
 
     if (!rows.length) {
       return res.status(404).json({ error: 'Patient not found', mrn });
@@ -1655,8 +1907,9 @@ app.get('/ehr/patient/:mrn', async (req, res) => {
       contact_no_primary: rows[0].contact_no_primary ?? null
     };
 
+    // Only notes written by providers the caller is mapped to
     const notes = rows
-      .filter(r => r.note_id !== null)
+      .filter(r => r.note_id !== null && canSeeProvider(access.providerIds, r.doctor_id))
       .map(r => ({
         note_id: r.note_id,
         short_name: r.short_name ?? null,
@@ -1675,7 +1928,7 @@ app.get('/ehr/patient/:mrn', async (req, res) => {
   }
 });
 
-app.get('/ehr/notes/:noteId', async (req, res) => {
+app.get('/ehr/notes/:noteId', requireLogin, requireScreen(SCREEN_EHR), async (req, res) => {
   dlog('[EHR_API] /ehr/notes/:noteId request received');
 
   try {
@@ -1684,31 +1937,22 @@ app.get('/ehr/notes/:noteId', async (req, res) => {
       return res.status(400).json({ error: 'noteId must be a number' });
     }
 
-    const sqlText = `
-      SELECT
-        pn.id AS patient_note_id,
-        pn.created_date AS document_created_date,
-        vpn.template,
-        vpn.short_name,
-        vpn.position,
-        vpn.component,
-        vpn.text
-      FROM [dbo].[Patient_Notes] pn
-      LEFT JOIN [dbo].[View_Patient_Note_Content] vpn
-        ON vpn.patient_note_id = pn.id
-      WHERE pn.id = :noteId
-      ORDER BY vpn.position ASC;
-    `;
-
-    const rows = await sequelize.query(sqlText, {
-      replacements: { noteId },
-      type: Sequelize.QueryTypes.SELECT
-    });
+    const rows = await repos.notes.listNoteSections(noteId);
 
     if (!rows.length) {
+      await writePhiAudit(req, { action: 'note_read', outcome: 'not_found', noteId });
       return res.status(404).json({ error: 'Note not found' });
     }
 
+    const providerIds = await resolveEhrProviderIds(req.session.user);
+    if (!canSeeProvider(providerIds, rows[0].doctor_id)) {
+      await writePhiAudit(req, { action: 'note_read', outcome: 'denied', patientId: rows[0].patient_id, noteId });
+      return res.status(403).json({ error: "You are not mapped to this note's provider" });
+    }
+    if (!(await writePhiAudit(req, { action: 'note_read', patientId: rows[0].patient_id, noteId }))) {
+      return res.status(503).json({ error: PHI_AUDIT_UNAVAILABLE });
+    }
+
     const meta = {
       patient_note_id: noteId,
       template: rows[0].template ?? null,
@@ -1744,62 +1988,126 @@ app.get('/ehr/notes/:noteId', async (req, res) => {
 // - Called by cockpit "Add to EHR" (template-driven notes only)
 // - MRN is dynamic (sent from frontend in payload) 
 // ============================================================================
-app.post('/ehr/patient_notes/template', async (req, res) => {
-  const t = await sequelize.transaction();
+app.post('/ehr/patient_notes/template', requireLogin, requireScreenWrite(SCREEN_EHR), async (req, res) => {
   try {
     const body = req.body || {};
 
     // Expected payload shape (built in scribe_cockpit.js):
     // {
     //   patient_notes: { patient_id, doctor_id, document_created_date, created_by, modified_by, modified_date, row_status },
-    //   patient_note_content: [{ template_component_mapping_id, text, edit_count, created_by, modified_by, created_date, modified_date, row_status }, ...]
+    //   patient_note_content: [{ template_component_mapping_id, text, edit_count, created_by, modified_by, created_date, modified_date, row_status }, ...],
+    //   template_id,                              section names for the grounding check (loaded server-side)
+    //   encounter_id,                             transcript the note is checked against (loaded server-side)
+    //   grounding_acknowledged: [issue key, ...]
     // }
 
     const pn = body.patient_notes || null;
     const rows = Array.isArray(body.patient_note_content) ? body.patient_note_content : [];
 
     if (!pn) {
-      await t.rollback();
       return res.status(400).json({ ok: false, message: 'Missing patient_notes' });
     }
     if (!pn.patient_id) {
-      await t.rollback();
       return res.status(400).json({ ok: false, message: 'Missing patient_notes.patient_id' });
     }
     if (!pn.doctor_id) {
-      await t.rollback();
       return res.status(400).json({ ok: false, message: 'Missing patient_notes.doctor_id' });
     }
     if (!pn.created_by) {
-      await t.rollback();
       return res.status(400).json({ ok: false, message: 'Missing patient_notes.created_by' });
     }
     if (!pn.modified_by) {
-      await t.rollback();
       return res.status(400).json({ ok: false, message: 'Missing patient_notes.modified_by' });
     }
     if (!pn.document_created_date) {
-      await t.rollback();
       return res.status(400).json({ ok: false, message: 'Missing patient_notes.document_created_date' });
     }
     if (!pn.modified_date) {
-      await t.rollback();
       return res.status(400).json({ ok: false, message: 'Missing patient_notes.modified_date' });
     }
     if (!rows.length) {
-      await t.rollback();
       return res.status(400).json({ ok: false, message: 'Missing patient_note_content rows' });
     }
-    const insertPatientNotesSql = `
-      INSERT INTO Patient_Notes
-        (patient_id, doctor_id, created_date, created_by, modified_date, modified_by, row_status)
-      OUTPUT INSERTED.id AS patient_note_id
-      VALUES
-        (:patient_id, :doctor_id, :created_date, :created_by, :modified_date, :modified_by, :row_status)
-    `;
+    if (rows.some((r) => !r?.template_component_mapping_id)) {
+      return res.status(400).json({ ok: false, message: 'Missing template_component_mapping_id in a content row' });
+    }
+    const templateId = parseInt(body.template_id, 10);
+    if (!templateId) {
+      return res.status(400).json({ ok: false, message: 'Missing template_id' });
+    }
+    const encounterId = parseInt(body.encounter_id, 10);
+    if (!encounterId) {
+      return res.status(400).json({ ok: false, message: 'Missing encounter_id (the note is checked against its transcript)' });
+    }
+
+    // 🔐 Notes may only be filed under a provider the caller is (or is mapped to)
+    const providerIds = await resolveEhrProviderIds(req.session.user);
+    if (!canSeeProvider(providerIds, pn.doctor_id)) {
+      await writePhiAudit(req, { action: 'note_save', outcome: 'denied', patientId: pn.patient_id });
+      return res.status(403).json({ ok: false, message: 'You are not mapped to this provider' });
+    }
+    const access = await checkEhrPatientAccess(req.session.user, { patientId: pn.patient_id });
+    if (!access.ok) {
+      await writePhiAudit(req, {
+        action: 'note_save',
+        outcome: access.status === 404 ? 'not_found' : 'denied',
+        patientId: pn.patient_id,
+      });
+      return res.status(access.status).json({ ok: false, message: access.message });
+    }
+
+    // Grounding: the note as saved (scribe edits included) against the stored transcript of its
+    // encounter. Every unsupported / contradicted claim must be acknowledged by key, else 409 with the list.
+    const loaded = await loadEncounterForUser(req, encounterId);
+    if (loaded.error) return res.status(loaded.status).json({ ok: false, message: loaded.error });
+    const sameMrn = (a, b) => String(a).trim().toUpperCase() === String(b).trim().toUpperCase();
+    if (loaded.enc.patient_mrn && access.mrn && !sameMrn(loaded.enc.patient_mrn, access.mrn)) {
+      return res.status(400).json({ ok: false, message: 'The encounter belongs to another patient' });
+    }
+    const transcript = loaded.segments.map((s) => s.text).join('\n').trim();
+    if (!transcript) {
+      return res.status(400).json({ ok: false, message: 'The encounter has no transcript to check the note against' });
+    }
+
+    // Section names pick the medication / diagnosis checks, so they come from the template, never the client
+    const components = await repos.templates.listComponents(templateId);
+    const componentNames = new Map(components.map((c) => [String(c.mapping_id), String(c.name || '').trim()]));
+    const sections = {};
+    for (const r of rows) {
+      const name = componentNames.get(String(r.template_component_mapping_id));
+      if (!name) {
+        return res.status(400).json({
+          ok: false,
+          message: `template_component_mapping_id ${r.template_component_mapping_id} is not a section of template ${templateId}`,
+        });
+      }
+      sections[name] = String(r?.text ?? '');
+    }
+
+    const grounding = checkGrounding(sections, transcript);
+    const acknowledged = new Set(Array.isArray(body.grounding_acknowledged) ? body.grounding_acknowledged.map(String) : []);
+    const issues = Object.values(grounding).flat();
+    const open = issues.filter((issue) => !acknowledged.has(issue.key));
+    if (open.length) {
+      return res.status(409).json({
+        ok: false,
+        code: 'GROUNDING_UNACKNOWLEDGED',
+        message: `${open.length} statement(s) are not supported by the transcript and must be acknowledged`,
+        grounding,
+      });
+    }
+    if (issues.length) {
+      console.log('[EHR][TEMPLATE_SAVE] saving with acknowledged grounding warnings:', {
+        userId: req.session.user.id,
+        patientId: pn.patient_id,
+        count: countGroundingIssues(grounding),
+      });
+    }
 
-    const inserted = await sequelize.query(insertPatientNotesSql, {
-      replacements: {
+    // Patient_Notes + Patient_Note_Content rows and the note_save audit row in one transaction:
+    // a note whose audit row cannot be written is not stored
+    const patientNoteId = await repos.notes.createTemplateNote(
+      {
         patient_id: pn.patient_id,
         doctor_id: pn.doctor_id,
         created_date: pn.document_created_date,
@@ -1808,109 +2116,81 @@ app.post('/ehr/patient_notes/template', async (req, res) => {
         modified_by: pn.modified_by,
         row_status: pn.row_status ?? 1,
       },
-      type: Sequelize.QueryTypes.SELECT,
-      transaction: t,
-    });
-
-    const patientNoteId = inserted?.[0]?.patient_note_id ?? null;
-    if (!patientNoteId) {
-      await t.rollback();
-      return res.status(500).json({ ok: false, message: 'Failed to create Patient_Notes row (no id returned)' });
-    }
-
-    // 2) Insert Patient_Note_Content rows (row-by-row, minimal + safe)
-    const insertContentSql = `
-      INSERT INTO Patient_Note_Content
-        (patient_note_id, template_component_mapping_id, text, edit_count, created_date, created_by, modified_date, modified_by, row_status)
-      VALUES
-        (:patient_note_id, :template_component_mapping_id, :text, :edit_count, :created_date, :created_by, :modified_date, :modified_by, :row_status)
-    `;
-
-    for (const r of rows) {
-      const mappingId = r?.template_component_mapping_id ?? null;
-      if (!mappingId) {
-        await t.rollback();
-        return res.status(400).json({ ok: false, message: 'Missing template_component_mapping_id in a content row' });
+      rows.map((r) => ({
+        template_component_mapping_id: r.template_component_mapping_id,
+        text: String(r?.text ?? ''),
+        edit_count: (r?.edit_count ?? 0),
+        created_date: r?.created_date ?? pn.document_created_date,
+        created_by: r?.created_by ?? pn.created_by,
+        modified_date: r?.modified_date ?? pn.modified_date,
+        modified_by: r?.modified_by ?? pn.modified_by,
+        row_status: r?.row_status ?? 1,
+      })),
+      {
+        beforeCommit: (noteId, transaction) =>
+          writePhiAudit(
+            req,
+            {
+              action: 'note_save',
+              patientId: pn.patient_id,
+              noteId,
+              details: { encounterId, groundingAcknowledged: issues.map((issue) => issue.key) },
+            },
+            { transaction }
+          ),
       }
-
-      await sequelize.query(insertContentSql, {
-        replacements: {
-          patient_note_id: patientNoteId,
-          template_component_mapping_id: mappingId,
-          text: String(r?.text ?? ''),
-          edit_count: (r?.edit_count ?? 0),
-          created_date: r?.created_date ?? pn.document_created_date,
-          created_by: r?.created_by ?? pn.created_by,
-          modified_date: r?.modified_date ?? pn.modified_date,
-          modified_by: r?.modified_by ?? pn.modified_by,
-          row_status: r?.row_status ?? 1,
-        },
-        type: Sequelize.QueryTypes.INSERT,
-        transaction: t,
-      });
+    );
+    if (!patientNoteId) {
+      return res.status(503).json({ ok: false, message: PHI_AUDIT_UNAVAILABLE });
     }
-
-    await t.commit();
     return res.json({ ok: true, patient_note_id: patientNoteId });
   } catch (e) {
-    try { await t.rollback(); } catch { }
-    console.error('[EHR][TEMPLATE_SAVE] failed:', e);
-    return res.status(500).json({ ok: false, message: String(e?.message || e || 'Save failed') });
+    derr('[EHR][TEMPLATE_SAVE] failed:', e);
+    return res.status(500).json({ ok: false, message: 'Save failed' });
   }
 });
 
-app.post('/ehr/ai/summary', async (req, res) => {
+app.post('/ehr/ai/summary', requireLogin, requireScreen(SCREEN_EHR), async (req, res) => {
   try {
     const mrn = String(req.body?.mrn || '').trim();
     if (!mrn) {
       return res.status(400).json({ error: 'mrn is required' });
     }
 
-    const summary = await generateSummaryForMrn(mrn);
+    const access = await checkEhrPatientAccess(req.session.user, { mrn });
+    if (!access.ok) {
+      await writePhiAudit(req, { action: 'ai_summary', outcome: access.status === 404 ? 'not_found' : 'denied', mrn });
+      return res.status(access.status).json({ error: access.message });
+    }
+    if (!(await writePhiAudit(req, { action: 'ai_summary', patientId: access.patientId, mrn }))) {
+      return res.status(503).json({ error: PHI_AUDIT_UNAVAILABLE });
+    }
+
+    const summary = await generateSummaryForMrn(mrn, {
+      providerIds: access.providerIds,
+      clinicId: req.session.user.clinicId,
+    });
     return res.json(summary);
   } catch (err) {
-    console.error('Summary Error:', err);
+    derr('Summary Error:', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-async function generateSummaryForMrn(mrn) {
+// providerIds: restrict to notes by these providers (null = all); clinicId picks the LLM provider
+async function generateSummaryForMrn(mrn, { providerIds = null, clinicId = null } = {}) {
   if (!mrn) throw new Error('MRN is required');
 
-  const ABACUS_API_KEY = process.env.ABACUS_API_KEY;
-  if (!ABACUS_API_KEY) throw new Error('Missing ABACUS_API_KEY');
-
-  const ABACUS_MODEL =
-    String(process.env.ABACUS_MODEL || '').trim() || 'claude-opus-4-6';
-
   // 1) Find patient + NAME
-  const patientRows = await sequelize.query(
-    `SELECT id AS patient_id, full_name
-     FROM [dbo].[System_Users]
-     WHERE mrn_no = :mrn`,
-    { replacements: { mrn }, type: Sequelize.QueryTypes.SELECT }
-  );
+  const patient = await repos.notes.findPatientByMrn(mrn);
 
-  if (!patientRows.length) return buildEmptySummary();
+  if (!patient) return buildEmptySummary();
 
-  const patientId = patientRows[0].patient_id;
-  const patientName = String(patientRows[0].full_name || '').trim();
+  const patientId = patient.patient_id;
+  const patientName = String(patient.full_name || '').trim();
 
   // 2) Fetch ALL notes with content (latest first)
-  const rows = await sequelize.query(
-    `SELECT
-        pn.id AS note_id,
-        pn.created_date,
-        v.position,
-        v.component,
-        v.text
-     FROM [dbo].[Patient_Notes] pn
-     LEFT JOIN [dbo].[View_Patient_Note_Content] v
-       ON v.patient_note_id = pn.id
-     WHERE pn.patient_id = :patientId
-     ORDER BY pn.created_date DESC, pn.id DESC, v.position ASC`,
-    { replacements: { patientId }, type: Sequelize.QueryTypes.SELECT }
-  );
+  const rows = await repos.notes.listPatientNoteContent(patientId, { providerIds });
 
   if (!rows.length) return buildEmptySummary();
 
@@ -1981,32 +2261,23 @@ ${visitsText}
 `.trim();
 
   // 6) AI CALL
-  const aiResponse = await axios.post(
-    'https://routellm.abacus.ai/v1/chat/completions',
-    {
-      model: ABACUS_MODEL,
-      messages: [
-        {
-          role: 'system',
-          content:
-            'Return ONLY valid JSON. The text must be one paragraph. ' +
-            'Use the patient name on first mention if provided. ' +
-            'Never write "this patient".'
-        },
-        { role: 'user', content: prompt }
-      ],
-      temperature: 0
-    },
-    {
-      headers: { Authorization: `Bearer ${ABACUS_API_KEY}` },
-      timeout: 60000
-    }
-  );
-
-  const raw = aiResponse?.data?.choices?.[0]?.message?.content;
-  if (!raw) throw new Error('Empty AI response');
-
-  const parsed = parseJsonObject(raw);
+  const { json: parsed } = await llm.complete({
+    task: 'patient_summary',
+    clinicId,
+    json: true,
+    messages: [
+      {
+        role: 'system',
+        content:
+          'Return ONLY valid JSON. The text must be one paragraph. ' +
+          'Use the patient name on first mention if provided. ' +
+          'Never write "this patient".'
+      },
+      { role: 'user', content: prompt }
+    ],
+    temperature: 0,
+    stub: () => cannedAi.cannedSummary({ patientName, visits: [...visits.values()] }),
+  });
 
   if (!parsed || typeof parsed.text !== 'string') {
     throw new Error('AI response JSON missing "text"');
@@ -2056,7 +2327,7 @@ function noteSectionsToSoapText(noteSections) {
 }
 
 // ROUTE: receives note_sections + summary_text (optional)
-app.post('/ehr/ai/diagnosis', async (req, res) => {
+app.post('/ehr/ai/diagnosis', requireLogin, requireScreen(SCREEN_EHR), async (req, res) => {
   try {
     const note_sections = req.body?.note_sections;
     const summary_text = String(req.body?.summary_text || '').trim();
@@ -2086,23 +2357,19 @@ app.post('/ehr/ai/diagnosis', async (req, res) => {
 
     const out = await generateDiagnosisFromContext({
       soapText,
-      summaryText: summary_text || 'No patient summary available'
+      summaryText: summary_text || 'No patient summary available',
+      clinicId: req.session.user.clinicId
     });
 
     return res.json(out);
   } catch (err) {
-    console.error('Diagnosis Error:', err);
+    derr('Diagnosis Error:', err);
     return res.status(500).json({ error: err?.message || 'Internal server error' });
   }
 });
 
 // AI CALL: uses only SOAP + Summary
-async function generateDiagnosisFromContext({ soapText, summaryText }) {
-  const ABACUS_API_KEY = process.env.ABACUS_API_KEY;
-  if (!ABACUS_API_KEY) throw new Error('Missing ABACUS_API_KEY');
-
-  const ABACUS_MODEL = String(process.env.ABACUS_MODEL || '').trim() || 'claude-opus-4-6';
-
+async function generateDiagnosisFromContext({ soapText, summaryText, clinicId = null }) {
   const clip = (v, maxChars) => {
     const s = (v == null ? '' : String(v));
     if (s.length <= maxChars) return s;
@@ -2137,42 +2404,17 @@ SOAP NOTE:
 ${safeSoap}
 `.trim();
 
-  const aiResponse = await axios.post(
-    'https://routellm.abacus.ai/v1/chat/completions',
-    {
-      model: ABACUS_MODEL,
-      messages: [
-        { role: 'system', content: 'Return ONLY valid JSON matching the schema.' },
-        { role: 'user', content: prompt }
-      ],
-      temperature: 0,
-      response_format: { type: 'json_object' },
-      stream: false
-    },
-    {
-      headers: {
-        Authorization: `Bearer ${ABACUS_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 60000,
-      validateStatus: () => true
-    }
-  );
-
-  if (aiResponse.status < 200 || aiResponse.status >= 300) {
-    const msg =
-      aiResponse?.data?.error?.message ||
-      aiResponse?.data?.message ||
-      `RouteLLM error: HTTP ${aiResponse.status}`;
-    throw new Error(msg);
-  }
-
-  const raw = aiResponse?.data?.choices?.[0]?.message?.content;
-  if (!raw) throw new Error('Empty AI response');
-
-  const parsed = (typeof parseJsonObject === 'function')
-    ? parseJsonObject(raw)
-    : JSON.parse(raw);
+  const { json: parsed } = await llm.complete({
+    task: 'ai_diagnosis',
+    clinicId,
+    json: true,
+    messages: [
+      { role: 'system', content: 'Return ONLY valid JSON matching the schema.' },
+      { role: 'user', content: prompt }
+    ],
+    temperature: 0,
+    stub: () => cannedAi.cannedDiagnosis({ soapText, summaryText }),
+  });
 
   const norm = (v) => {
     const s = (v == null ? '' : String(v)).trim();
@@ -2187,21 +2429,7 @@ ${safeSoap}
   };
 }
 
-// If you DON'T already have this helper in server.js, add it once:
-function parseJsonObject(raw) {
-  const s = String(raw || '').trim();
-  const unfenced = s.replace(/^```(?:json)?\s*/i, '').replace(/```$/i, '').trim();
-  try {
-    return JSON.parse(unfenced);
-  } catch {
-    const start = unfenced.indexOf('{');
-    const end = unfenced.lastIndexOf('}');
-    if (start === -1 || end === -1 || end <= start) throw new Error('Model did not return JSON');
-    return JSON.parse(unfenced.slice(start, end + 1));
-  }
-}
-
-app.post('/ehr/ai/text-to-speech', async (req, res) => {
+app.post('/ehr/ai/text-to-speech', requireLogin, requireScreen(SCREEN_EHR), async (req, res) => {
   try {
     const { text } = req.body;
 
@@ -2209,6 +2437,10 @@ app.post('/ehr/ai/text-to-speech', async (req, res) => {
       return res.status(400).json({ error: 'Text is required' });
     }
 
+    if (MOCK_MODE) {
+      return res.json({ success: true, ...cannedAi.cannedSpeech(text) });
+    }
+
     const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
     if (!ELEVENLABS_API_KEY || ELEVENLABS_API_KEY === 'your_elevenlabs_api_key_here') {
       return res.status(500).json({ error: 'ElevenLabs API key not configured' });
@@ -2257,7 +2489,7 @@ app.post('/ehr/ai/text-to-speech', async (req, res) => {
     });
 
   } catch (err) {
-    console.error('[TTS] Error:', err.message);
+    derr('[TTS] Error:', err.message);
     res.status(500).json({
       error: err?.response?.data?.detail?.message || err.message || 'Failed to generate audio'
     });
@@ -2270,61 +2502,182 @@ function normalizeSingleParagraph(text) {
     .trim();
 }
 
-/**
- * Extracts and parses the first JSON object from the model output.
- * Handles accidental ```json fences or extra surrounding text.
- */
-function parseJsonObject(raw) {
-  const s = String(raw).trim();
+// -------------------- Encounter transcripts --------------------
+// Final transcript segments are persisted per pair-room encounter by the socket
+// 'message' handler (see encounters/transcript-store.js); these routes list, fetch
+// and resume them for the cockpit.
+const transcriptStore = createTranscriptStore({
+  repos,
+  async resolveParticipants(deviceXrId) {
+    const userId = await repos.users.findIdByXrId(deviceXrId);
+    const pair = userId ? await repos.mappings.findActivePairForUser(userId) : null;
+    return { scribeUserId: pair?.scribeId ?? null, providerUserId: pair?.doctorId ?? null };
+  },
+});
 
-  const unfenced = s
-    .replace(/^```(?:json)?\s*/i, '')
-    .replace(/```$/i, '')
-    .trim();
+// SuperAdmin, the encounter's scribe, or anyone who may see its provider's patients
+async function canSeeEncounter(sessionUser, enc) {
+  const providerIds = await resolveEhrProviderIds(sessionUser);
+  return (
+    providerIds === null ||
+    Number(enc.scribe_user_id) === Number(sessionUser.id) ||
+    canSeeProvider(providerIds, enc.provider_user_id)
+  );
+}
 
-  try {
-    return JSON.parse(unfenced);
-  } catch (_) {
-    const start = unfenced.indexOf('{');
-    const end = unfenced.lastIndexOf('}');
-    if (start === -1 || end === -1 || end <= start) {
-      throw new Error('Model did not return a JSON object');
-    }
-    return JSON.parse(unfenced.slice(start, end + 1));
-  }
+function toEncounterJson(row) {
+  return {
+    id: row.id,
+    roomId: row.room_id,
+    deviceXrId: row.device_xr_id,
+    scribe: row.scribe_user_id ? { id: row.scribe_user_id, name: row.scribe_name || null } : null,
+    provider: row.provider_user_id ? { id: row.provider_user_id, name: row.provider_name || null } : null,
+    patientMrn: row.patient_mrn || null,
+    status: row.status,
+    segmentCount: Number(row.segment_count || 0),
+    startedAt: row.started_date,
+    lastSegmentAt: row.last_segment_date || null,
+    closedAt: row.closed_date || null,
+  };
 }
 
-/**
- * Extracts and parses the first JSON object from the model output.
- * This prevents crashes if the model accidentally adds ```json fences or extra text.
- */
-function parseJsonObject(raw) {
-  const s = String(raw).trim();
+// Loads an encounter the session user may see and its segments; writes the PHI audit row.
+// Returns { enc, segments } or { status, error }.
+async function loadEncounterForUser(req, encounterId) {
+  const enc = await repos.encounters.find(encounterId);
+  if (!enc) return { status: 404, error: 'Encounter not found' };
 
-  // Strip common fenced-code wrappers if present
-  const unfenced = s
-    .replace(/^```(?:json)?\s*/i, '')
-    .replace(/```$/i, '')
-    .trim();
+  if (!(await canSeeEncounter(req.session.user, enc))) {
+    await writePhiAudit(req, { action: 'transcript_read', outcome: 'denied', mrn: enc.patient_mrn });
+    return { status: 403, error: "You are not mapped to this encounter's provider" };
+  }
+  if (!(await writePhiAudit(req, { action: 'transcript_read', mrn: enc.patient_mrn }))) {
+    return { status: 503, error: PHI_AUDIT_UNAVAILABLE };
+  }
+
+  const rows = await repos.encounters.listSegments(encounterId);
+  const segments = rows.map((r) => ({
+    id: r.id,
+    sequence: r.sequence,
+    speakerXrId: r.speaker_xr_id || null,
+    text: r.text,
+    spokenAt: r.spoken_date,
+  }));
+  return { enc, segments };
+}
+
+// GET /api/encounters?room=&mrn=&status=open|closed&limit=
+app.get('/api/encounters', requireLogin, requireScreen(SCREEN_EHR), async (req, res) => {
+  try {
+    const status = ['open', 'closed'].includes(req.query.status) ? req.query.status : null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const rows = await repos.encounters.list({
+      userId: req.session.user.id,
+      providerIds: await resolveEhrProviderIds(req.session.user),
+      roomId: req.query.room ? String(req.query.room) : null,
+      mrn: req.query.mrn ? String(req.query.mrn).trim() : null,
+      status,
+      limit,
+    });
+    return res.json({ success: true, encounters: rows.map(toEncounterJson) });
+  } catch (err) {
+    derr('[ENCOUNTERS] list error:', err?.message || err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/encounters/:encounterId', requireLogin, requireScreen(SCREEN_EHR), async (req, res) => {
+  try {
+    const encounterId = parseInt(req.params.encounterId, 10);
+    if (!Number.isFinite(encounterId)) return res.status(400).json({ error: 'encounterId must be a number' });
+
+    const loaded = await loadEncounterForUser(req, encounterId);
+    if (loaded.error) return res.status(loaded.status).json({ error: loaded.error });
+
+    return res.json({ success: true, encounter: toEncounterJson(loaded.enc), segments: loaded.segments });
+  } catch (err) {
+    derr('[ENCOUNTERS] fetch error:', err?.message || err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Picks an encounter up in the caller's pair room: { roomId } (must contain the caller's XR ID).
+// The caller becomes its scribe unless they are its provider.
+app.post('/api/encounters/:encounterId/resume', requireLogin, requireScreenWrite(SCREEN_EHR), async (req, res) => {
+  try {
+    const user = req.session.user;
+    const encounterId = parseInt(req.params.encounterId, 10);
+    const roomId = String(req.body?.roomId || '').trim();
+    if (!Number.isFinite(encounterId)) return res.status(400).json({ error: 'encounterId must be a number' });
+
+    const parts = roomId.split(':');
+    if (parts.length !== 3 || parts[0] !== 'pair') {
+      return res.status(400).json({ error: 'roomId must be a pair room (pair:<XR-A>:<XR-B>)' });
+    }
+    if (user.type !== 'SuperAdmin' && !parts.slice(1).some((x) => normXr(x) === normXr(user.xrId))) {
+      return res.status(403).json({ error: 'You can only resume an encounter in your own pair room' });
+    }
 
-  // Try direct parse first
+    const loaded = await loadEncounterForUser(req, encounterId);
+    if (loaded.error) return res.status(loaded.status).json({ error: loaded.error });
+
+    const scribeUserId = Number(loaded.enc.provider_user_id) === Number(user.id) ? null : user.id;
+    await transcriptStore.resume(encounterId, { roomId, scribeUserId, byUserId: user.id });
+    console.log('[ENCOUNTERS] resumed', { encounterId, roomId, byUserId: user.id });
+
+    const enc = await repos.encounters.find(encounterId);
+    return res.json({ success: true, encounter: toEncounterJson(enc), segments: loaded.segments });
+  } catch (err) {
+    derr('[ENCOUNTERS] resume error:', err?.message || err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Links the encounter to the patient the cockpit has loaded: { mrn }; writes an encounter_patient_link PHI audit row
+app.post('/api/encounters/:encounterId/patient', requireLogin, requireScreenWrite(SCREEN_EHR), async (req, res) => {
   try {
-    return JSON.parse(unfenced);
-  } catch (_) {
-    // Fallback: extract between first '{' and last '}'
-    const start = unfenced.indexOf('{');
-    const end = unfenced.lastIndexOf('}');
-    if (start === -1 || end === -1 || end <= start) {
-      throw new Error('Model did not return a JSON object');
+    const encounterId = parseInt(req.params.encounterId, 10);
+    const mrn = String(req.body?.mrn || '').trim();
+    if (!Number.isFinite(encounterId)) return res.status(400).json({ error: 'encounterId must be a number' });
+    if (!mrn) return res.status(400).json({ error: 'mrn is required' });
+
+    const enc = await repos.encounters.find(encounterId);
+    if (!enc) return res.status(404).json({ error: 'Encounter not found' });
+    const audit = { action: 'encounter_patient_link', mrn, details: { encounterId } };
+    if (!(await canSeeEncounter(req.session.user, enc))) {
+      await writePhiAudit(req, { ...audit, outcome: 'denied' });
+      return res.status(403).json({ error: "You are not mapped to this encounter's provider" });
+    }
+
+    const access = await checkEhrPatientAccess(req.session.user, { mrn });
+    if (!access.ok) {
+      await writePhiAudit(req, { ...audit, outcome: access.status === 404 ? 'not_found' : 'denied' });
+      return res.status(access.status).json({ error: access.message });
     }
-    const candidate = unfenced.slice(start, end + 1);
-    return JSON.parse(candidate);
+    if (!(await writePhiAudit(req, { ...audit, patientId: access.patientId }))) {
+      return res.status(503).json({ error: PHI_AUDIT_UNAVAILABLE });
+    }
+
+    await repos.encounters.setPatient(encounterId, mrn, req.session.user.id);
+    return res.json({ success: true, encounter: toEncounterJson({ ...enc, patient_mrn: mrn }) });
+  } catch (err) {
+    derr('[ENCOUNTERS] set patient error:', err?.message || err);
+    return res.status(500).json({ error: 'Internal server error' });
   }
-}
+});
 
 // -------------------- Login check middleware --------------------
-function requireLogin(req, res, next) {
-  if (!req.session || !req.session.user) {
+// A force-logged-out session can be saved back by a request that was still running
+// (see auth/session-registry.js); treat it as logged out and drop it again.
+async function isRevokedSession(req) {
+  if (!(await sessionRegistry.isRevoked(req.sessionID))) return false;
+  await new Promise((resolve) => req.session.destroy(() => resolve()));
+  return true;
+}
+
+async function requireLogin(req, res, next) {
+  if (!req.session || !req.session.user || (await isRevokedSession(req))) {
     return res.status(401).json({ ok: false, message: 'Not logged in' });
   }
   next();
@@ -2333,13 +2686,27 @@ function requireLogin(req, res, next) {
 
 // -------------------- Platform Admin Routes --------------------
 
-function requireSuperAdmin(req, res, next) {
-  if (req.session && req.session.user && req.session.user.role === 'superadmin') {
+async function requireSuperAdmin(req, res, next) {
+  if (req.session && req.session.user && req.session.user.role === 'superadmin' && !(await isRevokedSession(req))) {
     return next();
   }
   return res.status(401).json({ ok: false, message: 'Unauthorized' });
 }
 
+// 🔐 Effective screen permission for a session user:
+// User_Additional_Permissions override (within start/end dates) OR Access_Rights default.
+// perm: 'read' | 'write'. SuperAdmin TYPE always passes. Served from permissionCache.
+async function hasScreenPermission(sessionUser, screenId, perm = 'read') {
+  if (!sessionUser) return false;
+  if (sessionUser.type === 'SuperAdmin') return true;
+  if (!sessionUser.userRoleMappingId) return false;
+
+  const screens = await permissionCache.getScreens(sessionUser);
+  const screen = screens.find((sc) => Number(sc.id) === Number(screenId));
+  if (!screen) return false;
+  return perm === 'write' ? !!screen.write : !!screen.read;
+}
+
 // 🔐 Screen-level permission guard based on Access_Rights
 function requireScreen(screenId) {
   return async (req, res, next) => {
@@ -2350,51 +2717,13 @@ function requireScreen(screenId) {
 
       const { type, userRoleMappingId } = req.session.user;
 
-      // SuperAdmin TYPE always allowed to pass
-      if (type === 'SuperAdmin') {
-        return next();
-      }
-
-      if (!userRoleMappingId) {
+      if (type !== 'SuperAdmin' && !userRoleMappingId) {
         return res
           .status(403)
           .json({ ok: false, message: 'No screen access configured' });
       }
 
-      const userId = req.session.user.id;
-
-      // ✅ Effective permission = User_Additional_Permissions override OR Access_Rights default
-      const rows = await sequelize.query(
-        `
-        SELECT TOP 1 ss.id
-        FROM [dbo].[System_Screens] ss
-        LEFT JOIN [dbo].[Access_Rights] ar
-          ON ar.system_screen_id = ss.id
-         AND ar.user_role_mapping_id = :urmId
-         AND ar.row_status = 1
-        LEFT JOIN [dbo].[User_Additional_Permissions] uap
-          ON uap.system_screen_id = ss.id
-         AND uap.user_id = :userId
-         AND uap.row_status = 1
-         AND (uap.start_date IS NULL OR uap.start_date <= SYSDATETIME())
-         AND (uap.end_date   IS NULL OR uap.end_date   >= SYSDATETIME())
-        WHERE ss.id = :screenId
-          AND ss.row_status = 1
-          -- if override exists use uap.read, else fallback to ar.read
-          AND COALESCE(uap.[read], ar.[read], 0) = 1
-        `,
-        {
-          replacements: {
-            userId,
-            urmId: userRoleMappingId,
-            screenId,
-          },
-          type: Sequelize.QueryTypes.SELECT,
-        }
-      );
-
-
-      if (!rows || rows.length === 0) {
+      if (!(await hasScreenPermission(req.session.user, screenId, 'read'))) {
         return res
           .status(403)
           .json({ ok: false, message: 'You do not have access to this screen' });
@@ -2402,7 +2731,7 @@ function requireScreen(screenId) {
 
       return next();
     } catch (err) {
-      console.error('[PLATFORM] requireScreen error:', err);
+      derr('[PLATFORM] requireScreen error:', err);
       return res
         .status(500)
         .json({ ok: false, message: 'Internal server error' });
@@ -2418,49 +2747,15 @@ function requireScreenWrite(screenId) {
         return res.status(401).json({ ok: false, message: 'Not logged in' });
       }
 
-      const { type, userRoleMappingId, id: userId } = req.session.user;
-
-      // SuperAdmin always allowed
-      if (type === 'SuperAdmin') {
-        return next();
-      }
+      const { type, userRoleMappingId } = req.session.user;
 
-      if (!userRoleMappingId) {
+      if (type !== 'SuperAdmin' && !userRoleMappingId) {
         return res
           .status(403)
           .json({ ok: false, message: 'No screen access configured' });
       }
 
-      const rows = await sequelize.query(
-        `
-        SELECT TOP 1 ss.id
-        FROM [dbo].[System_Screens] ss
-        LEFT JOIN [dbo].[Access_Rights] ar
-          ON ar.system_screen_id = ss.id
-         AND ar.user_role_mapping_id = :urmId
-         AND ar.row_status = 1
-        LEFT JOIN [dbo].[User_Additional_Permissions] uap
-          ON uap.system_screen_id = ss.id
-         AND uap.user_id = :userId
-         AND uap.row_status = 1
-         AND (uap.start_date IS NULL OR uap.start_date <= SYSDATETIME())
-         AND (uap.end_date   IS NULL OR uap.end_date   >= SYSDATETIME())
-        WHERE ss.id = :screenId
-          AND ss.row_status = 1
-          -- require effective WRITE = 1
-          AND COALESCE(uap.[write], ar.[write], 0) = 1
-        `,
-        {
-          replacements: {
-            userId,
-            urmId: userRoleMappingId,
-            screenId,
-          },
-          type: Sequelize.QueryTypes.SELECT,
-        }
-      );
-
-      if (!rows || rows.length === 0) {
+      if (!(await hasScreenPermission(req.session.user, screenId, 'write'))) {
         return res
           .status(403)
           .json({ ok: false, message: 'You do not have write access to this screen' });
@@ -2468,7 +2763,7 @@ function requireScreenWrite(screenId) {
 
       return next();
     } catch (err) {
-      console.error('[PLATFORM] requireScreenWrite error:', err);
+      derr('[PLATFORM] requireScreenWrite error:', err);
       return res
         .status(500)
         .json({ ok: false, message: 'Internal server error' });
@@ -2477,6 +2772,96 @@ function requireScreenWrite(screenId) {
 }
 
 
+// -------------------- Login brute-force protection --------------------
+// Counters are shared through Redis when REDIS_URL is set, otherwise per-instance memory.
+let throttleRedis = xrRedis;
+if (!throttleRedis && process.env.REDIS_URL) {
+  throttleRedis = createStableRedisClient(process.env.REDIS_URL, 'THROTTLE');
+  throttleRedis.connect().then(
+    () => console.log('[THROTTLE][REDIS] connected'),
+    (err) => derr('[THROTTLE][REDIS] connect failed (using memory counters)', err?.message || err)
+  );
+}
+
+async function writeLoginAudit(entry) {
+  try {
+    await repos.loginAudit.write(entry);
+  } catch (err) {
+    // Audit must never break login; the console line below is the fallback trail
+    derr('[LOGIN_AUDIT] write failed:', err?.message || err);
+  }
+}
+
+const loginThrottle = createLoginThrottle({
+  redis: throttleRedis,
+  onLockout: async ({ scope, id, ip, fails, lockedUntil }) => {
+    dwarn('[LOGIN_THROTTLE] 🔒 Lockout:', { scope, id, ip, fails, lockedUntil });
+    await writeLoginAudit({ eventType: 'lockout', scope, subject: id, ip, failCount: fails, lockedUntil });
+  },
+});
+
+// Same response for backoff and lockout, whether or not the email exists
+function sendLoginThrottled(res, gate) {
+  const retryAfterSeconds = Math.max(1, Math.ceil(gate.retryAfterMs / 1000));
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    ok: false,
+    message: 'Too many failed attempts. Please try again later.',
+    retryAfterSeconds,
+  });
+}
+
+// -------------------- Screen permission cache --------------------
+// One effective-permission row per screen for a user, cached per user (Redis when available,
+// same client as the login throttle). See backend/auth/permission-cache.js for invalidation.
+const permissionCache = createPermissionCache({
+  redis: throttleRedis,
+  load: (sessionUser) => repos.users.loadEffectiveScreens(sessionUser),
+});
+
+// SuperAdmin: after editing Access_Rights / User_Additional_Permissions / role mappings directly in SQL
+app.post('/api/platform/permissions/cache/flush', requireSuperAdmin, async (req, res) => {
+  await permissionCache.invalidateAll();
+  console.log('[PERM_CACHE] flushed by user id:', req.session.user.id);
+  return res.json({ ok: true });
+});
+
+// LLM calls / token totals of this instance since boot, per provider, model and task
+app.get('/api/platform/llm-usage', requireSuperAdmin, (_req, res) => {
+  return res.json({ ok: true, ...llm.usage() });
+});
+
+// -------------------- Platform login helpers --------------------
+// Shared by password login and SSO so both build exactly the same session user.
+// Super Admin is defined as:
+//   Persona:    'Employee'
+//   Department: 'IT'
+//   Type:       'SuperAdmin'
+//   Status:     'Active' (optional check – allows NULL)
+function buildPlatformSessionUser(user) {
+  // Decide if this DB user is the true Master Admin / SuperAdmin
+  const isSuperAdminUser =
+    user.type === 'SuperAdmin' ||              // from Types table
+    user.full_name === 'Master Admin' ||       // your seeded name in System_Users
+    user.email === 'admin@company.com';        // adjust if your master admin email differs
+
+  // Session user – keep the same shape so existing frontend logic still works
+  return {
+    role: isSuperAdminUser ? 'superadmin' : 'user',   // 🔑 only Master Admin gets 'superadmin'
+    id: user.id,
+    name: user.full_name,
+    email: user.email,
+    persona: user.persona,
+    department: user.department,
+    type: user.type,
+    userType: user.type,                               // alias used by frontend checks
+    xrId: user.xr_id || null,
+    clinicId: user.clinic_id || null,
+    managerUserId: user.manager_user_id || null,
+    userRoleMappingId: user.user_role_mapping_id || null,
+  };
+}
+
 app.post('/api/platform/login', async (req, res) => {
   try {
     const { email, password } = req.body || {};
@@ -2488,62 +2873,33 @@ app.post('/api/platform/login', async (req, res) => {
         .json({ ok: false, message: 'Email and password required' });
     }
 
-    // Look up the user in the real schema
-    // Super Admin is defined as:
-    //   Persona:    'Employee'
-    //   Department: 'IT'
-    //   Type:       'SuperAdmin'
-    //   Status:     'Active' (optional check – allows NULL)
-    const rows = await sequelize.query(
-      `
-      SELECT TOP 1
-        su.id,
-        su.full_name,
-        su.email,
-        su.password,
-        su.manager_user_id,
-        su.clinic_id,
-        su.xr_id,
-        su.status_id,
-        su.user_role_mapping_id,
-        p.persona,
-        d.department,
-        t.type,
-        s.status
-      FROM [dbo].[System_Users] su
-      JOIN [dbo].[User_Role_Mapping] urm
-        ON su.user_role_mapping_id = urm.id
-      JOIN [dbo].[Personas] p
-        ON urm.persona_id = p.id
-      JOIN [dbo].[Departments] d
-        ON urm.department_id = d.id
-      JOIN [dbo].[Types] t
-        ON urm.type_id = t.id
-      LEFT JOIN [dbo].[Status] s
-        ON su.status_id = s.id
-      WHERE su.email = :email
-        AND su.row_status = 1
-        AND urm.row_status = 1
-        AND p.row_status = 1
-        AND d.row_status = 1
-        AND t.row_status = 1
-      `,
-      {
-        replacements: { email },
-        type: Sequelize.QueryTypes.SELECT,
-      }
-    );
+    const gate = await loginThrottle.check(email, req.ip);
+    if (!gate.allowed) {
+      return sendLoginThrottled(res, gate);
+    }
 
-    if (!rows || rows.length === 0) {
+    const user = await repos.users.findLoginUser({ email });
+
+    if (!user) {
+      await equalizeLoginTiming(password);
+      await loginThrottle.recordFailure(email, req.ip);
       return res
         .status(401)
         .json({ ok: false, message: 'Invalid credentials' });
     }
 
-    const user = rows[0];
+    // bcrypt check (legacy plain-text rows still accepted, then re-hashed below)
+    const pw = await verifyPassword(password, user.password);
+    if (!pw.ok) {
+      await loginThrottle.recordFailure(email, req.ip);
+      return res
+        .status(401)
+        .json({ ok: false, message: 'Invalid credentials' });
+    }
 
     // ✅ For now: allow ANY active System_Users row to log in to the Platform.
     // Later you can tighten this to check persona/department/type again.
+    // (Checked after the password so the message never reveals that an email exists.)
     const isActive = !user.status || user.status === 'Active';
 
     if (!isActive) {
@@ -2552,39 +2908,48 @@ app.post('/api/platform/login', async (req, res) => {
         .json({ ok: false, message: 'Not authorized for platform (inactive user)' });
     }
 
-    // Plain-text password check for now (matches your seeded row)
-    if (user.password !== password) {
-      return res
-        .status(401)
-        .json({ ok: false, message: 'Invalid credentials' });
+    // ✅ Transparent migration: replace plain-text / weak hash with a fresh bcrypt hash
+    if (pw.needsRehash) {
+      try {
+        const newHash = await hashPassword(password);
+        await repos.users.updatePasswordHash(user.id, newHash);
+        console.log('[PLATFORM] Password re-hashed for user id:', user.id);
+      } catch (rehashErr) {
+        // Never block login because the migration write failed
+        derr('[PLATFORM] Password re-hash failed:', rehashErr?.message || rehashErr);
+      }
     }
 
-    // Decide if this DB user is the true Master Admin / SuperAdmin
-    const isSuperAdminUser =
-      user.type === 'SuperAdmin' ||              // from Types table
-      user.full_name === 'Master Admin' ||       // your seeded name in System_Users
-      user.email === 'admin@company.com';        // adjust if your master admin email differs
-
-    // Create session – keep the same shape so existing frontend logic still works
-    req.session.user = {
-      role: isSuperAdminUser ? 'superadmin' : 'user',   // 🔑 only Master Admin gets 'superadmin'
-      id: user.id,
-      name: user.full_name,
-      email: user.email,
-      persona: user.persona,
-      department: user.department,
-      type: user.type,
-      userType: user.type,                               // alias used by frontend checks
-      xrId: user.xr_id || null,
-      clinicId: user.clinic_id || null,
-      managerUserId: user.manager_user_id || null,
-      userRoleMappingId: user.user_role_mapping_id || null,
-    };
+    const sessionUser = buildPlatformSessionUser(user);
+    const isSuperAdminUser = sessionUser.role === 'superadmin';
+
+    // 🔐 Second factor: the session only gets `user` once TOTP is verified (or enrolled when forced)
+    const mfaRow = await getActiveMfaRow(user.id);
+    const mfaForced = !mfaRow && (await isMfaForcedForUser(sessionUser));
+
+    if (mfaRow || mfaForced) {
+      req.session.pendingMfa = {
+        user: sessionUser,
+        stage: mfaRow ? 'verify' : 'enroll',
+        createdAt: Date.now(),
+        attempts: 0,
+      };
+      console.log(`[PLATFORM][MFA] Password ok, awaiting ${req.session.pendingMfa.stage} for user id:`, user.id);
+      return res.json({
+        ok: true,
+        email: user.email,
+        mfaRequired: !!mfaRow,
+        mfaEnrollRequired: !mfaRow,
+      });
+    }
+
+    await signInSession(req, sessionUser);
+    await loginThrottle.recordSuccess(email);
 
     if (isSuperAdminUser) {
-      console.log('[PLATFORM] ✅ SuperAdmin logged in via System_Users:', user.email);
+      console.log('[PLATFORM] ✅ SuperAdmin logged in via System_Users, user id:', user.id);
     } else {
-      console.log('[PLATFORM] ✅ Platform user logged in via System_Users:', user.email);
+      console.log('[PLATFORM] ✅ Platform user logged in via System_Users, user id:', user.id);
     }
 
     // ✅ NEW: If logged-in user is Provider, log provider list (id/email/xr_id) as JSON.
@@ -2598,7 +2963,6 @@ app.post('/api/platform/login', async (req, res) => {
             ok: true,
             provider: {
               id: user.id,
-              email: user.email,
               xr_id: user.xr_id || null,
             },
           },
@@ -2608,26 +2972,10 @@ app.post('/api/platform/login', async (req, res) => {
       );
     }
 
-    // Response shape kept compatible with old code (we only ADD extra fields)
-    return res.json({
-      ok: true,
-      role: req.session.user.role,
-      email: user.email,
-      name: user.full_name,
-
-      // 👇 NEW helper fields (do NOT break old frontend that only reads ok/role/email/name)
-      id: user.id,
-      persona: user.persona,
-      department: user.department,
-      type: user.type,
-      managerUserId: user.manager_user_id,
-      clinicId: user.clinic_id,
-      xrId: user.xr_id,
-      userRoleMappingId: user.user_role_mapping_id,
-    });
+    return res.json(buildPlatformLoginResponse(req.session.user));
 
   } catch (err) {
-    console.error('[PLATFORM] Login error (System_Users):', err);
+    derr('[PLATFORM] Login error (System_Users):', err);
     return res
       .status(500)
       .json({ ok: false, message: 'Internal server error' });
@@ -2643,25 +2991,13 @@ app.get('/api/platform/me', async (req, res) => {
 
     const u = req.session.user;
 
-    // Fetch latest active mapping row where user is either side
-    const rows = await sequelize.query(
-      `
-      SELECT TOP 1
-        id AS mappingId,
-        scribe_user_id AS scribeId,
-        provider_user_id AS doctorId
-      FROM Scribe_Provider_Mapping
-      WHERE row_status = 1
-        AND (:uid IN (scribe_user_id, provider_user_id))
-      ORDER BY id DESC
-      `,
-      {
-        replacements: { uid: u.id },
-        type: Sequelize.QueryTypes.SELECT,
-      }
-    );
+    // Latest active mapping row where user is either side
+    const map = await repos.mappings.findActivePairForUser(u.id);
 
-    const map = rows?.[0] || null;
+    // Same effective permissions as /api/platform/my-screens (cached), so pages need only this call
+    const screens = u.type === 'SuperAdmin' || u.userRoleMappingId
+      ? (await permissionCache.getScreens(u)).filter((sc) => sc.read)
+      : [];
 
     return res.json({
       ok: true,
@@ -2684,9 +3020,12 @@ app.get('/api/platform/me', async (req, res) => {
       mappingId: map?.mappingId ?? null,
       doctorId: map?.doctorId ?? null,
       scribeId: map?.scribeId ?? null,
+
+      // effective screen permissions [{ id, screen_name, route_path, read, write, edit, delete, ... }]
+      screens,
     });
   } catch (err) {
-    console.error('[ME] error:', err);
+    derr('[ME] error:', err);
     return res.status(500).json({ ok: false, message: 'Internal error' });
   }
 });
@@ -2694,11 +3033,14 @@ app.get('/api/platform/me', async (req, res) => {
 
 app.post('/api/platform/logout', (req, res) => {
   if (req.session) {
+    const sid = req.sessionID;
+    sessionRegistry.markRevoked(sid).catch((err) => derr('[PLATFORM] Logout revoke mark failed:', err?.message || err));
     req.session.destroy((err) => {
       if (err) {
-        console.error('[PLATFORM] Logout error:', err);
+        derr('[PLATFORM] Logout error:', err);
         return res.status(500).json({ ok: false, message: 'Logout failed' });
       }
+      disconnectSessionSockets([sid], 'LOGGED_OUT').catch(() => { });
       return res.json({ ok: true });
     });
   } else {
@@ -2706,6 +3048,725 @@ app.post('/api/platform/logout', (req, res) => {
   }
 });
 
+// -------------------- Platform SSO (OpenID Connect) --------------------
+// Authorization code + PKCE against a clinic's IdP (OIDC_PROVIDERS, see backend/auth/oidc.js).
+// The IdP identity is mapped onto an EXISTING System_Users row – by a previously linked
+// subject first, then by verified email – and the session gets the same user shape as a
+// password login. No users are created here.
+const OIDC_LOGIN_TTL_MS = 10 * 60 * 1000;
+const oidcClients = new Map(loadOidcProviders().map((p) => [p.id, createOidcClient(p)]));
+
+if (oidcClients.size) {
+  console.log('[OIDC] SSO providers:', Array.from(oidcClients.keys()).join(', '));
+}
+
+function oidcRedirectUri(provider) {
+  return provider.redirectUri || `${PLATFORM_BASE_URL}/api/platform/sso/${encodeURIComponent(provider.id)}/callback`;
+}
+
+// Back to the login page with a short reason code the frontend turns into a message
+function redirectSsoResult(res, params) {
+  return res.redirect(`/platform?${new URLSearchParams(params).toString()}`);
+}
+
+// Accounts that can change who sees what (SuperAdmin, managers, anyone who can write
+// Create Users / Assign Users). The IdP's email alone never links these.
+async function isPrivilegedAccount(user) {
+  const sessionUser = buildPlatformSessionUser(user);
+  if (sessionUser.role === 'superadmin' || ['SuperAdmin', 'Manager'].includes(user.type)) return true;
+  for (const screenId of RIGHTS_ADMIN_SCREEN_IDS) {
+    if (await hasScreenPermission(sessionUser, screenId, 'write')) return true;
+  }
+  return false;
+}
+
+// IdP identity → login row; the auto-link rules live in auth/oidc.js, links made by a SuperAdmin in sso-links below
+const resolveOidcUser = createOidcUserResolver({ repos, isPrivilegedAccount });
+
+// Public: buttons for the login page
+app.get('/api/platform/sso/providers', (_req, res) => {
+  const providers = Array.from(oidcClients.values()).map(({ provider }) => ({
+    id: provider.id,
+    label: provider.label,
+  }));
+  return res.json({ ok: true, providers });
+});
+
+app.get('/api/platform/sso/:providerId/start', async (req, res) => {
+  const client = oidcClients.get(req.params.providerId);
+  if (!client) return redirectSsoResult(res, { ssoError: 'unknown_provider' });
+
+  try {
+    const { verifier, challenge } = createPkcePair();
+    const state = oidcRandomToken();
+    const nonce = oidcRandomToken();
+
+    req.session.oidcLogin = {
+      providerId: client.provider.id,
+      state,
+      nonce,
+      verifier,
+      createdAt: Date.now(),
+    };
+
+    const url = await client.buildAuthorizationUrl({
+      redirectUri: oidcRedirectUri(client.provider),
+      state,
+      nonce,
+      codeChallenge: challenge,
+    });
+
+    // Make sure the PKCE verifier is stored before the browser leaves
+    req.session.save((err) => {
+      if (err) {
+        derr('[OIDC] session save failed:', err);
+        return redirectSsoResult(res, { ssoError: 'failed' });
+      }
+      return res.redirect(url);
+    });
+  } catch (err) {
+    derr('[OIDC] start error:', client.provider.id, err?.message || err);
+    return redirectSsoResult(res, { ssoError: 'provider_unavailable' });
+  }
+});
+
+app.get('/api/platform/sso/:providerId/callback', async (req, res) => {
+  const client = oidcClients.get(req.params.providerId);
+  const pending = req.session.oidcLogin;
+  delete req.session.oidcLogin;
+
+  if (!client) return redirectSsoResult(res, { ssoError: 'unknown_provider' });
+
+  try {
+    if (req.query.error) {
+      dwarn('[OIDC] IdP returned error:', client.provider.id, req.query.error);
+      return redirectSsoResult(res, { ssoError: 'denied' });
+    }
+
+    const state = String(req.query.state || '');
+    const code = String(req.query.code || '');
+    if (
+      !pending ||
+      pending.providerId !== client.provider.id ||
+      Date.now() - pending.createdAt > OIDC_LOGIN_TTL_MS ||
+      !code ||
+      state.length !== pending.state.length ||
+      !crypto.timingSafeEqual(Buffer.from(state), Buffer.from(pending.state))
+    ) {
+      return redirectSsoResult(res, { ssoError: 'expired' });
+    }
+
+    const tokens = await client.exchangeCode({
+      code,
+      codeVerifier: pending.verifier,
+      redirectUri: oidcRedirectUri(client.provider),
+    });
+    const claims = await client.verifyIdToken(tokens.id_token, { nonce: pending.nonce });
+
+    const user = await resolveOidcUser(client.provider, claims);
+    if (!user) {
+      dwarn('[OIDC] No matching platform user', { provider: client.provider.id, sub: claims.sub });
+      return redirectSsoResult(res, { ssoError: 'no_account' });
+    }
+
+    const isActive = !user.status || user.status === 'Active';
+    if (!isActive) {
+      return redirectSsoResult(res, { ssoError: 'inactive' });
+    }
+
+    const sessionUser = buildPlatformSessionUser(user);
+
+    // Same 2FA rules as password login
+    const mfaRow = await getActiveMfaRow(user.id);
+    const mfaForced = !mfaRow && (await isMfaForcedForUser(sessionUser));
+    if (mfaRow || mfaForced) {
+      req.session.pendingMfa = {
+        user: sessionUser,
+        stage: mfaRow ? 'verify' : 'enroll',
+        createdAt: Date.now(),
+        attempts: 0,
+      };
+      console.log(`[OIDC] SSO ok, awaiting ${req.session.pendingMfa.stage} for user id:`, user.id);
+      return redirectSsoResult(res, { sso: mfaRow ? 'mfa' : 'mfa_enroll' });
+    }
+
+    await signInSession(req, sessionUser);
+    console.log('[OIDC] ✅ Platform user logged in via SSO:', { provider: client.provider.id, userId: user.id });
+    return res.redirect('/platform');
+  } catch (err) {
+    derr('[OIDC] callback error:', client.provider.id, err?.message || err);
+    return redirectSsoResult(res, { ssoError: 'failed' });
+  }
+});
+
+// SuperAdmin: explicit IdP links (the only way privileged accounts get SSO)
+app.get('/api/platform/users/:userId/sso-links', requireSuperAdmin, async (req, res) => {
+  try {
+    const userId = Number(req.params.userId);
+    if (!Number.isFinite(userId)) {
+      return res.status(400).json({ ok: false, message: 'userId must be a number' });
+    }
+
+    const links = await repos.oidc.listForUser(userId);
+    const providers = Array.from(oidcClients.values()).map(({ provider }) => ({
+      id: provider.id,
+      label: provider.label,
+      clinicId: provider.clinicId,
+    }));
+    return res.json({ ok: true, links, providers });
+  } catch (err) {
+    derr('[PLATFORM] sso-links error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
+// { providerId, subject, email? }: subject is the IdP's `sub` claim for this person
+app.post('/api/platform/users/:userId/sso-links', requireSuperAdmin, async (req, res) => {
+  try {
+    const userId = Number(req.params.userId);
+    const body = req.body || {};
+    const client = oidcClients.get(String(body.providerId || ''));
+    const subject = String(body.subject || '').trim();
+
+    if (!Number.isFinite(userId) || !client || !subject) {
+      return res.status(400).json({ ok: false, message: 'A configured providerId and the IdP subject are required' });
+    }
+
+    const user = await repos.users.findLoginUser({ id: userId });
+    if (!user) {
+      return res.status(404).json({ ok: false, message: 'User not found' });
+    }
+    const { provider } = client;
+    if (provider.clinicId != null && Number(user.clinic_id) !== provider.clinicId) {
+      return res.status(400).json({ ok: false, message: 'This provider only signs in users of its own clinic' });
+    }
+    if ((await repos.oidc.findLinkedUserId(provider.id, subject)) != null) {
+      return res.status(409).json({ ok: false, message: 'This identity is already linked to a user' });
+    }
+
+    await repos.oidc.link({
+      userId,
+      providerId: provider.id,
+      subject,
+      email: String(body.email || '').trim() || null,
+      signedIn: false,
+    });
+
+    const logged = await writeAdminActivity(req, {
+      action: 'sso.link',
+      entity: 'User_Oidc_Identities',
+      targetUserId: userId,
+      after: { provider_id: provider.id, subject },
+    });
+
+    console.log('[OIDC] Identity linked by admin', { provider: provider.id, userId, by: req.session.user.id });
+    const links = await repos.oidc.listForUser(userId);
+    return res.json({ ok: true, links, ...activityLogWarning(logged) });
+  } catch (err) {
+    derr('[PLATFORM] sso-links POST error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
+app.post('/api/platform/users/:userId/sso-links/:linkId/unlink', requireSuperAdmin, async (req, res) => {
+  try {
+    const userId = Number(req.params.userId);
+    const linkId = Number(req.params.linkId);
+    if (!Number.isFinite(userId) || !Number.isFinite(linkId)) {
+      return res.status(400).json({ ok: false, message: 'userId and linkId must be numbers' });
+    }
+
+    const existing = (await repos.oidc.listForUser(userId)).find((l) => Number(l.id) === linkId);
+    if (!existing) {
+      return res.status(404).json({ ok: false, message: 'Link not found' });
+    }
+    await repos.oidc.unlink(linkId);
+
+    const logged = await writeAdminActivity(req, {
+      action: 'sso.unlink',
+      entity: 'User_Oidc_Identities',
+      entityId: linkId,
+      targetUserId: userId,
+      before: { provider_id: existing.provider_id, subject: existing.subject },
+    });
+
+    const links = await repos.oidc.listForUser(userId);
+    return res.json({ ok: true, links, ...activityLogWarning(logged) });
+  } catch (err) {
+    derr('[PLATFORM] sso-links unlink error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
+// -------------------- Active sessions --------------------
+// Users can see / end their own sessions; SuperAdmin can force-logout anyone.
+// Ending a session also drops every Socket.IO connection opened with it (socket.data.sessionId).
+async function disconnectSessionSockets(sids, code = 'SESSION_REVOKED') {
+  if (!sids || !sids.length) return 0;
+  const wanted = new Set(sids);
+  const sockets = await safeFetchSockets(io, '/');
+  let dropped = 0;
+
+  for (const s of sockets) {
+    if (!wanted.has(s.data?.sessionId)) continue;
+    try {
+      s.emit('auth_error', { code, message: 'Your session has ended. Please sign in again.' });
+      s.disconnect(true);
+      dropped++;
+    } catch (e) {
+      dwarn('[SESSIONS] socket disconnect failed', s.id, e?.message || e);
+    }
+  }
+  return dropped;
+}
+
+app.get('/api/platform/sessions', requireLogin, async (req, res) => {
+  try {
+    const sessions = await sessionRegistry.listForUser(req.session.user.id, req.sessionID);
+    return res.json({ ok: true, sessions });
+  } catch (err) {
+    derr('[PLATFORM] sessions list error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
+// { sessionId } ends one session; { all: true } ends every other session of this user
+app.post('/api/platform/sessions/revoke', requireLogin, async (req, res) => {
+  try {
+    const { sessionId, all } = req.body || {};
+    if (!sessionId && !all) {
+      return res.status(400).json({ ok: false, message: 'sessionId or all is required' });
+    }
+
+    const revoked = await sessionRegistry.revokeForUser(req.session.user.id, {
+      handle: all ? null : String(sessionId),
+      exceptSid: all ? req.sessionID : null,
+    });
+    const sockets = await disconnectSessionSockets(revoked);
+
+    // Ending the session this request came in on: don't let express-session save it back
+    const currentRevoked = revoked.includes(req.sessionID);
+    if (currentRevoked) await new Promise((resolve) => req.session.destroy(() => resolve()));
+
+    console.log('[SESSIONS] user revoked own sessions:', { userId: req.session.user.id, sessions: revoked.length, sockets });
+    return res.json({ ok: true, revoked: revoked.length, currentRevoked });
+  } catch (err) {
+    derr('[PLATFORM] sessions revoke error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
+app.get('/api/platform/users/:userId/sessions', requireSuperAdmin, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId, 10);
+    if (!userId) return res.status(400).json({ ok: false, message: 'userId must be a number' });
+
+    const sessions = await sessionRegistry.listForUser(userId, req.sessionID);
+    return res.json({ ok: true, sessions });
+  } catch (err) {
+    derr('[PLATFORM] user sessions list error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
+// SuperAdmin force-logout: { sessionId } for one session, or {} / { all: true } for all of them
+app.post('/api/platform/users/:userId/sessions/revoke', requireSuperAdmin, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId, 10);
+    if (!userId) return res.status(400).json({ ok: false, message: 'userId must be a number' });
+
+    const { sessionId } = req.body || {};
+    const activeBefore = (await sessionRegistry.listForUser(userId)).length;
+    const revoked = await sessionRegistry.revokeForUser(userId, {
+      handle: sessionId ? String(sessionId) : null,
+      // Never log the admin out of the session they're using right now
+      exceptSid: req.sessionID,
+    });
+    const sockets = await disconnectSessionSockets(revoked);
+
+    const logged = await writeAdminActivity(req, {
+      action: 'session.revoke',
+      entity: 'Session',
+      targetUserId: userId,
+      before: { active_sessions: activeBefore },
+      after: { active_sessions: activeBefore - revoked.length },
+    });
+
+    console.log('[SESSIONS] 🔒 force-logout by user id', req.session.user.id, { userId, sessions: revoked.length, sockets });
+    return res.json({ ok: true, revoked: revoked.length, socketsDisconnected: sockets, ...activityLogWarning(logged) });
+  } catch (err) {
+    derr('[PLATFORM] user sessions revoke error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
+// -------------------- Platform 2FA (TOTP) --------------------
+// Login becomes two steps when a user has TOTP enabled, or when a SuperAdmin
+// has required 2FA on any screen the user can read (Mfa_Screen_Policy).
+// Until then the session only holds `pendingMfa`, never `user`.
+const MFA_PENDING_TTL_MS = 5 * 60 * 1000;
+const MFA_MAX_ATTEMPTS = 5;
+
+async function getActiveMfaRow(userId) {
+  return repos.users.findActiveMfa(userId);
+}
+
+// True when 2FA is required on at least one screen the user can READ
+async function isMfaForcedForUser(sessionUser) {
+  return repos.users.hasMfaRequiredScreen(sessionUser);
+}
+
+function parseRecoveryHashes(raw) {
+  try {
+    const arr = JSON.parse(raw || '[]');
+    return Array.isArray(arr) ? arr : [];
+  } catch {
+    return [];
+  }
+}
+
+function getPendingMfa(req) {
+  const pending = req.session && req.session.pendingMfa;
+  if (!pending) return null;
+  if (Date.now() - pending.createdAt > MFA_PENDING_TTL_MS) {
+    delete req.session.pendingMfa;
+    return null;
+  }
+  return pending;
+}
+
+// The user an MFA enrollment call acts for: a logged-in user, or a login
+// that is waiting on forced enrollment.
+function getMfaActor(req) {
+  if (req.session && req.session.user) return { user: req.session.user, pending: null };
+  const pending = getPendingMfa(req);
+  if (pending && pending.stage === 'enroll') return { user: pending.user, pending };
+  return null;
+}
+
+// Same response shape as a one-step password login
+function buildPlatformLoginResponse(u) {
+  return {
+    ok: true,
+    role: u.role,
+    email: u.email,
+    name: u.name,
+    id: u.id,
+    persona: u.persona,
+    department: u.department,
+    type: u.type,
+    managerUserId: u.managerUserId,
+    clinicId: u.clinicId,
+    xrId: u.xrId,
+    userRoleMappingId: u.userRoleMappingId,
+  };
+}
+
+// Every sign-in gets a fresh session id, so a pre-auth id (the pendingMfa one, or one
+// planted in the browser) never turns into an authenticated session.
+function signInSession(req, sessionUser) {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate((err) => {
+      if (err) return reject(err);
+      req.session.user = sessionUser;
+      return resolve();
+    });
+  });
+}
+
+async function completePendingMfaLogin(req) {
+  const { user } = req.session.pendingMfa;
+  await signInSession(req, user); // drops pendingMfa / mfaEnroll with the old session
+  loginThrottle.recordSuccess(user.email).catch(() => { });
+  console.log('[PLATFORM][MFA] ✅ Second factor accepted, session created for user id:', user.id);
+  return buildPlatformLoginResponse(user);
+}
+
+// Verifies a TOTP code (or recovery code) for userId and records its use.
+// Returns 'totp' | 'recovery' | null.
+async function consumeSecondFactor(userId, { code, recoveryCode }) {
+  const row = await getActiveMfaRow(userId);
+  if (!row) return null;
+
+  if (code) {
+    const step = totp.verifyTotp(totp.openSecret(row.totp_secret), code, {
+      lastUsedStep: row.last_used_step != null ? Number(row.last_used_step) : null,
+    });
+    if (step == null) return null;
+
+    await repos.mfa.markTotpUsed(row.id, step);
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const hashes = parseRecoveryHashes(row.recovery_codes);
+    const idx = await totp.matchRecoveryCode(recoveryCode, hashes);
+    if (idx === -1) return null;
+
+    hashes[idx] = null; // one-time use
+    await repos.mfa.saveRecoveryCodes(userId, hashes, userId);
+    return 'recovery';
+  }
+
+  return null;
+}
+
+// Step 2 of login: TOTP code or one-time recovery code
+app.post('/api/platform/login/mfa', async (req, res) => {
+  try {
+    const pending = getPendingMfa(req);
+    if (!pending || pending.stage !== 'verify') {
+      return res.status(401).json({ ok: false, message: 'Login session expired. Please sign in again.' });
+    }
+
+    const { code, recoveryCode } = req.body || {};
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ ok: false, message: 'Verification code required' });
+    }
+
+    const gate = await loginThrottle.check(pending.user.email, req.ip);
+    if (!gate.allowed) {
+      return sendLoginThrottled(res, gate);
+    }
+
+    const method = await consumeSecondFactor(pending.user.id, { code, recoveryCode });
+    if (!method) {
+      await loginThrottle.recordFailure(pending.user.email, req.ip);
+      pending.attempts = (pending.attempts || 0) + 1;
+      if (pending.attempts >= MFA_MAX_ATTEMPTS) {
+        delete req.session.pendingMfa;
+        return res.status(401).json({ ok: false, message: 'Too many attempts. Please sign in again.' });
+      }
+      return res.status(401).json({ ok: false, message: 'Invalid verification code' });
+    }
+
+    if (method === 'recovery') {
+      console.log('[PLATFORM][MFA] Recovery code used by user id:', pending.user.id);
+    }
+
+    return res.json(await completePendingMfaLogin(req));
+  } catch (err) {
+    derr('[PLATFORM][MFA] login/mfa error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
+app.get('/api/platform/mfa/status', requireLogin, async (req, res) => {
+  try {
+    const u = req.session.user;
+    const row = await getActiveMfaRow(u.id);
+    const forced = await isMfaForcedForUser(u);
+
+    return res.json({
+      ok: true,
+      enabled: !!row,
+      forced,
+      enrolledAt: row?.enrolled_date || null,
+      recoveryCodesRemaining: row ? parseRecoveryHashes(row.recovery_codes).filter(Boolean).length : 0,
+    });
+  } catch (err) {
+    derr('[PLATFORM][MFA] status error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
+// Enrollment step 1: new secret + QR provisioning URI (not active until confirmed)
+app.post('/api/platform/mfa/enroll/start', async (req, res) => {
+  try {
+    const actor = getMfaActor(req);
+    if (!actor) {
+      return res.status(401).json({ ok: false, message: 'Not logged in' });
+    }
+
+    const secret = totp.generateSecret();
+    const otpauthUri = totp.buildOtpAuthUri(secret, actor.user.email);
+    const qrDataUrl = await QRCode.toDataURL(otpauthUri);
+
+    req.session.mfaEnroll = { sealedSecret: totp.sealSecret(secret), createdAt: Date.now() };
+
+    return res.json({ ok: true, secret, otpauthUri, qrDataUrl });
+  } catch (err) {
+    derr('[PLATFORM][MFA] enroll/start error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
+// Enrollment step 2: confirm a code from the authenticator app, then issue recovery codes.
+// A user who already has TOTP also sends { currentCode } or { recoveryCode } for the old factor.
+app.post('/api/platform/mfa/enroll/confirm', async (req, res) => {
+  try {
+    const actor = getMfaActor(req);
+    const enroll = req.session && req.session.mfaEnroll;
+    if (!actor || !enroll || Date.now() - enroll.createdAt > MFA_PENDING_TTL_MS) {
+      return res.status(400).json({ ok: false, message: 'Enrollment expired. Please start again.' });
+    }
+
+    const step = totp.verifyTotp(totp.openSecret(enroll.sealedSecret), (req.body || {}).code);
+    if (step == null) {
+      return res.status(400).json({ ok: false, message: 'Invalid verification code' });
+    }
+
+    const userId = actor.user.id;
+
+    // Replacing an active authenticator needs the current one (or a recovery code), like /mfa/disable
+    if (await getActiveMfaRow(userId)) {
+      const { currentCode, recoveryCode } = req.body || {};
+      const method = await consumeSecondFactor(userId, { code: currentCode, recoveryCode });
+      if (!method) {
+        return res.status(401).json({
+          ok: false,
+          code: 'MFA_CURRENT_FACTOR_REQUIRED',
+          message: 'Enter a code from your current authenticator (or a recovery code) to replace it',
+        });
+      }
+    }
+
+    const { codes, hashes } = await totp.generateRecoveryCodes();
+    await repos.mfa.saveEnrollment(userId, { secret: enroll.sealedSecret, step, hashes });
+
+    delete req.session.mfaEnroll;
+    console.log('[PLATFORM][MFA] ✅ TOTP enrolled for user id:', userId);
+
+    // Forced enrollment during login → this completes the login too
+    const login = actor.pending ? await completePendingMfaLogin(req) : null;
+
+    return res.json({ ok: true, recoveryCodes: codes, ...(login ? { login } : {}) });
+  } catch (err) {
+    derr('[PLATFORM][MFA] enroll/confirm error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
+app.post('/api/platform/mfa/recovery-codes', requireLogin, async (req, res) => {
+  try {
+    const u = req.session.user;
+    const method = await consumeSecondFactor(u.id, { code: (req.body || {}).code });
+    if (method !== 'totp') {
+      return res.status(400).json({ ok: false, message: 'Invalid verification code' });
+    }
+
+    const { codes, hashes } = await totp.generateRecoveryCodes();
+    await repos.mfa.saveRecoveryCodes(u.id, hashes, u.id);
+
+    return res.json({ ok: true, recoveryCodes: codes });
+  } catch (err) {
+    derr('[PLATFORM][MFA] recovery-codes error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
+app.post('/api/platform/mfa/disable', requireLogin, async (req, res) => {
+  try {
+    const u = req.session.user;
+
+    if (await isMfaForcedForUser(u)) {
+      return res.status(403).json({ ok: false, message: '2FA is required for your screens and cannot be disabled' });
+    }
+
+    const method = await consumeSecondFactor(u.id, { code: (req.body || {}).code });
+    if (method !== 'totp') {
+      return res.status(400).json({ ok: false, message: 'Invalid verification code' });
+    }
+
+    await repos.mfa.disable(u.id, u.id);
+
+    console.log('[PLATFORM][MFA] TOTP disabled by user id:', u.id);
+    return res.json({ ok: true });
+  } catch (err) {
+    derr('[PLATFORM][MFA] disable error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
+// SuperAdmin: reset a user's 2FA (lost device). They re-enroll on next login if forced.
+app.post('/api/platform/mfa/reset', requireSuperAdmin, async (req, res) => {
+  try {
+    const userId = Number((req.body || {}).userId);
+    if (!Number.isFinite(userId)) {
+      return res.status(400).json({ ok: false, message: 'userId is required' });
+    }
+
+    await repos.mfa.disable(userId, req.session.user.id);
+
+    console.log('[PLATFORM][MFA] TOTP reset for user id:', userId, 'by user id', req.session.user.id);
+    return res.json({ ok: true });
+  } catch (err) {
+    derr('[PLATFORM][MFA] reset error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
+// SuperAdmin: which screens force 2FA enrollment for everyone who can read them
+app.get('/api/platform/mfa/screen-policy', requireSuperAdmin, async (_req, res) => {
+  try {
+    const screens = await repos.mfa.listScreenPolicy();
+
+    return res.json({ ok: true, screens });
+  } catch (err) {
+    derr('[PLATFORM][MFA] screen-policy GET error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
+app.post('/api/platform/mfa/screen-policy', requireSuperAdmin, async (req, res) => {
+  try {
+    const screenId = Number((req.body || {}).screenId);
+    const required = !!(req.body || {}).required;
+    if (!Number.isFinite(screenId)) {
+      return res.status(400).json({ ok: false, message: 'screenId is required' });
+    }
+
+    const actorId = req.session.user.id;
+
+    await repos.mfa.setScreenPolicy(screenId, required, actorId);
+
+    console.log('[PLATFORM][MFA] Screen policy updated:', { screenId, required, by: req.session.user.id });
+    return res.json({ ok: true, screenId, required });
+  } catch (err) {
+    derr('[PLATFORM][MFA] screen-policy POST error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
+// SuperAdmin: current lockouts + recent lockout/unlock audit trail
+app.get('/api/platform/login-lockouts', requireSuperAdmin, async (_req, res) => {
+  try {
+    const active = await loginThrottle.listLocked();
+
+    let history = [];
+    try {
+      history = await repos.loginAudit.listRecent(200);
+    } catch (e) {
+      derr('[LOGIN_AUDIT] history read failed:', e?.message || e);
+    }
+
+    return res.json({ ok: true, active, history });
+  } catch (err) {
+    derr('[PLATFORM] login-lockouts error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
+app.post('/api/platform/login-lockouts/unlock', requireSuperAdmin, async (req, res) => {
+  try {
+    const { email, ip } = req.body || {};
+    if (!email && !ip) {
+      return res.status(400).json({ ok: false, message: 'email or ip is required' });
+    }
+
+    const cleared = await loginThrottle.unlock({ email, ip });
+    for (const c of cleared) {
+      await writeLoginAudit({ eventType: 'unlock', scope: c.scope, subject: c.id, actorUserId: req.session.user.id });
+    }
+
+    console.log('[LOGIN_THROTTLE] 🔓 Unlocked by user id', req.session.user.id, { scopes: cleared.map((c) => c.scope) });
+    return res.json({ ok: true, cleared });
+  } catch (err) {
+    derr('[PLATFORM] login-lockouts/unlock error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
 app.get('/platform/secure/ping', requireSuperAdmin, (req, res) => {
   const conn = getAzureSqlConnection();
   const dbStatus = conn ? 'configured' : 'mock_mode';
@@ -2728,67 +3789,7 @@ app.get('/api/platform/config-status', (req, res) => {
 
 app.get('/api/platform/stats', requireLogin, async (req, res) => {
   try {
-    // --- 1. Total users (from System_Users) -------------------------
-    const totalUsersResult = await sequelize.query(
-      `
-      SELECT COUNT(*) AS count
-      FROM [dbo].[System_Users]
-      WHERE row_status = 1
-      `,
-      { type: Sequelize.QueryTypes.SELECT }
-    );
-    const totalUsers = totalUsersResult[0]?.count || 0;
-
-    // --- 2. Providers (persona = 'Provider') -----------------------
-    const totalProvidersResult = await sequelize.query(
-      `
-      SELECT COUNT(*) AS count
-      FROM [dbo].[System_Users] su
-      JOIN [dbo].[User_Role_Mapping] urm ON su.user_role_mapping_id = urm.id
-      JOIN [dbo].[Personas] p ON urm.persona_id = p.id
-      WHERE su.row_status = 1
-        AND urm.row_status = 1
-        AND p.row_status = 1
-        AND p.persona = 'Provider'
-      `,
-      { type: Sequelize.QueryTypes.SELECT }
-    );
-    const totalProviders = totalProvidersResult[0]?.count || 0;
-
-    // --- 3. Employees (persona = 'Employee') -----------------------
-    const totalEmployeesResult = await sequelize.query(
-      `
-      SELECT COUNT(*) AS count
-      FROM [dbo].[System_Users] su
-      JOIN [dbo].[User_Role_Mapping] urm ON su.user_role_mapping_id = urm.id
-      JOIN [dbo].[Personas] p ON urm.persona_id = p.id
-      WHERE su.row_status = 1
-        AND urm.row_status = 1
-        AND p.row_status = 1
-        AND p.persona = 'Employee'
-      `,
-      { type: Sequelize.QueryTypes.SELECT }
-    );
-    const totalEmployees = totalEmployeesResult[0]?.count || 0;
-
-    // --- 4. Scribes (Employee + type = 'Scribe') -------------------
-    const totalScribesResult = await sequelize.query(
-      `
-      SELECT COUNT(*) AS count
-      FROM [dbo].[System_Users] su
-      JOIN [dbo].[User_Role_Mapping] urm ON su.user_role_mapping_id = urm.id
-      JOIN [dbo].[Personas] p ON urm.persona_id = p.id
-      JOIN [dbo].[Types] t ON urm.type_id = t.id
-      WHERE su.row_status = 1
-        AND urm.row_status = 1
-        AND p.row_status = 1
-        AND t.row_status = 1
-        AND p.persona = 'Employee'
-        AND t.type = 'Scribe'
-      `,
-      { type: Sequelize.QueryTypes.SELECT }
-    );
-    const totalScribes = totalScribesResult[0]?.count || 0;
+    const { totalUsers, totalProviders, totalEmployees, totalScribes } = await repos.users.countByRole();
 
     // --- 5. Build response object ---------------------------------
     const stats = {
@@ -2801,7 +3802,7 @@ app.get('/api/platform/stats', requireLogin, async (req, res) => {
 
     return res.json({ ok: true, stats });
   } catch (err) {
-    console.error('[PLATFORM] /api/platform/stats error:', err);
+    derr('[PLATFORM] /api/platform/stats error:', err);
     return res
       .status(500)
       .json({ ok: false, message: 'Internal server error' });
@@ -2817,77 +3818,17 @@ app.get('/api/platform/my-screens', requireLogin, async (req, res) => {
       return res.status(401).json({ ok: false, message: 'Not logged in' });
     }
 
-    const userRoleMappingId = sessionUser.userRoleMappingId;
-    const userType = sessionUser.type; // e.g. 'SuperAdmin', 'Scribe', 'Employee'
-
-    // SuperAdmin: see all screens with full permissions
-    if (userType === 'SuperAdmin') {
-      const screens = await sequelize.query(
-        `
-        SELECT
-          id,
-          screen_name,
-          route_path,
-          1 AS [read],
-          1 AS [write],
-          1 AS [edit],
-          1 AS [delete]
-        FROM [dbo].[System_Screens]
-        WHERE row_status = 1
-        ORDER BY id
-        `,
-        { type: Sequelize.QueryTypes.SELECT }
-      );
-
-      return res.json({ ok: true, screens });
-    }
-
-
-    // Everyone else: defaults from Access_Rights + optional overrides from User_Additional_Permissions
-    if (!userRoleMappingId) {
-      // no mapping id – safest is to return no screens
+    // Everyone but SuperAdmin needs a role mapping – safest is to return no screens
+    if (sessionUser.type !== 'SuperAdmin' && !sessionUser.userRoleMappingId) {
       return res.json({ ok: true, screens: [] });
     }
 
-    const userId = sessionUser.id;
-
-    const screens = await sequelize.query(
-      `
-      SELECT
-        ss.id,
-        ss.screen_name,
-        ss.route_path,
-        -- effective permissions: per-user override first, then role default
-        COALESCE(uap.[read],  ar.[read],  0) AS [read],
-        COALESCE(uap.[write], ar.[write], 0) AS [write],
-        COALESCE(uap.[edit],  ar.[edit],  0) AS [edit],
-        COALESCE(uap.[delete],ar.[delete],0) AS [delete]
-      FROM [dbo].[System_Screens] ss
-      LEFT JOIN [dbo].[Access_Rights] ar
-        ON ar.system_screen_id = ss.id
-       AND ar.user_role_mapping_id = :userRoleMappingId
-       AND ar.row_status = 1
-      LEFT JOIN [dbo].[User_Additional_Permissions] uap
-        ON uap.system_screen_id = ss.id
-       AND uap.user_id = :userId
-       AND uap.row_status = 1
-       AND (uap.start_date IS NULL OR uap.start_date <= SYSDATETIME())
-       AND (uap.end_date   IS NULL OR uap.end_date   >= SYSDATETIME())
-      WHERE ss.row_status = 1
-        -- only show screens where effective READ = 1
-        AND COALESCE(uap.[read], ar.[read], 0) = 1
-      ORDER BY ss.id
-      `,
-      {
-        replacements: { userRoleMappingId, userId },
-        type: Sequelize.QueryTypes.SELECT,
-      }
-    );
-
+    const screens = await permissionCache.getScreens(sessionUser);
 
-    return res.json({ ok: true, screens });
+    // only show screens where effective READ = 1
+    return res.json({ ok: true, screens: screens.filter((sc) => sc.read) });
   } catch (err) {
-    console.error('[PLATFORM] /api/platform/my-screens error:', err);
+    derr('[PLATFORM] /api/platform/my-screens error:', err);
     return res
       .status(500)
       .json({ ok: false, message: 'Internal server error' });
@@ -2937,6 +3878,93 @@ function normalizeScreenRights(rawRights) {
 
 
 
+// -------------------- Admin activity log --------------------
+// Before/after snapshots of admin changes that decide who can reach which provider's patients.
+// Snapshots never contain passwords.
+const ADMIN_ACTIVITY_ACTIONS = [
+  'user.create', 'user.assign', 'mapping.save', 'session.revoke',
+  'access.grant', 'access.update', 'access.revoke', 'rights.save',
+  'sso.link', 'sso.unlink',
+];
+
+// { field: { from, to } } for every field whose value changed
+function diffSnapshots(before, after) {
+  const diff = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    const from = before ? before[key] ?? null : null;
+    const to = after ? after[key] ?? null : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) diff[key] = { from, to };
+  }
+  return diff;
+}
+
+// Returns true once the row is stored. The change itself has already been committed by then, so a
+// failed write is logged as an alert and callers pass activityLogWarning() back to the admin.
+async function writeAdminActivity(req, { action, entity, entityId = null, targetUserId = null, before = null, after = null }) {
+  const actor = req.session?.user || {};
+  try {
+    await repos.adminActivity.write({
+      actorUserId: actor.id ?? null,
+      actorEmail: actor.email ?? null,
+      action,
+      entity,
+      entityId: entityId ?? null,
+      targetUserId: targetUserId ?? null,
+      beforeJson: before ? JSON.stringify(before) : null,
+      afterJson: after ? JSON.stringify(after) : null,
+      diffJson: JSON.stringify(diffSnapshots(before, after)),
+      ip: req.ip || null,
+    });
+    return true;
+  } catch (err) {
+    derr('[ADMIN_ACTIVITY][ALERT] write failed:', { action, entity, entityId, targetUserId, actorUserId: actor.id }, err?.message || err);
+    return false;
+  }
+}
+
+// Spread into a success response: { warning } when the activity row could not be written
+function activityLogWarning(logged) {
+  return logged ? {} : { warning: 'The change was saved but could not be recorded in the activity log' };
+}
+
+// SuperAdmin "Activity" view: ?actor&target&from&to&action&page&pageSize
+app.get('/api/platform/activity', requireSuperAdmin, async (req, res) => {
+  try {
+    const q = req.query || {};
+    const filter = {
+      actor: String(q.actor || '').trim() || null,
+      target: String(q.target || '').trim() || null,
+      from: isIsoDay(q.from) ? q.from : null,
+      to: isIsoDay(q.to) ? q.to : null,
+      action: ADMIN_ACTIVITY_ACTIONS.includes(q.action) ? q.action : null,
+    };
+
+    const pageSize = Math.min(Math.max(parseInt(q.pageSize, 10) || 50, 1), 200);
+    const page = Math.max(parseInt(q.page, 10) || 1, 1);
+
+    const { rows, total } = await repos.adminActivity.list(filter, { page, pageSize });
+
+    const items = rows.map(({ diff_json, ...r }) => {
+      let diff = {};
+      try { diff = JSON.parse(diff_json || '{}'); } catch { }
+      return { ...r, diff };
+    });
+
+    return res.json({
+      ok: true,
+      rows: items,
+      total,
+      page,
+      pageSize,
+      actions: ADMIN_ACTIVITY_ACTIONS,
+    });
+  } catch (err) {
+    derr('[PLATFORM] activity error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
 app.post('/api/platform/create-user', requireLogin, requireScreenWrite(6), async (req, res) => {
 
   try {
@@ -3009,8 +4037,6 @@ app.post('/api/platform/create-user', requireLogin, requireScreenWrite(6), async
     // Small debug to help if this ever fails again
     console.log('[PLATFORM] /create-user incoming body (sanitised):', {
       category,
-      name,
-      email,
       department,
       type,
       status,
@@ -3077,96 +4103,35 @@ app.post('/api/platform/create-user', requireLogin, requireScreenWrite(6), async
 
     // --- 2. Look up IDs from master tables ------------------------------
 
-    const personaRow = await sequelize.query(
-      `
-      SELECT id
-      FROM [dbo].[Personas]
-      WHERE persona = :personaName
-        AND row_status = 1
-      `,
-      {
-        replacements: { personaName },
-        type: Sequelize.QueryTypes.SELECT
-      }
-    );
-    if (!personaRow.length) {
+    const ids = await repos.lookups.findIds({
+      persona: personaName,
+      department: departmentName,
+      type: typeName,
+      status: statusName,
+    });
+    if (!ids.personaId) {
       return res
         .status(400)
         .json({ ok: false, message: 'Invalid persona/category' });
     }
-    const personaId = personaRow[0].id;
-
-    const deptRow = await sequelize.query(
-      `
-      SELECT id
-      FROM [dbo].[Departments]
-      WHERE department = :departmentName
-        AND row_status = 1
-      `,
-      {
-        replacements: { departmentName },
-        type: Sequelize.QueryTypes.SELECT
-      }
-    );
-    if (!deptRow.length) {
+    if (!ids.departmentId) {
       return res
         .status(400)
         .json({ ok: false, message: 'Invalid department' });
     }
-    const departmentId = deptRow[0].id;
-
-    const typeRow = await sequelize.query(
-      `
-      SELECT id
-      FROM [dbo].[Types]
-      WHERE type = :typeName
-        AND row_status = 1
-      `,
-      {
-        replacements: { typeName },
-        type: Sequelize.QueryTypes.SELECT
-      }
-    );
-    if (!typeRow.length) {
+    if (!ids.typeId) {
       return res
         .status(400)
         .json({ ok: false, message: 'Invalid type' });
     }
-    const typeId = typeRow[0].id;
-
-    const statusRow = await sequelize.query(
-      `
-      SELECT id
-      FROM [dbo].[Status]
-      WHERE status = :statusName
-        AND row_status = 1
-      `,
-      {
-        replacements: { statusName },
-        type: Sequelize.QueryTypes.SELECT
-      }
-    );
-    if (!statusRow.length) {
+    if (!ids.statusId) {
       return res
         .status(400)
         .json({ ok: false, message: 'Invalid status' });
     }
-    const statusId = statusRow[0].id;
 
     // --- 3. Check if email already exists in System_Users ----------------
-    const existingUser = await sequelize.query(
-      `
-      SELECT id
-      FROM [dbo].[System_Users]
-      WHERE email = :email
-        AND row_status = 1
-      `,
-      {
-        replacements: { email },
-        type: Sequelize.QueryTypes.SELECT
-      }
-    );
-    if (existingUser.length) {
+    if (await repos.users.existsByEmail(email)) {
       return res.status(400).json({
         ok: false,
         message: 'A user with this email already exists'
@@ -3175,206 +4140,63 @@ app.post('/api/platform/create-user', requireLogin, requireScreenWrite(6), async
 
     const createdById = (req.session.user && req.session.user.id) || null;
 
-    // --- 4. Insert into User_Role_Mapping + System_Users (transaction) ---
-
-    const transaction = await sequelize.transaction();
-
-    try {
-
-      // 4a) Decide user_role_mapping_id
-      // ✅ Patient must ALWAYS reuse the shared mapping id = 85 (no new row in User_Role_Mapping)
-      let userRoleMappingId = null;
-
-      if (normalizedCategory === 'patient') {
-        userRoleMappingId = 85;
-      } else if (normalizedCategory === 'provider') {
-        userRoleMappingId = 11;
-      } else {
-
-        // Insert into User_Role_Mapping and get id via OUTPUT
-        const roleRowsRaw = await sequelize.query(
-          `
-          INSERT INTO [dbo].[User_Role_Mapping] (
-            persona_id,
-            department_id,
-            type_id,
-            created_date,
-            created_by,
-            modified_date,
-            modified_by,
-            row_status
-          )
-          OUTPUT INSERTED.id AS id
-          VALUES (
-            :personaId,
-            :departmentId,
-            :typeId,
-            SYSDATETIME(),
-            :createdBy,
-            SYSDATETIME(),
-            :createdBy,
-            1
-          )
-          `,
-          {
-            replacements: {
-              personaId,
-              departmentId,
-              typeId,
-              createdBy: createdById
-            },
-            type: Sequelize.QueryTypes.SELECT,
-            transaction
-          }
-        );
-
-        console.log('[DEBUG] roleRowsRaw from User_Role_Mapping insert:', roleRowsRaw);
-
-        if (Array.isArray(roleRowsRaw)) {
-          if (roleRowsRaw.length && roleRowsRaw[0] && typeof roleRowsRaw[0].id !== 'undefined') {
-            userRoleMappingId = roleRowsRaw[0].id;
-          } else if (
-            Array.isArray(roleRowsRaw[0]) &&
-            roleRowsRaw[0].length &&
-            roleRowsRaw[0][0] &&
-            typeof roleRowsRaw[0][0].id !== 'undefined'
-          ) {
-            userRoleMappingId = roleRowsRaw[0][0].id;
-          }
-        }
-
-        if (!userRoleMappingId) {
-          throw new Error('User_Role_Mapping insert did not return an id (check roleRowsRaw debug log)');
-        }
-      }
-
-      // 4b) Insert into System_Users
-      const managerUserId = reportingManagerId || null;
-
-      await sequelize.query(
-        `
-        INSERT INTO [dbo].[System_Users] (
-          full_name,
-          email,
-          password,
-          manager_user_id,
-          clinic_id,
-          xr_id,
-          status_id,
-          user_role_mapping_id,
-          contact_no_primary,
-          mrn_no,
-          created_date,
-          created_by,
-          modified_date,
-          modified_by,
-          row_status
-        )
-        VALUES (
-          :full_name,
-          :email,
-          :password,
-          :manager_user_id,
-          :clinic_id,
-          :xr_id,
-          :status_id,
-          :user_role_mapping_id,
-          :contact_no_primary,
-          :mrn_no,
-          SYSDATETIME(),
-          :created_by,
-          SYSDATETIME(),
-          :created_by,
-          1
-        )
-        `,
-        {
-          replacements: {
-            full_name: name,
-            email,
-            password, // still plain, matching your seed; can switch to bcrypt later
-            manager_user_id: managerUserId,
-            clinic_id: clinicId || null,
-            xr_id: xrId || null,
-            status_id: statusId,
-            user_role_mapping_id: userRoleMappingId,
-            // ✅ ADD THESE TWO LINES HERE
-            contact_no_primary: contactNoPrimary,
-            mrn_no: mrnNo,
-            created_by: createdById
-          },
-          type: Sequelize.QueryTypes.INSERT,
-          transaction
-        }
-      );
-      // 4c) Insert screen rights into Access_Rights (if any screens were selected)
-      if (normalizedRights && normalizedRights.length > 0) {
-        for (const r of normalizedRights) {
-          const screenId = Number(r.screenId);
-          if (!Number.isFinite(screenId)) continue; // skip bad values
-
-          await sequelize.query(
-            `
-            INSERT INTO [dbo].[Access_Rights] (
-              user_role_mapping_id,
-              system_screen_id,
-              [read],
-              [write],
-              [edit],
-              [delete],
-              created_date,
-              created_by,
-              modified_date,
-              modified_by,
-              row_status
-            )
-            VALUES (
-              :user_role_mapping_id,
-              :system_screen_id,
-              :read,
-              :write,
-              :edit,
-              :delete,
-              SYSDATETIME(),
-              :created_by,
-              SYSDATETIME(),
-              :created_by,
-              1
-            )
-            `,
-            {
-              replacements: {
-                user_role_mapping_id: userRoleMappingId,
-                system_screen_id: screenId,
-                read: r.read ? 1 : 0,
-                write: r.write ? 1 : 0,
-                edit: r.edit ? 1 : 0,
-                delete: r.delete ? 1 : 0,
-                created_by: createdById,
-              },
-              type: Sequelize.QueryTypes.INSERT,
-              transaction,
-            }
-          );
-        }
-      }
+    // --- 4. Insert User_Role_Mapping + System_Users + Access_Rights (one transaction) ---
 
+    // Only ever store the bcrypt hash; the plain value is used for the welcome email only
+    const passwordHash = await hashPassword(password);
 
+    // ✅ Patient must ALWAYS reuse the shared mapping id = 85 (no new row in User_Role_Mapping);
+    // providers share id 11; everyone else gets their own User_Role_Mapping row
+    const sharedRoleMappingId =
+      normalizedCategory === 'patient' ? 85 :
+        normalizedCategory === 'provider' ? 11 :
+          null;
 
-      await transaction.commit();
-    } catch (txErr) {
-      await transaction.rollback();
-      throw txErr;
-    }
+    const { userId: newUserId, userRoleMappingId } = await repos.users.create({
+      roleMappingId: sharedRoleMappingId,
+      role: { personaId: ids.personaId, departmentId: ids.departmentId, typeId: ids.typeId },
+      user: {
+        fullName: name,
+        email,
+        passwordHash,
+        managerUserId: reportingManagerId || null,
+        clinicId: clinicId || null,
+        xrId: xrId || null,
+        statusId: ids.statusId,
+        contactNoPrimary,
+        mrnNo,
+      },
+      rights: normalizedRights,
+      createdBy: createdById,
+    });
 
     console.log('[PLATFORM] System_Users user created:', {
-      name,
-      email,
+      userId: newUserId,
       category: personaName,
       department: departmentName,
       type: typeName
     });
 
+    const logged = await writeAdminActivity(req, {
+      action: 'user.create',
+      entity: 'System_Users',
+      entityId: newUserId,
+      targetUserId: newUserId,
+      after: {
+        full_name: name,
+        email,
+        category: personaName,
+        department: departmentName,
+        type: typeName,
+        status: statusName,
+        manager_user_id: reportingManagerId || null,
+        clinic_id: clinicId || null,
+        xr_id: xrId || null,
+        user_role_mapping_id: userRoleMappingId,
+        rights: normalizedRights,
+      },
+    });
+
     // --- 5. Send welcome email with login credentials --------------------
     try {
       await sendNewLoginEmail({
@@ -3384,7 +4206,7 @@ app.post('/api/platform/create-user', requireLogin, requireScreenWrite(6), async
         password
       });
     } catch (mailErr) {
-      console.error(
+      derr(
         '[PLATFORM] Failed to send welcome email:',
         mailErr.message || mailErr
       );
@@ -3393,16 +4215,354 @@ app.post('/api/platform/create-user', requireLogin, requireScreenWrite(6), async
 
     return res.json({
       ok: true,
-      message: 'User created in System_Users and login email sent'
+      message: 'User created in System_Users and login email sent',
+      ...activityLogWarning(logged),
     });
   } catch (err) {
-    console.error('[PLATFORM] Create user error:', err);
+    derr('[PLATFORM] Create user error:', err);
     return res
       .status(500)
       .json({ ok: false, message: 'Internal server error' });
   }
 });
 
+// -------------------- Temporary access grants (User_Additional_Permissions) --------------------
+// Time-bound read/write on a screen on top of the user's role defaults (e.g. covering for a manager).
+// hasScreenPermission / my-screens already honour start_date/end_date, so a grant simply stops
+// applying once end_date passes; revoking sets row_status = 0. Only [read]/[write] are set –
+// [edit]/[delete] stay NULL so those keep falling back to Access_Rights.
+const ACCESS_GRANT_STATUSES = ['active', 'scheduled', 'expired', 'revoked'];
+
+function parseGrantDate(v) {
+  if (v === undefined || v === null || v === '') return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+function pickGrant(row) {
+  if (!row) return null;
+  return {
+    user_id: row.user_id,
+    screen_id: row.system_screen_id,
+    read: !!row.read,
+    write: !!row.write,
+    start_date: row.start_date ? new Date(row.start_date).toISOString() : null,
+    end_date: row.end_date ? new Date(row.end_date).toISOString() : null,
+    row_status: row.row_status,
+  };
+}
+
+// ?userId&status=active|scheduled|expired|revoked
+app.get('/api/platform/access-grants', requireSuperAdmin, async (req, res) => {
+  try {
+    const q = req.query || {};
+    const [grants, screens] = await Promise.all([
+      repos.accessGrants.list({
+        userId: q.userId && Number.isFinite(Number(q.userId)) ? Number(q.userId) : null,
+        status: ACCESS_GRANT_STATUSES.includes(q.status) ? q.status : null,
+      }),
+      repos.lookups.listScreens(),
+    ]);
+
+    return res.json({ ok: true, grants, screens, statuses: ACCESS_GRANT_STATUSES });
+  } catch (err) {
+    derr('[PLATFORM] access-grants GET error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
+// Body: { userId, screenId, read, write, startDate?, endDate }
+app.post('/api/platform/access-grants', requireSuperAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const userId = Number(body.userId);
+    const screenId = Number(body.screenId);
+    const write = !!body.write;
+    const read = write || !!body.read; // write without read is meaningless
+    const startDate = parseGrantDate(body.startDate) ?? new Date();
+    const endDate = parseGrantDate(body.endDate);
+
+    if (!Number.isFinite(userId) || !Number.isFinite(screenId)) {
+      return res.status(400).json({ ok: false, message: 'userId and screenId are required' });
+    }
+    if (!read) {
+      return res.status(400).json({ ok: false, message: 'Grant read and/or write access' });
+    }
+    if (startDate === undefined || !endDate) {
+      return res.status(400).json({ ok: false, message: 'A valid end date is required' });
+    }
+    if (endDate <= startDate || endDate <= new Date()) {
+      return res.status(400).json({ ok: false, message: 'End date must be in the future and after the start date' });
+    }
+
+    if (!(await repos.accessGrants.targetExists(userId, screenId))) {
+      return res.status(404).json({ ok: false, message: 'User or screen not found' });
+    }
+
+    if (await repos.accessGrants.findOverlapping({ userId, screenId, startDate, endDate })) {
+      return res.status(409).json({
+        ok: false,
+        message: 'This user already has a grant for that screen in this period. Edit or revoke it instead.',
+      });
+    }
+
+    const grantId = await repos.accessGrants.create({
+      userId,
+      screenId,
+      read,
+      write,
+      startDate,
+      endDate,
+      createdBy: req.session.user.id || null,
+    });
+    const grant = grantId ? await repos.accessGrants.find(grantId) : null;
+    await permissionCache.invalidateUser(userId);
+
+    const logged = await writeAdminActivity(req, {
+      action: 'access.grant',
+      entity: 'User_Additional_Permissions',
+      entityId: grantId,
+      targetUserId: userId,
+      after: pickGrant(grant),
+    });
+
+    console.log('[PLATFORM] access grant created:', { grantId, userId, screenId, read, write, endDate });
+    return res.json({ ok: true, grant, ...activityLogWarning(logged) });
+  } catch (err) {
+    derr('[PLATFORM] access-grants POST error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
+// Change the window or the read/write flags of a live grant. Body: { read, write, startDate?, endDate }
+app.post('/api/platform/access-grants/:grantId', requireSuperAdmin, async (req, res) => {
+  try {
+    const grantId = Number(req.params.grantId);
+    const existing = Number.isFinite(grantId) ? await repos.accessGrants.find(grantId) : null;
+    if (!existing) {
+      return res.status(404).json({ ok: false, message: 'Grant not found' });
+    }
+    if (existing.status === 'revoked' || existing.status === 'expired') {
+      return res.status(409).json({ ok: false, message: `This grant is ${existing.status}; create a new one instead` });
+    }
+
+    const body = req.body || {};
+    const write = body.write === undefined ? !!existing.write : !!body.write;
+    const read = write || (body.read === undefined ? !!existing.read : !!body.read);
+    const startDate = body.startDate === undefined ? existing.start_date : parseGrantDate(body.startDate);
+    const endDate = body.endDate === undefined ? existing.end_date : parseGrantDate(body.endDate);
+
+    if (!read) {
+      return res.status(400).json({ ok: false, message: 'Grant read and/or write access, or revoke the grant' });
+    }
+    if (startDate === undefined || !endDate) {
+      return res.status(400).json({ ok: false, message: 'A valid end date is required' });
+    }
+    if ((startDate && new Date(endDate) <= new Date(startDate)) || new Date(endDate) <= new Date()) {
+      return res.status(400).json({ ok: false, message: 'End date must be in the future and after the start date' });
+    }
+
+    const overlap = await repos.accessGrants.findOverlapping({
+      userId: existing.user_id,
+      screenId: existing.system_screen_id,
+      startDate: startDate || new Date(0),
+      endDate,
+      exceptId: grantId,
+    });
+    if (overlap) {
+      return res.status(409).json({ ok: false, message: 'Another grant for that screen overlaps this period' });
+    }
+
+    await repos.accessGrants.update(grantId, {
+      read,
+      write,
+      startDate: startDate || null,
+      endDate,
+      modifiedBy: req.session.user.id || null,
+    });
+    const grant = await repos.accessGrants.find(grantId);
+    await permissionCache.invalidateUser(existing.user_id);
+
+    const logged = await writeAdminActivity(req, {
+      action: 'access.update',
+      entity: 'User_Additional_Permissions',
+      entityId: grantId,
+      targetUserId: existing.user_id,
+      before: pickGrant(existing),
+      after: pickGrant(grant),
+    });
+
+    return res.json({ ok: true, grant, ...activityLogWarning(logged) });
+  } catch (err) {
+    derr('[PLATFORM] access-grants update error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
+app.post('/api/platform/access-grants/:grantId/revoke', requireSuperAdmin, async (req, res) => {
+  try {
+    const grantId = Number(req.params.grantId);
+    const existing = Number.isFinite(grantId) ? await repos.accessGrants.find(grantId) : null;
+    if (!existing) {
+      return res.status(404).json({ ok: false, message: 'Grant not found' });
+    }
+    if (existing.status === 'revoked') {
+      return res.json({ ok: true, grant: existing });
+    }
+
+    await repos.accessGrants.revoke(grantId, req.session.user.id || null);
+    const grant = await repos.accessGrants.find(grantId);
+    await permissionCache.invalidateUser(existing.user_id);
+
+    const logged = await writeAdminActivity(req, {
+      action: 'access.revoke',
+      entity: 'User_Additional_Permissions',
+      entityId: grantId,
+      targetUserId: existing.user_id,
+      before: pickGrant(existing),
+      after: pickGrant(grant),
+    });
+
+    console.log('[PLATFORM] access grant revoked:', { grantId, by: req.session.user.id });
+    return res.json({ ok: true, grant, ...activityLogWarning(logged) });
+  } catch (err) {
+    derr('[PLATFORM] access-grants revoke error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
+// -------------------- Role permission matrix (Access_Rights) --------------------
+// Rows: User_Role_Mapping (persona / department / type), columns: System_Screens.
+// Cells carry the role defaults for [read]/[write]; per-user overrides stay in User_Additional_Permissions.
+// Roles typed SuperAdmin bypass screen rights entirely, so they are shown but not editable.
+
+// Screens a SuperAdmin needs to keep managing users and roles; a save may never leave
+// every active SuperAdmin without read+write on all of them.
+const RIGHTS_ADMIN_SCREEN_IDS = [6, 8]; // Create Users, Assign Users
+
+function rightsCellKey(roleId, screenId) {
+  return `role ${roleId} / screen ${screenId}`;
+}
+
+function rightsCellValue(row) {
+  if (!row || !row.read) return '-';
+  return row.write ? 'RW' : 'R';
+}
+
+// Active SuperAdmins (same rule as login) that still reach the admin screens with the
+// Access_Rights as they stand inside the save transaction (`tx` from accessRights.saveMatrix)
+async function countSuperAdminsWithConsoleAccess(tx) {
+  const users = await tx.listUsers();
+
+  const admins = users.filter(
+    (u) => (!u.status || u.status === 'Active') && buildPlatformSessionUser(u).role === 'superadmin'
+  );
+  // SuperAdmin type passes every screen check regardless of Access_Rights
+  if (admins.some((u) => u.type === 'SuperAdmin')) return admins.length;
+
+  const roleIds = Array.from(new Set(admins.map((u) => u.user_role_mapping_id).filter(Boolean)));
+  const fullRoles = new Set(await tx.listRolesWithScreens(roleIds, RIGHTS_ADMIN_SCREEN_IDS));
+  return admins.filter((u) => fullRoles.has(u.user_role_mapping_id)).length;
+}
+
+app.get('/api/platform/access-rights/matrix', requireSuperAdmin, async (_req, res) => {
+  try {
+    const [{ roles, rights }, screens] = await Promise.all([
+      repos.accessRights.listMatrix(),
+      repos.lookups.listScreens(),
+    ]);
+
+    return res.json({ ok: true, roles, screens, rights, adminScreenIds: RIGHTS_ADMIN_SCREEN_IDS });
+  } catch (err) {
+    derr('[PLATFORM] access-rights matrix GET error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
+// Body: { changes: [{ roleId, screenId, read, write }] } – only the cells that changed.
+// Applied in one transaction; rejected as a whole if it would lock out the last SuperAdmin.
+app.post('/api/platform/access-rights/matrix', requireSuperAdmin, async (req, res) => {
+  const raw = Array.isArray(req.body?.changes) ? req.body.changes : [];
+
+  // Last write wins for a cell that appears twice
+  const byCell = new Map();
+  for (const c of raw) {
+    const roleId = Number(c?.roleId);
+    const screenId = Number(c?.screenId);
+    if (!Number.isFinite(roleId) || !Number.isFinite(screenId)) {
+      return res.status(400).json({ ok: false, message: 'Each change needs roleId and screenId' });
+    }
+    const write = !!c.write;
+    byCell.set(rightsCellKey(roleId, screenId), { roleId, screenId, read: write || !!c.read, write });
+  }
+  const changes = Array.from(byCell.values());
+  if (!changes.length) {
+    return res.status(400).json({ ok: false, message: 'No changes to save' });
+  }
+
+  const roleIds = Array.from(new Set(changes.map((c) => c.roleId)));
+  const screenIds = Array.from(new Set(changes.map((c) => c.screenId)));
+
+  try {
+    const [roles, screens] = await Promise.all([
+      repos.accessRights.listRoleTypes(roleIds),
+      repos.lookups.listScreens(),
+    ]);
+    const knownScreens = new Set(screens.map((sc) => Number(sc.id)));
+    if (roles.length !== roleIds.length || !screenIds.every((id) => knownScreens.has(id))) {
+      return res.status(400).json({ ok: false, message: 'Unknown role or screen in changes' });
+    }
+    if (roles.some((r) => r.type === 'SuperAdmin')) {
+      return res.status(400).json({ ok: false, message: 'SuperAdmin roles always have full access and cannot be edited' });
+    }
+
+    // Applied in one transaction; unchanged cells are skipped
+    const { saved, previous } = await repos.accessRights.saveMatrix(changes, {
+      actorId: req.session.user.id || null,
+      // 🔒 Never leave the console without a SuperAdmin who can still manage users
+      guard: async (tx) => (await countSuperAdminsWithConsoleAccess(tx)) > 0,
+    });
+    if (!saved) {
+      return res.status(409).json({
+        ok: false,
+        message: 'This change would lock out the last SuperAdmin from user management. Nothing was saved.',
+      });
+    }
+
+    const existingByCell = new Map(
+      previous.map((r) => [rightsCellKey(r.user_role_mapping_id, r.system_screen_id), r])
+    );
+    const before = {};
+    const after = {};
+    for (const c of changes) {
+      const key = rightsCellKey(c.roleId, c.screenId);
+      before[key] = rightsCellValue(existingByCell.get(key));
+      after[key] = rightsCellValue(c);
+    }
+
+    // Role defaults can affect any number of users
+    await permissionCache.invalidateAll();
+
+    const diff = diffSnapshots(before, after);
+    const changed = Object.keys(diff).length;
+    let logged = true;
+    if (changed) {
+      logged = await writeAdminActivity(req, {
+        action: 'rights.save',
+        entity: 'Access_Rights',
+        before: Object.fromEntries(Object.keys(diff).map((k) => [k, before[k]])),
+        after: Object.fromEntries(Object.keys(diff).map((k) => [k, after[k]])),
+      });
+    }
+
+    console.log('[PLATFORM] access rights saved by user id', req.session.user.id, { changed });
+    return res.json({ ok: true, changed, ...activityLogWarning(logged) });
+  } catch (err) {
+    derr('[PLATFORM] access-rights matrix save error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
 // -------------------- USERS FOR ASSIGN USERS TABLE --------------------
 // Returns providers + scribes with any existing assignment rows.
 // - SuperAdmin  → sees all providers + all scribes
@@ -3422,49 +4582,9 @@ app.get('/api/platform/users', requireLogin, requireScreen(8), async (req, res)
     const currentUserId = sessionUser.id;
     const isSuperAdmin =
       sessionUser.role === 'superadmin' || sessionUser.type === 'SuperAdmin';
-    const isSuperAdminBit = isSuperAdmin ? 1 : 0;
-
-    const sql = `
-      SELECT
-        su.id,
-        su.full_name,
-        su.email,
-        su.xr_id,
-        su.clinic_id,
-        CASE
-          WHEN vur.persona_id = 5 THEN 'Provider'
-          WHEN vur.type_id   = 4 THEN 'Scribe'
-          ELSE 'Other'
-        END AS userType
-      FROM [dbo].[System_Users] su
-      JOIN [dbo].[View_User_Role_Mapping] vur
-        ON su.user_role_mapping_id = vur.id
-      WHERE
-        su.row_status = 1
-        AND su.status_id = 1
-        AND (
-             -- Providers
-             vur.persona_id = 5
-             OR
-             -- Scribes (SuperAdmin sees all; Manager only own reportees)
-             (
-               vur.type_id = 4
-               AND (
-                 :isSuperAdmin = 1
-                 OR su.manager_user_id = :managerId
-               )
-             )
-        )
-      ORDER BY su.full_name ASC;
-    `;
 
-    const rows = await sequelize.query(sql, {
-      replacements: {
-        isSuperAdmin: isSuperAdminBit,
-        managerId: currentUserId,
-      },
-      type: Sequelize.QueryTypes.SELECT,
-    });
+    // SuperAdmin sees every scribe; managers only their own reportees
+    const rows = await repos.users.listAssignable({ managerId: isSuperAdmin ? null : currentUserId });
 
     const users = (rows || []).map((u) => ({
       id: u.id,
@@ -3481,7 +4601,7 @@ app.get('/api/platform/users', requireLogin, requireScreen(8), async (req, res)
 
     return res.json({ ok: true, users });
   } catch (err) {
-    console.error('[PLATFORM] /api/platform/users error:', err);
+    derr('[PLATFORM] /api/platform/users error:', err);
     return res
       .status(500)
       .json({ ok: false, message: 'Internal server error' });
@@ -3499,37 +4619,33 @@ app.post('/api/platform/assign-user', requireSuperAdmin, async (req, res) => {
       return res.status(400).json({ ok: false, message: 'User ID is required' });
     }
 
-    const checkQuery = 'SELECT * FROM [dbo].[assignusers] WHERE user_id = :userId';
-    const existing = await sequelize.query(checkQuery, {
-      replacements: { userId },
-      type: Sequelize.QueryTypes.SELECT,
+    const existing = await repos.legacy.findAssignment(userId);
+
+    const pickAssignment = (r) => ({
+      provider_id: r?.provider_id ?? null,
+      scribe_id: r?.scribe_id ?? null,
+      level: r?.level ?? null,
     });
 
-    if (existing && existing.length > 0) {
-      const updateQuery = `
-        UPDATE [dbo].[assignusers]
-        SET provider_id = :providerId, scribe_id = :scribeId, level = :level, updated_at = GETDATE()
-        WHERE user_id = :userId
-      `;
-      await sequelize.query(updateQuery, {
-        replacements: { userId, providerId: providerId || null, scribeId: scribeId || null, level: level || null },
-        type: Sequelize.QueryTypes.UPDATE,
-      });
-    } else {
-      const insertQuery = `
-        INSERT INTO [dbo].[assignusers] (user_id, provider_id, scribe_id, level, created_at)
-        VALUES (:userId, :providerId, :scribeId, :level, GETDATE())
-      `;
-      await sequelize.query(insertQuery, {
-        replacements: { userId, providerId: providerId || null, scribeId: scribeId || null, level: level || null },
-        type: Sequelize.QueryTypes.INSERT,
-      });
-    }
+    await repos.legacy.saveAssignment({
+      userId,
+      providerId: providerId || null,
+      scribeId: scribeId || null,
+      level: level || null,
+    });
 
     console.log('[PLATFORM] User assignment updated:', { userId, providerId, scribeId, level });
-    return res.json({ ok: true, message: 'Assignment saved successfully' });
+
+    const logged = await writeAdminActivity(req, {
+      action: 'user.assign',
+      entity: 'assignusers',
+      targetUserId: Number(userId) || null,
+      before: existing ? pickAssignment(existing) : null,
+      after: pickAssignment({ provider_id: providerId || null, scribe_id: scribeId || null, level: level || null }),
+    });
+    return res.json({ ok: true, message: 'Assignment saved successfully', ...activityLogWarning(logged) });
   } catch (err) {
-    console.error('[PLATFORM] Assign user error:', err);
+    derr('[PLATFORM] Assign user error:', err);
     return res.status(500).json({ ok: false, message: 'Internal server error' });
   }
 });
@@ -3558,69 +4674,10 @@ app.get('/api/platform/assign-users/options', requireLogin, requireScreen(8), as
       sessionUser.role === 'superadmin' ||
       sessionUser.type === 'SuperAdmin';
 
-    const isMasterAdminBit = isMasterAdmin ? 1 : 0;
-
-    // 👇 Scribes:
-    // - type_id = 4 in View_User_Role_Mapping = Scribe
-    // - if NOT Master Admin, restrict by manager_user_id
-    const scribesQuery = `
-  SELECT
-    su.id,
-    su.full_name,
-    su.email,
-    su.xr_id,
-    su.manager_user_id,
-    mgr.full_name AS manager_name
-  FROM [dbo].[System_Users] su
-  LEFT JOIN [dbo].[System_Users] mgr
-    ON mgr.id = su.manager_user_id
-   AND mgr.row_status = 1
-  WHERE
-    su.row_status = 1
-    AND su.user_role_mapping_id IN (
-      SELECT id
-      FROM [dbo].[View_User_Role_Mapping]
-      WHERE type_id = 4      -- Scribe
-    )
-    AND (
-      :isMasterAdmin = 1
-      OR su.manager_user_id = :currentUserId
-    )
-  ORDER BY su.full_name;
-`;
-
-
-    // 👇 Providers:
-    // - persona_id = 5 in View_User_Role_Mapping = Provider
-    // - no manager filter (both Master Admin & Manager see all providers)
-    const providersQuery = `
-      SELECT
-        su.id,
-        su.full_name,
-        su.email,
-        su.xr_id,
-        su.clinic_id
-      FROM [dbo].[System_Users] su
-      WHERE
-        su.row_status = 1
-        AND su.status_id = 1
-        AND su.user_role_mapping_id IN (
-          SELECT id
-          FROM [dbo].[View_User_Role_Mapping]
-          WHERE persona_id = 5   -- Provider
-        )
-      ORDER BY su.full_name;
-    `;
-
-
+    // Scribes: Master Admin sees all, a manager only their reportees. Providers: everyone sees all.
     const [scribes, providers] = await Promise.all([
-      sequelize.query(scribesQuery, {
-        replacements: { currentUserId, isMasterAdmin: isMasterAdminBit },
-        type: Sequelize.QueryTypes.SELECT,
-      }),
-      sequelize.query(providersQuery, {
-        type: Sequelize.QueryTypes.SELECT,
-      }),
+      repos.users.listScribeOptions({ managerId: isMasterAdmin ? null : currentUserId }),
+      repos.users.listProviderOptions(),
     ]);
 
     return res.json({
@@ -3630,7 +4687,7 @@ app.get('/api/platform/assign-users/options', requireLogin, requireScreen(8), as
       providers,     // [{ id, full_name }]
     });
   } catch (err) {
-    console.error('[PLATFORM] /api/platform/assign-users/options error:', err);
+    derr('[PLATFORM] /api/platform/assign-users/options error:', err);
     return res
       .status(500)
       .json({ ok: false, message: 'Internal server error' });
@@ -3655,81 +4712,17 @@ app.get('/api/platform/scribe-provider-mapping', requireLogin, requireScreen(8),
     const isMasterAdmin =
       sessionUser.role === 'superadmin' ||
       sessionUser.type === 'SuperAdmin';
-    const isMasterAdminBit = isMasterAdmin ? 1 : 0;
 
     // ✅ Global mapped provider IDs (used to compute "Unmapped Providers" correctly)
     // Important: this is NOT scoped by manager, and it does not expose scribe details.
-    const mappedProviderRows = await sequelize.query(
-      `
-      SELECT DISTINCT provider_user_id
-      FROM [dbo].[Scribe_Provider_Mapping]
-      WHERE row_status = 1
-        AND provider_user_id IS NOT NULL
-      `,
-      { type: Sequelize.QueryTypes.SELECT }
-    );
-
-    const mappedProviderIdsAll = (mappedProviderRows || [])
-      .map(r => r.provider_user_id)
+    const mappedProviderIdsAll = (await repos.mappings.listMappedProviderIds())
       .filter(v => v != null)
       .map(v => Number(v))
       .filter(n => Number.isFinite(n))
       .map(n => String(n)); // normalize to string for easy frontend Set usage
 
-
-    const rows = await sequelize.query(
-      `
-      SELECT
-        m.id,
-
-        -- Scribe side
-        s.id          AS scribe_id,
-        s.full_name   AS scribe_name,
-        s.email       AS scribe_email,
-        s.xr_id       AS scribe_xr_id,
-
-        -- Provider side
-        p.id          AS provider_id,
-        p.full_name   AS provider_name,
-        p.email       AS provider_email,
-        p.xr_id       AS provider_xr_id,
-        p.clinic_id   AS provider_clinic_id,
-        c.clinic      AS provider_clinic_name,
-
-
-        -- Manager of the scribe
-        mgr.full_name AS scribe_manager_name
-      FROM [dbo].[Scribe_Provider_Mapping] m
-      JOIN [dbo].[System_Users] s
-        ON m.scribe_user_id = s.id
-       AND s.row_status = 1
-      JOIN [dbo].[System_Users] p
-        ON m.provider_user_id = p.id
-       AND p.row_status = 1
-       LEFT JOIN [dbo].[Clinics] c
-      ON p.clinic_id = c.id
-      AND c.row_status = 1
-      LEFT JOIN [dbo].[System_Users] mgr
-        ON s.manager_user_id = mgr.id
-       AND mgr.row_status = 1
-      WHERE
-        m.row_status = 1
-        AND (
-          :isMasterAdmin = 1
-          OR s.manager_user_id = :managerId
-        )
-      ORDER BY
-        s.full_name ASC,
-        p.full_name ASC;
-      `,
-      {
-        replacements: {
-          isMasterAdmin: isMasterAdminBit,
-          managerId: currentUserId,
-        },
-        type: Sequelize.QueryTypes.SELECT,
-      }
-    );
+    // SuperAdmin sees every mapping; managers only their own scribes
+    const rows = await repos.mappings.listDetailed({ managerId: isMasterAdmin ? null : currentUserId });
 
     // Shape it nicely for the frontend (no behavior impact on other routes)
     const mappings = rows.map((r) => ({
@@ -3756,7 +4749,7 @@ app.get('/api/platform/scribe-provider-mapping', requireLogin, requireScreen(8),
     return res.json({ ok: true, mappings, mappedProviderIdsAll });
 
   } catch (err) {
-    console.error('[PLATFORM] /api/platform/scribe-provider-mapping (GET) error:', err);
+    derr('[PLATFORM] /api/platform/scribe-provider-mapping (GET) error:', err);
     return res
       .status(500)
       .json({ ok: false, message: 'Internal server error' });
@@ -3790,99 +4783,21 @@ app.post('/api/platform/scribe-provider-mapping', requireLogin, requireScreenWri
       sessionUser.type === 'SuperAdmin';
 
     // Managers can only assign their own scribes
-    if (!isMasterAdmin) {
-      const [check] = await sequelize.query(
-        `
-        SELECT TOP 1 id
-        FROM [dbo].[System_Users]
-        WHERE id = :scribeId
-          AND manager_user_id = :managerId
-          AND row_status = 1
-        `,
-        {
-          replacements: { scribeId, managerId: currentUserId },
-          type: Sequelize.QueryTypes.SELECT,
-        }
-      );
-
-      if (!check) {
-        return res.status(403).json({
-          ok: false,
-          message: 'You can only assign scribes that report to you',
-        });
-      }
+    if (!isMasterAdmin && !(await repos.mappings.isScribeManagedBy(scribeId, currentUserId))) {
+      return res.status(403).json({
+        ok: false,
+        message: 'You can only assign scribes that report to you',
+      });
     }
 
     const nowUserId = currentUserId || null;
 
     // Upsert model: one *active* mapping per scribe
-    const existing = await sequelize.query(
-      `
-      SELECT TOP 1 id
-      FROM [dbo].[Scribe_Provider_Mapping]
-      WHERE scribe_user_id = :scribeId
-        AND row_status = 1
-      `,
-      {
-        replacements: { scribeId },
-        type: Sequelize.QueryTypes.SELECT,
-      }
-    );
-
-    if (existing && existing.length > 0) {
-      // Update provider for this scribe
-      const mappingId = existing[0].id;
-      await sequelize.query(
-        `
-        UPDATE [dbo].[Scribe_Provider_Mapping]
-        SET
-          provider_user_id = :providerId,
-          modified_date    = SYSDATETIME(),
-          modified_by      = :userId
-        WHERE id = :id
-        `,
-        {
-          replacements: {
-            id: mappingId,
-            providerId,
-            userId: nowUserId,
-          },
-          type: Sequelize.QueryTypes.UPDATE,
-        }
-      );
-    } else {
-      // Insert new mapping row
-      await sequelize.query(
-        `
-        INSERT INTO [dbo].[Scribe_Provider_Mapping] (
-          scribe_user_id,
-          provider_user_id,
-          created_date,
-          created_by,
-          modified_date,
-          modified_by,
-          row_status
-        )
-        VALUES (
-          :scribeId,
-          :providerId,
-          SYSDATETIME(),
-          :userId,
-          SYSDATETIME(),
-          :userId,
-          1
-        )
-        `,
-        {
-          replacements: {
-            scribeId,
-            providerId,
-            userId: nowUserId,
-          },
-          type: Sequelize.QueryTypes.INSERT,
-        }
-      );
-    }
+    const { mappingId, previousProviderId } = await repos.mappings.saveForScribe({
+      scribeUserId: scribeId,
+      providerUserId: providerId,
+      byUserId: nowUserId,
+    });
 
     console.log('[PLATFORM] Scribe_Provider_Mapping saved:', {
       scribeId,
@@ -3890,9 +4805,18 @@ app.post('/api/platform/scribe-provider-mapping', requireLogin, requireScreenWri
       by: nowUserId,
     });
 
-    return res.json({ ok: true, message: 'Mapping saved successfully' });
+    const logged = await writeAdminActivity(req, {
+      action: 'mapping.save',
+      entity: 'Scribe_Provider_Mapping',
+      entityId: mappingId,
+      targetUserId: scribeId,
+      before: previousProviderId != null ? { provider_user_id: previousProviderId } : null,
+      after: { provider_user_id: providerId },
+    });
+
+    return res.json({ ok: true, message: 'Mapping saved successfully', ...activityLogWarning(logged) });
   } catch (err) {
-    console.error('[PLATFORM] /api/platform/scribe-provider-mapping (POST) error:', err);
+    derr('[PLATFORM] /api/platform/scribe-provider-mapping (POST) error:', err);
     return res
       .status(500)
       .json({ ok: false, message: 'Internal server error' });
@@ -3906,80 +4830,9 @@ app.post('/api/platform/scribe-provider-mapping', requireLogin, requireScreenWri
 app.get('/api/platform/lookup-options', requireLogin, requireScreen(6), async (req, res) => {
 
   try {
-    const personasQuery = `
-      SELECT id, persona
-      FROM [dbo].[Personas]
-      WHERE row_status = 1
-      ORDER BY id
-    `;
-
-    const departmentsQuery = `
-      SELECT id, department
-      FROM [dbo].[Departments]
-      WHERE row_status = 1
-      ORDER BY id
-    `;
-
-    const typesQuery = `
-      SELECT id, type
-      FROM [dbo].[Types]
-      WHERE row_status = 1
-      ORDER BY id
-    `;
-
-    const statusesQuery = `
-      SELECT id, status
-      FROM [dbo].[Status]
-      WHERE row_status = 1
-      ORDER BY id
-    `;
-
-    const clinicsQuery = `
-      SELECT id, clinic
-      FROM [dbo].[Clinics]
-      WHERE row_status = 1
-      ORDER BY id
-    `;
-
-    const screensQuery = `
-      SELECT id, screen_name, route_path
-      FROM [dbo].[System_Screens]
-      WHERE row_status = 1
-      ORDER BY id
-    `;
-
-    // All active MANAGERS (Types.type = 'Manager') for Reporting Manager dropdown
-    const managersQuery = `
-      SELECT
-        su.id,
-        su.full_name
-      FROM [dbo].[System_Users] su
-      JOIN [dbo].[User_Role_Mapping] urm
-        ON su.user_role_mapping_id = urm.id
-      JOIN [dbo].[Types] t
-        ON urm.type_id = t.id
-      WHERE su.row_status = 1
-        AND urm.row_status = 1
-        AND t.row_status = 1
-        AND t.type = 'Manager'
-      ORDER BY su.full_name ASC
-    `;
-
-
-
-
-    // ✅ now we grab 7 results, including managers
-    const [personas, departments, types, statuses, clinics, screens, managers] =
-      await Promise.all([
-        sequelize.query(personasQuery, { type: Sequelize.QueryTypes.SELECT }),
-        sequelize.query(departmentsQuery, { type: Sequelize.QueryTypes.SELECT }),
-        sequelize.query(typesQuery, { type: Sequelize.QueryTypes.SELECT }),
-        sequelize.query(statusesQuery, { type: Sequelize.QueryTypes.SELECT }),
-        sequelize.query(clinicsQuery, { type: Sequelize.QueryTypes.SELECT }),
-        sequelize.query(screensQuery, { type: Sequelize.QueryTypes.SELECT }),
-        sequelize.query(managersQuery, { type: Sequelize.QueryTypes.SELECT }), // 👈 NEW
-      ]);
-
+    // Reporting Manager dropdown lists every active user typed Manager
+    const { personas, departments, types, statuses, clinics, screens, managers } =
+      await repos.lookups.listOptions();
 
     return res.json({
       ok: true,
@@ -3995,7 +4848,7 @@ app.get('/api/platform/lookup-options', requireLogin, requireScreen(6), async (r
     });
 
   } catch (err) {
-    console.error('[PLATFORM] /api/platform/lookup-options error:', err);
+    derr('[PLATFORM] /api/platform/lookup-options error:', err);
     return res
       .status(500)
       .json({ ok: false, message: 'Internal server error' });
@@ -4009,45 +4862,17 @@ app.get('/api/platform/providers', requireLogin, requireScreen(6), async (req, r
 
     if (!clinicId || Number.isNaN(clinicId)) {
       return res.status(400).json({
-        ok: false,
-        message: 'clinicId is required and must be a number',
-      });
-    }
-
-    // A "provider" = active user in that clinic with effective READ=1 for XR Device (screen 4)
-    // A "provider" = active user in that clinic whose persona is Provider
-    // A "provider" = active user in that clinic whose persona is Provider
-    const providers = await sequelize.query(
-      `
-      SELECT
-        su.id,
-        su.full_name
-      FROM [dbo].[System_Users] su
-      JOIN [dbo].[User_Role_Mapping] urm
-        ON su.user_role_mapping_id = urm.id
-       AND urm.row_status = 1
-      JOIN [dbo].[Personas] p
-        ON urm.persona_id = p.id
-       AND p.row_status = 1
-       AND p.persona = 'Provider'
-      WHERE
-        su.clinic_id = :clinicId
-        AND su.status_id = 1      -- Active
-        AND su.row_status = 1
-      ORDER BY
-        su.full_name ASC
-      `,
-      {
-        replacements: { clinicId },
-        type: Sequelize.QueryTypes.SELECT,
-      }
-    );
-
+        ok: false,
+        message: 'clinicId is required and must be a number',
+      });
+    }
 
+    // A "provider" = active user in that clinic whose persona is Provider
+    const providers = await repos.users.listClinicProviders(clinicId);
 
     return res.json({ ok: true, providers });
   } catch (err) {
-    console.error('[PLATFORM] /api/platform/providers error:', err);
+    derr('[PLATFORM] /api/platform/providers error:', err);
     return res
       .status(500)
       .json({ ok: false, message: 'Internal server error' });
@@ -4061,37 +4886,8 @@ app.get('/api/platform/my-relations', requireLogin, async (req, res) => {
   try {
     const userId = req.session.user.id;
 
-    // 1️⃣ Load this user's full profile including manager
-    const [me] = await sequelize.query(`
-      SELECT 
-        su.id,
-        su.full_name,
-        su.email,
-        su.manager_user_id,
-        mgr.full_name AS manager_name
-      FROM System_Users su
-      LEFT JOIN System_Users mgr 
-        ON mgr.id = su.manager_user_id AND mgr.row_status = 1
-      WHERE su.id = :userId AND su.row_status = 1
-    `, {
-      replacements: { userId },
-      type: Sequelize.QueryTypes.SELECT
-    });
-
-    // 2️⃣ Load all reportees under this user
-    const reportees = await sequelize.query(`
-      SELECT 
-        su.id,
-        su.full_name,
-        su.email
-      FROM System_Users su
-      WHERE su.manager_user_id = :userId 
-        AND su.row_status = 1
-      ORDER BY su.full_name
-    `, {
-      replacements: { userId },
-      type: Sequelize.QueryTypes.SELECT
-    });
+    // Profile (with manager name) + direct reportees
+    const { me, reportees } = await repos.hierarchy.getRelations(userId);
 
     return res.json({
       ok: true,
@@ -4103,7 +4899,7 @@ app.get('/api/platform/my-relations', requireLogin, async (req, res) => {
     });
 
   } catch (err) {
-    console.error('my-relations error:', err);
+    derr('my-relations error:', err);
     return res.status(500).json({ ok: false, message: 'Internal server error' });
   }
 });
@@ -4118,37 +4914,7 @@ app.get('/api/platform/my-hierarchy', requireLogin, async (req, res) => {
     }
 
     // 1️⃣ Load ALL active users with role/persona/department
-    const users = await sequelize.query(
-      `
-      SELECT
-        su.id,
-        su.full_name,
-        su.email,
-        su.manager_user_id,
-        su.xr_id,
-        su.clinic_id,
-        urm.id AS user_role_mapping_id,
-        p.persona,
-        d.department,
-        t.type AS role_type
-      FROM [dbo].[System_Users] su
-      JOIN [dbo].[User_Role_Mapping] urm
-        ON su.user_role_mapping_id = urm.id
-       AND urm.row_status = 1
-      LEFT JOIN [dbo].[Personas] p
-        ON urm.persona_id = p.id
-       AND p.row_status = 1
-      LEFT JOIN [dbo].[Departments] d
-        ON urm.department_id = d.id
-       AND d.row_status = 1
-      LEFT JOIN [dbo].[Types] t
-        ON urm.type_id = t.id
-       AND t.row_status = 1
-      WHERE su.row_status = 1
-      ORDER BY su.full_name ASC
-      `,
-      { type: Sequelize.QueryTypes.SELECT }
-    );
+    const users = await repos.hierarchy.listActiveUsers();
 
     if (!users || users.length === 0) {
       return res.json({ ok: true, roots: [], stats: { totalUsers: 0 } });
@@ -4215,7 +4981,7 @@ app.get('/api/platform/my-hierarchy', requireLogin, async (req, res) => {
       stats,
     });
   } catch (err) {
-    console.error('[PLATFORM] /api/platform/my-hierarchy error:', err);
+    derr('[PLATFORM] /api/platform/my-hierarchy error:', err);
     return res
       .status(500)
       .json({ ok: false, message: 'Internal server error' });
@@ -4228,37 +4994,7 @@ app.get('/api/platform/my-hierarchy', requireLogin, async (req, res) => {
 app.get('/api/platform/user-hierarchy', requireSuperAdmin, async (req, res) => {
   try {
     // 1️⃣ Load ALL active users with role/persona/department
-    const users = await sequelize.query(
-      `
-      SELECT
-        su.id,
-        su.full_name,
-        su.email,
-        su.manager_user_id,
-        su.xr_id,
-        su.clinic_id,
-        urm.id AS user_role_mapping_id,
-        p.persona,
-        d.department,
-        t.type AS role_type
-      FROM [dbo].[System_Users] su
-      JOIN [dbo].[User_Role_Mapping] urm
-        ON su.user_role_mapping_id = urm.id
-       AND urm.row_status = 1
-      LEFT JOIN [dbo].[Personas] p
-        ON urm.persona_id = p.id
-       AND p.row_status = 1
-      LEFT JOIN [dbo].[Departments] d
-        ON urm.department_id = d.id
-       AND d.row_status = 1
-      LEFT JOIN [dbo].[Types] t
-        ON urm.type_id = t.id
-       AND t.row_status = 1
-      WHERE su.row_status = 1
-      ORDER BY su.full_name ASC
-      `,
-      { type: Sequelize.QueryTypes.SELECT }
-    );
+    const users = await repos.hierarchy.listActiveUsers();
 
     // 2️⃣ Build a map: id -> node
     const byId = new Map();
@@ -4309,7 +5045,7 @@ app.get('/api/platform/user-hierarchy', requireSuperAdmin, async (req, res) => {
       stats,     // useful summary
     });
   } catch (err) {
-    console.error('[PLATFORM] /api/platform/user-hierarchy error:', err);
+    derr('[PLATFORM] /api/platform/user-hierarchy error:', err);
     return res
       .status(500)
       .json({ ok: false, message: 'Internal server error' });
@@ -4373,19 +5109,31 @@ try {
     }
   }
   else {
-    console.warn("[MAIL] ❌ No valid credentials found - emails disabled");
+    dwarn("[MAIL] ❌ No valid credentials found - emails disabled");
   }
 
   if (!ACS_ENDPOINT && !process.env.ACS_CONNECTION_STRING) {
-    console.warn("[MAIL] ACS_ENDPOINT or ACS_CONNECTION_STRING missing – emails skipped");
+    dwarn("[MAIL] ACS_ENDPOINT or ACS_CONNECTION_STRING missing – emails skipped");
   }
 } catch (e) {
-  console.warn("[MAIL] ❌ ACS Email init failed – emails skipped", e?.message || e);
+  dwarn("[MAIL] ❌ ACS Email init failed – emails skipped", e?.message || e);
 }
 
+// ACS in production; SMTP catcher or in-memory transport for local runs and tests (MAIL_TRANSPORT)
+const mailTransport = selectMailTransport({
+  emailClient,
+  from: EMAIL_FROM,
+  replyTo: EMAIL_REPLY_TO,
+  senderName: SENDER_NAME,
+});
+console.log("[MAIL] Transport:", mailTransport ? mailTransport.name : "none (emails skipped)");
+
+// Public base URL used in email links
+const PLATFORM_BASE_URL = (process.env.PLATFORM_BASE_URL || "http://localhost:8080").replace(/\/+$/, "");
+
 async function sendNewLoginEmail({ to, name, email, password }) {
-  if (!emailClient) {
-    console.warn("[MAIL] EmailClient unavailable – skip email to", to);
+  if (!mailTransport) {
+    dwarn("[MAIL] Mail transport unavailable – skip email to", to);
     return;
   }
 
@@ -4396,7 +5144,7 @@ async function sendNewLoginEmail({ to, name, email, password }) {
     "",
     "Your XR Platform login has been created.",
     "",
-    "Login URL: http://localhost:8080/platform",
+    `Login URL: ${PLATFORM_BASE_URL}/platform`,
     `Email: ${email}`,
     `Password: ${password}`,
     "",
@@ -4411,7 +5159,7 @@ async function sendNewLoginEmail({ to, name, email, password }) {
     <p>Your <strong>XR Platform</strong> login has been created.</p>
     <p>
       <strong>Login URL:</strong>
-      <a href="http://localhost:8080/platform">http://localhost:8080/platform</a><br/>
+      <a href="${PLATFORM_BASE_URL}/platform">${PLATFORM_BASE_URL}/platform</a><br/>
       <strong>Email:</strong> ${email}<br/>
       <strong>Password:</strong> ${password}
     </p>
@@ -4420,39 +5168,150 @@ async function sendNewLoginEmail({ to, name, email, password }) {
   `;
 
   try {
-    const message = {
-      senderAddress: EMAIL_FROM,
-      recipients: {
-        to: [{ address: to }],
-      },
-      content: {
-        subject,
-        plainText: text,
-        html,
-      },
-      replyTo: [{ address: EMAIL_REPLY_TO, displayName: SENDER_NAME }],
-    };
-
-    console.log("[MAIL] ACS_ENDPOINT:", ACS_ENDPOINT || "Using connection string");
+    console.log("[MAIL] transport:", mailTransport.name);
     console.log("[MAIL] senderAddress:", EMAIL_FROM);
     console.log("[MAIL] replyTo:", EMAIL_REPLY_TO);
 
-    const poller = await emailClient.beginSend(message);
-    await poller.pollUntilDone();
+    await mailTransport.send({ to, subject, text, html });
 
-    console.log("[MAIL] ✅ Login details sent to", to);
+    console.log("[MAIL] ✅ Login details sent");
   } catch (err) {
-    console.error("[MAIL] ❌ Failed to send login email to", to);
-    console.error("[MAIL] name:", err?.name);
-    console.error("[MAIL] message:", err?.message);
-    console.error("[MAIL] status:", err?.statusCode || err?.status);
-    console.error("[MAIL] code:", err?.code);
-    console.error("[MAIL] details:", err?.details);
+    derr("[MAIL] ❌ Failed to send login email to", to);
+    derr("[MAIL] name:", err?.name);
+    derr("[MAIL] message:", err?.message);
+    derr("[MAIL] status:", err?.statusCode || err?.status);
+    derr("[MAIL] code:", err?.code);
+    derr("[MAIL] details:", err?.details);
     // Don't log full error to keep console clean
   }
 }
 
 
+// -------------------- Self-service password reset (System_Users) --------------------
+// 1) POST /api/platform/password/forgot  → emails a signed, expiring, single-use link
+// 2) POST /api/platform/password/reset   → consumes the token and stores a new bcrypt hash
+const PASSWORD_MIN_LENGTH = 8;
+const RESET_RESEND_COOLDOWN_SECONDS = 60;
+
+async function sendPasswordResetEmail({ to, name, link, expiresMinutes }) {
+  if (!mailTransport) {
+    dwarn("[MAIL] Mail transport unavailable – skip reset email to", to);
+    return;
+  }
+
+  const subject = "Reset your XR Platform password";
+  const text = [
+    `Hi ${name || "User"},`,
+    "",
+    "We received a request to reset your XR Platform password.",
+    `Use this link within ${expiresMinutes} minutes (it works once):`,
+    "",
+    link,
+    "",
+    "If you did not ask for this, you can ignore this email.",
+    "",
+    "Thanks,",
+    "XR Platform",
+  ].join("\n");
+
+  const html = `
+    <p>Hi ${name || "User"},</p>
+    <p>We received a request to reset your <strong>XR Platform</strong> password.</p>
+    <p>Use this link within ${expiresMinutes} minutes (it works once):</p>
+    <p><a href="${link}">Reset my password</a></p>
+    <p>If you did not ask for this, you can ignore this email.</p>
+    <p>Thanks,<br/>XR Platform</p>
+  `;
+
+  await mailTransport.send({ to, subject, text, html });
+  console.log("[MAIL] ✅ Password reset link sent");
+}
+
+// Runs after the HTTP response so timing never reveals whether the email exists
+async function issuePasswordReset(email, ip) {
+  const user = await repos.users.findForPasswordReset({ email });
+  if (!user) {
+    dlog('[PASSWORD_RESET] no active user for requested email');
+    return;
+  }
+
+  // Cooldown: avoid mail-bombing the same account
+  if (await repos.passwordResets.hasRecent(user.id, RESET_RESEND_COOLDOWN_SECONDS)) {
+    dlog('[PASSWORD_RESET] cooldown active for user id', user.id);
+    return;
+  }
+
+  const { token, tokenHash, expiresAt } = resetTokens.createResetToken(user.id, user.password);
+
+  await repos.passwordResets.create({ userId: user.id, tokenHash, expiresAt, ip: ip || null });
+
+  const link = `${PLATFORM_BASE_URL}/platform?resetToken=${encodeURIComponent(token)}`;
+  await sendPasswordResetEmail({
+    to: user.email,
+    name: user.full_name,
+    link,
+    expiresMinutes: Math.round(resetTokens.RESET_TTL_MS / 60000),
+  });
+  console.log('[PASSWORD_RESET] Token issued for user id:', user.id);
+}
+
+app.post('/api/platform/password/forgot', async (req, res) => {
+  const email = String((req.body || {}).email || '').trim();
+  if (!email) {
+    return res.status(400).json({ ok: false, message: 'Email is required' });
+  }
+
+  // Same answer for every email
+  res.json({ ok: true, message: 'If an account exists for that email, a reset link has been sent.' });
+
+  issuePasswordReset(email, req.ip).catch((err) => {
+    derr('[PASSWORD_RESET] forgot error:', err?.message || err);
+  });
+});
+
+app.post('/api/platform/password/reset', async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    const invalid = () =>
+      res.status(400).json({ ok: false, message: 'This reset link is invalid or has expired' });
+
+    if (!token || !password) {
+      return res.status(400).json({ ok: false, message: 'Token and new password are required' });
+    }
+    if (String(password).length < PASSWORD_MIN_LENGTH) {
+      return res
+        .status(400)
+        .json({ ok: false, message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+    }
+
+    const claims = resetTokens.verifyResetToken(token);
+    if (!claims) return invalid();
+
+    const user = await repos.users.findForPasswordReset({ id: claims.userId });
+    // Password already changed since the token was issued → token is dead
+    if (!user || resetTokens.passwordFingerprint(user.password) !== claims.pwf) return invalid();
+
+    // Claims the token, stores the new hash and retires the user's other links in one transaction;
+    // a second request with the same token gets false back
+    const redeemed = await repos.passwordResets.redeem({
+      userId: user.id,
+      tokenHash: resetTokens.hashResetToken(token),
+      passwordHash: await hashPassword(password),
+    });
+    if (!redeemed) return invalid();
+
+    // A successful reset also lifts any login lockout on this email
+    await loginThrottle.unlock({ email: user.email });
+
+    console.log('[PASSWORD_RESET] ✅ Password reset for user id:', user.id);
+    return res.json({ ok: true, message: 'Your password has been reset. You can sign in now.' });
+  } catch (err) {
+    derr('[PASSWORD_RESET] reset error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
+
 // -------------------- Create Login User (System_Users) --------------------
 app.post('/api/auth/create-user', requireSuperAdmin, async (req, res) => {
   try {
@@ -4468,212 +5327,53 @@ app.post('/api/auth/create-user', requireSuperAdmin, async (req, res) => {
     }
 
     // 1) Check if a System_Users row already exists for this email
-    const existing = await sequelize.query(
-      `
-      SELECT id
-      FROM [dbo].[System_Users]
-      WHERE email = :email
-        AND row_status = 1
-      `,
-      {
-        replacements: { email },
-        type: Sequelize.QueryTypes.SELECT,
-      }
-    );
-
-    if (existing && existing.length > 0) {
+    if (await repos.users.existsByEmail(email)) {
       return res
         .status(400)
         .json({ ok: false, message: 'A user with this email already exists' });
     }
 
-    // 2) Look up basic role + status IDs.
-    // For now, treat login-created users as Employee / IT / Member / Active.
-    // For now, treat login-created users as Employee / IT / Employee / Active.
     // 2) Look up basic role + status IDs.
     // For now, treat login-created users as Employee / IT / Employee / Active.
-    const personaRow = await sequelize.query(
-      `SELECT id FROM [dbo].[Personas] WHERE persona = 'Employee' AND row_status = 1`,
-      { type: Sequelize.QueryTypes.SELECT }
-    );
-    const deptRow = await sequelize.query(
-      `SELECT id FROM [dbo].[Departments] WHERE department = 'IT' AND row_status = 1`,
-      { type: Sequelize.QueryTypes.SELECT }
-    );
-    const typeRow = await sequelize.query(
-      `SELECT id FROM [dbo].[Types] WHERE type = 'Employee' AND row_status = 1`,
-      { type: Sequelize.QueryTypes.SELECT }
-    );
-    const statusRow = await sequelize.query(
-      `SELECT id FROM [dbo].[Status] WHERE status = 'Active' AND row_status = 1`,
-      { type: Sequelize.QueryTypes.SELECT }
-    );
-
+    const ids = await repos.lookups.findIds({
+      persona: 'Employee',
+      department: 'IT',
+      type: 'Employee',
+      status: 'Active',
+    });
 
-    if (!personaRow.length || !deptRow.length || !typeRow.length || !statusRow.length) {
+    if (!ids.personaId || !ids.departmentId || !ids.typeId || !ids.statusId) {
       return res
         .status(500)
         .json({ ok: false, message: 'Master data (Personas/Departments/Types/Status) missing' });
     }
 
-    const personaId = personaRow[0].id;
-    const departmentId = deptRow[0].id;
-    const typeId = typeRow[0].id;
-    const statusId = statusRow[0].id;
-
     const createdById = (req.session.user && req.session.user.id) || null;
 
     // For now, we don’t resolve reportingManager → System_Users.id yet
     const managerUserId = null;
 
-    // 3) Wrap inserts in a transaction
-    const transaction = await sequelize.transaction();
-
-    try {
-      // 3a) Insert into User_Role_Mapping
-      const [roleRows] = await sequelize.query(
-        `
-        INSERT INTO [dbo].[User_Role_Mapping] (
-          persona_id,
-          department_id,
-          type_id,
-          created_date,
-          created_by,
-          modified_date,
-          modified_by,
-          row_status
-        )
-        VALUES (
-          :personaId,
-          :departmentId,
-          :typeId,
-          SYSDATETIME(),
-          :createdBy,
-          SYSDATETIME(),
-          :createdBy,
-          1
-        );
-        SELECT SCOPE_IDENTITY() AS id;
-        `,
-        {
-          replacements: { personaId, departmentId, typeId, createdBy: createdById },
-          type: Sequelize.QueryTypes.SELECT,
-          transaction,
-        }
-      );
-
-      const userRoleMappingId = roleRows[0].id;
-
-      // 3b) Insert into System_Users
-      await sequelize.query(
-        `
-        INSERT INTO [dbo].[System_Users] (
-          full_name,
-          email,
-          password,
-          manager_user_id,
-          clinic_id,
-          xr_id,
-          status_id,
-          user_role_mapping_id,
-          created_date,
-          created_by,
-          modified_date,
-          modified_by,
-          row_status
-        )
-        VALUES (
-          :full_name,
-          :email,
-          :password,
-          :manager_user_id,
-          NULL,
-          NULL,
-          :status_id,
-          :user_role_mapping_id,
-          SYSDATETIME(),
-          :created_by,
-          SYSDATETIME(),
-          :created_by,
-          1
-        )
-        `,
-        {
-          replacements: {
-            full_name: name,
-            email,
-            password,          // plain for now, same as before
-            manager_user_id: managerUserId,
-            status_id: statusId,
-            user_role_mapping_id: userRoleMappingId,
-            created_by: createdById,
-          },
-          type: Sequelize.QueryTypes.INSERT,
-          transaction,
-        }
-      );
-
-      // 3c) Insert screen rights into Access_Rights (if any screens were selected)
-      if (rights && rights.length > 0) {
-        for (const rawId of rights) {
-          const screenId = Number(rawId);
-          if (!Number.isFinite(screenId)) continue; // skip bad values
-
-          await sequelize.query(
-            `
-            INSERT INTO [dbo].[Access_Rights] (
-              user_role_mapping_id,
-              system_screen_id,
-              [read],
-              [write],
-              [edit],
-              [delete],
-              created_date,
-              created_by,
-              modified_date,
-              modified_by,
-              row_status
-            )
-            VALUES (
-              :user_role_mapping_id,
-              :system_screen_id,
-              1,  -- read allowed
-              0,  -- write
-              0,  -- edit
-              0,  -- delete
-              SYSDATETIME(),
-              :created_by,
-              SYSDATETIME(),
-              :created_by,
-              1
-            )
-            `,
-            {
-              replacements: {
-                user_role_mapping_id: userRoleMappingId,
-                system_screen_id: screenId,
-                created_by: createdById,
-              },
-              type: Sequelize.QueryTypes.INSERT,
-              transaction,
-            }
-          );
-        }
-      }
-
-      await transaction.commit();
-    } catch (err) {
-      await transaction.rollback();
-      throw err;
-    }
-
-
+    const passwordHash = await hashPassword(password);
 
-    console.log('[AUTH/System_Users] Login user created via /api/auth/create-user:', {
-      name,
-      email,
+    // 3) User_Role_Mapping + System_Users + read-only Access_Rights in one transaction
+    const { userId: newUserId } = await repos.users.create({
+      role: { personaId: ids.personaId, departmentId: ids.departmentId, typeId: ids.typeId },
+      user: {
+        fullName: name,
+        email,
+        passwordHash,
+        managerUserId,
+        statusId: ids.statusId,
+      },
+      rights: rights
+        .map(Number)
+        .filter(Number.isFinite)
+        .map((screenId) => ({ screenId, read: 1, write: 0, edit: 0, delete: 0 })),
+      createdBy: createdById,
     });
 
+    console.log('[AUTH/System_Users] Login user created via /api/auth/create-user, user id:', newUserId);
+
     // 4) Send welcome email (same helper)
     try {
       await sendNewLoginEmail({
@@ -4683,7 +5383,7 @@ app.post('/api/auth/create-user', requireSuperAdmin, async (req, res) => {
         password,
       });
     } catch (mailErr) {
-      console.error('[AUTH/System_Users] Failed to send welcome email:', mailErr.message || mailErr);
+      derr('[AUTH/System_Users] Failed to send welcome email:', mailErr.message || mailErr);
       // do not fail request because of email
     }
 
@@ -4692,7 +5392,7 @@ app.post('/api/auth/create-user', requireSuperAdmin, async (req, res) => {
       message: 'Login user created in System_Users and email sent',
     });
   } catch (err) {
-    console.error('[AUTH/System_Users] Create login user error:', err);
+    derr('[AUTH/System_Users] Create login user error:', err);
     return res
       .status(500)
       .json({ ok: false, message: 'Internal server error' });
@@ -4713,34 +5413,43 @@ app.post('/api/auth/login', async (req, res) => {
         .json({ ok: false, message: 'Email and password are required' });
     }
 
+    const gate = await loginThrottle.check(email, req.ip);
+    if (!gate.allowed) {
+      return sendLoginThrottled(res, gate);
+    }
+
     // 2) Look up user in auth_users by email
-    const users = await sequelize.query(
-      `
-      SELECT id, name, email, password_hash, reporting_manager
-      FROM [dbo].[auth_users]
-      WHERE email = :email
-      `,
-      {
-        replacements: { email },
-        type: Sequelize.QueryTypes.SELECT,
-      }
-    );
+    const user = await repos.legacy.findAuthUser(email);
 
-    if (!users || users.length === 0) {
+    if (!user) {
+      await equalizeLoginTiming(password);
+      await loginThrottle.recordFailure(email, req.ip);
       return res
         .status(401)
         .json({ ok: false, message: 'Invalid email or password' });
     }
 
-    const user = users[0];
-
-    // 3) For now: plain password compare (later we'll use bcrypt)
-    if (user.password_hash !== password) {
+    // 3) bcrypt compare (legacy plain-text rows still accepted, then re-hashed)
+    const pw = await verifyPassword(password, user.password_hash);
+    if (!pw.ok) {
+      await loginThrottle.recordFailure(email, req.ip);
       return res
         .status(401)
         .json({ ok: false, message: 'Invalid email or password' });
     }
 
+    if (pw.needsRehash) {
+      try {
+        const newHash = await hashPassword(password);
+        await repos.legacy.updateAuthUserHash(user.id, newHash);
+        console.log('[AUTH] Password re-hashed for auth_users id:', user.id);
+      } catch (rehashErr) {
+        derr('[AUTH] Password re-hash failed:', rehashErr?.message || rehashErr);
+      }
+    }
+
+    await loginThrottle.recordSuccess(email);
+
     // 4) Success – return user info (no session/JWT yet)
     return res.json({
       ok: true,
@@ -4752,7 +5461,7 @@ app.post('/api/auth/login', async (req, res) => {
       },
     });
   } catch (err) {
-    console.error('[AUTH] /api/auth/login error:', err);
+    derr('[AUTH] /api/auth/login error:', err);
     return res
       .status(500)
       .json({ ok: false, message: 'Internal server error' });
@@ -4790,7 +5499,7 @@ app.post('/desktop-telemetry', (req, res) => {
     // latest snapshot for device rows
     telemetryByDevice.set(xrId, rec);
 
-    // history (drives charts/detail modal)
+    // history (drives charts/detail modal); unauthenticated, so never persisted (no socket)
     pushHist(telemetryHist, xrId, {
       ts: rec.ts,
       connType: rec.connType,
@@ -4820,6 +5529,37 @@ app.post('/desktop-telemetry', (req, res) => {
   }
 });
 
+// ---- Device metric history (dashboard detail charts) ----
+// GET /api/metrics/:xrId?metric=jitterMs,rttMs&from=…&to=…&resolution=auto|raw|1m|1h
+// from / to: epoch ms or ISO date; defaults to the last 24 hours.
+function parseMetricTime(v, fallback) {
+  if (v == null || v === '') return fallback;
+  return /^\d+$/.test(String(v)) ? Number(v) : Date.parse(v);
+}
+
+app.get('/api/metrics/:xrId', requireLogin, requireScreen(SCREEN_XR_HUB_DASHBOARD), async (req, res) => {
+  try {
+    const to = parseMetricTime(req.query.to, Date.now());
+    const from = parseMetricTime(req.query.from, to - 24 * 60 * 60 * 1000);
+    const metrics = req.query.metric
+      ? String(req.query.metric).split(',').map((m) => m.trim()).filter(Boolean)
+      : DEVICE_METRICS;
+
+    const result = await deviceMetrics.query({
+      xrId: String(req.params.xrId || '').trim(),
+      metrics,
+      from,
+      to,
+      resolution: String(req.query.resolution || 'auto'),
+    });
+    res.json(result);
+  } catch (e) {
+    if (e?.code === 'BAD_QUERY') return res.status(400).json({ error: e.message });
+    derr('[METRICS] query failed:', e?.message || e);
+    res.status(500).json({ error: 'Failed to load metrics' });
+  }
+});
+
 
 
 
@@ -4852,16 +5592,16 @@ function normalizeMedicationList(raw) {
 }
 
 // -------------------- SOAP Note Generator --------------------
-async function generateSoapNote(transcript, templateId = null) {
-  const SOAP_TEMPLATE_ID = Number(process.env.SOAP_NOTE_TEMPLATE_ID || 20);
-  const ABACUS_API_KEY = process.env.ABACUS_API_KEY;
-
-  const text = String(transcript || "").trim();
-  if (!text) return { Error: ["Empty transcript"] };
-  if (!ABACUS_API_KEY) return { Error: ["Missing ABACUS_API_KEY"] };
+// Model value for one section (strings or { text, evidence } items) → string[] or "Not mentioned in transcript"
+function normalizeSoapSection(v) {
+  const bullets = bulletsOf(v);
+  return bullets ? bullets.map((b) => b.text) : NOT_MENTIONED;
+}
 
-  const model = String(process.env.ABACUS_MODEL || "").trim();
-  if (!model) return { Error: ["Missing ABACUS_MODEL"] };
+// Template id from the request ("default" / missing / invalid → SOAP_NOTE_TEMPLATE_ID) →
+// { sections, sectionToMappingId, templateMeta } in template order, or { error }
+async function loadNoteTemplate(templateId) {
+  const SOAP_TEMPLATE_ID = Number(process.env.SOAP_NOTE_TEMPLATE_ID || 20);
 
   const tplId = (() => {
     if (templateId === null || templateId === undefined || templateId === "default") {
@@ -4871,94 +5611,79 @@ async function generateSoapNote(transcript, templateId = null) {
     return Number.isFinite(n) && n > 0 ? n : SOAP_TEMPLATE_ID;
   })();
 
-  const extractErrMsg = (err) =>
-    String(
-      err?.response?.data?.error?.message ||
-        err?.response?.data?.message ||
-        (typeof err?.response?.data === "string" ? err.response.data : "") ||
-        err?.message ||
-        "Error generating note"
-    );
-
-  try {
-    // 1) Template meta
-    const templateRows = await sequelize.query(
-      `
-      SELECT TOP 1 id, template AS name, short_name
-      FROM [dbo].[Templates]
-      WHERE id = :templateId AND row_status = 1;
-      `,
-      { replacements: { templateId: tplId }, type: Sequelize.QueryTypes.SELECT }
-    );
-
-    if (!templateRows?.length) {
-      return { Error: [`Template ${tplId} not found or inactive (row_status != 1).`] };
-    }
-
-    // 2) Components (retry if view doesn't have v.row_status)
-    let components = [];
-    try {
-      components = await sequelize.query(
-        `
-        SELECT v.mapping_id, v.component AS name, v.position
-        FROM [dbo].[View_Template_Component_Mapping] v
-        WHERE v.template_id = :templateId
-          AND v.row_status = 1
-        ORDER BY v.position ASC;
-        `,
-        { replacements: { templateId: tplId }, type: Sequelize.QueryTypes.SELECT }
-      );
-    } catch (e) {
-      const msg = String(e?.message || "");
-      const rowStatusMissing = /invalid column/i.test(msg) && /row_status/i.test(msg);
-      if (!rowStatusMissing) throw e;
-
-      components = await sequelize.query(
-        `
-        SELECT v.mapping_id, v.component AS name, v.position
-        FROM [dbo].[View_Template_Component_Mapping] v
-        WHERE v.template_id = :templateId
-        ORDER BY v.position ASC;
-        `,
-        { replacements: { templateId: tplId }, type: Sequelize.QueryTypes.SELECT }
-      );
-    }
+  // 1) Template meta
+  const template = await repos.templates.findActive(tplId);
 
-    if (!components?.length) {
-      return { Error: [`Template ${tplId} has no active components/mappings.`] };
-    }
+  if (!template) {
+    return { error: `Template ${tplId} not found or inactive (row_status != 1).` };
+  }
 
-    // 3) Normalize component rows -> sections
-    const seen = new Set();
-    const orderedComponentRows = components
-      .map((r) => ({
-        mapping_id: Number(r.mapping_id),
-        name: String(r.name || "").trim(),
-        position: Number(r.position ?? 0),
-      }))
-      .filter((r) => Number.isFinite(r.mapping_id) && r.mapping_id > 0 && r.name)
-      .filter((r) => (seen.has(r.name) ? false : (seen.add(r.name), true)));
+  // 2) Components in template order
+  const components = await repos.templates.listComponents(tplId);
 
-    if (!orderedComponentRows.length) {
-      return { Error: [`Template ${tplId} components are invalid (missing mapping_id/name).`] };
-    }
+  if (!components?.length) {
+    return { error: `Template ${tplId} has no active components/mappings.` };
+  }
 
-    const sections = orderedComponentRows.map((r) => r.name);
+  // 3) Normalize component rows -> sections
+  const seen = new Set();
+  const orderedComponentRows = components
+    .map((r) => ({
+      mapping_id: Number(r.mapping_id),
+      name: String(r.name || "").trim(),
+      position: Number(r.position ?? 0),
+    }))
+    .filter((r) => Number.isFinite(r.mapping_id) && r.mapping_id > 0 && r.name)
+    .filter((r) => (seen.has(r.name) ? false : (seen.add(r.name), true)));
+
+  if (!orderedComponentRows.length) {
+    return { error: `Template ${tplId} components are invalid (missing mapping_id/name).` };
+  }
 
-    const sectionToMappingId = {};
-    for (const r of orderedComponentRows) sectionToMappingId[r.name] = r.mapping_id;
+  const sectionToMappingId = {};
+  for (const r of orderedComponentRows) sectionToMappingId[r.name] = r.mapping_id;
 
-    const templateMeta = {
-      templateId: templateRows[0].id,
-      templateName: templateRows[0].name,
-      short_name: templateRows[0].short_name || null,
+  return {
+    sections: orderedComponentRows.map((r) => r.name),
+    sectionToMappingId,
+    templateMeta: {
+      templateId: template.id,
+      templateName: template.name,
+      short_name: template.short_name || null,
       components: orderedComponentRows.map((r) => ({
         mapping_id: r.mapping_id,
         template_component_mapping_id: r.mapping_id,
         name: r.name,
         position: r.position,
       })),
-    };
+    },
+  };
+}
+
+// clinicId picks the LLM provider (see llm/llm-client.js). Streaming callers pass
+// onTemplate(templateMeta), called once the sections are known, and onSection(name, value,
+// evidence), called as each section of the answer completes; `signal` aborts the model call.
+// note._evidence[section] lists the supporting transcript sentences per bullet (notes/evidence.js),
+// note._grounding[section] the claims the transcript does not support (notes/grounding.js).
+async function generateSoapNote(
+  transcript,
+  templateId = null,
+  { clinicId = null, signal = null, onTemplate = null, onSection = null } = {}
+) {
+  const text = String(transcript || "").trim();
+  if (!text) return { Error: ["Empty transcript"] };
+
+  const extractErrMsg = (err) => String(err?.message || "Error generating note");
+
+  try {
+    // 1-3) Template + sections
+    const tpl = await loadNoteTemplate(templateId);
+    if (tpl.error) return { Error: [tpl.error] };
+
+    const { sections, sectionToMappingId, templateMeta } = tpl;
+    onTemplate?.(templateMeta);
+
+    const segments = segmentTranscript(text);
 
     // 4) Prompt
     const sectionListText = sections.map((s) => `- ${s}`).join("\n");
@@ -4975,71 +5700,47 @@ async function generateSoapNote(transcript, templateId = null) {
                     OUTPUT (strict):
                     - Return ONLY valid JSON.
                     - Keys MUST exactly match the section names below (same spelling/casing).
-                    - Each value MUST be an array of strings OR the exact string "Not mentioned in transcript".
+                    - Each value MUST be an array of objects { "text": "<statement>", "evidence": ["S1", ...] } OR the exact string "Not mentioned in transcript".
+                    - "evidence" lists the ids of the transcript sentences that state the fact; use [] only if none does.
 
                     SECTION NAMES (in order):
                     ${sectionListText}
 
-                   TRANSCRIPT (raw):
-                  ${text}
+                   TRANSCRIPT (numbered sentences):
+                  ${numberedTranscript(segments)}
                 `.trim();
 
-    // 5) RouteLLM call (model comes ONLY from env)
-    const temperature = Number(process.env.ABACUS_TEMPERATURE || 0.1);
-
-    const response = await axios.post(
-      "https://routellm.abacus.ai/v1/chat/completions",
-      {
-        model,
-        messages: [{ role: "user", content: prompt }],
-        temperature,
-        stream: false,
-        response_format: { type: "json_object" },
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${ABACUS_API_KEY}`,
-          "Content-Type": "application/json",
-        },
-        timeout: 60000,
-      }
-    );
-
-    // 6) Parse JSON
-    let raw = response?.data?.choices?.[0]?.message?.content ?? "{}";
-    if (typeof raw !== "string") raw = JSON.stringify(raw);
-
-    raw = raw.trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/i, "");
+    // 5) LLM call; the stub provider (MOCK_MODE / CI) answers from the transcript itself
+    const request = {
+      task: "soap_note",
+      clinicId,
+      json: true,
+      messages: [{ role: "user", content: prompt }],
+      temperature: Number(process.env.LLM_NOTE_TEMPERATURE ?? process.env.ABACUS_TEMPERATURE ?? 0.1),
+      signal,
+      stub: () => cannedAi.cannedSoapNote(text, sections),
+    };
 
     let parsed;
-    try {
-      parsed = JSON.parse(raw);
-    } catch {
-      const first = raw.indexOf("{");
-      const last = raw.lastIndexOf("}");
-      if (first !== -1 && last !== -1) parsed = JSON.parse(raw.slice(first, last + 1));
-      else throw new Error("Model did not return valid JSON");
+    if (onSection) {
+      const reader = createJsonEntryReader((name, value) => {
+        if (sections.includes(name)) onSection(name, normalizeSoapSection(value), sectionEvidence(value, segments));
+      });
+      ({ json: parsed } = await llm.stream({ ...request, onText: (delta) => reader.push(delta) }));
+    } else {
+      ({ json: parsed } = await llm.complete(request));
     }
 
-    // 7) Normalize output + attach meta for EHR insert
+    // 6) Normalize output + attach meta for EHR insert
     const note = {};
-    for (const s of sections) {
-      const v = parsed?.[s];
-
-      if (Array.isArray(v)) {
-        const arr = v.map((x) => String(x || "").trim()).filter(Boolean);
-        note[s] = arr.length ? arr : "Not mentioned in transcript";
-      } else if (typeof v === "string") {
-        const t = v.trim();
-        note[s] = !t
-          ? "Not mentioned in transcript"
-          : t === "Not mentioned in transcript"
-            ? "Not mentioned in transcript"
-            : [t];
-      } else {
-        note[s] = "Not mentioned in transcript";
-      }
-    }
+    for (const s of sections) note[s] = normalizeSoapSection(parsed?.[s]);
+
+    note._evidence = {};
+    for (const s of sections) note._evidence[s] = sectionEvidence(parsed?.[s], segments);
+
+    note._grounding = checkGrounding(note, text, sections);
+    const flagged = countGroundingIssues(note._grounding);
+    if (flagged) dlog(`[SOAP_NOTE] grounding: ${flagged} claim(s) not supported by the transcript`);
 
     note._templateMeta = templateMeta;
     note._templateComponentMappingIds = sectionToMappingId;
@@ -5061,28 +5762,84 @@ async function generateSoapNote(transcript, templateId = null) {
 
     return note;
   } catch (err) {
-    console.error("[SOAP_NOTE] generation failed:", extractErrMsg(err));
-    if (err?.response) {
-      console.error("[SOAP_NOTE] RouteLLM status:", err.response.status);
-      console.error("[SOAP_NOTE] RouteLLM data:", err.response.data);
+    if (err?.code === "ABORTED") {
+      dlog("[SOAP_NOTE] generation cancelled");
+    } else {
+      derr("[SOAP_NOTE] generation failed:", extractErrMsg(err), err?.code ? `(${err.code})` : "");
     }
     return { Error: [extractErrMsg(err)] };
   }
 }
 
-// Parse Medication from SOAP note, check dbo.DrugMaster.drug, and log availability
-async function checkSoapMedicationAvailability(soapNote, opts = {}) {
-  const schema = opts.schema || 'dbo';
-  const table = opts.table || 'DrugMaster';
-  const nameCol = opts.nameCol || 'drug';
+const MAX_SECTION_INSTRUCTIONS = 500;
+
+// One section of a template note, regenerated from the transcript. `instructions` (from the
+// scribe, e.g. "more concise") and `currentText` (the section as it stands) steer the wording
+// but never the source rule. → { section, value, evidence, grounding } or { error, status }
+async function regenerateSoapSection({ transcript, templateId, section, instructions = "", currentText = "", clinicId = null }) {
+  const text = String(transcript || "").trim();
+  if (!text) return { status: 400, error: "transcript is required" };
 
-  // Normalize a term in JS exactly the same way we normalize in SQL
-  function normalizeTerm(s) {
-    return String(s || '')
-      .toLowerCase()
-      .replace(/[ \-\/\.,'()]/g, ''); // remove spaces and punctuation
+  const tpl = await loadNoteTemplate(templateId);
+  if (tpl.error) return { status: 400, error: tpl.error };
+
+  const name = String(section || "").trim();
+  if (!tpl.sections.includes(name)) {
+    return { status: 400, error: `"${name}" is not a section of template ${tpl.templateMeta.templateId}` };
   }
 
+  const instruction = String(instructions || "").trim().slice(0, MAX_SECTION_INSTRUCTIONS);
+  const draft = String(currentText || "").trim();
+  const segments = segmentTranscript(text);
+
+  const prompt = `
+You are a clinical documentation assistant rewriting ONE section of a clinical note.
+
+CRITICAL RULES:
+- Use ONLY information explicitly present in the transcript.
+- If not stated, write exactly: "Not mentioned in transcript"
+- Preserve negations/uncertainty exactly.
+- Do not invent vitals, exam, diagnoses, meds, allergies, labs/imaging, or timelines.
+- If contradictory, include both and mark: "Conflicting in transcript"
+- The scribe instruction may change wording, length or focus, never these rules.
+
+OUTPUT (strict):
+- Return ONLY valid JSON with exactly one key: ${JSON.stringify(name)}
+- Its value MUST be an array of objects { "text": "<statement>", "evidence": ["S1", ...] } OR the exact string "Not mentioned in transcript".
+- "evidence" lists the ids of the transcript sentences that state the fact; use [] only if none does.
+
+SECTION: ${name}
+OTHER SECTIONS OF THIS NOTE (do not repeat their content unless it belongs here): ${tpl.sections.filter((s) => s !== name).join(", ") || "none"}
+
+SCRIBE INSTRUCTION: ${instruction || "none"}
+
+CURRENT SECTION TEXT:
+${draft || "(empty)"}
+
+TRANSCRIPT (numbered sentences):
+${numberedTranscript(segments)}
+`.trim();
+
+  const { json: parsed } = await llm.complete({
+    task: "soap_section",
+    clinicId,
+    json: true,
+    messages: [{ role: "user", content: prompt }],
+    temperature: Number(process.env.LLM_NOTE_TEMPERATURE ?? process.env.ABACUS_TEMPERATURE ?? 0.1),
+    stub: () => ({ [name]: cannedAi.cannedSoapNote(text, tpl.sections)[name] }),
+  });
+
+  const value = normalizeSoapSection(parsed?.[name]);
+  return {
+    section: name,
+    value,
+    evidence: sectionEvidence(parsed?.[name], segments),
+    grounding: checkGrounding({ [name]: value }, text, [name])[name] || [],
+  };
+}
+
+// Parse Medication from SOAP note, check dbo.DrugMaster.drug, and log availability
+async function checkSoapMedicationAvailability(soapNote) {
   function extractDrugQuery(raw) {
     if (!raw) return null;
     let s = String(raw)
@@ -5098,57 +5855,6 @@ async function checkSoapMedicationAvailability(soapNote, opts = {}) {
     return s || null;
   }
 
-  // Updated: stronger, consistent matching with status=1 filter
-  async function findDrugMatch(q) {
-    const raw = String(q || '').trim();
-    const rawLike = `%${raw}%`;
-    const norm = normalizeTerm(raw);
-    const normLike = `%${norm}%`;
-
-    // SQL-side normalization expression (mirrors normalizeTerm)
-    const normExpr = `
-      REPLACE(
-        REPLACE(
-          REPLACE(
-            REPLACE(
-              REPLACE(
-                REPLACE(
-                  REPLACE(
-                    REPLACE(LOWER([${nameCol}]), '-', ''), ',', ''), '/', ''), '.', ''), '''', ''), ' ', ''), '(', ''), ')', '')
-    `;
-
-    const sql = `
-      SELECT TOP 1 [${nameCol}] AS name
-      FROM [${schema}].[${table}]
-      WHERE status = 1
-        AND [${nameCol}] IS NOT NULL
-        AND (
-          -- Exact (raw)
-          LOWER([${nameCol}]) = LOWER(:raw)
-          -- Contains (raw)
-          OR LOWER([${nameCol}]) LIKE LOWER(:rawLike)
-          -- Exact (normalized)
-          OR ${normExpr} = :norm
-          -- Contains (normalized)
-          OR ${normExpr} LIKE :normLike
-        )
-      ORDER BY
-        CASE
-          WHEN ${normExpr} = :norm THEN 1
-          WHEN LOWER([${nameCol}]) = LOWER(:raw) THEN 2
-          WHEN ${normExpr} LIKE :normLike THEN 3
-          ELSE 4
-        END,
-        [${nameCol}];
-    `;
-
-    const rows = await sequelize.query(sql, {
-      replacements: { raw, rawLike, norm, normLike },
-      type: Sequelize.QueryTypes.SELECT
-    });
-    return rows?.[0]?.name || null;
-  }
-
   const meds = Array.isArray(soapNote?.Medication) ? soapNote.Medication : [];
   const queries = Array.from(new Set(
     meds
@@ -5163,10 +5869,10 @@ async function checkSoapMedicationAvailability(soapNote, opts = {}) {
   }
 
   const results = [];
-  console.log(`[DRUG_CHECK] Checking ${queries.length} medication name(s) against ${schema}.${table}.${nameCol} ...`);
+  console.log(`[DRUG_CHECK] Checking ${queries.length} medication name(s) against DrugMaster ...`);
   for (const q of queries) {
     try {
-      const matched = await findDrugMatch(q);
+      const matched = await repos.drugs.findMatch(q);
       if (matched) {
         console.log(`[DRUG_CHECK] "${q}" => AVAILABLE (matched as "${matched}")`);
         results.push({ query: q, status: 'exists', matched });
@@ -5207,6 +5913,53 @@ async function releaseOwnerLockIfOwned(xrId, socketId) {
 }
 
 
+// -------------------- Socket identity checks --------------------
+// Tell the client why, then drop it
+function rejectSocket(socket, code, message) {
+  dwarn('[SOCKET_AUTH] rejecting socket', { socketId: socket.id, code, userId: socket.data?.authUser?.id || null });
+  try { socket.emit('auth_error', { code, message }); } catch { }
+  setTimeout(() => {
+    try { socket.disconnect(true); } catch { }
+  }, 50);
+}
+
+// Device / cockpit sockets may only claim the XR ID assigned to the logged-in user
+// (System_Users.xr_id, re-read from the DB so reassignment takes effect immediately).
+// Returns null when allowed, else { code, message }.
+async function checkSocketIdentity(socket, { xrId, clientType }) {
+  if (!SOCKET_AUTH_ENFORCED) return null;
+
+  const user = socket.data?.authUser;
+  if (!user) return { code: 'AUTH_REQUIRED', message: 'Please sign in to the platform first.' };
+
+  try {
+    if (clientType === 'dashboard') {
+      return (await hasScreenPermission(user, SCREEN_XR_HUB_DASHBOARD, 'read'))
+        ? null
+        : { code: 'SCREEN_FORBIDDEN', message: 'You do not have access to the XR Hub Dashboard.' };
+    }
+
+    if (clientType === 'cockpit' && !(await hasScreenPermission(user, SCREEN_SCRIBE_COCKPIT, 'read'))) {
+      return { code: 'SCREEN_FORBIDDEN', message: 'You do not have access to the Scribe Cockpit.' };
+    }
+
+    let assigned = user.xrId;
+    try {
+      assigned = (await resolveXrIdByUserId(user.id)) || null;
+    } catch (e) {
+      dwarn('[SOCKET_AUTH] xr_id lookup failed, using session value', e?.message || e);
+    }
+
+    if (!assigned || normXr(assigned) !== normXr(xrId)) {
+      return { code: 'XR_ID_MISMATCH', message: 'This XR ID is not assigned to your account.' };
+    }
+    return null;
+  } catch (e) {
+    derr('[SOCKET_AUTH] identity check failed:', e?.message || e);
+    return { code: 'AUTH_CHECK_FAILED', message: 'Could not verify your access. Please try again.' };
+  }
+}
+
 // -------------------- Socket.IO Handlers --------------------
 io.on('connection', (socket) => {
   console.log(`🔌 [CONNECTION] ${socket.id}`);
@@ -5250,6 +6003,9 @@ io.on('connection', (socket) => {
     dlog('[EVENT] join', XR);
     if (!XR) return;
 
+    const denied = await checkSocketIdentity(socket, { xrId: XR, clientType: 'device' });
+    if (denied) return rejectSocket(socket, denied.code, denied.message);
+
     socket.data.xrId = XR;
 
     // ❌ IMPORTANT (Option B): do NOT join per-xr legacy rooms.
@@ -5307,6 +6063,12 @@ io.on('connection', (socket) => {
   socket.on('identify', async ({ deviceName, xrId, clientType }) => {
     dlog('[EVENT] identify', { deviceName, xrId, clientType });
 
+    // 🔐 Session user must own the claimed xrId (device/cockpit) or have the screen (dashboard)
+    if (clientType === 'dashboard' || (xrId && typeof xrId === 'string')) {
+      const denied = await checkSocketIdentity(socket, { xrId, clientType });
+      if (denied) return rejectSocket(socket, denied.code, denied.message);
+    }
+
     // ✅ NEW: XR Hub Dashboard (view-only)
     if (clientType === 'dashboard') {
       socket.data.clientType = 'dashboard';
@@ -5882,7 +6644,7 @@ io.on('connection', (socket) => {
               rttMs: numOrNull(s.rttMs),
               lossPct: numOrNull(s.lossPct),
               bitrateKbps: numOrNull(s.bitrateKbps),
-            });
+            }, { socket });
           }
 
           // Stream the latest deltas to any open detail modal subscribers
@@ -5991,7 +6753,7 @@ io.on('connection', (socket) => {
   });
 
   // -------- message (transcript -> web console via signal) --------
-  socket.on('message', (payload) => {
+  socket.on('message', async (payload) => {
     dlog('[EVENT] message', safeDataPreview(payload));
 
     let data;
@@ -6034,6 +6796,21 @@ io.on('connection', (socket) => {
           socket.emit('message_error', { message: 'Not paired yet (no room)' });
           return;
         }
+        // Final segments are stored first so the cockpit receives their encounter / segment ids
+        if (out.final && String(text || '').trim()) {
+          try {
+            const stored = await transcriptStore.appendSegment({
+              roomId: pairRoomId,
+              deviceXrId: from,
+              text: String(text).trim(),
+              spokenAt: timestamp,
+            });
+            out.encounterId = stored.encounterId;
+            out.segmentId = stored.segmentId;
+          } catch (e) {
+            derr('[transcript] store failed:', e?.message || e);
+          }
+        }
         io.to(pairRoomId).emit('signal', { type: 'transcript_console', from, data: out });
         dlog('[transcript] emitted signal "transcript_console" to pair room', pairRoomId);
       } catch (e) {
@@ -6067,10 +6844,10 @@ io.on('connection', (socket) => {
       }
 
       // ✅ store only after we know the pair room
-      addToMessageHistory(socket, msg);
+      const stored = await addToMessageHistory(socket, msg);
 
       dlog('[message] pair-room emit', { roomId: pairRoomId, ignoredTo: to || null });
-      io.to(pairRoomId).emit('message', msg);
+      io.to(pairRoomId).emit('message', stored);
 
     } catch (err) {
       derr('[message] handler error:', err.message);
@@ -6092,6 +6869,8 @@ io.on('connection', (socket) => {
       return;
     }
 
+    chatHistory.clear(roomId).catch((e) => dwarn('[clear-messages] history clear failed:', e?.message || e));
+
     const payload = { type: 'message-cleared', by, messageId: Date.now() };
     io.to(roomId).emit('message-cleared', payload);
   });
@@ -6137,13 +6916,13 @@ io.on('connection', (socket) => {
   socket.on('play_audio_on_device', ({ audio, contentType, room }) => {
     try {
       if (!audio) {
-        console.warn('[play_audio_on_device] No audio data provided');
+        dwarn('[play_audio_on_device] No audio data provided');
         return;
       }
 
       const targetRoom = room || socket.data?.roomId;
       if (!targetRoom) {
-        console.warn('[play_audio_on_device] No room specified, socket.data.roomId:', socket.data?.roomId);
+        dwarn('[play_audio_on_device] No room specified, socket.data.roomId:', socket.data?.roomId);
         return;
       }
 
@@ -6184,10 +6963,10 @@ io.on('connection', (socket) => {
         });
 
         if (deviceCount === 0) {
-          console.warn('[play_audio_on_device] ⚠️ WARNING: No DEVICE sockets in room! Only cockpits present.');
+          dwarn('[play_audio_on_device] ⚠️ WARNING: No DEVICE sockets in room! Only cockpits present.');
         }
       } else {
-        console.warn('[play_audio_on_device] ⚠️ WARNING: Room is EMPTY! No devices will receive the audio.');
+        dwarn('[play_audio_on_device] ⚠️ WARNING: Room is EMPTY! No devices will receive the audio.');
       }
 
       // Emit to room
@@ -6216,7 +6995,7 @@ io.on('connection', (socket) => {
 
       console.log('[play_audio_on_device] ✅ Completed audio broadcast');
     } catch (e) {
-      console.error('[play_audio_on_device] Error:', e?.message || e);
+      derr('[play_audio_on_device] Error:', e?.message || e);
     }
   });
 
@@ -6291,7 +7070,7 @@ io.on('connection', (socket) => {
         memUsedMb: rec.memUsedMb,
         memTotalMb: rec.memTotalMb,
         deviceTempC: rec.deviceTempC,
-      });
+      }, { socket });
 
       // live delta for open detail modal subscribers
       io.to(`metrics:${xrId}`).emit('metrics_update', {
@@ -6349,7 +7128,7 @@ io.on('connection', (socket) => {
         rttMs: snap.rttMs,
         lossPct: snap.lossPct,
         bitrateKbps: snap.bitrateKbps,
-      });
+      }, { socket });
       io.to(`metrics:${xrId}`).emit('metrics_update', {
         xrId,
         quality: [qualityHist.get(xrId).at(-1)]
@@ -6386,15 +7165,19 @@ io.on('connection', (socket) => {
 
 
   // -------- message_history (on demand) --------
-  socket.on('message_history', () => {
+  // { before?: message id, limit?: 1..100 } → newest page older than `before` (latest 10 when omitted)
+  socket.on('message_history', async (opts) => {
     const roomId = roomForHistory(socket);
-    dlog('[EVENT] message_history request; room=', roomId);
+    const { before = null, limit = 10 } = opts && typeof opts === 'object' ? opts : {};
+    dlog('[EVENT] message_history request; room=', roomId, { before, limit });
 
-    socket.emit('message_history', {
-      type: 'message_history',
-      roomId,
-      messages: getMessages(roomId).slice(-10),
-    });
+    try {
+      const page = await chatHistory.page(roomId, { before, limit });
+      socket.emit('message_history', { type: 'message_history', roomId, ...page });
+    } catch (e) {
+      dwarn('[message_history] failed:', e?.message || e);
+      socket.emit('message_error', { message: 'Could not load message history' });
+    }
   });
 
 
@@ -6564,8 +7347,9 @@ function shutdown() {
       await new Promise((resolve) => server.close(resolve));
       console.log('[SHUTDOWN] HTTP server closed');
 
-      // 3) close DB
+      // 3) write buffered device metrics, then close DB
       try {
+        await deviceMetrics.stop();
         await closeDatabase();
       } catch (e) {
         dwarn('[SHUTDOWN] DB close error:', e?.message || e);
@@ -24,20 +24,7 @@ let xrDockPermissions = null;  // { read, write, edit, delete } for this screen,
 
 async function loadDockPermissions() {
     try {
-        const res = await fetch('/api/platform/my-screens', {
-            method: 'GET',
-            credentials: 'include',
-            headers: { 'Accept': 'application/json' }
-        });
-
-        if (!res.ok) {
-            console.warn('[PERM] my-screens error:', res.status);
-            xrDockPermissions = null;
-            return;
-        }
-
-        const data = await res.json();
-        const screens = data?.screens || [];
+        const screens = await window.loadMyScreens();
 
         // *** FIX: ALWAYS MATCH BY SCREEN ID ***
         const match = screens.find(s => s.id === XR_VISION_DOCK_SCREEN_ID);
@@ -269,6 +256,7 @@ async function checkMedicationAvailability(medications) {
     try {
         const response = await fetch(`${SERVER_URL}/api/medications/availability`, {
             method: 'POST',
+            credentials: 'include',
             headers: {
                 'Content-Type': 'application/json',
             },
@@ -315,6 +303,18 @@ function isAllowedId(id) {
 // 🔄 Fresh-start control
 let manualDisconnect = false;     // true only when user clicks Disconnect
 let ignoreHistoryOnce = false;    // drop server history just for the next connect
+
+// 📜 Server history paging (older pages load when the history panel is scrolled to the top)
+const HISTORY_PAGE_SIZE = 20;
+let historyCursor = null;         // id of the oldest server message shown
+let historyHasMore = false;
+let historyLoading = false;
+
+function resetHistoryPaging() {
+    historyCursor = null;
+    historyHasMore = false;
+    historyLoading = false;
+}
 const CLEAR_KEY = 'XR_CLEAR_ON_NEXT_CONNECT'; // '1' => wipe on next connect
 
 // ---------------- CONFIG ----------------
@@ -533,6 +533,15 @@ function wipeLocalMessages(reason = '') {
     }
 }
 
+// ---------------- Socket auth errors ----------------
+function handleSocketAuthError({ code, message } = {}) {
+    console.warn('[SOCKET] auth_error:', code, message);
+    addSystemMessage(`🔒 ${message || 'Not authorized.'} Sign in at /platform and try again.`);
+    try { localStorage.setItem(AUTO_KEY, '0'); } catch { }
+    if (socket?.io) socket.io.opts.reconnection = false;
+    setStatus('Disconnected');
+}
+
 // ---------------- Manual init (no auto-connect) ----------------
 function initSocket() {
     if (socket) return; // init once
@@ -661,8 +670,16 @@ function initSocket() {
         setStatus('Disconnected');
         stopHeartbeat();
         announcePresence('idle');
+
+        // 🔐 Server refused the handshake (no platform session) → stop retrying
+        if (err?.data?.code === 'AUTH_REQUIRED') {
+            handleSocketAuthError(err.data);
+        }
     });
 
+    // 🔐 Server rejected identify (XR ID not assigned to this login, etc.)
+    socket.on('auth_error', handleSocketAuthError);
+
     socket.on('disconnect', (reason) => {
         console.warn('[SOCKET] disconnected:', reason);
         setStatus('Disconnected');
@@ -772,8 +789,9 @@ function initSocket() {
         // ✅ Load ONLY this room’s local history (clears old XR-9002 UI too)
         loadMessageHistory(currentRoom);
 
-        // ✅ Ask server for authoritative room-scoped history
-        socket.emit('message_history');
+        // ✅ Ask server for authoritative room-scoped history (latest page)
+        resetHistoryPaging();
+        socket.emit('message_history', { limit: HISTORY_PAGE_SIZE });
 
 
 
@@ -1076,6 +1094,7 @@ function handleMessagesCleared(data) {
     if (!clearedMessages.has(data.messageId)) {
         console.log('[CHAT] Messages cleared by', data.by, 'messageId:', data.messageId);
         clearedMessages.add(data.messageId);
+        resetHistoryPaging();
         addSystemMessage(`🧹 Messages cleared by ${data.by}`);
         recentMessagesDiv.innerHTML = '<div class="system-message">Messages cleared</div>';
     } else {
@@ -1084,7 +1103,9 @@ function handleMessagesCleared(data) {
 }
 
 function handleMessageHistory(data) {
-    if (ignoreHistoryOnce) {
+    const isOlderPage = data?.before != null;
+
+    if (ignoreHistoryOnce && !isOlderPage) {
         console.log('[CHAT] Dropping server message_history once for fresh start');
         ignoreHistoryOnce = false;
         return;
@@ -1093,7 +1114,8 @@ function handleMessageHistory(data) {
     const roomId = data?.roomId || currentRoom;   // ✅ authoritative
     const msgs = Array.isArray(data?.messages) ? data.messages : [];
 
-    console.log('[CHAT] Received message_history', { roomId, count: msgs.length });
+    console.log('[CHAT] Received message_history', { roomId, count: msgs.length, older: isOlderPage });
+    historyLoading = false;
 
     // ✅ Safety: if server history is for a different room, ignore it
     if (roomId && currentRoom && roomId !== currentRoom) {
@@ -1101,12 +1123,47 @@ function handleMessageHistory(data) {
         return;
     }
 
+    historyHasMore = !!data?.hasMore;
+    if (msgs.length) historyCursor = msgs[0].id ?? historyCursor;
+
+    if (isOlderPage) {
+        // Prepend without persisting (older pages stay on the server) and keep the scroll anchor
+        const prevHeight = messageHistoryDiv.scrollHeight;
+        const frag = document.createDocumentFragment();
+        msgs.forEach((msg) => frag.appendChild(buildMessageElement(normalizeMessage(msg))));
+        messageHistoryDiv.prepend(frag);
+        messageHistoryDiv.scrollTop += messageHistoryDiv.scrollHeight - prevHeight;
+        fillHistoryViewport();
+        return;
+    }
+
+    // Latest page: the server store is authoritative, so it replaces this room's local copy
+    if (!msgs.length) return;
+    localStorage.removeItem(messageHistoryKey(roomId));
+    messageHistoryDiv.innerHTML = '';
+
     msgs.forEach((msg) => {
         const normalized = normalizeMessage(msg);
 
         // ✅ preserve roomId so storage goes to the correct key
         addMessageToHistory({ ...normalized, roomId });
     });
+    fillHistoryViewport();
+}
+
+// Nothing to scroll yet → keep paging until the panel overflows or history runs out
+function fillHistoryViewport() {
+    const h = messageHistoryDiv.clientHeight;
+    if (h > 0 && messageHistoryDiv.scrollHeight <= h) loadOlderMessages();
+}
+
+function loadOlderMessages() {
+    if (!socket?.connected || !currentRoom) return;
+    if (historyLoading || !historyHasMore || historyCursor == null) return;
+
+    historyLoading = true;
+    console.log('[CHAT] Loading older messages before', historyCursor);
+    socket.emit('message_history', { before: historyCursor, limit: HISTORY_PAGE_SIZE });
 }
 
 function createPeerConnection() {
@@ -1652,14 +1709,7 @@ function normalizeMessage(message) {
 }
 
 
-function addMessageToHistory(message) {
-    const msg = normalizeMessage(message);
-
-    // ✅ enforce room ownership (never store global)
-    msg.roomId = msg.roomId || currentRoom;
-    if (!msg.roomId) return;
-
-    // Add to UI
+function buildMessageElement(msg) {
     const el = document.createElement('div');
     el.className = `message ${msg.priority}`;
     el.innerHTML = `
@@ -1673,7 +1723,18 @@ function addMessageToHistory(message) {
 <div class="message-content">${msg.text}</div>
     ${msg.priority === 'urgent' ? '<div class="urgent-badge">URGENT</div>' : ''}
   `;
-    messageHistoryDiv.appendChild(el);
+    return el;
+}
+
+function addMessageToHistory(message) {
+    const msg = normalizeMessage(message);
+
+    // ✅ enforce room ownership (never store global)
+    msg.roomId = msg.roomId || currentRoom;
+    if (!msg.roomId) return;
+
+    // Add to UI
+    messageHistoryDiv.appendChild(buildMessageElement(msg));
     messageHistoryDiv.scrollTop = messageHistoryDiv.scrollHeight;
 
     // ✅ Save to ROOM-SCOPED localStorage
@@ -1693,20 +1754,7 @@ function loadMessageHistory(roomId = null) {
     messageHistoryDiv.innerHTML = '';
 
     history.forEach(msg => {
-        const el = document.createElement('div');
-        el.className = `message ${msg.priority}`;
-        el.innerHTML = `
-<div class="message-header">
-<div class="sender-info">
-<span class="sender-name">${msg.sender}</span>
-<span class="xr-id">${msg.xrId}</span>
-</div>
-<div class="message-time">${msg.timestamp}</div>
-</div>
-<div class="message-content">${msg.text}</div>
-      ${msg.priority === 'urgent' ? '<div class="urgent-badge">URGENT</div>' : ''}
-    `;
-        messageHistoryDiv.appendChild(el);
+        messageHistoryDiv.appendChild(buildMessageElement(msg));
     });
 
     messageHistoryDiv.scrollTop = messageHistoryDiv.scrollHeight;
@@ -1753,6 +1801,7 @@ function clearMessages() {
     }
     socket?.emit('clear-messages', { by: DEVICE_NAME });
     clearedMessages.clear();
+    resetHistoryPaging();
 
     // Clear UI
     messageHistoryDiv.innerHTML = '';
@@ -1929,6 +1978,12 @@ if (clearMessagesBtn) {
     clearMessagesBtn.addEventListener('click', clearMessages);
 }
 
+if (messageHistoryDiv) {
+    messageHistoryDiv.addEventListener('scroll', () => {
+        if (messageHistoryDiv.scrollTop < 40) loadOlderMessages();
+    });
+}
+
 if (openEmulatorBtn) {
     openEmulatorBtn.addEventListener('click', () => {
         console.log('[UI] Opening emulator in new window');
@@ -18,20 +18,7 @@ let xrHubPermissions = null;  // { read, write, edit, delete } or null (fail-ope
 
 async function loadHubPermissions() {
   try {
-    const res = await fetch('/api/platform/my-screens', {
-      method: 'GET',
-      credentials: 'include',
-      headers: { 'Accept': 'application/json' }
-    });
-
-    if (!res.ok) {
-      console.warn('[XRHUB] my-screens returned', res.status);
-      xrHubPermissions = null; // fail-open: keep existing behaviour
-      return;
-    }
-
-    const data = await res.json();
-    const screens = data?.screens || [];
+    const screens = await window.loadMyScreens();
 
     // ✅ Always match by screen ID to avoid route/name mismatches
     let match = screens.find(s => s.id === XR_HUB_SCREEN_ID);
@@ -1096,6 +1083,19 @@ function initSocket() {
     console.log('[DASHBOARD] subscribed to rooms:', rooms.length);
   }
 
+  // 🔐 Not logged in (handshake) or no XR Hub Dashboard access (identify)
+  function onSocketAuthError({ code, message } = {}) {
+    console.warn('[DASHBOARD] auth_error:', code, message);
+    try { socket.io.opts.reconnection = false; } catch { }
+    const text = message || 'Please sign in to the platform first.';
+    if (typeof showToast === 'function') showToast(text, 'error');
+    else console.warn(text);
+  }
+  socket.on('auth_error', onSocketAuthError);
+  socket.on('connect_error', (err) => {
+    if (err?.data?.code === 'AUTH_REQUIRED') onSocketAuthError(err.data);
+  });
+
   socket.on('connect', () => {
     try {
       // ✅ identify as view-only dashboard
@@ -1268,7 +1268,7 @@ function initSocket() {
 
 
     // 4) If the detail modal is open for a specific device, push these points to charts
-    if (window.__metricsXrId) {
+    if (window.__metricsXrId && isLiveRange()) {
       const forThis = items.filter(s => s.xrId === window.__metricsXrId);
       if (forThis.length && typeof addQualityPoints === 'function' && typeof updateAll === 'function') {
         addQualityPoints(forThis.map(s => ({
@@ -1354,20 +1354,105 @@ function initSocket() {
   }
 
 
-  function openDeviceDetail(xrId, label = xrId) {
-    window.__metricsXrId = xrId;
-    initCharts();
-    titleEl.textContent = `Device Detail – ${label}`;
+  // ---- Detail range: Live = in-memory 24h snapshot + streamed points; the others come from
+  // GET /api/metrics/:xrId (per-minute or hourly averages, no live points appended)
+  const rangeSel = document.getElementById('detailRange');
+  const rangeStatus = document.getElementById('detailRangeStatus');
+  const DETAIL_RANGES = {
+    '7d': { days: 7, unit: 'day' },
+    '30d': { days: 30, unit: 'day' },
+    '90d': { days: 90, unit: 'week' },
+    '365d': { days: 365, unit: 'month' },
+  };
+  let detailRange = 'live';
+  let detailLoadSeq = 0; // drops responses for a device / range that is no longer shown
+  const isLiveRange = () => detailRange === 'live';
+
+  function clearCharts() {
     [batteryChart, netChart, bitrateChart, qualityChart].forEach(ch => {
       ch.data.datasets.forEach(ds => ds.data = []);
       ch.update();
     });
-    socket.emit('metrics_subscribe', { xrId });
+  }
+
+  function setChartTimeUnit(unit) {
+    [batteryChart, netChart, bitrateChart, qualityChart].forEach(ch => {
+      ch.options.scales.x.time.unit = unit;
+    });
+  }
+
+  // { metric: [{ ts, value }] } → [{ ts, <metric>: value, … }] sorted by ts (shape of the live points)
+  function seriesToPoints(series = {}) {
+    const byTs = new Map();
+    for (const [metric, points] of Object.entries(series)) {
+      for (const p of points) {
+        if (!byTs.has(p.ts)) byTs.set(p.ts, { ts: p.ts });
+        byTs.get(p.ts)[metric] = p.value;
+      }
+    }
+    return Array.from(byTs.values()).sort((a, b) => a.ts - b.ts);
+  }
+
+  async function loadDetailRange() {
+    const xrId = window.__metricsXrId;
+    if (!xrId) return;
+    const seq = ++detailLoadSeq;
+    clearCharts();
+    rangeStatus.textContent = '';
+
+    if (isLiveRange()) {
+      setChartTimeUnit('minute');
+      socket.emit('metrics_subscribe', { xrId }); // re-sends metrics_snapshot
+      return;
+    }
+
+    const range = DETAIL_RANGES[detailRange];
+    setChartTimeUnit(range.unit);
+    rangeStatus.textContent = 'Loading…';
+
+    const to = Date.now();
+    const from = to - range.days * 24 * 60 * 60 * 1000;
+    try {
+      const res = await fetch(`/api/metrics/${encodeURIComponent(xrId)}?from=${from}&to=${to}`, {
+        method: 'GET',
+        credentials: 'include',
+        headers: { 'Accept': 'application/json' }
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      if (seq !== detailLoadSeq) return;
+
+      const points = seriesToPoints(data.series);
+      addTelemetryPoints(points);
+      addQualityPoints(points);
+      updateAll();
+      rangeStatus.textContent = points.length
+        ? `${data.resolution === '1h' ? 'Hourly' : 'Per-minute'} averages`
+        : 'No history for this range';
+    } catch (err) {
+      if (seq !== detailLoadSeq) return;
+      console.warn('[DASHBOARD] metrics history failed:', err?.message || err);
+      rangeStatus.textContent = 'History unavailable';
+    }
+  }
+
+  rangeSel?.addEventListener('change', () => {
+    detailRange = rangeSel.value;
+    loadDetailRange();
+  });
+
+  function openDeviceDetail(xrId, label = xrId) {
+    window.__metricsXrId = xrId;
+    initCharts();
+    titleEl.textContent = `Device Detail – ${label}`;
+    if (!isLiveRange()) socket.emit('metrics_subscribe', { xrId });
+    loadDetailRange();
     modal.classList.remove('hidden');
   }
 
   closeBtn?.addEventListener('click', () => {
     modal.classList.add('hidden');
+    detailLoadSeq++;
     if (window.__metricsXrId) {
       socket.emit('metrics_unsubscribe', { xrId: window.__metricsXrId });
       window.__metricsXrId = null;
@@ -1376,13 +1461,13 @@ function initSocket() {
 
   // Snapshot + live points
   socket.on('metrics_snapshot', ({ xrId, telemetry = [], quality = [] }) => {
-    if (xrId !== window.__metricsXrId) return;
+    if (xrId !== window.__metricsXrId || !isLiveRange()) return;
     addTelemetryPoints(telemetry);
     addQualityPoints(quality);
     updateAll();
   });
   socket.on('metrics_update', ({ xrId, telemetry = [], quality = [] }) => {
-    if (xrId !== window.__metricsXrId) return;
+    if (xrId !== window.__metricsXrId || !isLiveRange()) return;
     addTelemetryPoints(telemetry);
     addQualityPoints(quality);
     updateAll();
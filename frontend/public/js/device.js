@@ -22,20 +22,8 @@ async function loadDevicePermissionsOnce() {
   }
 
   try {
-    const res = await fetch('/api/platform/my-screens', {
-      method: 'GET',
-      credentials: 'include',
-      headers: { 'Accept': 'application/json' }
-    });
-
-    if (!res.ok) {
-      console.warn('[XRDEVICE] my-screens returned', res.status);
-      xrDevicePermissions = null; // fail-open
-      return;
-    }
-
-    const data = await res.json();
-    const screens = data?.screens || [];
+    // Shared with ui.js: one /api/platform/me request per page (screen-permissions.js)
+    const screens = await window.loadMyScreens();
 
     // ✅ Always match by screen ID to avoid route/name mismatch
     let match = screens.find(s => s.id === XR_DEVICE_SCREEN_ID);
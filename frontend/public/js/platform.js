@@ -353,7 +353,19 @@ async function showDashboard(email) {
   }
 
   // ✅ Ensure screenPermissionsById is populated before any view uses canScreen()
-  await applyScreenVisibility();
+  await applyScreenVisibility(currentUser?.screens);
+
+  // Security (2FA policy) is SuperAdmin-only
+  const securityItem = document.getElementById('securitySidebarItem');
+  if (securityItem) securityItem.classList.toggle('hidden', !isCurrentUserSuperAdmin());
+  const phiAuditItem = document.getElementById('phiAuditSidebarItem');
+  if (phiAuditItem) phiAuditItem.classList.toggle('hidden', !isCurrentUserSuperAdmin());
+  const activityItem = document.getElementById('activitySidebarItem');
+  if (activityItem) activityItem.classList.toggle('hidden', !isCurrentUserSuperAdmin());
+  const accessGrantsItem = document.getElementById('accessGrantsSidebarItem');
+  if (accessGrantsItem) accessGrantsItem.classList.toggle('hidden', !isCurrentUserSuperAdmin());
+  const accessRightsItem = document.getElementById('accessRightsSidebarItem');
+  if (accessRightsItem) accessRightsItem.classList.toggle('hidden', !isCurrentUserSuperAdmin());
 
   // Now safe to render views and allow navigation
   switchView('dashboard');
@@ -365,25 +377,29 @@ async function showDashboard(email) {
 
 
 
-async function applyScreenVisibility() {
+// screens: already loaded with /api/platform/me (skips the my-screens call); omit to refetch
+async function applyScreenVisibility(screens = null) {
   try {
-    const response = await fetch('/api/platform/my-screens', {
-      method: 'GET',
-      credentials: 'include',
-      headers: {
-        'Accept': 'application/json'
-      }
-    });
+    let data = { screens };
+    if (!Array.isArray(screens)) {
+      const response = await fetch('/api/platform/my-screens', {
+        method: 'GET',
+        credentials: 'include',
+        headers: {
+          'Accept': 'application/json'
+        }
+      });
 
-    if (!response.ok) {
-      console.warn('my-screens request failed with status', response.status);
-      return;
-    }
+      if (!response.ok) {
+        console.warn('my-screens request failed with status', response.status);
+        return;
+      }
 
-    const data = await response.json();
-    if (!data.ok) {
-      console.warn('my-screens response not ok:', data.message);
-      return;
+      data = await response.json();
+      if (!data.ok) {
+        console.warn('my-screens response not ok:', data.message);
+        return;
+      }
     }
 
     // ⬇️ NEW: store full permissions for quick lookup
@@ -396,6 +412,7 @@ async function applyScreenVisibility() {
         delete: !!s.delete,
       };
     });
+    renderTemporaryAccessBadges(data.screens || []);
 
     // For visibility, we still only care about READ = 1
     const allowedScreens = (data.screens || [])
@@ -444,6 +461,30 @@ async function applyScreenVisibility() {
 
 
 
+// Screens reachable through a time-bound grant get a "Temporary" badge with its end date
+function renderTemporaryAccessBadges(screens) {
+  document.querySelectorAll('.temp-access-badge').forEach((el) => el.remove());
+
+  screens.forEach((s) => {
+    if (!s.grant_id || !s.grant_end_date) return;
+
+    const end = new Date(s.grant_end_date);
+    const soon = end.getTime() - Date.now() < 24 * 60 * 60 * 1000;
+    const label = `Temporary · until ${end.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}`;
+
+    document.querySelectorAll(`[data-screen-id="${s.id}"]`).forEach((item) => {
+      const badge = document.createElement('span');
+      badge.className = `temp-access-badge inline-block mt-1 px-2 py-0.5 rounded-full text-[10px] font-semibold ${soon ? 'bg-red-500/20 text-red-300' : 'bg-amber-500/20 text-amber-300'
+        }`;
+      badge.textContent = label;
+      badge.title = 'Access granted temporarily; it ends automatically at this time';
+      // Cards: under the title; sidebar items: after the label
+      const host = item.querySelector('.flex.items-center.space-x-3 > div') || item;
+      host.appendChild(badge);
+    });
+  });
+}
+
 // Load Profile Panel Data
 // ===============================================
 async function loadProfileData() {
@@ -2136,17 +2177,18 @@ if (loginForm) {
 
       const data = await response.json();
 
-      if (response.ok && data.ok) {
-        currentUser = data;
-        await showDashboard(data.email);
+      if (response.ok && data.ok && data.mfaRequired) {
+        // Password ok → second factor needed before the session is created
+        document.getElementById('password').value = '';
+        showMfaStep('verify');
+      } else if (response.ok && data.ok && data.mfaEnrollRequired) {
+        document.getElementById('password').value = '';
+        mfaEnrollContext = 'login';
+        await startMfaEnrollment();
+      } else if (response.ok && data.ok) {
         document.getElementById('email').value = '';
         document.getElementById('password').value = '';
-
-
-        // After login, load lookup options ONLY for SuperAdmin
-        if (isCurrentUserSuperAdmin() && typeof refreshCreateUserFormOptionsGlobal === 'function') {
-          refreshCreateUserFormOptionsGlobal();
-        }
+        await finishLogin(data);
       } else {
         showError(data.message || 'Login failed. Please check your credentials.');
       }
@@ -2161,6 +2203,1221 @@ if (loginForm) {
 }
 
 
+// Shared by one-step login, TOTP step and forced enrollment
+async function finishLogin(data) {
+  currentUser = data;
+  showMfaStep(null);
+  await showDashboard(data.email);
+
+  // After login, load lookup options ONLY for SuperAdmin
+  if (isCurrentUserSuperAdmin() && typeof refreshCreateUserFormOptionsGlobal === 'function') {
+    refreshCreateUserFormOptionsGlobal();
+  }
+}
+
+// ===== Two-factor authentication (TOTP) =====
+const mfaVerifyForm = document.getElementById('mfaVerifyForm');
+const mfaEnrollPanel = document.getElementById('mfaEnrollPanel');
+const mfaEnrollForm = document.getElementById('mfaEnrollForm');
+const mfaRecoveryPanel = document.getElementById('mfaRecoveryPanel');
+
+// 'login' = forced enrollment during sign in, 'profile' = self-service from My Profile
+let mfaEnrollContext = 'login';
+// Login response held back until the user has seen their recovery codes
+let mfaPendingLogin = null;
+
+// step: null | 'verify' | 'enroll' | 'recovery'
+function showMfaStep(step) {
+  if (loginForm) loginForm.classList.toggle('hidden', !!step);
+  if (mfaVerifyForm) mfaVerifyForm.classList.toggle('hidden', step !== 'verify');
+  if (mfaEnrollPanel) mfaEnrollPanel.classList.toggle('hidden', step !== 'enroll');
+  if (mfaRecoveryPanel) mfaRecoveryPanel.classList.toggle('hidden', step !== 'recovery');
+
+  if (step) {
+    loginFormContainer.classList.remove('hidden');
+    dashboardContent.classList.add('hidden');
+  }
+  if (step === 'verify') {
+    const codeInput = document.getElementById('mfaCode');
+    if (codeInput) {
+      codeInput.value = '';
+      codeInput.focus();
+    }
+  }
+}
+
+function showInlineError(elId, message) {
+  const el = document.getElementById(elId);
+  if (!el) return;
+  el.textContent = message;
+  el.classList.remove('hidden');
+  setTimeout(() => el.classList.add('hidden'), 5000);
+}
+
+async function startMfaEnrollment() {
+  try {
+    const res = await fetch('/api/platform/mfa/enroll/start', {
+      method: 'POST',
+      credentials: 'include',
+    });
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.message || 'Could not start 2FA enrollment');
+
+    document.getElementById('mfaEnrollQr').src = data.qrDataUrl;
+    document.getElementById('mfaEnrollSecret').textContent = data.secret;
+    document.getElementById('mfaEnrollCode').value = '';
+    showMfaStep('enroll');
+  } catch (err) {
+    console.error('MFA enroll start error:', err);
+    if (mfaEnrollContext === 'login') {
+      showMfaStep(null);
+      showError(err.message || 'Could not start 2FA enrollment');
+    } else {
+      showToast(err.message || 'Could not start 2FA enrollment', 'error');
+    }
+  }
+}
+
+function showRecoveryCodes(codes) {
+  const list = document.getElementById('mfaRecoveryCodes');
+  if (list) {
+    list.innerHTML = '';
+    (codes || []).forEach((c) => {
+      const li = document.createElement('li');
+      li.textContent = c;
+      list.appendChild(li);
+    });
+  }
+  showMfaStep('recovery');
+}
+
+if (mfaVerifyForm) {
+  mfaVerifyForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const value = document.getElementById('mfaCode').value.trim();
+    const useRecovery = document.getElementById('mfaUseRecovery').checked;
+    if (!value) {
+      showInlineError('mfaErrorMessage', 'Please enter your code');
+      return;
+    }
+
+    const btn = document.getElementById('mfaVerifyBtn');
+    btn.disabled = true;
+
+    try {
+      const res = await fetch('/api/platform/login/mfa', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify(useRecovery ? { recoveryCode: value } : { code: value }),
+      });
+      const data = await res.json();
+
+      if (res.ok && data.ok) {
+        document.getElementById('email').value = '';
+        await finishLogin(data);
+      } else {
+        showInlineError('mfaErrorMessage', data.message || 'Invalid verification code');
+        // Pending login expired / too many attempts → back to the password step
+        if (res.status === 401 && /sign in again/i.test(data.message || '')) {
+          setTimeout(() => showMfaStep(null), 1500);
+        }
+      }
+    } catch (err) {
+      console.error('MFA verify error:', err);
+      showInlineError('mfaErrorMessage', 'Connection error. Please try again.');
+    } finally {
+      btn.disabled = false;
+    }
+  });
+}
+
+const mfaCancelBtn = document.getElementById('mfaCancelBtn');
+if (mfaCancelBtn) {
+  mfaCancelBtn.addEventListener('click', async () => {
+    await fetch('/api/platform/logout', { method: 'POST', credentials: 'include' }).catch(() => { });
+    showMfaStep(null);
+    showLoginForm();
+  });
+}
+
+if (mfaEnrollForm) {
+  mfaEnrollForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const code = document.getElementById('mfaEnrollCode').value.trim();
+    if (!code) {
+      showInlineError('mfaEnrollError', 'Please enter the code from your app');
+      return;
+    }
+
+    const btn = document.getElementById('mfaEnrollBtn');
+    btn.disabled = true;
+
+    try {
+      const res = await fetch('/api/platform/mfa/enroll/confirm', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ code }),
+      });
+      const data = await res.json();
+      if (!res.ok || !data.ok) {
+        showInlineError('mfaEnrollError', data.message || 'Invalid verification code');
+        return;
+      }
+
+      mfaPendingLogin = data.login || null;
+      showRecoveryCodes(data.recoveryCodes);
+    } catch (err) {
+      console.error('MFA enroll confirm error:', err);
+      showInlineError('mfaEnrollError', 'Connection error. Please try again.');
+    } finally {
+      btn.disabled = false;
+    }
+  });
+}
+
+const mfaRecoveryDoneBtn = document.getElementById('mfaRecoveryDoneBtn');
+if (mfaRecoveryDoneBtn) {
+  mfaRecoveryDoneBtn.addEventListener('click', async () => {
+    if (mfaPendingLogin) {
+      const login = mfaPendingLogin;
+      mfaPendingLogin = null;
+      document.getElementById('email').value = '';
+      await finishLogin(login);
+      return;
+    }
+
+    // Profile flow: just go back to the dashboard
+    showMfaStep(null);
+    loginFormContainer.classList.add('hidden');
+    dashboardContent.classList.remove('hidden');
+    showToast('Two-factor authentication updated', 'success');
+  });
+}
+
+// Profile panel: current 2FA status + actions
+async function loadProfileMfaStatus() {
+  const statusEl = document.getElementById('profileMfaStatus');
+  const enableBtn = document.getElementById('profileMfaEnableBtn');
+  const recoveryBtn = document.getElementById('profileMfaRecoveryBtn');
+  const disableBtn = document.getElementById('profileMfaDisableBtn');
+  if (!statusEl) return;
+
+  try {
+    const res = await fetch('/api/platform/mfa/status', { credentials: 'include' });
+    const data = await res.json();
+    if (!data.ok) throw new Error(data.message || 'Failed');
+
+    if (data.enabled) {
+      statusEl.textContent =
+        `Enabled · ${data.recoveryCodesRemaining} recovery code(s) left` +
+        (data.forced ? ' · required by your administrator' : '');
+    } else {
+      statusEl.textContent = data.forced ? 'Required by your administrator' : 'Not enabled';
+    }
+
+    enableBtn.classList.toggle('hidden', !!data.enabled);
+    recoveryBtn.classList.toggle('hidden', !data.enabled);
+    disableBtn.classList.toggle('hidden', !data.enabled || !!data.forced);
+  } catch (err) {
+    console.error('MFA status error:', err);
+    statusEl.textContent = 'Unavailable';
+  }
+}
+
+async function postMfaWithCode(url, code) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify({ code }),
+  });
+  const data = await res.json();
+  if (!res.ok || !data.ok) throw new Error(data.message || 'Request failed');
+  return data;
+}
+
+window.addEventListener('load', () => {
+  const profilePanel = document.getElementById('profilePanel');
+  const enableBtn = document.getElementById('profileMfaEnableBtn');
+  const recoveryBtn = document.getElementById('profileMfaRecoveryBtn');
+  const disableBtn = document.getElementById('profileMfaDisableBtn');
+
+  if (enableBtn) {
+    enableBtn.addEventListener('click', async () => {
+      if (profilePanel) profilePanel.classList.add('hidden');
+      mfaEnrollContext = 'profile';
+      await startMfaEnrollment();
+    });
+  }
+
+  if (recoveryBtn) {
+    recoveryBtn.addEventListener('click', async () => {
+      const code = window.prompt('Enter the current code from your authenticator app');
+      if (!code) return;
+      try {
+        const data = await postMfaWithCode('/api/platform/mfa/recovery-codes', code.trim());
+        if (profilePanel) profilePanel.classList.add('hidden');
+        mfaPendingLogin = null;
+        showRecoveryCodes(data.recoveryCodes);
+      } catch (err) {
+        showToast(err.message, 'error');
+      }
+    });
+  }
+
+  if (disableBtn) {
+    disableBtn.addEventListener('click', async () => {
+      const code = window.prompt('Enter the current code from your authenticator app to disable 2FA');
+      if (!code) return;
+      try {
+        await postMfaWithCode('/api/platform/mfa/disable', code.trim());
+        showToast('Two-factor authentication disabled', 'success');
+        loadProfileMfaStatus();
+      } catch (err) {
+        showToast(err.message, 'error');
+      }
+    });
+  }
+});
+
+// ===== Active sessions =====
+function formatSessionTime(value) {
+  return value ? new Date(value).toLocaleString() : '—';
+}
+
+async function revokeSession(url, body) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify(body),
+  });
+  const data = await res.json();
+  if (!res.ok || !data.ok) throw new Error(data.message || 'Failed to end session');
+  return data;
+}
+
+// Profile panel: the signed-in user's own sessions
+async function loadProfileSessions() {
+  const list = document.getElementById('profileSessionsList');
+  if (!list) return;
+
+  try {
+    const res = await fetch('/api/platform/sessions', { credentials: 'include' });
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.message || 'Failed to load sessions');
+
+    list.innerHTML = '';
+    data.sessions.forEach((sess) => {
+      const li = document.createElement('li');
+      li.className = 'flex items-center justify-between bg-gray-800 rounded px-3 py-2';
+      li.innerHTML = `
+        <div>
+          <div class="text-white">${escapeHtmlInline(sess.device)}${sess.current ? ' <span class="text-green-400">(this device)</span>' : ''}</div>
+          <div class="text-gray-400">${escapeHtmlInline(sess.ip || 'unknown IP')} · last active ${escapeHtmlInline(formatSessionTime(sess.lastSeenAt))}</div>
+        </div>
+        <button class="bg-gray-700 hover:bg-gray-600 text-white px-2 py-1 rounded">Sign out</button>
+      `;
+      li.querySelector('button').addEventListener('click', async () => {
+        try {
+          const out = await revokeSession('/api/platform/sessions/revoke', { sessionId: sess.id });
+          if (out.currentRevoked) {
+            document.getElementById('profilePanel')?.classList.add('hidden');
+            currentUser = null;
+            showLoginForm();
+            return;
+          }
+          showToast('Session signed out', 'success');
+          loadProfileSessions();
+        } catch (err) {
+          showToast(err.message, 'error');
+        }
+      });
+      list.appendChild(li);
+    });
+  } catch (err) {
+    console.error('Sessions error:', err);
+    list.innerHTML = '<li class="text-gray-500">Unavailable</li>';
+  }
+}
+
+document.getElementById('profileRevokeOthersBtn')?.addEventListener('click', async () => {
+  try {
+    const out = await revokeSession('/api/platform/sessions/revoke', { all: true });
+    showToast(`Signed out ${out.revoked} other session(s)`, 'success');
+    loadProfileSessions();
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+});
+
+// Security view (SuperAdmin): any user's sessions + force logout
+// (the user dropdown is shared with the Temporary Access view)
+async function loadUserSelectOptions(selectId) {
+  const select = document.getElementById(selectId);
+  if (!select || select.options.length > 1) return;
+
+  try {
+    const res = await fetch('/api/platform/users', { credentials: 'include' });
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.message || 'Failed to load users');
+
+    (data.users || []).forEach((u) => {
+      const opt = document.createElement('option');
+      opt.value = u.id;
+      opt.textContent = `${u.name} (${u.userType || 'User'}) · ${u.email}`;
+      select.appendChild(opt);
+    });
+  } catch (err) {
+    console.error('User list error:', err);
+  }
+}
+
+async function loadUserSessions(userId) {
+  const tbody = document.getElementById('userSessionsTable');
+  const forceBtn = document.getElementById('forceLogoutAllBtn');
+  if (!tbody) return;
+
+  tbody.innerHTML = '';
+  if (forceBtn) forceBtn.disabled = true;
+  if (!userId) return;
+
+  try {
+    const res = await fetch(`/api/platform/users/${encodeURIComponent(userId)}/sessions`, { credentials: 'include' });
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.message || 'Failed to load sessions');
+
+    if (!data.sessions.length) {
+      tbody.innerHTML = '<tr><td colspan="5" class="py-6 text-center text-gray-500">No active sessions.</td></tr>';
+      return;
+    }
+    if (forceBtn) forceBtn.disabled = false;
+
+    data.sessions.forEach((sess) => {
+      const tr = document.createElement('tr');
+      tr.className = 'table-row border-b border-gray-700';
+      tr.innerHTML = `
+        <td class="py-2">${escapeHtmlInline(sess.device)}${sess.current ? ' <span class="text-green-400">(you)</span>' : ''}</td>
+        <td class="py-2">${escapeHtmlInline(sess.ip || '')}</td>
+        <td class="py-2">${escapeHtmlInline(formatSessionTime(sess.createdAt))}</td>
+        <td class="py-2">${escapeHtmlInline(formatSessionTime(sess.lastSeenAt))}</td>
+        <td class="py-2 text-right">
+          ${sess.current ? '' : '<button class="bg-red-700 hover:bg-red-600 text-white text-xs px-3 py-1 rounded">Log out</button>'}
+        </td>
+      `;
+      tr.querySelector('button')?.addEventListener('click', async () => {
+        try {
+          await revokeSession(`/api/platform/users/${encodeURIComponent(userId)}/sessions/revoke`, { sessionId: sess.id });
+          showToast('Session ended', 'success');
+          loadUserSessions(userId);
+        } catch (err) {
+          showToast(err.message, 'error');
+        }
+      });
+      tbody.appendChild(tr);
+    });
+  } catch (err) {
+    console.error('User sessions error:', err);
+    showToast('Failed to load sessions', 'error');
+  }
+}
+
+document.getElementById('sessionsUserSelect')?.addEventListener('change', (e) => {
+  loadUserSessions(e.target.value);
+});
+
+document.getElementById('forceLogoutAllBtn')?.addEventListener('click', async () => {
+  const select = document.getElementById('sessionsUserSelect');
+  const userId = select?.value;
+  if (!userId) return;
+  const label = select.options[select.selectedIndex]?.textContent || 'this user';
+  if (!window.confirm(`Log ${label} out of every session now?`)) return;
+
+  try {
+    const out = await revokeSession(`/api/platform/users/${encodeURIComponent(userId)}/sessions/revoke`, {});
+    showToast(`Ended ${out.revoked} session(s), dropped ${out.socketsDisconnected} live connection(s)`, 'success');
+    loadUserSessions(userId);
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+});
+
+// ===== Forgot / reset password =====
+const forgotPasswordForm = document.getElementById('forgotPasswordForm');
+const resetPasswordForm = document.getElementById('resetPasswordForm');
+
+// Token from the emailed link; removed from the address bar once read
+let passwordResetToken = null;
+
+// form: null (sign in) | 'forgot' | 'reset'
+function showPasswordForm(form) {
+  showMfaStep(null);
+  if (loginForm) loginForm.classList.toggle('hidden', !!form);
+  if (forgotPasswordForm) forgotPasswordForm.classList.toggle('hidden', form !== 'forgot');
+  if (resetPasswordForm) resetPasswordForm.classList.toggle('hidden', form !== 'reset');
+}
+
+const forgotPasswordLink = document.getElementById('forgotPasswordLink');
+if (forgotPasswordLink) {
+  forgotPasswordLink.addEventListener('click', () => {
+    const typed = document.getElementById('email').value.trim();
+    document.getElementById('forgotEmail').value = typed;
+    document.getElementById('forgotPasswordMessage').classList.add('hidden');
+    showPasswordForm('forgot');
+  });
+}
+
+document.querySelectorAll('[data-back-to-login]').forEach((btn) => {
+  btn.addEventListener('click', () => showPasswordForm(null));
+});
+
+if (forgotPasswordForm) {
+  forgotPasswordForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const email = document.getElementById('forgotEmail').value.trim();
+    const msgEl = document.getElementById('forgotPasswordMessage');
+    const btn = document.getElementById('forgotPasswordBtn');
+    if (!email) return;
+
+    btn.disabled = true;
+    try {
+      const res = await fetch('/api/platform/password/forgot', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ email }),
+      });
+      const data = await res.json();
+      msgEl.textContent = data.message || 'If an account exists for that email, a reset link has been sent.';
+      msgEl.classList.remove('hidden');
+    } catch (err) {
+      console.error('Forgot password error:', err);
+      msgEl.textContent = 'Connection error. Please try again.';
+      msgEl.classList.remove('hidden');
+    } finally {
+      btn.disabled = false;
+    }
+  });
+}
+
+if (resetPasswordForm) {
+  resetPasswordForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const password = document.getElementById('resetNewPassword').value;
+    const confirm = document.getElementById('resetConfirmPassword').value;
+    if (password !== confirm) {
+      showInlineError('resetPasswordError', 'Passwords do not match');
+      return;
+    }
+
+    const btn = document.getElementById('resetPasswordBtn');
+    btn.disabled = true;
+    try {
+      const res = await fetch('/api/platform/password/reset', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ token: passwordResetToken, password }),
+      });
+      const data = await res.json();
+      if (!res.ok || !data.ok) {
+        showInlineError('resetPasswordError', data.message || 'Could not reset password');
+        return;
+      }
+
+      passwordResetToken = null;
+      resetPasswordForm.reset();
+      showPasswordForm(null);
+      showToast(data.message || 'Password reset. Please sign in.', 'success');
+    } catch (err) {
+      console.error('Reset password error:', err);
+      showInlineError('resetPasswordError', 'Connection error. Please try again.');
+    } finally {
+      btn.disabled = false;
+    }
+  });
+}
+
+// Opened from the reset email → show the reset form instead of the normal session check
+function consumeResetTokenFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const token = params.get('resetToken');
+  if (!token) return false;
+
+  passwordResetToken = token;
+  params.delete('resetToken');
+  const rest = params.toString();
+  window.history.replaceState(null, '', window.location.pathname + (rest ? `?${rest}` : ''));
+
+  showLoginForm();
+  showPasswordForm('reset');
+  return true;
+}
+
+// ===== SSO (OpenID Connect) =====
+const SSO_ERROR_MESSAGES = {
+  unknown_provider: 'That sign-in option is not available.',
+  provider_unavailable: 'Your organisation\'s sign-in service is not responding. Try again later.',
+  denied: 'Sign-in was cancelled at your organisation.',
+  expired: 'The sign-in attempt expired. Please try again.',
+  no_account: 'No platform account is linked to that organisation login. Contact your administrator.',
+  inactive: 'Your account is inactive. Contact your administrator.',
+  failed: 'Single sign-on failed. Please try again.',
+};
+
+async function loadSsoProviders() {
+  const container = document.getElementById('ssoProviders');
+  const buttons = document.getElementById('ssoProviderButtons');
+  if (!container || !buttons) return;
+
+  try {
+    const res = await fetch('/api/platform/sso/providers', { credentials: 'include' });
+    const data = await res.json();
+    if (!res.ok || !data.ok || !data.providers?.length) return;
+
+    buttons.innerHTML = data.providers
+      .map((p) => `
+        <a href="/api/platform/sso/${encodeURIComponent(p.id)}/start"
+           class="block w-full text-center bg-gray-700 hover:bg-gray-600 text-white font-semibold py-3 rounded-lg">
+          ${escapeHtmlInline(p.label)}
+        </a>
+      `)
+      .join('');
+    container.classList.remove('hidden');
+  } catch (err) {
+    console.error('SSO providers error:', err);
+  }
+}
+
+// Back from the IdP callback: ?sso=mfa|mfa_enroll continues 2FA, ?ssoError=<code> explains the failure.
+// Returns true when the 2FA step took over the page (no normal session check).
+function consumeSsoResultFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const result = params.get('sso');
+  const error = params.get('ssoError');
+  if (!result && !error) return false;
+
+  ['sso', 'ssoError', 'email'].forEach((k) => params.delete(k));
+  const rest = params.toString();
+  window.history.replaceState(null, '', window.location.pathname + (rest ? `?${rest}` : ''));
+
+  if (error) {
+    showLoginForm();
+    showError(SSO_ERROR_MESSAGES[error] || SSO_ERROR_MESSAGES.failed);
+    return true;
+  }
+
+  showLoginForm();
+  if (result === 'mfa') {
+    showMfaStep('verify');
+    return true;
+  }
+  if (result === 'mfa_enroll') {
+    mfaEnrollContext = 'login';
+    startMfaEnrollment();
+    return true;
+  }
+  return false;
+}
+
+// SuperAdmin "Security" view: force 2FA per screen
+async function loadMfaScreenPolicy() {
+  const tbody = document.getElementById('mfaScreenPolicyTable');
+  if (!tbody) return;
+
+  try {
+    const res = await fetch('/api/platform/mfa/screen-policy', { credentials: 'include' });
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.message || 'Failed to load screens');
+
+    tbody.innerHTML = '';
+    (data.screens || []).forEach((screen) => {
+      const tr = document.createElement('tr');
+      tr.className = 'table-row border-b border-gray-700';
+      tr.innerHTML = `
+        <td class="py-3">${escapeHtmlInline(screen.screen_name)}</td>
+        <td class="py-3 text-gray-400">${escapeHtmlInline(screen.route_path || '')}</td>
+        <td class="py-3 text-center"><input type="checkbox" ${screen.require_mfa ? 'checked' : ''} /></td>
+      `;
+
+      const toggle = tr.querySelector('input[type="checkbox"]');
+      toggle.addEventListener('change', async () => {
+        toggle.disabled = true;
+        try {
+          const r = await fetch('/api/platform/mfa/screen-policy', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ screenId: screen.id, required: toggle.checked }),
+          });
+          const out = await r.json();
+          if (!r.ok || !out.ok) throw new Error(out.message || 'Failed to update policy');
+          showToast(
+            toggle.checked ? `2FA now required for ${screen.screen_name}` : `2FA no longer required for ${screen.screen_name}`,
+            'success'
+          );
+        } catch (err) {
+          toggle.checked = !toggle.checked;
+          showToast(err.message, 'error');
+        } finally {
+          toggle.disabled = false;
+        }
+      });
+
+      tbody.appendChild(tr);
+    });
+  } catch (err) {
+    console.error('MFA screen policy error:', err);
+    showToast('Failed to load 2FA policy', 'error');
+  }
+}
+
+// SuperAdmin "PHI Access Audit" view
+let phiAuditPage = 1;
+const PHI_AUDIT_PAGE_SIZE = 50;
+
+function getPhiAuditFilterParams() {
+  const params = new URLSearchParams();
+  const fields = {
+    from: 'phiAuditFrom',
+    to: 'phiAuditTo',
+    user: 'phiAuditUser',
+    patient: 'phiAuditPatient',
+    action: 'phiAuditAction',
+    outcome: 'phiAuditOutcome',
+  };
+  Object.entries(fields).forEach(([key, id]) => {
+    const value = (document.getElementById(id)?.value || '').trim();
+    if (value) params.set(key, value);
+  });
+  return params;
+}
+
+async function loadPhiAudit(page = phiAuditPage) {
+  const tbody = document.getElementById('phiAuditTable');
+  if (!tbody) return;
+
+  const params = getPhiAuditFilterParams();
+  params.set('page', String(page));
+  params.set('pageSize', String(PHI_AUDIT_PAGE_SIZE));
+
+  try {
+    const res = await fetch(`/api/platform/phi-audit?${params.toString()}`, { credentials: 'include' });
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.message || 'Failed to load audit trail');
+
+    phiAuditPage = data.page;
+    tbody.innerHTML = '';
+
+    if (!data.rows.length) {
+      tbody.innerHTML = '<tr><td colspan="8" class="py-8 text-center text-gray-500">No audit events match these filters.</td></tr>';
+    }
+
+    data.rows.forEach((row) => {
+      const tr = document.createElement('tr');
+      tr.className = 'table-row border-b border-gray-700';
+      const outcomeClass = row.outcome === 'allowed' ? 'text-green-400' : 'text-red-400';
+      tr.innerHTML = `
+        <td class="py-2 whitespace-nowrap">${escapeHtmlInline(new Date(row.created_date).toLocaleString())}</td>
+        <td class="py-2">${escapeHtmlInline(row.user_email || row.user_id || '')}</td>
+        <td class="py-2">${escapeHtmlInline(row.action)}</td>
+        <td class="py-2 ${outcomeClass}">${escapeHtmlInline(row.outcome)}</td>
+        <td class="py-2">${escapeHtmlInline(row.patient_id ?? '')}</td>
+        <td class="py-2">${escapeHtmlInline(row.mrn || '')}</td>
+        <td class="py-2">${escapeHtmlInline(row.note_id ?? '')}</td>
+        <td class="py-2 text-gray-400">${escapeHtmlInline(row.ip || '')}</td>
+      `;
+      tbody.appendChild(tr);
+    });
+
+    const lastPage = Math.max(1, Math.ceil(data.total / data.pageSize));
+    const summary = document.getElementById('phiAuditSummary');
+    if (summary) summary.textContent = `${data.total} event(s) · page ${data.page} of ${lastPage}`;
+
+    const prevBtn = document.getElementById('phiAuditPrevBtn');
+    const nextBtn = document.getElementById('phiAuditNextBtn');
+    if (prevBtn) prevBtn.disabled = data.page <= 1;
+    if (nextBtn) nextBtn.disabled = data.page >= lastPage;
+  } catch (err) {
+    console.error('PHI audit error:', err);
+    showToast('Failed to load PHI access audit', 'error');
+  }
+}
+
+document.getElementById('phiAuditFilterForm')?.addEventListener('submit', (e) => {
+  e.preventDefault();
+  loadPhiAudit(1);
+});
+document.getElementById('phiAuditPrevBtn')?.addEventListener('click', () => loadPhiAudit(phiAuditPage - 1));
+document.getElementById('phiAuditNextBtn')?.addEventListener('click', () => loadPhiAudit(phiAuditPage + 1));
+document.getElementById('phiAuditExportBtn')?.addEventListener('click', () => {
+  const params = getPhiAuditFilterParams();
+  params.set('format', 'csv');
+  // Same-origin GET with the session cookie; Content-Disposition makes it a download
+  window.location.href = `/api/platform/phi-audit?${params.toString()}`;
+});
+
+// SuperAdmin "Activity" view: admin changes with before/after diff
+let activityPage = 1;
+const ACTIVITY_PAGE_SIZE = 50;
+const ACTIVITY_LABELS = {
+  'user.create': 'User created',
+  'user.assign': 'Assignment changed',
+  'mapping.save': 'Scribe-provider mapping',
+  'session.revoke': 'Forced logout',
+  'access.grant': 'Temporary access granted',
+  'access.update': 'Temporary access changed',
+  'access.revoke': 'Temporary access revoked',
+  'rights.save': 'Role permissions',
+  'sso.link': 'SSO identity linked',
+  'sso.unlink': 'SSO identity unlinked',
+};
+
+function formatActivityValue(v) {
+  if (v === null || v === undefined || v === '') return '—';
+  if (Array.isArray(v)) {
+    // Screen rights: "screen 2 (R/W)"
+    return v.map((r) => (r && typeof r === 'object' && 'screenId' in r)
+      ? `screen ${r.screenId} (${[r.read && 'R', r.write && 'W', r.edit && 'E', r.delete && 'D'].filter(Boolean).join('/') || '-'})`
+      : JSON.stringify(r)).join(', ') || '—';
+  }
+  return typeof v === 'object' ? JSON.stringify(v) : String(v);
+}
+
+function renderActivityDiff(diff) {
+  const entries = Object.entries(diff || {});
+  if (!entries.length) return '<span class="text-gray-500">No field changes</span>';
+  return entries.map(([field, change]) => `
+    <div>
+      <span class="text-gray-400">${escapeHtmlInline(field)}:</span>
+      <span class="text-red-300">${escapeHtmlInline(formatActivityValue(change.from))}</span>
+      →
+      <span class="text-green-300">${escapeHtmlInline(formatActivityValue(change.to))}</span>
+    </div>
+  `).join('');
+}
+
+async function loadActivity(page = activityPage) {
+  const tbody = document.getElementById('activityTable');
+  if (!tbody) return;
+
+  const params = new URLSearchParams();
+  const fields = {
+    actor: 'activityActor',
+    target: 'activityTarget',
+    action: 'activityAction',
+    from: 'activityFrom',
+    to: 'activityTo',
+  };
+  Object.entries(fields).forEach(([key, id]) => {
+    const value = (document.getElementById(id)?.value || '').trim();
+    if (value) params.set(key, value);
+  });
+  params.set('page', String(page));
+  params.set('pageSize', String(ACTIVITY_PAGE_SIZE));
+
+  try {
+    const res = await fetch(`/api/platform/activity?${params.toString()}`, { credentials: 'include' });
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.message || 'Failed to load activity');
+
+    activityPage = data.page;
+    tbody.innerHTML = '';
+
+    if (!data.rows.length) {
+      tbody.innerHTML = '<tr><td colspan="5" class="py-8 text-center text-gray-500">No activity matches these filters.</td></tr>';
+    }
+
+    data.rows.forEach((row) => {
+      const target = row.target_name
+        ? `${row.target_name} (${row.target_email || row.target_user_id})`
+        : (row.target_user_id ?? '');
+      const tr = document.createElement('tr');
+      tr.className = 'table-row border-b border-gray-700 align-top';
+      tr.innerHTML = `
+        <td class="py-2 whitespace-nowrap">${escapeHtmlInline(new Date(row.created_date).toLocaleString())}</td>
+        <td class="py-2">${escapeHtmlInline(row.actor_email || row.actor_user_id || '')}</td>
+        <td class="py-2">${escapeHtmlInline(ACTIVITY_LABELS[row.action] || row.action)}</td>
+        <td class="py-2">${escapeHtmlInline(target)}</td>
+        <td class="py-2 text-xs space-y-1">${renderActivityDiff(row.diff)}</td>
+      `;
+      tbody.appendChild(tr);
+    });
+
+    const lastPage = Math.max(1, Math.ceil(data.total / data.pageSize));
+    const summary = document.getElementById('activitySummary');
+    if (summary) summary.textContent = `${data.total} change(s) · page ${data.page} of ${lastPage}`;
+
+    const prevBtn = document.getElementById('activityPrevBtn');
+    const nextBtn = document.getElementById('activityNextBtn');
+    if (prevBtn) prevBtn.disabled = data.page <= 1;
+    if (nextBtn) nextBtn.disabled = data.page >= lastPage;
+  } catch (err) {
+    console.error('Activity error:', err);
+    showToast('Failed to load activity', 'error');
+  }
+}
+
+document.getElementById('activityFilterForm')?.addEventListener('submit', (e) => {
+  e.preventDefault();
+  loadActivity(1);
+});
+document.getElementById('activityPrevBtn')?.addEventListener('click', () => loadActivity(activityPage - 1));
+document.getElementById('activityNextBtn')?.addEventListener('click', () => loadActivity(activityPage + 1));
+
+// SuperAdmin "Temporary Access" view: time-bound User_Additional_Permissions
+let editingAccessGrantId = null;
+const ACCESS_GRANT_STATUS_CLASSES = {
+  active: 'text-green-400',
+  scheduled: 'text-blue-300',
+  expired: 'text-gray-500',
+  revoked: 'text-red-400',
+};
+
+// Date → value for <input type="datetime-local"> (local time, minutes)
+function toDateTimeLocalValue(value) {
+  if (!value) return '';
+  const d = new Date(value);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function resetAccessGrantForm() {
+  editingAccessGrantId = null;
+  document.getElementById('accessGrantForm')?.reset();
+  document.getElementById('accessGrantUser').disabled = false;
+  document.getElementById('accessGrantScreen').disabled = false;
+  document.getElementById('accessGrantSubmitBtn').textContent = 'Grant access';
+  document.getElementById('accessGrantCancelEditBtn').classList.add('hidden');
+}
+
+function editAccessGrant(grant) {
+  editingAccessGrantId = grant.id;
+  const userSelect = document.getElementById('accessGrantUser');
+  const screenSelect = document.getElementById('accessGrantScreen');
+  userSelect.value = String(grant.user_id);
+  screenSelect.value = String(grant.screen_id);
+  userSelect.disabled = true;
+  screenSelect.disabled = true;
+  document.getElementById('accessGrantRead').checked = !!grant.read;
+  document.getElementById('accessGrantWrite').checked = !!grant.write;
+  document.getElementById('accessGrantStart').value = toDateTimeLocalValue(grant.start_date);
+  document.getElementById('accessGrantEnd').value = toDateTimeLocalValue(grant.end_date);
+  document.getElementById('accessGrantSubmitBtn').textContent = 'Save changes';
+  document.getElementById('accessGrantCancelEditBtn').classList.remove('hidden');
+  document.getElementById('accessGrantForm')?.scrollIntoView({ behavior: 'smooth' });
+}
+
+async function loadAccessGrants() {
+  const tbody = document.getElementById('accessGrantsTable');
+  if (!tbody) return;
+
+  const params = new URLSearchParams();
+  const status = document.getElementById('accessGrantStatusFilter')?.value;
+  if (status) params.set('status', status);
+
+  try {
+    const res = await fetch(`/api/platform/access-grants?${params.toString()}`, { credentials: 'include' });
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.message || 'Failed to load grants');
+
+    const screenSelect = document.getElementById('accessGrantScreen');
+    if (screenSelect && screenSelect.options.length <= 1) {
+      (data.screens || []).forEach((sc) => {
+        const opt = document.createElement('option');
+        opt.value = sc.id;
+        opt.textContent = sc.screen_name;
+        screenSelect.appendChild(opt);
+      });
+    }
+
+    tbody.innerHTML = '';
+    if (!data.grants.length) {
+      tbody.innerHTML = '<tr><td colspan="7" class="py-8 text-center text-gray-500">No grants.</td></tr>';
+      return;
+    }
+
+    data.grants.forEach((g) => {
+      const live = g.status === 'active' || g.status === 'scheduled';
+      const tr = document.createElement('tr');
+      tr.className = 'table-row border-b border-gray-700';
+      tr.innerHTML = `
+        <td class="py-2">
+          <div class="text-white">${escapeHtmlInline(g.user_name || '')}</div>
+          <div class="text-xs text-gray-500">${escapeHtmlInline(g.user_email || '')}</div>
+        </td>
+        <td class="py-2">${escapeHtmlInline(g.screen_name || `Screen ${g.screen_id}`)}</td>
+        <td class="py-2">${g.write ? 'Read / Write' : 'Read'}</td>
+        <td class="py-2">${escapeHtmlInline(formatSessionTime(g.start_date))}</td>
+        <td class="py-2">${escapeHtmlInline(formatSessionTime(g.end_date))}</td>
+        <td class="py-2 ${ACCESS_GRANT_STATUS_CLASSES[g.status] || ''}">${escapeHtmlInline(g.status)}</td>
+        <td class="py-2 text-right space-x-2 whitespace-nowrap">
+          ${live ? `
+            <button data-action="edit" class="bg-gray-700 hover:bg-gray-600 text-white text-xs px-3 py-1 rounded">Edit</button>
+            <button data-action="revoke" class="bg-red-700 hover:bg-red-600 text-white text-xs px-3 py-1 rounded">Revoke</button>
+          ` : ''}
+        </td>
+      `;
+      tr.querySelector('[data-action="edit"]')?.addEventListener('click', () => editAccessGrant(g));
+      tr.querySelector('[data-action="revoke"]')?.addEventListener('click', async () => {
+        if (!window.confirm(`Revoke ${g.user_name}'s temporary access to ${g.screen_name}?`)) return;
+        try {
+          const r = await fetch(`/api/platform/access-grants/${encodeURIComponent(g.id)}/revoke`, {
+            method: 'POST',
+            credentials: 'include',
+          });
+          const out = await r.json();
+          if (!r.ok || !out.ok) throw new Error(out.message || 'Failed to revoke grant');
+          showToast('Access revoked', 'success');
+          if (editingAccessGrantId === g.id) resetAccessGrantForm();
+          loadAccessGrants();
+        } catch (err) {
+          showToast(err.message, 'error');
+        }
+      });
+      tbody.appendChild(tr);
+    });
+  } catch (err) {
+    console.error('Access grants error:', err);
+    showToast('Failed to load grants', 'error');
+  }
+}
+
+document.getElementById('accessGrantForm')?.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const startValue = document.getElementById('accessGrantStart').value;
+  const endValue = document.getElementById('accessGrantEnd').value;
+  // datetime-local is the admin's local time; send an absolute instant
+  const payload = {
+    read: document.getElementById('accessGrantRead').checked,
+    write: document.getElementById('accessGrantWrite').checked,
+    startDate: startValue ? new Date(startValue).toISOString() : null,
+    endDate: endValue ? new Date(endValue).toISOString() : null,
+  };
+  if (!editingAccessGrantId) {
+    payload.userId = document.getElementById('accessGrantUser').value;
+    payload.screenId = document.getElementById('accessGrantScreen').value;
+  }
+
+  const url = editingAccessGrantId
+    ? `/api/platform/access-grants/${encodeURIComponent(editingAccessGrantId)}`
+    : '/api/platform/access-grants';
+
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify(payload),
+    });
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.message || 'Failed to save grant');
+
+    showToast(editingAccessGrantId ? 'Grant updated' : 'Access granted', 'success');
+    resetAccessGrantForm();
+    loadAccessGrants();
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+});
+
+document.getElementById('accessGrantWrite')?.addEventListener('change', (e) => {
+  // Write implies read
+  if (e.target.checked) document.getElementById('accessGrantRead').checked = true;
+});
+document.getElementById('accessGrantCancelEditBtn')?.addEventListener('click', resetAccessGrantForm);
+document.getElementById('accessGrantStatusFilter')?.addEventListener('change', () => loadAccessGrants());
+
+// SuperAdmin "Role Permissions" view: Access_Rights matrix (roles × screens)
+let accessRightsData = null;            // last payload from the server
+const accessRightsPending = new Map();  // 'roleId:screenId' → { roleId, screenId, read, write }
+
+function accessRightsKey(roleId, screenId) {
+  return `${roleId}:${screenId}`;
+}
+
+function getAccessRightsCell(roleId, screenId) {
+  const key = accessRightsKey(roleId, screenId);
+  if (accessRightsPending.has(key)) return accessRightsPending.get(key);
+  const saved = accessRightsData?.savedByCell.get(key);
+  return { roleId, screenId, read: !!saved?.read, write: !!saved?.write };
+}
+
+function setAccessRightsCell(roleId, screenId, next) {
+  const key = accessRightsKey(roleId, screenId);
+  const saved = accessRightsData.savedByCell.get(key);
+  const cell = { roleId, screenId, read: next.write || next.read, write: next.write };
+  // Toggling back to the stored value is not a change
+  if (!!saved?.read === cell.read && !!saved?.write === cell.write) {
+    accessRightsPending.delete(key);
+  } else {
+    accessRightsPending.set(key, cell);
+  }
+  updateAccessRightsToolbar();
+}
+
+function updateAccessRightsToolbar() {
+  const n = accessRightsPending.size;
+  const label = document.getElementById('accessRightsPending');
+  if (label) label.textContent = n ? `${n} unsaved change(s)` : '';
+  const saveBtn = document.getElementById('accessRightsSaveBtn');
+  const discardBtn = document.getElementById('accessRightsDiscardBtn');
+  if (saveBtn) saveBtn.disabled = !n;
+  if (discardBtn) discardBtn.disabled = !n;
+}
+
+function renderAccessRightsMatrix() {
+  const head = document.getElementById('accessRightsHead');
+  const body = document.getElementById('accessRightsBody');
+  if (!head || !body || !accessRightsData) return;
+
+  const { roles, screens, adminScreenIds } = accessRightsData;
+  const adminScreens = new Set((adminScreenIds || []).map(String));
+  const filter = (document.getElementById('accessRightsFilter')?.value || '').trim().toLowerCase();
+  const hideEmpty = !!document.getElementById('accessRightsHideEmpty')?.checked;
+
+  head.innerHTML = `
+    <tr class="text-left text-gray-400 border-b border-gray-700">
+      <th class="py-3 pr-4 min-w-[16rem]">Role</th>
+      ${screens.map((sc) => `
+        <th class="py-3 px-2 text-center whitespace-nowrap ${adminScreens.has(String(sc.id)) ? 'text-amber-300' : ''}">
+          ${escapeHtmlInline(sc.screen_name)}
+        </th>
+      `).join('')}
+    </tr>
+  `;
+
+  const visible = roles.filter((r) => {
+    if (hideEmpty && !Number(r.user_count)) return false;
+    if (!filter) return true;
+    return [r.persona, r.department, r.type, r.sample_user, String(r.id)]
+      .some((v) => String(v || '').toLowerCase().includes(filter));
+  });
+
+  if (!visible.length) {
+    body.innerHTML = `<tr><td colspan="${screens.length + 1}" class="py-8 text-center text-gray-500">No roles match.</td></tr>`;
+    return;
+  }
+
+  body.innerHTML = '';
+  visible.forEach((role) => {
+    const tr = document.createElement('tr');
+    tr.className = 'table-row border-b border-gray-700';
+
+    const users = Number(role.user_count) || 0;
+    const who = users === 1 ? escapeHtmlInline(role.sample_user || '1 user') : `${users} users`;
+    let html = `
+      <td class="py-2 pr-4">
+        <div class="text-white">${escapeHtmlInline(role.persona)} / ${escapeHtmlInline(role.department)} / ${escapeHtmlInline(role.type)}</div>
+        <div class="text-xs text-gray-500">#${role.id} · ${who}</div>
+      </td>
+    `;
+
+    screens.forEach((sc) => {
+      if (role.is_superadmin) {
+        html += '<td class="py-2 px-2 text-center text-xs text-gray-500">full</td>';
+        return;
+      }
+      const cell = getAccessRightsCell(role.id, sc.id);
+      const dirty = accessRightsPending.has(accessRightsKey(role.id, sc.id));
+      const toggle = (perm, on) => `
+        <button type="button" data-role="${role.id}" data-screen="${sc.id}" data-perm="${perm}"
+          class="w-7 h-7 rounded text-xs font-semibold ${on ? 'bg-green-600 text-white' : 'bg-gray-700 text-gray-400'}">
+          ${perm === 'read' ? 'R' : 'W'}
+        </button>
+      `;
+      html += `
+        <td class="py-2 px-2 text-center whitespace-nowrap ${dirty ? 'bg-amber-500/10' : ''}">
+          ${toggle('read', cell.read)}${toggle('write', cell.write)}
+        </td>
+      `;
+    });
+
+    tr.innerHTML = html;
+    body.appendChild(tr);
+  });
+}
+
+async function loadAccessRightsMatrix() {
+  const body = document.getElementById('accessRightsBody');
+  if (!body) return;
+
+  try {
+    const res = await fetch('/api/platform/access-rights/matrix', { credentials: 'include' });
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.message || 'Failed to load role permissions');
+
+    accessRightsData = {
+      roles: data.roles || [],
+      screens: data.screens || [],
+      adminScreenIds: data.adminScreenIds || [],
+      savedByCell: new Map((data.rights || []).map((r) => [accessRightsKey(r.role_id, r.screen_id), r])),
+    };
+    accessRightsPending.clear();
+    updateAccessRightsToolbar();
+    renderAccessRightsMatrix();
+  } catch (err) {
+    console.error('Role permissions error:', err);
+    showToast('Failed to load role permissions', 'error');
+  }
+}
+
+document.getElementById('accessRightsBody')?.addEventListener('click', (e) => {
+  const btn = e.target.closest('button[data-perm]');
+  if (!btn || !accessRightsData) return;
+
+  const roleId = Number(btn.dataset.role);
+  const screenId = Number(btn.dataset.screen);
+  const cell = getAccessRightsCell(roleId, screenId);
+  if (btn.dataset.perm === 'read') {
+    // Removing read removes write too
+    setAccessRightsCell(roleId, screenId, cell.read ? { read: false, write: false } : { read: true, write: cell.write });
+  } else {
+    setAccessRightsCell(roleId, screenId, { read: cell.read, write: !cell.write });
+  }
+  renderAccessRightsMatrix();
+});
+
+document.getElementById('accessRightsFilter')?.addEventListener('input', () => renderAccessRightsMatrix());
+document.getElementById('accessRightsHideEmpty')?.addEventListener('change', () => renderAccessRightsMatrix());
+
+document.getElementById('accessRightsDiscardBtn')?.addEventListener('click', () => {
+  accessRightsPending.clear();
+  updateAccessRightsToolbar();
+  renderAccessRightsMatrix();
+});
+
+document.getElementById('accessRightsSaveBtn')?.addEventListener('click', async () => {
+  if (!accessRightsPending.size) return;
+  const btn = document.getElementById('accessRightsSaveBtn');
+  btn.disabled = true;
+
+  try {
+    const res = await fetch('/api/platform/access-rights/matrix', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ changes: Array.from(accessRightsPending.values()) }),
+    });
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.message || 'Failed to save role permissions');
+
+    showToast(`Saved ${data.changed} change(s)`, 'success');
+    await loadAccessRightsMatrix();
+    applyScreenVisibility(); // own role may have changed
+  } catch (err) {
+    showToast(err.message, 'error');
+    updateAccessRightsToolbar();
+  }
+});
+
 if (logoutBtn) {
   logoutBtn.addEventListener('click', async () => {
     try {
@@ -2200,6 +3457,18 @@ function switchView(viewName) {
 
   if (viewName === 'dashboard') {
     loadDashboardStats();
+  } else if (viewName === 'security') {
+    loadMfaScreenPolicy();
+    loadUserSelectOptions('sessionsUserSelect');
+  } else if (viewName === 'phi-audit') {
+    loadPhiAudit(1);
+  } else if (viewName === 'activity') {
+    loadActivity(1);
+  } else if (viewName === 'access-rights') {
+    loadAccessRightsMatrix();
+  } else if (viewName === 'access-grants') {
+    loadUserSelectOptions('accessGrantUser');
+    loadAccessGrants();
   } else if (viewName === 'assign-users') {
     // Assign Users:
     // 1) load clinics (for clinic filter)
@@ -3503,7 +4772,10 @@ window.saveAssignment = async function () {
 };
 
 
-checkSession();
+loadSsoProviders();
+if (!consumeResetTokenFromUrl() && !consumeSsoResultFromUrl()) {
+  checkSession();
+}
 
 // ================= PROFILE PANEL EVENT LISTENERS =================
 window.addEventListener('load', () => {
@@ -3514,6 +4786,8 @@ window.addEventListener('load', () => {
   if (profileButton && profilePanel && closeProfile) {
     profileButton.addEventListener('click', () => {
       loadProfileData();
+      loadProfileMfaStatus();
+      loadProfileSessions();
       profilePanel.classList.remove('hidden');
     });
 
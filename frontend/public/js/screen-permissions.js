@@ -0,0 +1,29 @@
+// /public/js/screen-permissions.js
+// Effective screen permissions of the signed-in user, loaded once per page from
+// /api/platform/me (served from the server-side permission cache). Every script on
+// the page shares the same request instead of calling /api/platform/my-screens itself.
+(function () {
+  let pending = null;
+
+  // Resolves to [{ id, screen_name, route_path, read, write, edit, delete }]; rejects when
+  // not signed in or the request fails (callers keep their fail-open behaviour)
+  function loadMyScreens() {
+    if (!pending) {
+      pending = fetch('/api/platform/me', {
+        method: 'GET',
+        credentials: 'include',
+        headers: { 'Accept': 'application/json' }
+      }).then(async (res) => {
+        if (!res.ok) throw new Error(`/api/platform/me returned ${res.status}`);
+        const data = await res.json();
+        if (!data.ok || !Array.isArray(data.screens)) throw new Error('Not signed in');
+        return data.screens;
+      });
+      // Let a later caller retry after a failure
+      pending.catch(() => { pending = null; });
+    }
+    return pending;
+  }
+
+  window.loadMyScreens = loadMyScreens;
+})();
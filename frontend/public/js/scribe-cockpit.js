@@ -9,6 +9,7 @@
     statusPill: document.getElementById('statusPill'),
     deviceList: document.getElementById('deviceList'),
     transcript: document.getElementById('liveTranscript'),
+    encountersButton: document.getElementById('encountersButton'),
     templateSelect: document.getElementById('templateSelect'),
     soapHost: document.getElementById('soapNotePanel'),
 
@@ -95,12 +96,16 @@
 
     // active transcript
     currentActiveItemId: null,
+    currentEncounterId: null, // server-side encounter the room's transcripts are stored in
 
     // soap note
     latestSoapNote: {},
     soapGenerating: false,
     soapNoteTimer: null,
     soapNoteStartTime: null,
+    soapStream: null, // streamed generation in flight: { controller, note, received }
+    evidencePinned: null, // evidence entry kept highlighted (chip click / caret line)
+    evidenceHighlightBody: null, // transcript card body currently showing evidence marks
 
     // Summary timer (NEW)
     summaryGenerating: false,
@@ -235,7 +240,7 @@
   }
 
   async function apiGetJson(url) {
-    const res = await fetch(url);
+    const res = await fetch(url, { credentials: 'include' });
     if (!res.ok) throw new Error(`Request failed (${res.status})`);
     return res.json();
   }
@@ -924,6 +929,7 @@
       state.latestSoapNote = {};
       saveLatestSoap(state.latestSoapNote);
       saveActiveItemId('');
+      cancelSoapGeneration();
       state.soapGenerating = false;
       stopSoapGenerationTimer();
       renderSoapBlank();
@@ -976,7 +982,7 @@
     card.appendChild(header);
 
     const body = document.createElement('div');
-    body.className = 'text-sm leading-6 text-gray-100';
+    body.className = 'scribe-card-body text-sm leading-6 text-gray-100';
     body.style.textAlign = 'justify';
     body.textContent = text || '';
     applyClamp(body, true);
@@ -1077,9 +1083,13 @@
     return result;
   }
 
-  function appendTranscriptItem({ from, to, text, timestamp, sequence }) {
+  function appendTranscriptItem({ from, to, text, timestamp, sequence, encounterId = null, segmentId = null }) {
     if (!dom.transcript || !text) return;
 
+    if (encounterId) state.currentEncounterId = encounterId;
+    const hist = normalizeHistoryItems(loadHistory());
+    if (segmentId && hist.some((x) => x.segmentId === segmentId)) return;
+
     removeTranscriptPlaceholder();
 
     const item = {
@@ -1089,10 +1099,11 @@
       text: String(text || '').trim(),
       timestamp: timestamp || Date.now(),
       sequence: sequence || 0,
+      encounterId,
+      segmentId,
       note: null,
     };
 
-    const hist = normalizeHistoryItems(loadHistory());
     hist.push(item);
     hist.sort((a, b) => {
       const seqA = a.sequence || 0;
@@ -1229,15 +1240,52 @@
     state.soapNoteStartTime = null;
   }
 
+  function soapGeneratingText(elapsedSec) {
+    const stream = state.soapStream;
+    const total = stream?.note?._templateMeta ? getSoapSections(stream.note).length : 0;
+    const progress = total ? ` · ${stream.received}/${total} sections` : '';
+    return `Please wait, AI is generating the note… ${elapsedSec}s${progress}`;
+  }
+
+  function buildSoapGeneratingStatus() {
+    const status = document.createElement('div');
+    status.className = 'scribe-section scribe-soap-generating';
+    status.style.cssText = 'display:flex; align-items:center; justify-content:center; gap:12px; color:#f59e0b; padding:16px;';
+
+    const text = document.createElement('span');
+    text.dataset.role = 'text';
+    status.appendChild(text);
+
+    if (state.soapStream) {
+      const cancel = document.createElement('button');
+      cancel.type = 'button';
+      cancel.className = 'scribe-btn scribe-btn-ghost';
+      cancel.textContent = 'Cancel';
+      cancel.addEventListener('click', cancelSoapGeneration);
+      status.appendChild(cancel);
+    }
+    return status;
+  }
+
+  // Timer tick: only the status text changes, so sections already streamed in stay put
   function renderSoapNoteGenerating(elapsedSec) {
     const scroller = soapContainerEnsure();
-    scroller.innerHTML = `
-      <div class="scribe-section" style="text-align:center; color:#f59e0b; padding:16px;">
-        Please wait, AI is generating the note… ${elapsedSec}s
-      </div>
-    `;
-    ensureTopHeadingBadge();
-    renderAiDiagnosisUi(null);
+    let status = scroller.querySelector('.scribe-soap-generating');
+    if (!status) {
+      scroller.innerHTML = '';
+      status = buildSoapGeneratingStatus();
+      scroller.appendChild(status);
+      ensureTopHeadingBadge();
+      renderAiDiagnosisUi(null);
+    }
+    status.querySelector('[data-role="text"]').textContent = soapGeneratingText(elapsedSec);
+  }
+
+  // Aborts a streamed generation; the server stops the model call when the request closes
+  function cancelSoapGeneration() {
+    const stream = state.soapStream;
+    state.soapStream = null;
+    stream?.controller.abort();
   }
 
   function renderSoapNoteError(msg) {
@@ -1718,6 +1766,7 @@
     try {
       const response = await fetch(`${state.SERVER_URL}/api/medications/availability`, {
         method: 'POST',
+        credentials: 'include',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ names: rawLines }),
       });
@@ -1835,6 +1884,8 @@
     soap._aiMeta = state.latestSoapNote?._aiMeta || {};
     soap._editMeta = state.latestSoapNote?._editMeta || {};
     if (state.latestSoapNote?._templateMeta) soap._templateMeta = state.latestSoapNote._templateMeta;
+    if (state.latestSoapNote?._evidence) soap._evidence = state.latestSoapNote._evidence;
+    if (state.latestSoapNote?._grounding) soap._grounding = state.latestSoapNote._grounding;
     if (Array.isArray(state.latestSoapNote?._rowsForPatientNoteInsert)) {
       soap._rowsForPatientNoteInsert = state.latestSoapNote._rowsForPatientNoteInsert;
     }
@@ -1894,6 +1945,8 @@
 
           updateTotalsAndEhrState();
           persistActiveNoteFromUI();
+          renderSectionEvidence(section);
+          renderSectionGrounding(section);
 
           if (isMedicationSectionName(section)) {
             state.medAvailability.clear();
@@ -2480,6 +2533,7 @@
 
       const res = await fetch(`${state.SERVER_URL}${CONFIG.AI_DIAGNOSIS_ENDPOINT}`, {
         method: 'POST',
+        credentials: 'include',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           mrn,
@@ -2525,12 +2579,20 @@
   // =============================================================================
   //  SOAP RENDER
   // =============================================================================
-  function renderSoapNote(soap) {
+  // partial: a note still being streamed – read-only sections filled as they arrive, under
+  // the generating status; edit tracking and saving start with the final render
+  function renderSoapNote(soap, { partial = false } = {}) {
+    if (partial) {
+      renderSoapNoteStreaming(soap);
+      return;
+    }
     if (state.soapGenerating) return;
 
     const scroller = soapContainerEnsure();
     scroller.innerHTML = '';
     ensureTopHeadingBadge();
+    clearTranscriptEvidenceHighlight();
+    state.evidencePinned = null;
 
     if (soap && Object.keys(soap).length && !soap._aiMeta) {
       initializeEditMetaForSoap(soap);
@@ -2561,8 +2623,20 @@
       metaSpan.className = 'scribe-section-meta';
       metaSpan.textContent = 'Edits: 0';
 
+      const regenBtn = document.createElement('button');
+      regenBtn.type = 'button';
+      regenBtn.className = 'scribe-btn scribe-btn-ghost scribe-section-regen';
+      regenBtn.textContent = '↻ Regenerate';
+      regenBtn.title = 'Regenerate only this section';
+      regenBtn.addEventListener('click', () => regenerateSoapSection(section));
+
+      const actions = document.createElement('div');
+      actions.className = 'scribe-section-actions';
+      actions.appendChild(metaSpan);
+      actions.appendChild(regenBtn);
+
       head.appendChild(h);
-      head.appendChild(metaSpan);
+      head.appendChild(actions);
       wrap.appendChild(head);
 
       const box = document.createElement('textarea');
@@ -2584,6 +2658,8 @@
       state.latestSoapNote._aiMeta[section] = state.latestSoapNote._aiMeta[section] || { text: aiText };
 
       attachEditTrackingToTextarea(box, aiText);
+      box.addEventListener('click', () => highlightEvidenceAtCaret(box));
+      box.addEventListener('keyup', () => highlightEvidenceAtCaret(box));
 
       if (isMedicationSectionName(section)) {
         const w = document.createElement('div');
@@ -2595,6 +2671,8 @@
       }
 
       scroller.appendChild(wrap);
+      renderSectionEvidence(section);
+      renderSectionGrounding(section);
     });
 
     updateTotalsAndEhrState();
@@ -2606,9 +2684,430 @@
     renderAiDiagnosisUi(null);
   }
 
+  function renderSoapNoteStreaming(soap) {
+    const scroller = soapContainerEnsure();
+    const scrollTop = scroller.scrollTop;
+    scroller.innerHTML = '';
+    ensureTopHeadingBadge();
+
+    const status = buildSoapGeneratingStatus();
+    const elapsedSec = state.soapNoteStartTime ? Math.floor((Date.now() - state.soapNoteStartTime) / 1000) : 0;
+    status.querySelector('[data-role="text"]').textContent = soapGeneratingText(elapsedSec);
+    scroller.appendChild(status);
+
+    getSoapSections(soap).forEach((section) => {
+      const rawVal = soap?.[section];
+      const pending = rawVal === undefined;
+
+      const wrap = document.createElement('div');
+      wrap.className = 'scribe-section';
+      wrap.dataset.section = section;
+      if (pending) wrap.style.opacity = '0.6';
+
+      const head = document.createElement('div');
+      head.className = 'scribe-section-head';
+
+      const h = document.createElement('h3');
+      h.textContent = section;
+
+      const metaSpan = document.createElement('div');
+      metaSpan.className = 'scribe-section-meta';
+      metaSpan.textContent = pending ? 'Generating…' : '';
+
+      head.appendChild(h);
+      head.appendChild(metaSpan);
+      wrap.appendChild(head);
+
+      const box = document.createElement('textarea');
+      box.className = 'scribe-textarea';
+      box.readOnly = true;
+      box.dataset.section = section;
+      box.value = Array.isArray(rawVal) ? rawVal.join('\n') : typeof rawVal === 'string' ? rawVal : '';
+      wrap.appendChild(box);
+      scroller.appendChild(wrap);
+      autoExpandTextarea(box);
+    });
+
+    scroller.scrollTop = scrollTop;
+  }
+
+  // Reads a text/event-stream body, calling onEvent(event, data) per message
+  async function readServerSentEvents(resp, onEvent) {
+    const reader = resp.body.getReader();
+    const decoder = new TextDecoder();
+    let buf = '';
+
+    const dispatch = (block) => {
+      let event = 'message';
+      let data = '';
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (!data) return;
+      let parsed;
+      try {
+        parsed = JSON.parse(data);
+      } catch {
+        return;
+      }
+      onEvent(event, parsed);
+    };
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buf += decoder.decode(value, { stream: true });
+      let sep;
+      while ((sep = buf.indexOf('\n\n')) !== -1) {
+        dispatch(buf.slice(0, sep));
+        buf = buf.slice(sep + 2);
+      }
+    }
+    if (buf.trim()) dispatch(buf);
+  }
+
+  // =============================================================================
+  //  SECTION REGENERATION
+  // =============================================================================
+  //  TRANSCRIPT EVIDENCE
+  // =============================================================================
+  // note._evidence[section] holds one entry per AI bullet: { text, segments, spans, supported },
+  // spans being [start, end] offsets into the (trimmed) transcript text. Each bullet gets a
+  // chip under its section; hovering it, clicking it or putting the caret on its line marks
+  // the source sentences in the active transcript card. A line the scribe has changed no
+  // longer matches its bullet and is shown as edited.
+  function evidenceForSection(section) {
+    const list = state.latestSoapNote?._evidence?.[section];
+    return Array.isArray(list) ? list : [];
+  }
+
+  function activeTranscriptCardBody() {
+    const id = loadActiveItemId();
+    if (!id || !dom.transcript) return null;
+    return dom.transcript.querySelector(`.scribe-card[data-id="${CSS.escape(String(id))}"] .scribe-card-body`);
+  }
+
+  function highlightTranscriptEvidence(spans) {
+    clearTranscriptEvidenceHighlight();
+    const body = activeTranscriptCardBody();
+    if (!body || !Array.isArray(spans) || !spans.length) return;
+
+    const text = body.textContent || '';
+    const lead = text.length - text.trimStart().length; // server offsets are into the trimmed text
+    let html = '';
+    let pos = 0;
+    spans
+      .map(([start, end]) => [start + lead, end + lead])
+      .sort((a, b) => a[0] - b[0])
+      .forEach(([start, end]) => {
+        if (start < pos || end > text.length) return;
+        html += escapeHtml(text.slice(pos, start));
+        html += `<mark class="scribe-evidence-mark">${escapeHtml(text.slice(start, end))}</mark>`;
+        pos = end;
+      });
+    html += escapeHtml(text.slice(pos));
+
+    body.dataset.evidenceText = text;
+    body.dataset.evidenceCollapsed = body.dataset.collapsed || 'true';
+    applyClamp(body, false);
+    body.innerHTML = html;
+    state.evidenceHighlightBody = body;
+    body.querySelector('mark')?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }
+
+  function clearTranscriptEvidenceHighlight() {
+    const body = state.evidenceHighlightBody;
+    state.evidenceHighlightBody = null;
+    if (!body || body.dataset.evidenceText == null) return;
+    body.textContent = body.dataset.evidenceText;
+    applyClamp(body, body.dataset.evidenceCollapsed === 'true');
+    delete body.dataset.evidenceText;
+    delete body.dataset.evidenceCollapsed;
+  }
+
+  // Back to the pinned entry (if any) once the pointer leaves a chip
+  function restorePinnedEvidence() {
+    if (state.evidencePinned) highlightTranscriptEvidence(state.evidencePinned.spans);
+    else clearTranscriptEvidenceHighlight();
+  }
+
+  function renderSectionEvidence(section) {
+    const scroller = soapContainerEnsure();
+    const wrap = scroller.querySelector(`.scribe-section[data-section="${CSS.escape(section)}"]`);
+    const box = wrap?.querySelector('textarea[data-section]');
+    if (!box) return;
+
+    let row = wrap.querySelector('.scribe-evidence');
+    const entries = evidenceForSection(section);
+    if (!entries.length) {
+      row?.remove();
+      return;
+    }
+    if (!row) {
+      row = document.createElement('div');
+      row.className = 'scribe-evidence';
+      wrap.insertBefore(row, wrap.querySelector('.scribe-grounding'));
+    }
+    row.innerHTML = '';
+
+    const label = document.createElement('span');
+    label.textContent = 'Sources:';
+    row.appendChild(label);
+
+    const lines = new Set(String(box.value || '').split('\n').map(normalizeTextBlock).filter(Boolean));
+    let unsupported = 0;
+
+    entries.forEach((entry, i) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'scribe-evidence-chip';
+      if (state.evidencePinned === entry) chip.classList.add('is-pinned');
+
+      if (!lines.has(normalizeTextBlock(entry.text))) {
+        chip.classList.add('is-edited');
+        chip.textContent = `✎ ${i + 1}`;
+        chip.title = `Edited since generation. Original: ${entry.text}`;
+      } else if (entry.supported) {
+        chip.classList.add('is-supported');
+        chip.textContent = `✓ ${i + 1}`;
+        chip.title = `${entry.text}\nTranscript: ${(entry.segments || []).join(', ')}`;
+      } else {
+        unsupported += 1;
+        chip.classList.add('is-unsupported');
+        chip.textContent = `⚠ ${i + 1}`;
+        chip.title = `No supporting transcript sentence found: ${entry.text}`;
+      }
+
+      chip.addEventListener('mouseenter', () => highlightTranscriptEvidence(entry.spans));
+      chip.addEventListener('mouseleave', restorePinnedEvidence);
+      chip.addEventListener('click', () => {
+        state.evidencePinned = state.evidencePinned === entry ? null : entry;
+        scroller.querySelectorAll('.scribe-evidence-chip.is-pinned').forEach((c) => c.classList.remove('is-pinned'));
+        if (state.evidencePinned) chip.classList.add('is-pinned');
+        restorePinnedEvidence();
+      });
+      row.appendChild(chip);
+    });
+
+    if (unsupported) {
+      const warn = document.createElement('span');
+      warn.className = 'scribe-evidence-warning';
+      warn.textContent = `${unsupported} without transcript support`;
+      row.appendChild(warn);
+    }
+  }
+
+  // Caret on a generated line → mark that bullet's sources
+  function highlightEvidenceAtCaret(box) {
+    const before = String(box.value || '').slice(0, box.selectionStart ?? 0);
+    const line = normalizeTextBlock(String(box.value || '').split('\n')[before.split('\n').length - 1]);
+    const entry = line ? evidenceForSection(box.dataset.section).find((e) => normalizeTextBlock(e.text) === line) : null;
+    if (entry === state.evidencePinned) return;
+
+    state.evidencePinned = entry || null;
+    soapContainerEnsure()
+      .querySelectorAll('.scribe-evidence-chip.is-pinned')
+      .forEach((c) => c.classList.remove('is-pinned'));
+    if (entry) renderSectionEvidence(box.dataset.section);
+    restorePinnedEvidence();
+  }
+
+  // =============================================================================
+  //  GROUNDING WARNINGS
+  // =============================================================================
+  // note._grounding[section] = [{ key, kind, status, claim, detail, line }]: facts the server
+  // could not find in (or found contradicted by) the transcript – after generation, after a
+  // section regenerate and on every Add to EHR (the save answers 409 until the scribe has
+  // acknowledged them). Warnings whose line has since been edited away are not shown.
+  const GROUNDING_KIND_LABELS = {
+    dose: 'Dose',
+    medication: 'Medication',
+    vital: 'Vital',
+    number: 'Figure',
+    diagnosis: 'Diagnosis',
+    negation: 'Negation',
+  };
+
+  function openGroundingIssues(section, box) {
+    const list = state.latestSoapNote?._grounding?.[section];
+    if (!Array.isArray(list) || !list.length) return [];
+    const lines = new Set(String(box?.value || '').split('\n').map(normalizeTextBlock).filter(Boolean));
+    return list.filter((issue) => lines.has(normalizeTextBlock(issue.line)));
+  }
+
+  function groundingIssueText(issue) {
+    const label = GROUNDING_KIND_LABELS[issue.kind] || 'Claim';
+    const status = issue.status === 'contradicted' ? 'contradicted' : 'not in transcript';
+    return `${label} ${status}: ${issue.claim} – ${issue.detail}`;
+  }
+
+  function renderSectionGrounding(section) {
+    const scroller = soapContainerEnsure();
+    const wrap = scroller.querySelector(`.scribe-section[data-section="${CSS.escape(section)}"]`);
+    const box = wrap?.querySelector('textarea[data-section]');
+    if (!box) return;
+
+    let list = wrap.querySelector('.scribe-grounding');
+    const issues = openGroundingIssues(section, box);
+    if (!issues.length) {
+      list?.remove();
+      return;
+    }
+    if (!list) {
+      list = document.createElement('div');
+      list.className = 'scribe-grounding';
+      wrap.appendChild(list);
+    }
+    list.innerHTML = '';
+
+    issues.forEach((issue) => {
+      const item = document.createElement('div');
+      item.className = `scribe-grounding-item is-${issue.status === 'contradicted' ? 'contradicted' : 'unsupported'}`;
+      item.textContent = `⚠ ${groundingIssueText(issue)}`;
+      list.appendChild(item);
+    });
+  }
+
+  function renderAllSectionGrounding() {
+    soapContainerEnsure()
+      .querySelectorAll('.scribe-section[data-section]')
+      .forEach((wrap) => renderSectionGrounding(wrap.dataset.section));
+  }
+
+  // Lists the warnings the save was refused for; resolves true once the scribe has ticked
+  // the acknowledgement and chosen to save anyway
+  async function swalAcknowledgeGrounding(grounding) {
+    const Swal2 = getSwal();
+    if (!Swal2) return false;
+
+    const html = Object.entries(grounding || {})
+      .map(
+        ([section, issues]) => `
+          <div style="text-align:left;margin-bottom:8px">
+            <div style="font-weight:700">${escapeHtml(section)}</div>
+            <ul style="margin:4px 0 0 18px;list-style:disc">
+              ${issues.map((issue) => `<li>${escapeHtml(groundingIssueText(issue))}</li>`).join('')}
+            </ul>
+          </div>`
+      )
+      .join('');
+
+    const res = await Swal2.fire({
+      title: 'Check before saving',
+      html: `<p style="margin-bottom:10px">These statements are not supported by the transcript:</p>${html}`,
+      icon: 'warning',
+      input: 'checkbox',
+      inputValue: 0,
+      inputPlaceholder: 'I have reviewed these statements',
+      inputValidator: (checked) => (checked ? undefined : 'Please confirm you have reviewed them'),
+      showCancelButton: true,
+      confirmButtonText: 'Save anyway',
+      cancelButtonText: 'Back to note',
+      reverseButtons: true,
+      allowOutsideClick: false,
+    });
+    return !!res?.isConfirmed;
+  }
+
+  // =============================================================================
+  // Regenerates one section from the active transcript, optionally steered by a scribe
+  // instruction. That section's text becomes the new AI baseline (its edit count restarts
+  // at 0); every other section keeps its text and edit count.
+  async function regenerateSoapSection(section) {
+    const Swal2 = getSwal();
+    if (!Swal2 || state.soapGenerating || !state.SERVER_URL) return;
+
+    const ctx = getActiveHistoryContext();
+    const transcript = String(ctx.item?.text || '').trim();
+    if (!transcript) return;
+
+    const scroller = soapContainerEnsure();
+    const wrap = scroller.querySelector(`.scribe-section[data-section="${CSS.escape(section)}"]`);
+    const box = wrap?.querySelector('textarea[data-section]');
+    const btn = wrap?.querySelector('.scribe-section-regen');
+    if (!box) return;
+
+    const edits = Number(box.dataset.editCount || 0);
+    const ask = await Swal2.fire({
+      title: `Regenerate "${section}"`,
+      text: edits
+        ? `This replaces the section and its ${edits} edit${edits === 1 ? '' : 's'}. Other sections are not changed.`
+        : 'Other sections are not changed.',
+      input: 'text',
+      inputLabel: 'Instruction (optional)',
+      inputPlaceholder: 'e.g. more concise, include dosage',
+      inputAttributes: { maxlength: '500' },
+      showCancelButton: true,
+      confirmButtonText: 'Regenerate',
+    });
+    if (!ask.isConfirmed) return;
+
+    const itemId = ctx.item.id;
+    const headMeta = wrap.querySelector('.scribe-section-meta');
+    box.readOnly = true;
+    if (btn) btn.disabled = true;
+    if (headMeta) headMeta.textContent = 'Regenerating…';
+
+    try {
+      const resp = await fetch(`${state.SERVER_URL}/api/notes/generate/section`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          transcript,
+          templateId: templateIdToApiValue(state.latestSoapNote?._templateMeta?.templateId ?? getActiveTemplateIdForItem(ctx.item)),
+          section,
+          instructions: String(ask.value || '').trim(),
+          currentText: box.value || '',
+        }),
+      });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok) throw new Error(data?.error || `Server returned ${resp.status}`);
+
+      // The scribe moved to another transcript / note meanwhile: nothing to update here
+      if (!box.isConnected || loadActiveItemId() !== itemId) return;
+
+      const text = Array.isArray(data.value) ? data.value.join('\n') : String(data.value ?? '');
+      box.value = text;
+      autoExpandTextarea(box);
+      box.dataset.aiText = text;
+      state.latestSoapNote._aiMeta = state.latestSoapNote._aiMeta || {};
+      state.latestSoapNote._aiMeta[section] = { text };
+      state.latestSoapNote._evidence = state.latestSoapNote._evidence || {};
+      state.latestSoapNote._evidence[section] = Array.isArray(data.evidence) ? data.evidence : [];
+      state.latestSoapNote._grounding = state.latestSoapNote._grounding || {};
+      state.latestSoapNote._grounding[section] = Array.isArray(data.grounding) ? data.grounding : [];
+
+      rebaseBoxStateToCurrent(box);
+      box.dataset.editCount = '0';
+      updateTotalsAndEhrState();
+      persistActiveNoteFromUI();
+      clearTranscriptEvidenceHighlight();
+      state.evidencePinned = null;
+      renderSectionEvidence(section);
+      renderSectionGrounding(section);
+
+      if (isMedicationSectionName(section)) {
+        state.medAvailability.clear();
+        state.medicationValidationPending = true;
+        renderMedicationInline();
+        checkMedicationsFromTextarea(box);
+      }
+    } catch (e) {
+      Swal2.fire({ icon: 'error', title: 'Could not regenerate section', text: e?.message || String(e) });
+    } finally {
+      box.readOnly = false;
+      if (btn) btn.disabled = false;
+      if (headMeta && box.isConnected) headMeta.textContent = `Edits: ${box.dataset.editCount || 0}`;
+    }
+  }
+
   // =============================================================================
   //  SOAP GENERATION VIA REST (template change)
   // =============================================================================
+  // Streams from /api/notes/generate/stream: sections show up as the model writes them
+  // and Cancel (in the generating status) aborts the request and the model call.
   async function requestNoteGenerationForActiveTranscript(templateId) {
     if (!state.SERVER_URL) return;
 
@@ -2625,24 +3124,55 @@
     saveHistory(ctx.hist);
     saveActiveItemId(ctx.item.id);
 
+    cancelSoapGeneration();
+    const stream = { controller: new AbortController(), note: {}, received: 0 };
+    state.soapStream = stream;
     startSoapGenerationTimer();
 
     try {
-      const resp = await fetch(`${state.SERVER_URL}/api/notes/generate`, {
+      const resp = await fetch(`${state.SERVER_URL}/api/notes/generate/stream`, {
         method: 'POST',
+        credentials: 'include',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ transcript, templateId: templateIdToApiValue(tid) }),
+        signal: stream.controller.signal,
       });
 
       if (!resp.ok) {
         stopSoapGenerationTimer();
         state.soapGenerating = false;
+        if (state.soapStream === stream) state.soapStream = null;
         renderSoapNoteError(`Server returned ${resp.status} ${resp.statusText || ''}`);
         return;
       }
 
-      const data = await resp.json();
-      const note = data.note || {};
+      let note = null;
+      let streamError = null;
+      await readServerSentEvents(resp, (event, data) => {
+        if (state.soapStream !== stream) return;
+        if (event === 'template') {
+          stream.note = { _templateMeta: data };
+          renderSoapNote(stream.note, { partial: true });
+        } else if (event === 'section') {
+          stream.note[data.section] = data.value;
+          stream.received += 1;
+          renderSoapNote(stream.note, { partial: true });
+        } else if (event === 'done') {
+          note = data.note || {};
+        } else if (event === 'error') {
+          streamError = data.error || 'Error generating note';
+        }
+      });
+
+      if (state.soapStream !== stream) return; // cancelled, or superseded by a newer request
+      state.soapStream = null;
+
+      if (!note) {
+        stopSoapGenerationTimer();
+        state.soapGenerating = false;
+        renderSoapNoteError(streamError || 'Note generation ended unexpectedly');
+        return;
+      }
 
       initializeEditMetaForSoap(note);
       syncTemplateRowsFromSections(note);
@@ -2666,6 +3196,16 @@
       syncDropdownToActiveTranscript();
       renderAiDiagnosisUi(null);
     } catch (e) {
+      if (e?.name === 'AbortError' && state.soapStream !== stream) {
+        if (state.soapStream) return; // superseded: the newer request owns the pane
+        stopSoapGenerationTimer();
+        state.soapGenerating = false;
+        const existing = getActiveNoteForItem(ctx.item);
+        if (existing?.data && Object.keys(existing.data).length) renderSoapNote(existing.data);
+        else renderSoapBlank();
+        return;
+      }
+      if (state.soapStream === stream) state.soapStream = null;
       stopSoapGenerationTimer();
       state.soapGenerating = false;
       renderSoapNoteError(String(e?.message || e));
@@ -2986,14 +3526,14 @@
 
     if (packet.type === 'transcript_console') {
       const p = packet.data || {};
-      const { from, to, text = '', final = false, timestamp } = p;
+      const { from, to, text = '', final = false, timestamp, encounterId = null, segmentId = null } = p;
 
       if (!final || !text) {
         return;
       }
 
       const sequence = ++state.transcriptSequence;
-      appendTranscriptItem({ from, to, text: text.trim(), timestamp, sequence });
+      appendTranscriptItem({ from, to, text: text.trim(), timestamp, sequence, encounterId, segmentId });
 
       return;
     }
@@ -3096,6 +3636,7 @@
   function clearCockpitUiForRoomSwitch(prevRoom, nextRoom) {
     if (prevRoom === nextRoom) return;
 
+    cancelSoapGeneration();
     stopSoapGenerationTimer();
     state.soapGenerating = false;
 
@@ -3113,6 +3654,7 @@
     ensureTranscriptPlaceholder();
 
     state.currentActiveItemId = null;
+    state.currentEncounterId = null;
     state.pendingSoapItemQueue.length = 0;
     state.latestSoapNote = {};
 
@@ -3150,6 +3692,20 @@
         if (!connected) onFailover?.();
       }, 4000);
 
+      // 🔐 Not logged in (handshake) or XR ID / screen not allowed (identify)
+      const onAuthError = ({ code, message } = {}) => {
+        console.warn('[COCKPIT] auth_error:', code, message);
+        try { state.socket.io.opts.reconnection = false; } catch { }
+        clearTimeout(failTimer);
+        setStatus('Disconnected');
+        getSwal()?.fire({ icon: 'error', title: 'Not authorized', text: message || 'Please sign in to the platform first.' });
+        resolve();
+      };
+      state.socket.on('auth_error', onAuthError);
+      state.socket.on('connect_error', (err) => {
+        if (err?.data?.code === 'AUTH_REQUIRED') onAuthError(err.data);
+      });
+
       state.socket.on('connect', async () => {
         connected = true;
         clearTimeout(failTimer);
@@ -3213,6 +3769,7 @@
           state.currentRoom = nextRoom;
           updateConnectionStatus('room_joined', []);
           try { restoreFromLocalStorage(); } catch { }
+          if (state.currentRoom) hydrateTranscriptsFromServer(state.currentRoom);
           if (state.currentRoom) requestDeviceListThrottled();
         });
 
@@ -3345,6 +3902,169 @@
     renderAiDiagnosisUi(null);
   }
 
+  // =============================================================================
+  //  SERVER TRANSCRIPTS (encounters)
+  // =============================================================================
+  // Final segments are stored server-side per encounter (/api/encounters). The local
+  // history stays the working copy (notes, edits); segments missing from it are merged
+  // in on room join, and "Encounters" lets a scribe open / resume any stored one.
+  function segmentToHistoryItem(seg, encounter) {
+    return {
+      id: `seg-${seg.id}`,
+      from: seg.speakerXrId || encounter?.deviceXrId || 'Unknown',
+      to: 'Unknown',
+      text: String(seg.text || '').trim(),
+      timestamp: Date.parse(seg.spokenAt) || Date.now(),
+      sequence: 0,
+      encounterId: encounter?.id ?? null,
+      segmentId: seg.id,
+      note: null,
+    };
+  }
+
+  // Adds segments the local history lacks; returns how many were added
+  function mergeServerSegments(encounter, segments) {
+    const hist = normalizeHistoryItems(loadHistory());
+    const known = new Set(hist.map((x) => x.segmentId).filter(Boolean));
+    const added = [];
+
+    for (const seg of segments) {
+      if (known.has(seg.id)) continue;
+      // Items saved before transcripts were stored server-side: link by text instead of duplicating
+      const legacy = hist.find((x) => !x.segmentId && normalizeTextBlock(x.text) === normalizeTextBlock(seg.text));
+      if (legacy) {
+        legacy.segmentId = seg.id;
+        legacy.encounterId = encounter?.id ?? null;
+        continue;
+      }
+      added.push(segmentToHistoryItem(seg, encounter));
+    }
+
+    saveHistory(added.concat(hist));
+    return added.length;
+  }
+
+  async function hydrateTranscriptsFromServer(roomId) {
+    try {
+      const list = await apiGetJson(
+        `${state.SERVER_URL}/api/encounters?room=${encodeURIComponent(roomId)}&status=open&limit=1`
+      );
+      const open = list?.encounters?.[0];
+      if (!open || roomId !== state.currentRoom) return;
+
+      const data = await apiGetJson(`${state.SERVER_URL}/api/encounters/${open.id}`);
+      if (roomId !== state.currentRoom) return;
+
+      state.currentEncounterId = open.id;
+      if (mergeServerSegments(data.encounter, data.segments || [])) restoreFromLocalStorage();
+    } catch (e) {
+      console.warn('[SCRIBE] transcript hydration failed:', e?.message || e);
+    }
+  }
+
+  async function linkEncounterToPatient(mrn) {
+    const encounterId = state.currentEncounterId;
+    if (!encounterId || !mrn) return;
+    try {
+      const resp = await fetch(`${state.SERVER_URL}/api/encounters/${encounterId}/patient`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ mrn: String(mrn).trim() }),
+      });
+      if (!resp.ok) console.warn('[SCRIBE] linking encounter to patient failed:', resp.status);
+    } catch (e) {
+      console.warn('[SCRIBE] linking encounter to patient failed:', e?.message || e);
+    }
+  }
+
+  // Makes the encounter this room's open one and replaces the local transcript list with it
+  async function resumeEncounter(encounterId) {
+    const resp = await fetch(`${state.SERVER_URL}/api/encounters/${encounterId}/resume`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ roomId: state.currentRoom }),
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(data?.error || `Resume failed (${resp.status})`);
+
+    state.currentEncounterId = data.encounter?.id ?? encounterId;
+    saveHistory((data.segments || []).map((seg) => segmentToHistoryItem(seg, data.encounter)));
+    saveActiveItemId('');
+    restoreFromLocalStorage();
+  }
+
+  function describeEncounter(enc) {
+    const when = new Date(enc.lastSegmentAt || enc.startedAt).toLocaleString();
+    const who = [enc.provider?.name, enc.scribe?.name].filter(Boolean).join(' / ') || enc.deviceXrId;
+    const patient = enc.patientMrn ? ` · ${enc.patientMrn}` : '';
+    return `${when} · ${who}${patient} · ${enc.segmentCount} segment${enc.segmentCount === 1 ? '' : 's'}`;
+  }
+
+  async function openEncountersPicker() {
+    const Swal2 = getSwal();
+    if (!Swal2) return;
+    if (!state.currentRoom) {
+      Swal2.fire({ icon: 'info', title: 'No device connected', text: 'Connect to a device to resume an encounter in its room.' });
+      return;
+    }
+
+    let encounters = [];
+    try {
+      encounters = (await apiGetJson(`${state.SERVER_URL}/api/encounters?limit=30`))?.encounters || [];
+    } catch (e) {
+      Swal2.fire({ icon: 'error', title: 'Could not load encounters', text: e?.message || String(e) });
+      return;
+    }
+    if (!encounters.length) {
+      Swal2.fire({ icon: 'info', title: 'No stored encounters', text: 'Final transcripts will appear here once recorded.' });
+      return;
+    }
+
+    const rows = encounters
+      .map((enc) => {
+        const current = enc.id === state.currentEncounterId ? ' (current)' : '';
+        return `<button type="button" class="scribe-btn scribe-btn-ghost" data-encounter-id="${enc.id}"
+          style="display:block;width:100%;text-align:left;margin:4px 0">
+          ${escapeHtml(describeEncounter(enc))}${current}</button>`;
+      })
+      .join('');
+
+    let pickedId = null;
+    await Swal2.fire({
+      title: 'Encounters',
+      html: `<div style="max-height:50vh;overflow:auto">${rows}</div>`,
+      showConfirmButton: false,
+      showCancelButton: true,
+      cancelButtonText: 'Close',
+      didOpen: (popup) => {
+        popup.querySelectorAll('[data-encounter-id]').forEach((btn) => {
+          btn.addEventListener('click', () => {
+            pickedId = Number(btn.getAttribute('data-encounter-id'));
+            Swal2.close();
+          });
+        });
+      },
+    });
+    if (!pickedId) return;
+
+    const confirm = await Swal2.fire({
+      icon: 'question',
+      title: 'Resume this encounter?',
+      text: 'Its transcript replaces the list in this cockpit, and new segments from this room are added to it.',
+      showCancelButton: true,
+      confirmButtonText: 'Resume',
+    });
+    if (!confirm.isConfirmed) return;
+
+    try {
+      await resumeEncounter(pickedId);
+    } catch (e) {
+      Swal2.fire({ icon: 'error', title: 'Could not resume', text: e?.message || String(e) });
+    }
+  }
+
   // =============================================================================
   //  SWEETALERT2 (strict)
   // =============================================================================
@@ -3511,7 +4231,7 @@
     return noteWrapper?.data || {};
   }
 
-  function buildTemplateEhrSavePayload({ patientId, doctorId, scribeId, modifiedBy, timestamp, note }) {
+  function buildTemplateEhrSavePayload({ patientId, doctorId, scribeId, modifiedBy, timestamp, note, encounterId }) {
     const patientNoteRow = {
       patient_id: patientId,
       doctor_id: doctorId,
@@ -3544,10 +4264,14 @@
       scribeId,
       patient_notes: patientNoteRow,
       patient_note_content: contentRows,
-      template_meta: note?._templateMeta || null,
+      template_id: note?._templateMeta?.templateId ?? note?.templateId ?? null,
+      encounter_id: encounterId ?? null, // the server checks the note against this encounter's stored transcript
+      grounding_acknowledged: [],
     };
   }
 
+  // → the save response, or { groundingRequired: true, grounding } when the server wants
+  // unsupported statements acknowledged first
   async function saveTemplateNoteToEHR(payload) {
     const resp = await fetch('/ehr/patient_notes/template', {
       method: 'POST',
@@ -3556,6 +4280,11 @@
       body: JSON.stringify(payload),
     });
 
+    if (resp.status === 409) {
+      const data = await resp.clone().json().catch(() => null);
+      if (data?.code === 'GROUNDING_UNACKNOWLEDGED') return { groundingRequired: true, grounding: data.grounding || {} };
+    }
+
     if (!resp.ok) {
       const txt = await resp.text().catch(() => '');
       throw new Error(`EHR save failed (${resp.status}): ${txt || resp.statusText || 'Unknown error'}`);
@@ -3685,9 +4414,23 @@
             modifiedBy,
             timestamp: ts,
             note,
+            encounterId: getActiveHistoryContext().item?.encounterId ?? state.currentEncounterId,
           });
 
-          const saveRes = await saveTemplateNoteToEHR(payload);
+          let saveRes = await saveTemplateNoteToEHR(payload);
+          if (saveRes?.groundingRequired) {
+            state.latestSoapNote._grounding = saveRes.grounding;
+            persistActiveNoteFromUI();
+            renderAllSectionGrounding();
+
+            if (!(await swalAcknowledgeGrounding(saveRes.grounding))) return;
+
+            payload.grounding_acknowledged = Object.values(saveRes.grounding).flat().map((issue) => issue.key);
+            saveRes = await saveTemplateNoteToEHR(payload);
+            if (saveRes?.groundingRequired) {
+              throw new Error('The note changed while saving. Please review the warnings and save again.');
+            }
+          }
 
           saveSnapshot = {
             mrn: String(mrn).trim(),
@@ -4068,6 +4811,7 @@
     try {
       const res = await fetch(`${state.SERVER_URL}/ehr/ai/text-to-speech`, {
         method: 'POST',
+        credentials: 'include',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ text: textToSend })
       });
@@ -4150,6 +4894,7 @@
     try {
       const res = await fetch(`${state.SERVER_URL}/ehr/ai/summary`, {
         method: 'POST',
+        credentials: 'include',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ mrn, _ts: Date.now() }),
       });
@@ -4204,6 +4949,7 @@
 
       renderPatient(state.currentPatient);
       renderClinicalNotes(state.currentNotes);
+      linkEncounterToPatient(state.currentPatient?.mrn_no || mrn);
 
       if (dom.noteDetail) dom.noteDetail.innerHTML = `<div class="text-gray-400 text-sm">Select a note to view details</div>`;
     } catch (e) {
@@ -4409,6 +5155,7 @@
       restoreFromLocalStorage();
       wireSoapActionButtons();
       wireEhrSidebar();
+      dom.encountersButton?.addEventListener('click', openEncountersPicker);
 
       await loadSocketIoClientFor(preferredEndpoint);
       await connectTo(preferredEndpoint, async () => {
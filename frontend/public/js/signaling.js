@@ -58,6 +58,7 @@ export class SignalingClient {
     this._onConnect = this._onConnect.bind(this);
     this._onDisconnect = this._onDisconnect.bind(this);
     this._onConnectError = this._onConnectError.bind(this); // ← FIX: make sure method exists below
+    this._onAuthError = this._onAuthError.bind(this);
     this._onSignal = this._onSignal.bind(this);
     this._onRoomJoined = this._onRoomJoined.bind(this);
     this._onDeviceList = this._onDeviceList.bind(this);
@@ -90,6 +91,7 @@ export class SignalingClient {
     this.socket.on('connect', this._onConnect);
     this.socket.on('disconnect', this._onDisconnect);
     this.socket.on('connect_error', this._onConnectError);
+    this.socket.on('auth_error', this._onAuthError);
 
     // Signaling + presence
     this.socket.on('signal', this._onSignal);
@@ -144,6 +146,7 @@ export class SignalingClient {
     this.socket.off('connect', this._onConnect);
     this.socket.off('disconnect', this._onDisconnect);
     this.socket.off('connect_error', this._onConnectError);
+    this.socket.off('auth_error', this._onAuthError);
     this.socket.off('signal', this._onSignal);
     this.socket.off('device_list', this._onDeviceList);
     this.socket.off('peer_left', this._onPeerLeft);
@@ -280,9 +283,23 @@ export class SignalingClient {
   _onConnectError(err) {                 // ← FIXED name (was __onConnectError)
     this.isConnected = false;
     console.error('connect_error:', err?.message || err);
+
+    // 🔐 No platform session → retrying will not help
+    if (err?.data?.code === 'AUTH_REQUIRED') {
+      this._onAuthError(err.data);
+      return;
+    }
     this.listener?.onDisconnected?.('error');
   }
 
+  /** Server rejected the handshake or identify (not logged in / XR ID not ours). */
+  _onAuthError(payload = {}) {
+    console.warn('[SIGNALING] auth_error:', payload.code, payload.message);
+    this.setReconnectionEnabled(false);
+    this.listener?.onAuthError?.(payload);
+    this.listener?.onDisconnected?.('auth');
+  }
+
   _onSignal(obj) {
     // Server relays: { type, from, to?, data }
     const type = obj?.type;
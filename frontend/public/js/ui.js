@@ -54,20 +54,8 @@ async function loadDevicePermissionsOnce() {
     }
 
     try {
-        const res = await fetch('/api/platform/my-screens', {
-            method: 'GET',
-            credentials: 'include',
-            headers: { 'Accept': 'application/json' }
-        });
-
-        if (!res.ok) {
-            console.warn('[XRDEVICE] my-screens returned', res.status);
-            xrDevicePermissions = null; // fail-open
-            return;
-        }
-
-        const data = await res.json();
-        const screens = data?.screens || [];
+        // Shared with device.js: one /api/platform/me request per page (screen-permissions.js)
+        const screens = await window.loadMyScreens();
 
         // ✅ Always prefer exact ID match
         let match = screens.find(s => s.id === XR_DEVICE_SCREEN_ID);
@@ -210,6 +198,13 @@ let connectedDesktops = []; // XR IDs
 let hadDesktops = false;
 let pairedDesktopId = null; // Option B: set from room_joined members
 
+// Pair-room chat history from the server (older pages load when the list is scrolled to the top)
+const HISTORY_PAGE_SIZE = 20;
+let historyCursor = null;          // id of the oldest server message shown
+let historyHasMore = false;
+let historyLoading = false;
+let shownMessageIds = new Set();   // server message ids already rendered (live + history)
+
 
 // note-taking
 let recordingActive = false;
@@ -456,6 +451,57 @@ function msg(sender, text) {
     } catch { }
 }
 
+function resetHistoryPaging() {
+    historyCursor = null;
+    historyHasMore = false;
+    historyLoading = false;
+    shownMessageIds = new Set();
+}
+
+function chatMessageFrom(payload) {
+    return new Message({
+        sender: payload?.sender || payload?.from || 'server',
+        text: payload?.text || payload?.message || '',
+        timestamp: payload?.timestamp || nowIso(),
+        xrId: payload?.xrId || payload?.from || 'server',
+        urgent: !!(payload?.urgent || payload?.priority === 'urgent'),
+    });
+}
+
+// { roomId, messages (oldest first), hasMore, before } from the server's message_history
+function renderMessageHistory(page) {
+    historyLoading = false;
+    historyHasMore = !!page?.hasMore;
+
+    const all = Array.isArray(page?.messages) ? page.messages : [];
+    if (all.length && all[0].id != null) historyCursor = all[0].id;
+
+    const fresh = all.filter((m) => m?.id == null || !shownMessageIds.has(m.id));
+    if (!fresh.length) return;
+
+    fresh.forEach((m) => { if (m.id != null) shownMessageIds.add(m.id); });
+    const frag = document.createDocumentFragment();
+    fresh.forEach((m) => appendMessage(frag, chatMessageFrom(m)));
+
+    if (page?.before != null) {
+        // Older page: prepend and keep what the user was looking at in place
+        const prevHeight = elMsgList.scrollHeight;
+        elMsgList.prepend(frag);
+        elMsgList.scrollTop += elMsgList.scrollHeight - prevHeight;
+    } else {
+        elMsgList.appendChild(frag);
+        elMsgList.scrollTop = elMsgList.scrollHeight;
+    }
+}
+
+function loadOlderMessages() {
+    if (!isServerConnected || !pairedDesktopId) return;
+    if (historyLoading || !historyHasMore || historyCursor == null) return;
+
+    historyLoading = true;
+    emitSafe('message_history', { before: historyCursor, limit: HISTORY_PAGE_SIZE });
+}
+
 function setStatus(connected) {
     elStatus.textContent = connected ? 'Status: Connected' : 'Status: Disconnected';
     elStatus.classList.toggle('status-connected', connected);
@@ -550,7 +596,7 @@ function createSignaling() {
             startBatteryTicker();
         },
 
-        onDisconnected: () => {
+        onDisconnected: (reason) => {
             isServerConnected = false;
 
             userWantsConnected = false; // prevent auto-reconnect after a manual disconnect
@@ -578,7 +624,8 @@ function createSignaling() {
             // ✅ AUTO-RELOAD block
             console.log('[AUTO-RELOAD] onDisconnected hook firing', { manualClose: signaling?._manualClose });
             try { persistNow(); } catch { }
-            if (!streamActive) {
+            // 🔐 Auth rejections will not fix themselves on reload
+            if (!streamActive && reason !== 'auth') {
                 scheduleAutoReload(signaling?._manualClose ? 'user' : 'network');
             }
 
@@ -586,6 +633,11 @@ function createSignaling() {
             signaling = null;
         },
 
+        // 🔐 Server refused this login / XR ID
+        onAuthError: ({ message } = {}) => {
+            msg('System', `🔒 ${message || 'Not authorized.'} Sign in at /platform and try again.`);
+        },
+
         // ✅ Option B: dedicated room_joined handler (from signaling.js)
         onRoomJoined: (payload) => {
             const members = Array.isArray(payload?.members) ? payload.members : [];
@@ -600,6 +652,10 @@ function createSignaling() {
             } else {
                 msg('System', `🎯 Room joined: ${payload?.roomId || ''}`);
             }
+
+            // Latest page of this pair room's chat (kept server-side, not in localStorage)
+            resetHistoryPaging();
+            emitSafe('message_history', { limit: HISTORY_PAGE_SIZE });
         },
 
         // Same "signal" handling as MainActivity.kt
@@ -854,6 +910,11 @@ function createSignaling() {
                 return;
             }
 
+            if (event === 'message_history') {
+                renderMessageHistory(payload);
+                return;
+            }
+
             if (event !== 'message') return;
 
             // Render normal message (skip "transcript" like Android UI)
@@ -866,6 +927,7 @@ function createSignaling() {
             const xrId = payload?.xrId || (payload?.from || 'server');
             const urgent = !!(payload?.urgent || (payload?.priority === 'urgent'));
 
+            if (payload?.id != null) shownMessageIds.add(payload.id);
             appendMessage(elMsgList, new Message({ sender, text, timestamp, xrId, urgent }));
             elMsgList.scrollTop = elMsgList.scrollHeight;
         }
@@ -903,6 +965,10 @@ function ensureStreamer() {
 
 // ----------------- Controls -----------------
 // Connect / Disconnect
+elMsgList.addEventListener('scroll', () => {
+    if (elMsgList.scrollTop < 40) loadOlderMessages();
+});
+
 elBtnConnect.addEventListener('click', async () => {
     // 🔒 READ-only guard for XR Device
     if (!hasDeviceWritePermission()) {